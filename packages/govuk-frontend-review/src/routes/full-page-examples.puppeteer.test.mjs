@@ -60,6 +60,10 @@ describe('Full page examples (with form submit)', () => {
       title: 'Update your account details',
       path: '/full-page-examples/update-your-account-details'
     },
+    {
+      title: 'Upload your documents',
+      path: '/full-page-examples/upload-your-documents'
+    },
     {
       title: 'Upload your photo',
       path: '/full-page-examples/upload-your-photo'
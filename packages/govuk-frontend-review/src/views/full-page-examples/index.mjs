@@ -12,6 +12,7 @@ export { default as search } from './search/index.mjs'
 export { default as signIn } from './sign-in/index.mjs'
 export { default as passportDetails } from './passport-details/index.mjs'
 export { default as updateYourAccountDetails } from './update-your-account-details/index.mjs'
+export { default as uploadYourDocuments } from './upload-your-documents/index.mjs'
 export { default as uploadYourPhoto } from './upload-your-photo/index.mjs'
 export { default as uploadYourPhotoSuccess } from './upload-your-photo-success/index.mjs'
 export { default as whatIsYourAddress } from './what-is-your-address/index.mjs'
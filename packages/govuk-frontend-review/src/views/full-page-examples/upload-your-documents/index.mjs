@@ -0,0 +1,80 @@
+import { randomUUID } from 'crypto'
+
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+
+import { formatValidationErrors } from '../../../utils.mjs'
+
+const router = express.Router()
+
+/**
+ * Maximum upload size in bytes, matching the File upload `maxFileSize` option
+ */
+const maxFileSize = 10 * 1024 * 1024
+
+/**
+ * Stand-in for a document upload service
+ *
+ * Reads the `multipart/form-data` request without storing the file and
+ * responds with an ID for the component to submit with the form. Files with
+ * "virus" in their name are rejected to demonstrate upload errors.
+ */
+router.post('/upload-your-documents/upload', (req, res, next) => {
+  let header = ''
+  let size = 0
+
+  req.on('data', (chunk) => {
+    size += chunk.length
+
+    // Keep the start of the request to find the file name
+    if (header.length < 1024) {
+      header += chunk.toString('utf8', 0, 1024)
+    }
+  })
+
+  req.on('error', next)
+
+  req.on('end', () => {
+    const fileName = header.match(/filename="([^"]*)"/)?.[1] ?? ''
+
+    if (!fileName) {
+      return res.status(400).json({ error: 'Select a file' })
+    }
+
+    if (size > maxFileSize) {
+      return res
+        .status(413)
+        .json({ error: `${fileName} must be smaller than 10MB` })
+    }
+
+    if (fileName.toLowerCase().includes('virus')) {
+      return res.status(422).json({ error: `${fileName} contains a virus` })
+    }
+
+    res.json({ id: randomUUID() })
+  })
+})
+
+router.post(
+  '/upload-your-documents',
+
+  body('documents').notEmpty().withMessage('Upload at least one document'),
+
+  (req, res) => {
+    const { example } = res.locals
+
+    const viewPath = `./full-page-examples/${example.path}`
+    const errors = formatValidationErrors(validationResult(req))
+
+    if (!errors) {
+      return res.redirect(303, `./${example.path}/confirm`)
+    }
+
+    res.render(`${viewPath}/index`, {
+      errors,
+      errorSummary: Object.values(errors)
+    })
+  }
+)
+
+export default router
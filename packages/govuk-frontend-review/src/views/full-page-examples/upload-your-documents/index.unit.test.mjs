@@ -0,0 +1,66 @@
+import express from 'express'
+import supertest from 'supertest'
+
+import router from './index.mjs'
+
+describe('Full page example: Upload your documents', () => {
+  let agent
+
+  beforeEach(() => {
+    const app = express()
+    agent = supertest.agent(app)
+
+    app.use(router)
+  })
+
+  describe('Upload endpoint', () => {
+    it('responds with the ID of the uploaded file', async () => {
+      const res = await agent
+        .post('/upload-your-documents/upload')
+        .attach('file', Buffer.from('%PDF-1.7'), 'passport.pdf')
+
+      expect(res.status).toBe(200)
+      expect(res.headers['content-type']).toMatch(/^application\/json/)
+      expect(res.body).toEqual({ id: expect.any(String) })
+    })
+
+    it('responds with a different ID for each file', async () => {
+      const [first, second] = await Promise.all(
+        ['one.pdf', 'two.pdf'].map((fileName) =>
+          agent
+            .post('/upload-your-documents/upload')
+            .attach('file', Buffer.from('%PDF-1.7'), fileName)
+        )
+      )
+
+      expect(first.body.id).not.toBe(second.body.id)
+    })
+
+    it('responds with an error message when the file is not accepted', async () => {
+      const res = await agent
+        .post('/upload-your-documents/upload')
+        .attach('file', Buffer.from('%PDF-1.7'), 'virus.pdf')
+
+      expect(res.status).toBe(422)
+      expect(res.body).toEqual({ error: 'virus.pdf contains a virus' })
+    })
+
+    it('responds with an error message when the file is too large', async () => {
+      const res = await agent
+        .post('/upload-your-documents/upload')
+        .attach('file', Buffer.alloc(10 * 1024 * 1024 + 1), 'scan.pdf')
+
+      expect(res.status).toBe(413)
+      expect(res.body).toEqual({ error: 'scan.pdf must be smaller than 10MB' })
+    })
+
+    it('responds with an error status when there is no file', async () => {
+      const res = await agent
+        .post('/upload-your-documents/upload')
+        .field('_csrf', 'csrf-token')
+
+      expect(res.status).toBe(400)
+      expect(res.body).not.toHaveProperty('id')
+    })
+  })
+})
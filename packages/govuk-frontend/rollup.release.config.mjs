@@ -13,10 +13,14 @@ async function getGOVUKFrontendExportsNames() {
   try {
     global.HTMLElement = /** @type {any} */ (function () {})
     global.HTMLAnchorElement = /** @type {any} */ (function () {})
+    global.HTMLSelectElement = /** @type {any} */ (function () {})
+    global.HTMLTableElement = /** @type {any} */ (function () {})
     return Object.keys(await import('govuk-frontend/src/govuk/all.mjs'))
   } finally {
     delete global.HTMLElement
     delete global.HTMLAnchorElement
+    delete global.HTMLSelectElement
+    delete global.HTMLTableElement
   }
 }
 
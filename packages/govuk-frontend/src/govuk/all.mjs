@@ -3,17 +3,24 @@ export { Accordion } from './components/accordion/accordion.mjs'
 export { Button } from './components/button/button.mjs'
 export { CharacterCount } from './components/character-count/character-count.mjs'
 export { Checkboxes } from './components/checkboxes/checkboxes.mjs'
+export { CookieBanner } from './components/cookie-banner/cookie-banner.mjs'
+export { DateInput } from './components/date-input/date-input.mjs'
+export { DatePicker } from './components/date-input/date-picker.mjs'
 export { ErrorSummary } from './components/error-summary/error-summary.mjs'
 export { ExitThisPage } from './components/exit-this-page/exit-this-page.mjs'
+export { FileUpload } from './components/file-upload/file-upload.mjs'
 export { Header } from './components/header/header.mjs'
 export { NotificationBanner } from './components/notification-banner/notification-banner.mjs'
 export { PasswordInput } from './components/password-input/password-input.mjs'
 export { Radios } from './components/radios/radios.mjs'
+export { SelectAutocomplete } from './components/select/select-autocomplete.mjs'
 export { ServiceNavigation } from './components/service-navigation/service-navigation.mjs'
 export { SkipLink } from './components/skip-link/skip-link.mjs'
+export { Table } from './components/table/table.mjs'
 export { Tabs } from './components/tabs/tabs.mjs'
 export { initAll, createAll } from './init.mjs'
 export { isSupported } from './common/index.mjs'
+export { subscribeToBreakpoint } from './common/breakpoint-observer.mjs'
 export { GOVUKFrontendComponent as Component } from './govuk-frontend-component.mjs'
 
 /**
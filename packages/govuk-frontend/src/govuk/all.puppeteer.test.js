@@ -54,11 +54,30 @@ describe('GOV.UK Frontend', () => {
       expect(typeofIsSupported).toBe('function')
     })
 
+    it('exports `subscribeToBreakpoint` function', async () => {
+      const typeofSubscribeToBreakpoint = await page.evaluate(
+        async (importPath, exportName) => {
+          const namespace = await import(importPath)
+          return typeof namespace[exportName]
+        },
+        scriptsPath.href,
+        'subscribeToBreakpoint'
+      )
+
+      expect(typeofSubscribeToBreakpoint).toBe('function')
+    })
+
     it('exports Components', async () => {
       const components = exported
         .filter(
           (method) =>
-            !['initAll', 'createAll', 'version', 'isSupported'].includes(method)
+            ![
+              'initAll',
+              'createAll',
+              'version',
+              'isSupported',
+              'subscribeToBreakpoint'
+            ].includes(method)
         )
         .sort()
 
@@ -69,14 +88,20 @@ describe('GOV.UK Frontend', () => {
         'CharacterCount',
         'Checkboxes',
         'Component',
+        'CookieBanner',
+        'DateInput',
+        'DatePicker',
         'ErrorSummary',
         'ExitThisPage',
+        'FileUpload',
         'Header',
         'NotificationBanner',
         'PasswordInput',
         'Radios',
+        'SelectAutocomplete',
         'ServiceNavigation',
         'SkipLink',
+        'Table',
         'Tabs'
       ])
     })
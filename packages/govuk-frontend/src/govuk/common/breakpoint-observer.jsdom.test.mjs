@@ -0,0 +1,124 @@
+import { subscribeToBreakpoint } from './breakpoint-observer.mjs'
+
+describe('subscribeToBreakpoint', () => {
+  let mql
+
+  beforeEach(() => {
+    document.documentElement.style.setProperty(
+      '--govuk-frontend-breakpoint-tablet',
+      '40.0625em'
+    )
+
+    mql = {
+      matches: false,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    }
+
+    window.matchMedia = jest.fn().mockReturnValue(mql)
+  })
+
+  afterEach(() => {
+    document.documentElement.style.removeProperty(
+      '--govuk-frontend-breakpoint-tablet'
+    )
+  })
+
+  // Trigger the change listener added to the media query list
+  function changeBreakpoint(matches) {
+    mql.matches = matches
+    mql.addEventListener.mock.calls[0][1]()
+  }
+
+  it('creates a media query list from the breakpoint CSS custom property', () => {
+    const breakpoint = subscribeToBreakpoint('tablet', jest.fn())
+
+    expect(window.matchMedia).toHaveBeenCalledWith('(min-width: 40.0625em)')
+    expect(breakpoint.matches).toBe(false)
+
+    breakpoint.unsubscribe()
+  })
+
+  it('returns undefined if the breakpoint CSS custom property is not set', () => {
+    expect(subscribeToBreakpoint('wide', jest.fn())).toBeUndefined()
+    expect(window.matchMedia).not.toHaveBeenCalled()
+  })
+
+  it('calls subscribers when the breakpoint changes', () => {
+    const callback1 = jest.fn()
+    const callback2 = jest.fn()
+
+    const breakpoint1 = subscribeToBreakpoint('tablet', callback1)
+    const breakpoint2 = subscribeToBreakpoint('tablet', callback2)
+
+    changeBreakpoint(true)
+
+    expect(callback1).toHaveBeenCalledWith(true)
+    expect(callback2).toHaveBeenCalledWith(true)
+    expect(breakpoint1.matches).toBe(true)
+
+    breakpoint1.unsubscribe()
+    breakpoint2.unsubscribe()
+  })
+
+  it('shares a single media query list between subscribers', () => {
+    const breakpoint1 = subscribeToBreakpoint('tablet', jest.fn())
+    const breakpoint2 = subscribeToBreakpoint('tablet', jest.fn())
+
+    expect(window.matchMedia).toHaveBeenCalledTimes(1)
+    expect(mql.addEventListener).toHaveBeenCalledTimes(1)
+
+    breakpoint1.unsubscribe()
+    breakpoint2.unsubscribe()
+  })
+
+  it('stops calling subscribers once they unsubscribe', () => {
+    const callback1 = jest.fn()
+    const callback2 = jest.fn()
+
+    const breakpoint1 = subscribeToBreakpoint('tablet', callback1)
+    const breakpoint2 = subscribeToBreakpoint('tablet', callback2)
+
+    breakpoint1.unsubscribe()
+    changeBreakpoint(true)
+
+    expect(callback1).not.toHaveBeenCalled()
+    expect(callback2).toHaveBeenCalledWith(true)
+    expect(mql.removeEventListener).not.toHaveBeenCalled()
+
+    breakpoint2.unsubscribe()
+  })
+
+  it('removes the media query list once every subscriber has unsubscribed', () => {
+    const breakpoint = subscribeToBreakpoint('tablet', jest.fn())
+    const [, onChange] = mql.addEventListener.mock.calls[0]
+
+    breakpoint.unsubscribe()
+
+    expect(mql.removeEventListener).toHaveBeenCalledWith('change', onChange)
+
+    subscribeToBreakpoint('tablet', jest.fn()).unsubscribe()
+
+    expect(window.matchMedia).toHaveBeenCalledTimes(2)
+  })
+
+  it('falls back to the deprecated addListener and removeListener methods', () => {
+    const legacyMql = {
+      matches: true,
+      addListener: jest.fn(),
+      removeListener: jest.fn()
+    }
+
+    window.matchMedia = jest.fn().mockReturnValue(legacyMql)
+
+    const callback = jest.fn()
+    const breakpoint = subscribeToBreakpoint('tablet', callback)
+    const [onChange] = legacyMql.addListener.mock.calls[0]
+
+    onChange()
+    expect(callback).toHaveBeenCalledWith(true)
+
+    breakpoint.unsubscribe()
+    expect(legacyMql.removeListener).toHaveBeenCalledWith(onChange)
+  })
+})
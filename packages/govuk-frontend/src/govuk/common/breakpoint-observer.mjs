@@ -0,0 +1,143 @@
+import { getBreakpoint } from './index.mjs'
+
+/**
+ * Shared media query lists and their subscribers, by breakpoint name
+ *
+ * @private
+ * @type {Map<string, BreakpointObserver>}
+ */
+const observers = new Map()
+
+/**
+ * Subscribe to changes to a GOV.UK Frontend breakpoint
+ *
+ * Calls the callback whenever the viewport changes from narrower than the
+ * breakpoint to at least as wide as it, or back again. Breakpoints are named
+ * after the `--govuk-frontend-breakpoint-*` CSS custom properties, for example
+ * `mobile`, `tablet` or `desktop`.
+ *
+ * All subscribers to a breakpoint share a single `MediaQueryList`, which is
+ * removed once every subscriber has unsubscribed.
+ *
+ * @example
+ * ```js
+ * const breakpoint = subscribeToBreakpoint('tablet', (matches) => {
+ *   console.log(matches ? 'Tablet or wider' : 'Narrower than tablet')
+ * })
+ *
+ * // Check the current state, then stop listening for changes
+ * console.log(breakpoint?.matches)
+ * breakpoint?.unsubscribe()
+ * ```
+ * @param {string} name - Breakpoint name
+ * @param {BreakpointCallback} callback - Function called when the breakpoint
+ *   starts or stops matching
+ * @returns {BreakpointSubscription | undefined} Breakpoint subscription, or
+ *   undefined if the breakpoint CSS custom property is not set
+ */
+export function subscribeToBreakpoint(name, callback) {
+  const observer = observers.get(name) ?? createObserver(name)
+
+  if (!observer) {
+    return
+  }
+
+  observer.callbacks.add(callback)
+
+  return {
+    get matches() {
+      return observer.mql.matches
+    },
+
+    unsubscribe() {
+      observer.callbacks.delete(callback)
+
+      if (observer.callbacks.size || observers.get(name) !== observer) {
+        return
+      }
+
+      // MediaQueryList.removeEventListener isn't supported by Safari < 14 so we
+      // need to be able to fall back to the deprecated MediaQueryList.removeListener
+      if ('removeEventListener' in observer.mql) {
+        observer.mql.removeEventListener('change', observer.onChange)
+      } else {
+        // @ts-expect-error Property 'removeListener' does not exist
+        // eslint-disable-next-line @typescript-eslint/no-unsafe-call
+        observer.mql.removeListener(observer.onChange)
+      }
+
+      observers.delete(name)
+    }
+  }
+}
+
+/**
+ * Create the shared media query list for a breakpoint
+ *
+ * @private
+ * @param {string} name - Breakpoint name
+ * @returns {BreakpointObserver | undefined} Breakpoint observer, or undefined
+ *   if the breakpoint CSS custom property is not set
+ */
+function createObserver(name) {
+  const breakpoint = getBreakpoint(name)
+
+  if (!breakpoint.value) {
+    return
+  }
+
+  const mql = window.matchMedia(`(min-width: ${breakpoint.value})`)
+
+  /** @type {Set<BreakpointCallback>} */
+  const callbacks = new Set()
+
+  const onChange = () => {
+    // Copy subscribers so callbacks can unsubscribe while being called
+    Array.from(callbacks).forEach((callback) => callback(mql.matches))
+  }
+
+  // MediaQueryList.addEventListener isn't supported by Safari < 14 so we need
+  // to be able to fall back to the deprecated MediaQueryList.addListener
+  if ('addEventListener' in mql) {
+    mql.addEventListener('change', onChange)
+  } else {
+    // @ts-expect-error Property 'addListener' does not exist
+    // eslint-disable-next-line @typescript-eslint/no-unsafe-call
+    mql.addListener(onChange)
+  }
+
+  /** @type {BreakpointObserver} */
+  const observer = { mql, callbacks, onChange }
+  observers.set(name, observer)
+
+  return observer
+}
+
+/**
+ * Breakpoint callback
+ *
+ * @callback BreakpointCallback
+ * @param {boolean} matches - Whether the viewport is at least as wide as the
+ *   breakpoint
+ * @returns {void}
+ */
+
+/**
+ * Breakpoint subscription
+ *
+ * @typedef {object} BreakpointSubscription
+ * @property {boolean} matches - Whether the viewport is currently at least as
+ *   wide as the breakpoint
+ * @property {() => void} unsubscribe - Stop calling the callback when the
+ *   breakpoint changes
+ */
+
+/**
+ * Breakpoint observer
+ *
+ * @private
+ * @typedef {object} BreakpointObserver
+ * @property {MediaQueryList} mql - Shared media query list
+ * @property {Set<BreakpointCallback>} callbacks - Subscriber callbacks
+ * @property {() => void} onChange - Media query list change listener
+ */
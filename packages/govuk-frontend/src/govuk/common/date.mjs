@@ -0,0 +1,88 @@
+/**
+ * Get the part of the date a date input field is for, from its name
+ *
+ * Uses the last of `day`, `month` or `year` in the name, so that names such as
+ * `birthday-month` and `day[dd]` are recognised
+ *
+ * @internal
+ * @param {Element} $input - Date input field
+ * @returns {DatePart | undefined} Part of the date
+ */
+export function getDatePart($input) {
+  const matches = ($input.getAttribute('name') ?? '')
+    .toLowerCase()
+    .match(/day|month|year/g)
+
+  return /** @type {DatePart | undefined} */ (matches?.pop())
+}
+
+/**
+ * Get the locales to format dates with
+ *
+ * Uses British English for pages in English without a region, so dates are
+ * formatted as `1 January 2025` rather than `January 1, 2025`
+ *
+ * @internal
+ * @param {string} locale - Language of the page
+ * @returns {string[]} The language of the page, if supported, then British
+ *   English and English
+ */
+export function getDateLocales(locale) {
+  return Intl.DateTimeFormat.supportedLocalesOf(
+    locale === 'en' ? 'en-GB' : locale
+  ).concat('en-GB', 'en')
+}
+
+/**
+ * Get the number of days in a month
+ *
+ * @internal
+ * @param {number} year - Year
+ * @param {number} month - Month, from 1 to 12
+ * @returns {number} Number of days
+ */
+export function getDaysInMonth(year, month) {
+  // Day 0 of the next month is the last day of this month
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+/**
+ * Parse a date in the format `YYYY-MM-DD`
+ *
+ * @internal
+ * @param {string} date - Date to parse
+ * @returns {Date | undefined} Date at midnight UTC, if it is a real date
+ */
+export function parseISODate(date) {
+  const [year, month, day] = date.split('-').map(Number)
+
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+    month < 1 ||
+    month > 12 ||
+    day < 1 ||
+    day > getDaysInMonth(year, month)
+  ) {
+    return
+  }
+
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+/**
+ * Format a date in the format `YYYY-MM-DD`
+ *
+ * @internal
+ * @param {Date} date - Date at midnight UTC
+ * @returns {string} Date in the format `YYYY-MM-DD`
+ */
+export function formatISODate(date) {
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Date part
+ *
+ * @internal
+ * @typedef {'day' | 'month' | 'year'} DatePart
+ */
@@ -0,0 +1,65 @@
+import {
+  formatISODate,
+  getDateLocales,
+  getDaysInMonth,
+  parseISODate
+} from './date.mjs'
+
+describe('getDateLocales', () => {
+  it('returns the language of the page, then English', () => {
+    expect(getDateLocales('cy')).toEqual(['cy', 'en-GB', 'en'])
+  })
+
+  it('returns British English for pages in English without a region', () => {
+    expect(getDateLocales('en')[0]).toBe('en-GB')
+    expect(getDateLocales('en-US')[0]).toBe('en-US')
+  })
+})
+
+describe('getDaysInMonth', () => {
+  it('returns the number of days in a month', () => {
+    expect(getDaysInMonth(2025, 1)).toBe(31)
+    expect(getDaysInMonth(2025, 4)).toBe(30)
+    expect(getDaysInMonth(2025, 12)).toBe(31)
+  })
+
+  it('returns 29 for February in a leap year', () => {
+    expect(getDaysInMonth(2024, 2)).toBe(29)
+    expect(getDaysInMonth(2000, 2)).toBe(29)
+  })
+
+  it('returns 28 for February in other years', () => {
+    expect(getDaysInMonth(2025, 2)).toBe(28)
+    expect(getDaysInMonth(1900, 2)).toBe(28)
+  })
+})
+
+describe('parseISODate', () => {
+  it('parses a date at midnight UTC', () => {
+    expect(parseISODate('2024-02-29')).toEqual(new Date('2024-02-29T00:00:00Z'))
+  })
+
+  it.each(['2025-02-29', '2025-13-01', '2025-00-10', '2025-04-31'])(
+    'does not parse %s, which is not a real date',
+    (date) => {
+      expect(parseISODate(date)).toBeUndefined()
+    }
+  )
+
+  it.each(['', '2025-1-6', '06/01/2025', '2025-01-06T00:00:00Z'])(
+    'does not parse %p, which is not in the format YYYY-MM-DD',
+    (date) => {
+      expect(parseISODate(date)).toBeUndefined()
+    }
+  )
+})
+
+describe('formatISODate', () => {
+  it('formats a date in the format YYYY-MM-DD', () => {
+    expect(formatISODate(new Date('2025-01-06T00:00:00Z'))).toBe('2025-01-06')
+  })
+
+  it('formats the dates it parses back to the same string', () => {
+    expect(formatISODate(parseISODate('1990-12-31'))).toBe('1990-12-31')
+  })
+})
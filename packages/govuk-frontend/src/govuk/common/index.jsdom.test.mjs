@@ -5,7 +5,8 @@ import {
   extractConfigByNamespace,
   isSupported,
   getFragmentFromUrl,
-  getBreakpoint
+  getBreakpoint,
+  validateConfig
 } from './index.mjs'
 
 describe('Common JS utilities', () => {
@@ -387,6 +388,200 @@ describe('Common JS utilities', () => {
         key2: 'The Other'
       })
     })
+    it('keeps string values for nested string schema properties', () => {
+      document.body.outerHTML = outdent`
+        <div id="app-example2"
+          data-i18n.key1="100"
+          data-i18n.key2.one="true"
+          data-i18n.key2.other="1000">
+        </div>
+      `
+
+      const { dataset } = document.getElementById('app-example2')
+      const result = extractConfigByNamespace(
+        class Component {
+          /**
+           * @satisfies {Schema}
+           */
+          static schema = {
+            properties: {
+              i18n: {
+                type: 'object',
+                properties: {
+                  key1: { type: 'string' },
+                  key2: {
+                    type: 'object',
+                    properties: {
+                      one: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        dataset,
+        'i18n'
+      )
+
+      expect(result).toEqual({
+        key1: '100',
+        key2: {
+          one: 'true',
+          other: 1000
+        }
+      })
+    })
+  })
+
+  describe('validateConfig', () => {
+    /**
+     * @satisfies {Schema}
+     */
+    const schema = {
+      properties: {
+        text: { type: 'string' },
+        flag: { type: 'boolean' },
+        count: { type: 'number', minimum: 1, maximum: 10 },
+        mode: { type: 'string', enum: ['one', 'two'] },
+        i18n: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            plural: {
+              type: 'object',
+              properties: {
+                one: { type: 'string' },
+                other: { type: 'string' }
+              },
+              additionalProperties: false
+            }
+          },
+          additionalProperties: false
+        },
+        options: { type: 'object' },
+        label: { type: ['string', 'object'] },
+        source: { type: ['string', 'object'], enum: ['one', 'two'] },
+        callback: { type: 'function' }
+      },
+      anyOf: [
+        {
+          required: ['text'],
+          errorMessage: '"text" must be provided'
+        }
+      ]
+    }
+
+    it('returns no errors for valid config', () => {
+      expect(
+        validateConfig(schema, {
+          text: 'Text',
+          flag: false,
+          count: 10,
+          mode: 'two',
+          i18n: {
+            message: 'Message',
+            plural: { one: 'One', other: 'Other' }
+          },
+          options: { anything: true },
+          label: 'Label',
+          callback: () => true
+        })
+      ).toEqual([])
+    })
+
+    it('skips undefined config values', () => {
+      expect(
+        validateConfig(schema, { text: 'Text', count: undefined })
+      ).toEqual([])
+    })
+
+    it.each([
+      { config: { flag: 'true' }, error: '"flag" must be of type "boolean"' },
+      { config: { count: '5' }, error: '"count" must be of type "number"' },
+      { config: { count: NaN }, error: '"count" must be of type "number"' },
+      { config: { text: 1 }, error: '"text" must be of type "string"' },
+      { config: { i18n: 'Text' }, error: '"i18n" must be of type "object"' },
+      { config: { i18n: ['Text'] }, error: '"i18n" must be of type "object"' },
+      {
+        config: { callback: 'true' },
+        error: '"callback" must be of type "function"'
+      },
+      {
+        config: { label: 1 },
+        error: '"label" must be of type "string" or "object"'
+      }
+    ])('returns errors for invalid types $config', ({ config, error }) => {
+      expect(validateConfig(schema, { text: 'Text', ...config })).toEqual([
+        error
+      ])
+    })
+
+    it('returns errors for values not in enum', () => {
+      expect(validateConfig(schema, { text: 'Text', mode: 'three' })).toEqual([
+        '"mode" must be one of "one", "two"'
+      ])
+    })
+
+    it('does not check enum for object values', () => {
+      expect(
+        validateConfig(schema, { text: 'Text', source: { custom: true } })
+      ).toEqual([])
+
+      expect(validateConfig(schema, { text: 'Text', source: 'three' })).toEqual(
+        ['"source" must be one of "one", "two"']
+      )
+    })
+
+    it('returns errors for numbers outside minimum and maximum', () => {
+      expect(validateConfig(schema, { text: 'Text', count: 0 })).toEqual([
+        '"count" must be greater than or equal to 1'
+      ])
+
+      expect(validateConfig(schema, { text: 'Text', count: 11 })).toEqual([
+        '"count" must be less than or equal to 10'
+      ])
+    })
+
+    it('returns errors naming the path to nested config', () => {
+      expect(
+        validateConfig(schema, {
+          text: 'Text',
+          i18n: {
+            message: 10,
+            plural: { one: 'One', other: true }
+          }
+        })
+      ).toEqual([
+        '"i18n.message" must be of type "string"',
+        '"i18n.plural.other" must be of type "string"'
+      ])
+    })
+
+    it('returns errors for unknown config', () => {
+      expect(
+        validateConfig(schema, {
+          text: 'Text',
+          unknown: true,
+          i18n: {
+            unknown: 'Text',
+            plural: { few: 'Few' }
+          },
+          options: { unknown: true }
+        })
+      ).toEqual([
+        '"unknown" is not a known config option',
+        '"i18n.unknown" is not a known config option',
+        '"i18n.plural.few" is not a known config option'
+      ])
+    })
+
+    it('returns property errors before anyOf condition errors', () => {
+      expect(validateConfig(schema, { flag: 'true' })).toEqual([
+        '"flag" must be of type "boolean"',
+        '"text" must be provided'
+      ])
+    })
   })
 
   describe('isSupported', () => {
@@ -72,6 +72,9 @@ export function extractConfigByNamespace(Component, dataset, namespace) {
     /** @type {ObjectNested | ObjectNested[NestedKey]} */
     let current = newObject
 
+    /** @type {Schema | SchemaProperty | undefined} */
+    let currentProperty = Component.schema
+
     // Split the key into parts, using . as our namespace separator
     const keyParts = key.split('.')
 
@@ -82,6 +85,9 @@ export function extractConfigByNamespace(Component, dataset, namespace) {
      * `{ i18n: { textareaDescription: { other } } }`
      */
     for (const [index, name] of keyParts.entries()) {
+      // Schema property for this part, when known
+      currentProperty = currentProperty?.properties?.[name]
+
       if (typeof current === 'object') {
         // Drop down to nested object until the last part
         if (index < keyParts.length - 1) {
@@ -94,7 +100,7 @@ export function extractConfigByNamespace(Component, dataset, namespace) {
           current = current[name]
         } else if (key !== namespace) {
           // Normalised value (optionally) replaces existing value
-          current[name] = normaliseString(value)
+          current[name] = normaliseString(value, currentProperty)
         }
       }
     }
@@ -223,8 +229,15 @@ export function isSupported($scope = document.body) {
 /**
  * Validate component config by schema
  *
- * Follows limited examples in JSON schema for wider support in future
+ * Follows a subset of JSON schema, checking property types, enums, minimum and
+ * maximum values, nested object properties and unknown properties, then
+ * checking `anyOf` conditions. Error messages name the path to the invalid
+ * config key, for example `"i18n.charactersAtLimit"`
+ *
+ * Config keys not listed in the schema properties are not allowed, but nested
+ * object config keys are unless `additionalProperties: false` is set
  *
+ * {@link https://ajv.js.org/json-schema.html}
  * {@link https://ajv.js.org/json-schema.html#compound-keywords}
  * {@link https://ajv.js.org/packages/ajv-errors.html#single-message}
  *
@@ -234,7 +247,7 @@ export function isSupported($scope = document.body) {
  * @returns {string[]} List of validation errors
  */
 export function validateConfig(schema, config) {
-  const validationErrors = []
+  const validationErrors = validateProperties(schema.properties, config)
 
   // Check errors for each schema
   for (const [name, conditions] of Object.entries(schema)) {
@@ -258,6 +271,123 @@ export function validateConfig(schema, config) {
   return validationErrors
 }
 
+/**
+ * Validate config values by schema properties
+ *
+ * Config values that are `undefined` are skipped, as they are either
+ * optional or checked by `anyOf` conditions instead
+ *
+ * @internal
+ * @param {Schema["properties"]} properties - Schema properties
+ * @param {{ [key: string]: unknown }} config - Component config (or nested config)
+ * @param {string} [namespace] - Path to nested config, dot-separated
+ * @param {boolean} [additionalProperties] - Whether config keys not listed in
+ *   `properties` are allowed
+ * @returns {string[]} List of validation errors
+ */
+function validateProperties(
+  properties,
+  config,
+  namespace,
+  additionalProperties = false
+) {
+  const errors = []
+
+  for (const [key, value] of Object.entries(config)) {
+    const path = namespace ? `${namespace}.${key}` : key
+    const property = properties[key]
+
+    if (typeof value === 'undefined') {
+      // Skip unset values
+    } else if (property) {
+      errors.push(...validateProperty(property, value, path))
+    } else if (!additionalProperties) {
+      errors.push(`"${path}" is not a known config option`)
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Validate config value by schema property
+ *
+ * @internal
+ * @param {SchemaProperty} property - Schema property
+ * @param {unknown} value - Config value
+ * @param {string} path - Path to config value, dot-separated
+ * @returns {string[]} List of validation errors
+ */
+function validateProperty(property, value, path) {
+  const types = Array.isArray(property.type) ? property.type : [property.type]
+
+  if (!types.some((type) => isType(type, value))) {
+    return [`"${path}" must be of type "${types.join('" or "')}"`]
+  }
+
+  // Check enums for string, boolean and number values only, so properties
+  // allowing multiple types can also accept objects
+  if (
+    property.enum &&
+    !isObject(value) &&
+    !property.enum.includes(/** @type {SchemaValue} */ (value))
+  ) {
+    return [`"${path}" must be one of "${property.enum.join('", "')}"`]
+  }
+
+  if (typeof value === 'number') {
+    if (typeof property.minimum === 'number' && value < property.minimum) {
+      return [`"${path}" must be greater than or equal to ${property.minimum}`]
+    }
+
+    if (typeof property.maximum === 'number' && value > property.maximum) {
+      return [`"${path}" must be less than or equal to ${property.maximum}`]
+    }
+  }
+
+  // Check nested config for object types
+  if (isObject(value)) {
+    return validateProperties(
+      property.properties ?? {},
+      /** @type {{ [key: string]: unknown }} */ (value),
+      path,
+      property.additionalProperties ?? true
+    )
+  }
+
+  return []
+}
+
+/**
+ * Check config value type
+ *
+ * Numbers must be finite, so values normalised from non-numeric `data-*`
+ * attributes (e.g. `data-maxlength="abc"`) are not considered numbers
+ *
+ * @internal
+ * @param {SchemaType} type - Schema property type
+ * @param {unknown} value - Config value
+ * @returns {boolean} Whether the value is the given type
+ */
+function isType(type, value) {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && isFinite(value)
+
+    case 'object':
+      return isObject(value)
+
+    case 'boolean':
+      return typeof value === 'boolean'
+
+    case 'function':
+      return typeof value === 'function'
+
+    default:
+      return typeof value === 'string'
+  }
+}
+
 /**
  * Check for an array
  *
@@ -304,7 +434,21 @@ export function formatErrorMessage(Component, message) {
  * Schema property for component config
  *
  * @typedef {object} SchemaProperty
- * @property {'string' | 'boolean' | 'number' | 'object'} type - Property type
+ * @property {SchemaType | SchemaType[]} type - Property type, or list of
+ *   allowed types
+ * @property {SchemaValue[]} [enum] - List of allowed values, not checked for
+ *   object values
+ * @property {number} [minimum] - Minimum value for number types
+ * @property {number} [maximum] - Maximum value for number types
+ * @property {{ [field: string]: SchemaProperty | undefined }} [properties] - Nested
+ *   schema properties for object types
+ * @property {boolean} [additionalProperties=true] - Whether nested config keys
+ *   not listed in `properties` are allowed for object types
+ */
+
+/**
+ * @typedef {'string' | 'boolean' | 'number' | 'object' | 'function'} SchemaType
+ * @typedef {string | boolean | number} SchemaValue
  */
 
 /**
@@ -20,6 +20,12 @@ export function normaliseString(value, property) {
   let output
   let outputType = property?.type
 
+  // Keep strings for properties allowing multiple types, otherwise
+  // determine automatically
+  if (Array.isArray(outputType)) {
+    outputType = outputType.includes('string') ? 'string' : undefined
+  }
+
   // No schema type set? Determine automatically
   if (!outputType) {
     if (['true', 'false'].includes(trimmedValue)) {
@@ -80,4 +80,14 @@ describe('normaliseString', () => {
   it('does not normalise whitespace only strings', () => {
     expect(normaliseString('   ')).toBe('   ')
   })
+
+  it('does not normalise strings for properties allowing multiple types including string', () => {
+    expect(normaliseString('100', { type: ['string', 'object'] })).toBe('100')
+    expect(normaliseString('true', { type: ['string', 'object'] })).toBe('true')
+  })
+
+  it('normalises strings for properties allowing multiple types without string', () => {
+    expect(normaliseString('100', { type: ['boolean', 'number'] })).toBe(100)
+    expect(normaliseString('true', { type: ['boolean', 'number'] })).toBe(true)
+  })
 })
@@ -0,0 +1,208 @@
+import { createResponsiveMenu } from './responsive-menu.mjs'
+
+describe('createResponsiveMenu', () => {
+  let mql
+  let $root
+  let $menu
+  let $menuButton
+  let onToggle
+  let $outside
+
+  beforeEach(() => {
+    document.documentElement.style.setProperty(
+      '--govuk-frontend-breakpoint-tablet',
+      '40.0625em'
+    )
+
+    mql = {
+      matches: false,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    }
+
+    window.matchMedia = jest.fn().mockReturnValue(mql)
+
+    document.body.innerHTML = `
+      <div class="app-root">
+        <button type="button" aria-controls="menu" hidden>Menu</button>
+        <ul id="menu"><li><a href="#">Link</a></li></ul>
+      </div>
+      <a href="#" class="app-outside">Outside</a>
+    `
+
+    $outside = document.querySelector('.app-outside')
+
+    $root = document.querySelector('.app-root')
+    $menu = document.getElementById('menu')
+    $menuButton = document.querySelector('button')
+    onToggle = jest.fn()
+  })
+
+  afterEach(() => {
+    document.documentElement.style.removeProperty(
+      '--govuk-frontend-breakpoint-tablet'
+    )
+  })
+
+  function createMenu() {
+    return createResponsiveMenu({
+      $root,
+      $menu,
+      $menuButton,
+      breakpoint: 'tablet',
+      onToggle
+    })
+  }
+
+  // Trigger the change listener added to the media query list
+  function changeBreakpoint(matches) {
+    mql.matches = matches
+    mql.addEventListener.mock.calls[0][1]()
+  }
+
+  it('returns undefined if the breakpoint CSS custom property is not set', () => {
+    document.documentElement.style.removeProperty(
+      '--govuk-frontend-breakpoint-tablet'
+    )
+
+    expect(createMenu()).toBeUndefined()
+  })
+
+  it('shows the menu button and hides the menu below the breakpoint', () => {
+    const menu = createMenu()
+
+    expect($menuButton).not.toHaveAttribute('hidden')
+    expect($menuButton).toHaveAttribute('aria-expanded', 'false')
+    expect($menu).toHaveAttribute('hidden')
+
+    menu.destroy()
+  })
+
+  it('shows the menu and hides the menu button at the breakpoint', () => {
+    const menu = createMenu()
+
+    changeBreakpoint(true)
+
+    expect($menuButton).toHaveAttribute('hidden')
+    expect($menu).not.toHaveAttribute('hidden')
+
+    menu.destroy()
+  })
+
+  it('opens and closes the menu when the menu button is clicked', () => {
+    const menu = createMenu()
+
+    $menuButton.click()
+
+    expect($menuButton).toHaveAttribute('aria-expanded', 'true')
+    expect($menu).not.toHaveAttribute('hidden')
+    expect(onToggle).toHaveBeenLastCalledWith(true)
+
+    $menuButton.click()
+
+    expect($menuButton).toHaveAttribute('aria-expanded', 'false')
+    expect($menu).toHaveAttribute('hidden')
+    expect(onToggle).toHaveBeenLastCalledWith(false)
+
+    menu.destroy()
+  })
+
+  it('only calls onToggle when the menu state changes', () => {
+    const menu = createMenu()
+
+    menu.open()
+    menu.open()
+    menu.close()
+    menu.close()
+
+    expect(onToggle).toHaveBeenCalledTimes(2)
+
+    menu.destroy()
+  })
+
+  it('closes the open menu when the Escape key is pressed', () => {
+    const menu = createMenu()
+
+    menu.open()
+    $menu
+      .querySelector('a')
+      .dispatchEvent(
+        new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+      )
+
+    expect($menu).toHaveAttribute('hidden')
+    expect($menuButton).toHaveFocus()
+
+    menu.destroy()
+  })
+
+  it('closes the open menu when the user clicks outside it', () => {
+    const menu = createMenu()
+
+    menu.open()
+    $menu.querySelector('a').click()
+
+    expect($menu).not.toHaveAttribute('hidden')
+
+    $outside.click()
+
+    expect($menu).toHaveAttribute('hidden')
+
+    menu.destroy()
+  })
+
+  it('closes the open menu when focus moves outside it', () => {
+    const menu = createMenu()
+
+    menu.open()
+    $menu.dispatchEvent(
+      new window.FocusEvent('focusout', {
+        relatedTarget: $outside
+      })
+    )
+
+    expect($menu).toHaveAttribute('hidden')
+
+    menu.destroy()
+  })
+
+  it('does not close the menu at the breakpoint', () => {
+    const menu = createMenu()
+
+    menu.open()
+    changeBreakpoint(true)
+    $outside.click()
+
+    changeBreakpoint(false)
+
+    expect($menu).not.toHaveAttribute('hidden')
+    expect(onToggle).toHaveBeenCalledTimes(1)
+
+    menu.destroy()
+  })
+
+  describe('destroy', () => {
+    it('shows the menu and hides the menu button', () => {
+      const menu = createMenu()
+
+      menu.destroy()
+
+      expect($menuButton).toHaveAttribute('hidden')
+      expect($menuButton).not.toHaveAttribute('aria-expanded')
+      expect($menu).not.toHaveAttribute('hidden')
+    })
+
+    it('stops listening for events and breakpoint changes', () => {
+      const menu = createMenu()
+
+      menu.destroy()
+      $menuButton.click()
+
+      expect(onToggle).not.toHaveBeenCalled()
+      expect(mql.removeEventListener).toHaveBeenCalledWith(
+        'change',
+        expect.any(Function)
+      )
+    })
+  })
+})
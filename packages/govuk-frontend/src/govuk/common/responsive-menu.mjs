@@ -0,0 +1,202 @@
+import { subscribeToBreakpoint } from './breakpoint-observer.mjs'
+
+/**
+ * Create a menu shown by a menu button below a GOV.UK Frontend breakpoint
+ *
+ * Below the breakpoint, the menu button is shown and opens or closes the menu.
+ * While the menu is open, pressing the Escape key, clicking outside the menu
+ * or moving focus outside the menu closes it again. At least as wide as the
+ * breakpoint, the menu is always shown and the menu button is hidden.
+ *
+ * Used by the Header and Service navigation components.
+ *
+ * @internal
+ * @param {ResponsiveMenuOptions} options - Menu options
+ * @returns {ResponsiveMenu | undefined} Responsive menu, or undefined if the
+ *   breakpoint CSS custom property is not set
+ */
+export function createResponsiveMenu(options) {
+  const { $root, $menu, $menuButton, onToggle } = options
+
+  let isOpen = false
+
+  const breakpoint = subscribeToBreakpoint(options.breakpoint, checkMode)
+
+  if (!breakpoint) {
+    return
+  }
+
+  /**
+   * Sync the visibility of the menu and the menu button with the menu state
+   * and the breakpoint
+   */
+  function checkMode() {
+    if (breakpoint?.matches) {
+      $menu.removeAttribute('hidden')
+      $menuButton.setAttribute('hidden', '')
+      return
+    }
+
+    $menuButton.removeAttribute('hidden')
+    $menuButton.setAttribute('aria-expanded', isOpen.toString())
+
+    if (isOpen) {
+      $menu.removeAttribute('hidden')
+    } else {
+      $menu.setAttribute('hidden', '')
+    }
+  }
+
+  /**
+   * Set the menu state, calling `onToggle` if the state has changed
+   *
+   * @param {boolean} open - Whether the menu is open
+   */
+  function setOpen(open) {
+    if (open === isOpen) {
+      return
+    }
+
+    isOpen = open
+    checkMode()
+
+    onToggle(open)
+  }
+
+  /**
+   * Check if the menu is open and shown with the menu button
+   *
+   * @returns {boolean} Returns true if the menu can be closed by the user
+   */
+  function isShownOpen() {
+    return isOpen && !breakpoint?.matches
+  }
+
+  /**
+   * Check if a node is inside the menu or the menu button
+   *
+   * @param {Node} $node - Node to check
+   * @returns {boolean} Returns true if the node is part of the menu
+   */
+  function isMenuElement($node) {
+    return $menu.contains($node) || $menuButton.contains($node)
+  }
+
+  const handleMenuButtonClick = () => setOpen(!isOpen)
+
+  /**
+   * Close the open menu when the Escape key is pressed, returning focus to
+   * the menu button
+   *
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  const handleKeyDown = (event) => {
+    if (
+      !($menuButton instanceof HTMLElement) ||
+      !isShownOpen() ||
+      (event.key !== 'Escape' && event.key !== 'Esc')
+    ) {
+      return
+    }
+
+    setOpen(false)
+    $menuButton.focus()
+  }
+
+  /**
+   * Close the open menu when the user clicks outside the menu and the menu
+   * button
+   *
+   * @param {MouseEvent} event - Click event
+   */
+  const handleDocumentClick = (event) => {
+    if (
+      isShownOpen() &&
+      event.target instanceof Node &&
+      !isMenuElement(event.target)
+    ) {
+      setOpen(false)
+    }
+  }
+
+  /**
+   * Close the open menu when focus moves outside the menu and the menu button,
+   * for example when the user tabs past the last link
+   *
+   * @param {FocusEvent} event - Focusout event
+   */
+  const handleMenuFocusOut = (event) => {
+    if (
+      isShownOpen() &&
+      event.relatedTarget instanceof Node &&
+      !isMenuElement(event.relatedTarget)
+    ) {
+      setOpen(false)
+    }
+  }
+
+  checkMode()
+
+  $menuButton.addEventListener('click', handleMenuButtonClick)
+  $root.addEventListener('keydown', handleKeyDown)
+  $menu.addEventListener('focusout', handleMenuFocusOut)
+  document.addEventListener('click', handleDocumentClick)
+
+  return {
+    open() {
+      setOpen(true)
+    },
+
+    close() {
+      setOpen(false)
+    },
+
+    toggle() {
+      setOpen(!isOpen)
+    },
+
+    destroy() {
+      breakpoint.unsubscribe()
+
+      $menuButton.removeEventListener('click', handleMenuButtonClick)
+      $root.removeEventListener('keydown', handleKeyDown)
+      $menu.removeEventListener('focusout', handleMenuFocusOut)
+      document.removeEventListener('click', handleDocumentClick)
+
+      // Restore the menu and menu button to their original state
+      $menuButton.setAttribute('hidden', '')
+      $menuButton.removeAttribute('aria-expanded')
+      $menu.removeAttribute('hidden')
+
+      isOpen = false
+    }
+  }
+}
+
+/**
+ * Responsive menu options
+ *
+ * @internal
+ * @typedef {object} ResponsiveMenuOptions
+ * @property {HTMLElement} $root - Component root element, which listens for the
+ *   Escape key
+ * @property {HTMLElement} $menu - Menu element
+ * @property {Element} $menuButton - Button that opens and closes the menu
+ * @property {string} breakpoint - Name of the breakpoint the menu is always
+ *   shown at, for example `tablet` or `desktop`
+ * @property {(open: boolean) => void} onToggle - Function called when the menu
+ *   is opened or closed
+ */
+
+/**
+ * Responsive menu
+ *
+ * @internal
+ * @typedef {object} ResponsiveMenu
+ * @property {() => void} open - Open the menu
+ * @property {() => void} close - Close the menu
+ * @property {() => void} toggle - Open the menu if it's closed, or close it
+ *   if it's open
+ * @property {() => void} destroy - Remove event listeners and show the menu,
+ *   hiding the menu button
+ */
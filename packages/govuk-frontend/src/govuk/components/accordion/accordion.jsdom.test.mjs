@@ -0,0 +1,471 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+
+import { Accordion } from './accordion.mjs'
+
+/**
+ * Normalise HTML whitespace between elements
+ *
+ * @param {string} html - HTML string
+ * @returns {string} HTML string without whitespace between tags
+ */
+function normaliseHTML(html) {
+  return html.replace(/>\s+</g, '><').trim()
+}
+
+/**
+ * Get whether each accordion section is expanded
+ *
+ * @param {Element} $root - Accordion root element
+ * @returns {boolean[]} Whether each section is expanded
+ */
+function getExpanded($root) {
+  return Array.from(
+    $root.querySelectorAll('.govuk-accordion__section'),
+    ($section) =>
+      $section.classList.contains('govuk-accordion__section--expanded')
+  )
+}
+
+describe('Accordion', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('accordion')
+  })
+
+  describe('events', () => {
+    let $root
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('accordion', examples.default)}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    })
+
+    afterEach(() => {
+      window.sessionStorage.clear()
+    })
+
+    it('dispatches section-toggled when a section is toggled', () => {
+      const listener = jest.fn()
+
+      new Accordion($root)
+      $root.addEventListener('govuk-accordion:section-toggled', listener)
+
+      const $section = $root.querySelector('.govuk-accordion__section')
+      $section.querySelector('.govuk-accordion__section-header').click()
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail).toEqual({
+        section: $section,
+        expanded: true
+      })
+
+      $section.querySelector('.govuk-accordion__section-header').click()
+
+      expect(listener).toHaveBeenCalledTimes(2)
+      expect(listener.mock.calls[1][0].detail).toEqual({
+        section: $section,
+        expanded: false
+      })
+    })
+
+    it('dispatches section-toggled for each section changed by show all', () => {
+      const listener = jest.fn()
+
+      new Accordion($root)
+      $root.addEventListener('govuk-accordion:section-toggled', listener)
+      $root.querySelector('.govuk-accordion__show-all').click()
+
+      expect(listener).toHaveBeenCalledTimes(
+        $root.querySelectorAll('.govuk-accordion__section').length
+      )
+    })
+  })
+
+  describe('destroy', () => {
+    let $root
+    let html
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('accordion', examples['with additional descriptions'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      html = normaliseHTML($root.innerHTML)
+    })
+
+    afterEach(() => {
+      window.sessionStorage.clear()
+    })
+
+    it('restores the original markup', () => {
+      const component = new Accordion($root)
+
+      expect(normaliseHTML($root.innerHTML)).not.toEqual(html)
+
+      component.destroy()
+
+      expect(normaliseHTML($root.innerHTML)).toEqual(html)
+      expect($root).not.toHaveAttribute('data-govuk-accordion-init')
+    })
+
+    it('stops toggling sections on click', () => {
+      const component = new Accordion($root)
+      const $header = $root.querySelector('.govuk-accordion__section-header')
+
+      component.destroy()
+      $header.click()
+
+      expect(
+        $root.querySelector('.govuk-accordion__section--expanded')
+      ).toBeNull()
+    })
+
+    it('allows the component to be initialised again', () => {
+      new Accordion($root).destroy()
+
+      expect(() => new Accordion($root)).not.toThrow()
+      expect($root.querySelectorAll('.govuk-accordion__controls')).toHaveLength(
+        1
+      )
+    })
+  })
+  describe('storage', () => {
+    let $root
+
+    function renderExample(name) {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('accordion', examples[name])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    }
+
+    function toggleSection(index) {
+      $root.querySelectorAll('.govuk-accordion__section-button')[index].click()
+    }
+
+    beforeEach(() => {
+      renderExample('default')
+    })
+
+    afterEach(() => {
+      window.sessionStorage.clear()
+      window.localStorage.clear()
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('remembers expanded sections in sessionStorage by default', () => {
+      new Accordion($root)
+      toggleSection(0)
+
+      expect(window.sessionStorage.getItem('default-example-content-1')).toBe(
+        'true'
+      )
+
+      renderExample('default')
+      new Accordion($root)
+
+      expect(getExpanded($root)).toEqual([true, false])
+    })
+
+    it('remembers expanded sections in localStorage', () => {
+      new Accordion($root, { storage: 'local' })
+      toggleSection(1)
+
+      expect(window.localStorage.getItem('default-example-content-2')).toBe(
+        'true'
+      )
+      expect(window.sessionStorage).toHaveLength(0)
+    })
+
+    it('remembers expanded sections in the URL query string', () => {
+      window.history.replaceState(null, '', '/?page=2')
+      const historyLength = window.history.length
+
+      new Accordion($root, { storage: 'query' })
+      toggleSection(1)
+
+      expect(window.location.search).toBe(
+        '?page=2&default-example-content-2=true'
+      )
+      expect(window.history).toHaveLength(historyLength)
+
+      renderExample('default')
+      new Accordion($root, { storage: 'query' })
+
+      expect(getExpanded($root)).toEqual([false, true])
+    })
+
+    it('remembers expanded sections using custom storage', () => {
+      const storage = {
+        get: jest.fn().mockReturnValue(true),
+        set: jest.fn()
+      }
+
+      new Accordion($root, { storage })
+
+      expect(storage.get).toHaveBeenCalledWith('default-example-content-1')
+      expect(getExpanded($root)).toEqual([true, true])
+
+      toggleSection(0)
+
+      expect(storage.set).toHaveBeenCalledWith(
+        'default-example-content-1',
+        false
+      )
+    })
+
+    it('ignores errors from custom storage', () => {
+      const storage = {
+        get: () => {
+          throw new Error('Storage unavailable')
+        },
+        set: () => {
+          throw new Error('Storage unavailable')
+        }
+      }
+
+      new Accordion($root, { storage })
+
+      expect(() => toggleSection(0)).not.toThrow()
+      expect(getExpanded($root)).toEqual([true, false])
+    })
+
+    it('prefixes storage keys with the storage namespace', () => {
+      renderExample('with storage options')
+
+      new Accordion($root)
+      toggleSection(0)
+
+      expect(
+        window.localStorage.getItem('guidance:accordion-storage-content-1')
+      ).toBe('true')
+    })
+
+    it('uses section ids as storage keys', () => {
+      renderExample('with section ids')
+
+      new Accordion($root)
+      toggleSection(1)
+
+      expect(window.sessionStorage.getItem('how-to-apply')).toBe('true')
+    })
+
+    it('does not remember expanded sections when rememberExpanded is false', () => {
+      const storage = { get: jest.fn(), set: jest.fn() }
+
+      new Accordion($root, { rememberExpanded: false, storage })
+      toggleSection(0)
+
+      expect(storage.get).not.toHaveBeenCalled()
+      expect(storage.set).not.toHaveBeenCalled()
+    })
+
+    it('throws when the storage type is not supported', () => {
+      $root.setAttribute('data-storage', 'cookie')
+
+      expect(() => new Accordion($root)).toThrow(
+        new ConfigError(
+          'govuk-accordion: "storage" must be one of "session", "local", "query"'
+        )
+      )
+    })
+  })
+
+  describe('deep links', () => {
+    let $root
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('accordion', examples['with section ids'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    })
+
+    afterEach(() => {
+      window.sessionStorage.clear()
+      window.history.replaceState(null, '', '/')
+    })
+
+    it.each(['#how-to-apply', '#how-to-apply-documents'])(
+      'opens the section linked to by %s',
+      (hash) => {
+        window.history.replaceState(null, '', hash)
+
+        new Accordion($root)
+
+        expect(document.getElementById('how-to-apply')).toHaveClass(
+          'govuk-accordion__section--expanded'
+        )
+        expect(document.getElementById('eligibility')).not.toHaveClass(
+          'govuk-accordion__section--expanded'
+        )
+      }
+    )
+
+    it('opens the section linked to when the hash changes', () => {
+      new Accordion($root)
+
+      window.history.replaceState(null, '', '#eligibility')
+      window.dispatchEvent(new window.HashChangeEvent('hashchange'))
+
+      expect(document.getElementById('eligibility')).toHaveClass(
+        'govuk-accordion__section--expanded'
+      )
+    })
+
+    it('does not open sections when the hash links elsewhere', () => {
+      window.history.replaceState(null, '', '#main-content')
+
+      new Accordion($root)
+
+      expect(
+        $root.querySelector('.govuk-accordion__section--expanded')
+      ).toBeNull()
+    })
+  })
+
+  describe('exclusive mode', () => {
+    let $root
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('accordion', examples.exclusive)}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    })
+
+    afterEach(() => {
+      window.sessionStorage.clear()
+    })
+
+    it('does not add the show all sections button', () => {
+      new Accordion($root)
+
+      expect($root.querySelector('.govuk-accordion__controls')).toBeNull()
+    })
+
+    it('closes other sections when a section is opened', () => {
+      new Accordion($root)
+      const $buttons = $root.querySelectorAll(
+        '.govuk-accordion__section-button'
+      )
+
+      $buttons[0].click()
+      expect(getExpanded($root)).toEqual([true, false, false])
+
+      $buttons[2].click()
+      expect(getExpanded($root)).toEqual([false, false, true])
+
+      expect(
+        window.sessionStorage.getItem('accordion-exclusive-content-1')
+      ).toBe('false')
+    })
+
+    it('only keeps the first expanded section open', () => {
+      $root
+        .querySelectorAll('.govuk-accordion__section')
+        .forEach(($section) =>
+          $section.classList.add('govuk-accordion__section--expanded')
+        )
+
+      new Accordion($root)
+
+      expect(getExpanded($root)).toEqual([true, false, false])
+    })
+
+    it('does not open all sections', () => {
+      const accordion = new Accordion($root)
+
+      accordion.openAll()
+
+      expect(getExpanded($root)).toEqual([false, false, false])
+    })
+  })
+
+  describe('JavaScript API', () => {
+    let $root
+    let accordion
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('accordion', examples['with section ids'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      accordion = new Accordion($root)
+    })
+
+    afterEach(() => {
+      window.sessionStorage.clear()
+    })
+
+    it('opens and closes sections by index', () => {
+      accordion.open(1)
+      expect(getExpanded($root)).toEqual([false, true])
+
+      accordion.close(1)
+      expect(getExpanded($root)).toEqual([false, false])
+    })
+
+    it('opens and closes sections by id', () => {
+      accordion.open('eligibility')
+      expect(getExpanded($root)).toEqual([true, false])
+
+      accordion.close('eligibility')
+      expect(getExpanded($root)).toEqual([false, false])
+    })
+
+    it('opens sections by content id', () => {
+      accordion.open('accordion-section-ids-content-2')
+      expect(getExpanded($root)).toEqual([false, true])
+    })
+
+    it('opens and closes all sections', () => {
+      accordion.openAll()
+      expect(getExpanded($root)).toEqual([true, true])
+      expect(
+        $root.querySelector('.govuk-accordion__show-all')
+      ).toHaveTextContent('Hide all sections')
+
+      accordion.closeAll()
+      expect(getExpanded($root)).toEqual([false, false])
+    })
+
+    it('stores the state of sections', () => {
+      accordion.open('how-to-apply')
+
+      expect(window.sessionStorage.getItem('how-to-apply')).toBe('true')
+    })
+
+    it('throws when the section does not exist', () => {
+      expect(() => accordion.open('unknown')).toThrow(
+        new ElementError('govuk-accordion: Section (`unknown`) not found')
+      )
+    })
+  })
+})
@@ -1,6 +1,11 @@
-import { mergeConfigs } from '../../common/index.mjs'
+import {
+  formatErrorMessage,
+  getFragmentFromUrl,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
 import { normaliseDataset } from '../../common/normalise-dataset.mjs'
-import { ElementError } from '../../errors/index.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
 import { I18n } from '../../i18n.mjs'
 
@@ -13,6 +18,9 @@ import { I18n } from '../../i18n.mjs'
  * accordion, which switches to "Hide all sections" when all the sections are
  * expanded.
  *
+ * In exclusive mode only one section can be expanded at a time, and the
+ * "Show all sections" button is not added.
+ *
  * The state of each section is saved to the DOM via the `aria-expanded`
  * attribute, which also provides accessibility.
  *
@@ -106,6 +114,37 @@ export class Accordion extends GOVUKFrontendComponent {
    */
   $showAllText = null
 
+  /**
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $controls = null
+
+  /**
+   * Original section markup, saved so it can be restored on destroy
+   *
+   * @private
+   * @type {AccordionSectionMarkup[]}
+   */
+  sectionMarkup = []
+
+  /**
+   * Storage for the expanded state of each section, if remembered
+   *
+   * @private
+   * @type {AccordionStorage | null}
+   */
+  storage = null
+
+  /** @private */
+  boundOnBeforeMatch
+
+  /** @private */
+  boundOnHashChange
+
+  /** @private */
+  boundOnShowOrHideAllToggle
+
   /**
    * @param {Element | null} $root - HTML element to use for accordion
    * @param {AccordionConfig} [config] - Accordion config
@@ -119,6 +158,12 @@ export class Accordion extends GOVUKFrontendComponent {
       normaliseDataset(Accordion, this.$root.dataset)
     )
 
+    // Check for valid config
+    const errors = validateConfig(Accordion.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(Accordion, errors[0]))
+    }
+
     this.i18n = new I18n(this.config.i18n)
 
     const $sections = this.$root.querySelectorAll(`.${this.sectionClass}`)
@@ -131,9 +176,36 @@ export class Accordion extends GOVUKFrontendComponent {
 
     this.$sections = $sections
 
-    this.initControls()
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundOnBeforeMatch = this.onBeforeMatch.bind(this)
+    this.boundOnHashChange = this.onHashChange.bind(this)
+    this.boundOnShowOrHideAllToggle = this.onShowOrHideAllToggle.bind(this)
+
+    if (this.config.rememberExpanded) {
+      this.storage = getStorage(this.config.storage)
+    }
+
+    if (!this.config.exclusive) {
+      this.initControls()
+    }
+
     this.initSectionHeaders()
 
+    // Only keep the first expanded section open in exclusive mode
+    if (this.config.exclusive) {
+      const $expandedSection = Array.from(this.$sections).find(($section) =>
+        this.isExpanded($section)
+      )
+
+      if ($expandedSection) {
+        this.updateSection($expandedSection, true, false)
+      }
+    }
+
+    // Open the section linked to by the URL hash fragment, if any
+    this.onHashChange()
+    window.addEventListener('hashchange', this.boundOnHashChange)
+
     this.updateShowAllButton(this.areAllSectionsOpen())
   }
 
@@ -155,10 +227,10 @@ export class Accordion extends GOVUKFrontendComponent {
     this.$showAllButton.appendChild(this.$showAllIcon)
 
     // Create control wrapper and add controls to it
-    const $accordionControls = document.createElement('div')
-    $accordionControls.setAttribute('class', this.controlsClass)
-    $accordionControls.appendChild(this.$showAllButton)
-    this.$root.insertBefore($accordionControls, this.$root.firstChild)
+    this.$controls = document.createElement('div')
+    this.$controls.setAttribute('class', this.controlsClass)
+    this.$controls.appendChild(this.$showAllButton)
+    this.$root.insertBefore(this.$controls, this.$root.firstChild)
 
     // Build additional wrapper for Show all toggle text and place after icon
     this.$showAllText = document.createElement('span')
@@ -166,16 +238,10 @@ export class Accordion extends GOVUKFrontendComponent {
     this.$showAllButton.appendChild(this.$showAllText)
 
     // Handle click events on the show/hide all button
-    this.$showAllButton.addEventListener('click', () =>
-      this.onShowOrHideAllToggle()
+    this.$showAllButton.addEventListener(
+      'click',
+      this.boundOnShowOrHideAllToggle
     )
-
-    // Handle 'beforematch' events, if the user agent supports them
-    if ('onbeforematch' in document) {
-      document.addEventListener('beforematch', (event) =>
-        this.onBeforeMatch(event)
-      )
-    }
   }
 
   /**
@@ -184,6 +250,11 @@ export class Accordion extends GOVUKFrontendComponent {
    * @private
    */
   initSectionHeaders() {
+    // Handle 'beforematch' events, if the user agent supports them
+    if ('onbeforematch' in document) {
+      document.addEventListener('beforematch', this.boundOnBeforeMatch)
+    }
+
     this.$sections.forEach(($section, i) => {
       const $header = $section.querySelector(`.${this.sectionHeaderClass}`)
       if (!$header) {
@@ -193,15 +264,24 @@ export class Accordion extends GOVUKFrontendComponent {
         })
       }
 
+      /** @type {AccordionSectionMarkup} */
+      const markup = Object.assign(this.constructHeaderMarkup($header, i), {
+        $section,
+        expanded: this.isExpanded($section),
+        onClick: () => this.onSectionToggle($section)
+      })
+
+      // Save original markup to restore on destroy
+      this.sectionMarkup.push(markup)
+
       // Set header attributes
-      this.constructHeaderMarkup($header, i)
-      this.setExpanded(this.isExpanded($section), $section)
+      this.setExpanded(markup.expanded, $section)
 
       // Handle events
-      $header.addEventListener('click', () => this.onSectionToggle($section))
+      $header.addEventListener('click', markup.onClick)
 
-      // See if there is any state stored in sessionStorage and set the sections
-      // to open or closed.
+      // See if there is any state stored and set the sections to open or
+      // closed.
       this.setInitialState($section)
     })
   }
@@ -212,6 +292,7 @@ export class Accordion extends GOVUKFrontendComponent {
    * @private
    * @param {Element} $header - Section header
    * @param {number} index - Section index
+   * @returns {AccordionHeaderMarkup} Original section header markup
    */
   constructHeaderMarkup($header, index) {
     const $span = $header.querySelector(`.${this.sectionButtonClass}`)
@@ -294,6 +375,9 @@ export class Accordion extends GOVUKFrontendComponent {
     $button.appendChild($headingText)
     $button.appendChild(this.getButtonPunctuationEl())
 
+    /** @type {AccordionHeaderMarkup} */
+    const markup = { $header, $heading, $span, $button, $headingTextFocus }
+
     // If summary content exists add to DOM in correct order
     if ($summary) {
       // Create a new `span` element and copy the summary line content from the
@@ -322,12 +406,17 @@ export class Accordion extends GOVUKFrontendComponent {
 
       $button.appendChild($summarySpan)
       $button.appendChild(this.getButtonPunctuationEl())
+
+      markup.$summary = $summary
+      markup.$summarySpanFocus = $summarySpanFocus
     }
 
     $button.appendChild($showHideToggle)
 
     $heading.removeChild($span)
     $heading.appendChild($button)
+
+    return markup
   }
 
   /**
@@ -347,7 +436,32 @@ export class Accordion extends GOVUKFrontendComponent {
     // Handle when fragment is inside section
     const $section = $fragment.closest(`.${this.sectionClass}`)
     if ($section) {
-      this.setExpanded(true, $section)
+      this.updateSection($section, true, false)
+    }
+  }
+
+  /**
+   * When the URL hash fragment links to a section, or an element inside it,
+   * open the section
+   *
+   * @private
+   */
+  onHashChange() {
+    const id = getFragmentFromUrl(window.location.href)
+    if (!id) {
+      return
+    }
+
+    let $target = null
+
+    try {
+      $target = document.getElementById(decodeURIComponent(id))
+    } catch (exception) {}
+
+    // Only open sections in this accordion, not nested accordions
+    const $section = $target?.closest(`.${this.sectionClass}`)
+    if ($section && Array.from(this.$sections).includes($section)) {
+      this.updateSection($section, true, false)
     }
   }
 
@@ -358,11 +472,107 @@ export class Accordion extends GOVUKFrontendComponent {
    * @param {Element} $section - Section element
    */
   onSectionToggle($section) {
-    const nowExpanded = !this.isExpanded($section)
-    this.setExpanded(nowExpanded, $section)
+    this.updateSection($section, !this.isExpanded($section))
+  }
+
+  /**
+   * Open a section
+   *
+   * In exclusive mode, other sections are closed.
+   *
+   * @param {number | string} section - Index of the section, starting from 0,
+   *   or its ID
+   */
+  open(section) {
+    this.updateSection(this.getSection(section), true)
+  }
+
+  /**
+   * Close a section
+   *
+   * @param {number | string} section - Index of the section, starting from 0,
+   *   or its ID
+   */
+  close(section) {
+    this.updateSection(this.getSection(section), false)
+  }
+
+  /**
+   * Open all sections
+   *
+   * Does nothing in exclusive mode, where only one section can be open.
+   */
+  openAll() {
+    if (this.config.exclusive) {
+      return
+    }
 
-    // Store the state in sessionStorage when a change is triggered
-    this.storeState($section, nowExpanded)
+    this.$sections.forEach(($section) => this.updateSection($section, true))
+  }
+
+  /**
+   * Close all sections
+   */
+  closeAll() {
+    this.$sections.forEach(($section) => this.updateSection($section, false))
+  }
+
+  /**
+   * Get a section by index or ID
+   *
+   * IDs can be the section `id`, or the ID of the section content
+   *
+   * @private
+   * @param {number | string} section - Index of the section, starting from 0,
+   *   or its ID
+   * @returns {Element} Section element
+   */
+  getSection(section) {
+    const $section =
+      typeof section === 'number'
+        ? this.$sections[section]
+        : Array.from(this.$sections).find(
+            ($item) =>
+              $item.id === section ||
+              $item.querySelector(`.${this.sectionContentClass}`)?.id ===
+                section
+          )
+
+    if (!$section) {
+      throw new ElementError({
+        component: Accordion,
+        identifier: `Section (\`${section}\`)`
+      })
+    }
+
+    return $section
+  }
+
+  /**
+   * Set and store section state
+   *
+   * In exclusive mode, opening a section closes the other sections.
+   *
+   * @private
+   * @param {Element} $section - Section element
+   * @param {boolean} expanded - Whether to expand the section
+   * @param {boolean} [store] - Whether to store the state
+   */
+  updateSection($section, expanded, store = true) {
+    if (expanded && this.config.exclusive) {
+      this.$sections.forEach(($otherSection) => {
+        if ($otherSection !== $section && this.isExpanded($otherSection)) {
+          this.updateSection($otherSection, false, store)
+        }
+      })
+    }
+
+    this.setExpanded(expanded, $section)
+
+    // Store the state when a change is triggered
+    if (store) {
+      this.storeState($section, expanded)
+    }
   }
 
   /**
@@ -408,6 +618,8 @@ export class Accordion extends GOVUKFrontendComponent {
       return
     }
 
+    const wasExpanded = this.isExpanded($section)
+
     const newButtonText = expanded
       ? this.i18n.t('hideSection')
       : this.i18n.t('showSection')
@@ -455,6 +667,10 @@ export class Accordion extends GOVUKFrontendComponent {
 
     // See if "Show all sections" button text should be updated
     this.updateShowAllButton(this.areAllSectionsOpen())
+
+    if (expanded !== wasExpanded) {
+      this.dispatch('section-toggled', { section: $section, expanded })
+    }
   }
 
   /**
@@ -505,60 +721,128 @@ export class Accordion extends GOVUKFrontendComponent {
    * Since an `#id` should be unique and an `id` is required for `aria-`
    * attributes `id` can be safely used.
    *
+   * Uses the section `id` if set, which stays the same when sections are
+   * added or removed, otherwise the ID of the section content.
+   *
    * @param {Element} $section - Section element
    * @returns {string | undefined | null} Identifier for section
    */
   getIdentifier($section) {
+    if ($section.id) {
+      return $section.id
+    }
+
     const $button = $section.querySelector(`.${this.sectionButtonClass}`)
 
     return $button?.getAttribute('aria-controls')
   }
 
   /**
-   * Set the state of the accordions in sessionStorage
+   * Get the storage key for a section
+   *
+   * Prefixed by the `storageNamespace`, if set, to avoid sharing state with
+   * other accordions or pages using the same IDs
    *
    * @private
    * @param {Element} $section - Section element
-   * @param {boolean} isExpanded - Whether the section is expanded
+   * @returns {string | undefined} Storage key for section
    */
-  storeState($section, isExpanded) {
-    if (!this.config.rememberExpanded) {
-      return
-    }
-
+  getStorageKey($section) {
     const id = this.getIdentifier($section)
 
     if (id) {
+      return this.config.storageNamespace
+        ? `${this.config.storageNamespace}:${id}`
+        : id
+    }
+  }
+
+  /**
+   * Set the state of the accordions in storage
+   *
+   * @private
+   * @param {Element} $section - Section element
+   * @param {boolean} isExpanded - Whether the section is expanded
+   */
+  storeState($section, isExpanded) {
+    const key = this.getStorageKey($section)
+
+    if (this.storage && key) {
       try {
-        window.sessionStorage.setItem(id, isExpanded.toString())
+        this.storage.set(key, isExpanded)
       } catch (exception) {}
     }
   }
 
   /**
-   * Read the state of the accordions from sessionStorage
+   * Read the state of the accordions from storage
    *
    * @private
    * @param {Element} $section - Section element
    */
   setInitialState($section) {
-    if (!this.config.rememberExpanded) {
-      return
-    }
-
-    const id = this.getIdentifier($section)
+    const key = this.getStorageKey($section)
 
-    if (id) {
+    if (this.storage && key) {
       try {
-        const state = window.sessionStorage.getItem(id)
+        const state = this.storage.get(key)
 
-        if (state !== null) {
-          this.setExpanded(state === 'true', $section)
+        if (typeof state === 'boolean') {
+          this.setExpanded(state, $section)
         }
       } catch (exception) {}
     }
   }
 
+  /**
+   * Destroy accordion
+   *
+   * Removes event listeners, the "Show all sections" controls and restores
+   * each section's original heading, summary and expanded state
+   */
+  destroy() {
+    document.removeEventListener('beforematch', this.boundOnBeforeMatch)
+    window.removeEventListener('hashchange', this.boundOnHashChange)
+
+    this.$controls?.remove()
+    this.$controls = null
+    this.$showAllButton = null
+    this.$showAllIcon = null
+    this.$showAllText = null
+
+    for (const markup of this.sectionMarkup) {
+      const { $section, $header, $heading, $span, $button, $summary } = markup
+
+      $header.removeEventListener('click', markup.onClick)
+
+      // Move heading text back into the original placeholder span
+      Array.from(markup.$headingTextFocus.childNodes).forEach(($child) =>
+        $span.appendChild($child)
+      )
+
+      $button.replaceWith($span)
+
+      // Move summary text back into the original summary `div`
+      if ($summary && markup.$summarySpanFocus) {
+        Array.from(markup.$summarySpanFocus.childNodes).forEach(($child) =>
+          $summary.appendChild($child)
+        )
+
+        $heading.insertAdjacentElement('afterend', $summary)
+      }
+
+      // Restore original expanded state and reveal content
+      const $content = $section.querySelector(`.${this.sectionContentClass}`)
+
+      $section.classList.toggle(this.sectionExpandedClass, markup.expanded)
+      $content?.removeAttribute('hidden')
+    }
+
+    this.sectionMarkup = []
+
+    super.destroy()
+  }
+
   /**
    * Create an element to improve semantics of the section button with
    * punctuation
@@ -601,7 +885,9 @@ export class Accordion extends GOVUKFrontendComponent {
       showSection: 'Show',
       showSectionAriaLabel: 'Show this section'
     },
-    rememberExpanded: true
+    rememberExpanded: true,
+    storage: 'session',
+    exclusive: false
   })
 
   /**
@@ -612,12 +898,109 @@ export class Accordion extends GOVUKFrontendComponent {
    */
   static schema = Object.freeze({
     properties: {
-      i18n: { type: 'object' },
-      rememberExpanded: { type: 'boolean' }
+      i18n: {
+        type: 'object',
+        properties: {
+          hideAllSections: { type: 'string' },
+          hideSection: { type: 'string' },
+          hideSectionAriaLabel: { type: 'string' },
+          showAllSections: { type: 'string' },
+          showSection: { type: 'string' },
+          showSectionAriaLabel: { type: 'string' }
+        },
+        additionalProperties: false
+      },
+      rememberExpanded: { type: 'boolean' },
+      storage: {
+        type: ['string', 'object'],
+        enum: ['session', 'local', 'query'],
+        properties: {
+          get: { type: 'function' },
+          set: { type: 'function' }
+        }
+      },
+      storageNamespace: { type: 'string' },
+      exclusive: { type: 'boolean' }
     }
   })
 }
 
+/**
+ * Get storage for the expanded state of each section
+ *
+ * @private
+ * @param {AccordionConfig['storage']} storage - Storage type or custom storage
+ * @returns {AccordionStorage} Storage for the expanded state of each section
+ */
+function getStorage(storage) {
+  if (typeof storage === 'object') {
+    return storage
+  }
+
+  switch (storage) {
+    case 'local':
+      return createWebStorage('localStorage')
+
+    case 'query':
+      return createUrlStorage()
+  }
+
+  return createWebStorage('sessionStorage')
+}
+
+/**
+ * Create storage using the Web Storage API
+ *
+ * @private
+ * @param {'sessionStorage' | 'localStorage'} name - Web Storage object name
+ * @returns {AccordionStorage} Storage for the expanded state of each section
+ */
+function createWebStorage(name) {
+  return {
+    get: (key) => parseState(window[name].getItem(key)),
+    set: (key, expanded) => window[name].setItem(key, `${expanded}`)
+  }
+}
+
+/**
+ * Create storage using URL parameters in the query string
+ *
+ * Replaces the current browser history entry, so expanding and collapsing
+ * sections does not add entries to the browser history. The hash fragment is
+ * left alone, so it can still link to a section.
+ *
+ * @private
+ * @returns {AccordionStorage} Storage for the expanded state of each section
+ */
+function createUrlStorage() {
+  const getParams = () => new URLSearchParams(window.location.search)
+
+  return {
+    get: (key) => parseState(getParams().get(key)),
+    set(key, expanded) {
+      const url = new URL(window.location.href)
+      const params = getParams()
+
+      params.set(key, `${expanded}`)
+      url.search = params.toString()
+
+      window.history.replaceState(window.history.state, '', url.href)
+    }
+  }
+}
+
+/**
+ * Parse stored expanded state
+ *
+ * @private
+ * @param {string | null} value - Stored value
+ * @returns {boolean | null} Whether the section is expanded, or `null` if
+ *   there is no stored state
+ */
+function parseState(value) {
+  return value === 'true' || value === 'false' ? value === 'true' : null
+}
+
 /**
  * Accordion config
  *
@@ -626,6 +1009,28 @@ export class Accordion extends GOVUKFrontendComponent {
  * @property {AccordionTranslations} [i18n=Accordion.defaults.i18n] - Accordion translations
  * @property {boolean} [rememberExpanded] - Whether the expanded and collapsed
  *   state of each section is remembered and restored when navigating.
+ * @property {'session' | 'local' | 'query' | AccordionStorage} [storage='session'] -
+ *   Where the expanded state of each section is remembered. Use `session` for
+ *   sessionStorage, `local` for localStorage, `query` for URL parameters in
+ *   the query string, or a custom storage object.
+ * @property {string} [storageNamespace] - Prefix for the storage key of each
+ *   section, to avoid sharing state with other accordions or pages using the
+ *   same IDs.
+ * @property {boolean} [exclusive=false] - If set to `true`, only one section
+ *   can be expanded at a time and the "Show all sections" button is not
+ *   added.
+ */
+
+/**
+ * Accordion storage
+ *
+ * Stores whether each section is expanded, by storage key
+ *
+ * @typedef {object} AccordionStorage
+ * @property {(key: string) => boolean | null | undefined} get - Get whether
+ *   a section is expanded, or `null` or `undefined` if not stored
+ * @property {(key: string, expanded: boolean) => void} set - Store whether
+ *   a section is expanded
  */
 
 /**
@@ -651,6 +1056,44 @@ export class Accordion extends GOVUKFrontendComponent {
  *   'Show' button's accessible name when a section is expanded.
  */
 
+/**
+ * Accordion section header markup
+ *
+ * @internal
+ * @typedef {object} AccordionHeaderMarkup
+ * @property {Element} $header - Section header
+ * @property {Element} $heading - Section heading
+ * @property {Element} $span - Original section button placeholder `<span>`
+ * @property {HTMLButtonElement} $button - Section button replacing `$span`
+ * @property {HTMLElement} $headingTextFocus - Container for heading text
+ * @property {Element} [$summary] - Original summary `<div>`
+ * @property {HTMLElement} [$summarySpanFocus] - Container for summary text
+ */
+
+/**
+ * Accordion section markup
+ *
+ * @internal
+ * @typedef {AccordionHeaderMarkup & AccordionSectionState} AccordionSectionMarkup
+ */
+
+/**
+ * @internal
+ * @typedef {object} AccordionSectionState
+ * @property {Element} $section - Section element
+ * @property {boolean} expanded - Whether the section was initially expanded
+ * @property {() => void} onClick - Section header click handler
+ */
+
+/**
+ * Accordion section toggled event
+ *
+ * Dispatched from the accordion root element as
+ * `govuk-accordion:section-toggled` when a section is expanded or collapsed.
+ *
+ * @typedef {CustomEvent<{ section: Element, expanded: boolean }>} AccordionSectionToggledEvent
+ */
+
 /**
  * @typedef {import('../../common/index.mjs').Schema} Schema
  */
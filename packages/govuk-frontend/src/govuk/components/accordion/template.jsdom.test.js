@@ -161,5 +161,34 @@ describe('Accordion', () => {
 
       expect($component).toHaveAttribute('data-remember-expanded', 'false')
     })
+
+    it('renders with storage data attributes', () => {
+      document.body.innerHTML = render(
+        'accordion',
+        examples['with storage options']
+      )
+      const $component = document.querySelector('.govuk-accordion')
+
+      expect($component).toHaveAttribute('data-storage', 'local')
+      expect($component).toHaveAttribute('data-storage-namespace', 'guidance')
+    })
+
+    it('renders with exclusive data attribute', () => {
+      document.body.innerHTML = render('accordion', examples.exclusive)
+      const $component = document.querySelector('.govuk-accordion')
+
+      expect($component).toHaveAttribute('data-exclusive', 'true')
+    })
+
+    it('renders sections with ids', () => {
+      document.body.innerHTML = render(
+        'accordion',
+        examples['with section ids']
+      )
+      const $sections = document.querySelectorAll('.govuk-accordion__section')
+
+      expect($sections[0]).toHaveAttribute('id', 'eligibility')
+      expect($sections[1]).toHaveAttribute('id', 'how-to-apply')
+    })
   })
 })
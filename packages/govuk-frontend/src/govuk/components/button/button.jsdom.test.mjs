@@ -0,0 +1,369 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { Button } from './button.mjs'
+
+describe('Button', () => {
+  let examples
+  let $root
+
+  function renderExample(example) {
+    document.body.outerHTML = outdent`
+      <body class="govuk-frontend-supported">
+        <form action="/submit" method="post">
+          ${render('button', examples[example])}
+        </form>
+      </body>
+    `
+
+    $root = document.querySelector('[data-module]')
+  }
+
+  // Dispatch a form submit event, returning whether it was cancelled
+  function submit(submitter = $root) {
+    const event = new window.Event('submit', {
+      bubbles: true,
+      cancelable: true
+    })
+
+    Object.defineProperty(event, 'submitter', { value: submitter })
+    document.querySelector('form').dispatchEvent(event)
+
+    return event.defaultPrevented
+  }
+
+  beforeAll(async () => {
+    examples = await getExamples('button')
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('preventing double clicks', () => {
+    // Render the button without a form, so clicks do not submit
+    function renderButton(example) {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('button', examples[example])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    }
+
+    // Click the button, returning whether the click was cancelled
+    function click() {
+      const event = new window.MouseEvent('click', {
+        bubbles: true,
+        cancelable: true
+      })
+
+      $root.dispatchEvent(event)
+
+      return event.defaultPrevented
+    }
+
+    it('ignores clicks for 1 second by default', () => {
+      renderButton('prevent double click')
+      new Button($root)
+
+      expect(click()).toBe(false)
+      expect(click()).toBe(true)
+
+      jest.advanceTimersByTime(1000)
+
+      expect(click()).toBe(false)
+    })
+
+    it('ignores clicks for the debounce timeout from data attributes', () => {
+      renderButton('with debounce timeout')
+      new Button($root)
+
+      expect(click()).toBe(false)
+
+      jest.advanceTimersByTime(1000)
+      expect(click()).toBe(true)
+
+      jest.advanceTimersByTime(1000)
+      expect(click()).toBe(false)
+    })
+
+    it('ignores clicks for the debounce timeout from the config', () => {
+      renderButton('prevent double click')
+      new Button($root, { debounceTimeout: 500 })
+
+      expect(click()).toBe(false)
+
+      jest.advanceTimersByTime(500)
+      expect(click()).toBe(false)
+    })
+  })
+
+  describe('when busy on submit', () => {
+    it('shows the busy state when the form is submitted', () => {
+      renderExample('busy on submit')
+      new Button($root)
+
+      expect(submit()).toBe(false)
+      jest.runOnlyPendingTimers()
+
+      expect($root).toHaveAttribute('aria-disabled', 'true')
+      expect($root).toHaveTextContent('Submitting…')
+    })
+
+    it('does not show the busy state by default', () => {
+      renderExample('default')
+      new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      expect($root).not.toHaveAttribute('aria-disabled')
+      expect($root).toHaveTextContent('Save and continue')
+    })
+
+    it('prevents the form being submitted again', () => {
+      renderExample('busy on submit')
+      new Button($root)
+
+      submit()
+      expect(submit()).toBe(true)
+
+      jest.runOnlyPendingTimers()
+      expect(submit()).toBe(true)
+    })
+
+    it('does not show the busy state if the submission is cancelled', () => {
+      renderExample('busy on submit')
+      new Button($root)
+
+      document
+        .querySelector('form')
+        .addEventListener('submit', (event) => event.preventDefault())
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      expect($root).not.toHaveAttribute('aria-disabled')
+    })
+
+    it('does not show the busy state if another button submits the form', () => {
+      renderExample('busy on submit')
+      new Button($root)
+
+      const $otherButton = document.createElement('button')
+      document.querySelector('form').append($otherButton)
+
+      expect(submit($otherButton)).toBe(false)
+      jest.runOnlyPendingTimers()
+
+      expect($root).not.toHaveAttribute('aria-disabled')
+    })
+
+    it('changes the value of input buttons after the form is submitted', () => {
+      renderExample('input busy on submit')
+      new Button($root)
+
+      submit()
+      expect($root).toHaveValue('Submit')
+
+      jest.runOnlyPendingTimers()
+      expect($root).toHaveValue('Submitting…')
+    })
+
+    it('restores the button when the page is shown again', () => {
+      renderExample('start button busy on submit')
+      new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      expect($root.querySelector('svg')).toBeNull()
+
+      window.dispatchEvent(new window.PageTransitionEvent('pageshow'))
+
+      expect($root).not.toHaveAttribute('aria-disabled')
+      expect($root).toHaveTextContent('Start now')
+      expect($root.querySelector('svg')).not.toBeNull()
+      expect(submit()).toBe(false)
+    })
+
+    it('restores the button when destroyed', () => {
+      renderExample('input busy on submit')
+      const button = new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+      button.destroy()
+
+      expect($root).not.toHaveAttribute('aria-disabled')
+      expect($root).toHaveValue('Submit')
+    })
+
+    it('restores the button after the busy timeout', () => {
+      renderExample('busy on submit')
+      new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      jest.advanceTimersByTime(9999)
+      expect($root).toHaveAttribute('aria-disabled', 'true')
+
+      jest.advanceTimersByTime(1)
+      expect($root).not.toHaveAttribute('aria-disabled')
+      expect($root).toHaveTextContent('Submit')
+      expect(submit()).toBe(false)
+    })
+
+    it('uses the busy timeout from data attributes', () => {
+      renderExample('busy on submit with timeout')
+      new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      jest.advanceTimersByTime(5000)
+      expect($root).not.toHaveAttribute('aria-disabled')
+      expect($root).toHaveTextContent('Download')
+    })
+
+    it('uses the busy timeout from the config', () => {
+      renderExample('busy on submit')
+      new Button($root, { busyTimeout: 500 })
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      jest.advanceTimersByTime(500)
+      expect($root).not.toHaveAttribute('aria-disabled')
+    })
+
+    it('stops the busy timeout when the page is shown again', () => {
+      renderExample('busy on submit')
+      new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+      window.dispatchEvent(new window.PageTransitionEvent('pageshow'))
+
+      expect(jest.getTimerCount()).toBe(0)
+    })
+
+    it('uses the submitting text from the config', () => {
+      renderExample('busy on submit')
+      new Button($root, {
+        i18n: { submitting: 'Sending…' }
+      })
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      expect($root).toHaveTextContent('Sending…')
+    })
+
+    it('uses the submitting text from data attributes', () => {
+      renderExample('busy on submit with translations')
+      new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      expect($root).toHaveTextContent("Wrthi'n cyflwyno…")
+    })
+  })
+
+  describe('destroy', () => {
+    // Render the button without a form, so clicks do not submit
+    function renderButton(example) {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('button', examples[example])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    }
+
+    // Dispatch an event on the button, returning whether it was cancelled
+    function dispatch(event) {
+      $root.dispatchEvent(event)
+      return event.defaultPrevented
+    }
+
+    function click() {
+      return dispatch(
+        new window.MouseEvent('click', { bubbles: true, cancelable: true })
+      )
+    }
+
+    it('restores the original markup', () => {
+      renderExample('busy on submit')
+      const html = $root.outerHTML
+      const button = new Button($root)
+
+      submit()
+      jest.runOnlyPendingTimers()
+
+      expect($root.outerHTML).not.toEqual(html)
+
+      button.destroy()
+
+      expect($root.outerHTML).toEqual(html)
+    })
+
+    it('stops ignoring double clicks', () => {
+      renderButton('prevent double click')
+      new Button($root).destroy()
+
+      expect(click()).toBe(false)
+      expect(click()).toBe(false)
+    })
+
+    it('stops clicking links when the space key is pressed', () => {
+      renderButton('link')
+      const onClick = jest.fn()
+
+      new Button($root).destroy()
+      $root.addEventListener('click', onClick)
+
+      const prevented = dispatch(
+        new window.KeyboardEvent('keydown', {
+          key: ' ',
+          bubbles: true,
+          cancelable: true
+        })
+      )
+
+      expect(prevented).toBe(false)
+      expect(onClick).not.toHaveBeenCalled()
+    })
+
+    it('stops showing the busy state when the form is submitted', () => {
+      renderExample('busy on submit')
+      new Button($root).destroy()
+
+      expect(submit()).toBe(false)
+      jest.runOnlyPendingTimers()
+
+      expect($root).not.toHaveAttribute('aria-disabled')
+      expect(submit()).toBe(false)
+    })
+
+    it('allows the component to be initialised again', () => {
+      renderButton('prevent double click')
+      new Button($root).destroy()
+
+      expect(() => new Button($root)).not.toThrow()
+      expect(click()).toBe(false)
+      expect(click()).toBe(true)
+    })
+  })
+})
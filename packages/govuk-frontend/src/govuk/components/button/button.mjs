@@ -1,8 +1,13 @@
-import { mergeConfigs } from '../../common/index.mjs'
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
 import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
-
-const DEBOUNCE_TIMEOUT_IN_SECONDS = 1
+import { I18n } from '../../i18n.mjs'
 
 /**
  * JavaScript enhancements for the Button component
@@ -16,12 +21,55 @@ export class Button extends GOVUKFrontendComponent {
    */
   config
 
+  /** @private */
+  i18n
+
   /**
    * @private
    * @type {number | null}
    */
   debounceFormSubmitTimer = null
 
+  /**
+   * @private
+   * @type {number | null}
+   */
+  busyTimer = null
+
+  /**
+   * @private
+   * @type {number | null}
+   */
+  busyTimeoutTimer = null
+
+  /**
+   * The form submitted by the button, when `busyOnSubmit` is enabled
+   *
+   * @private
+   * @type {HTMLFormElement | null}
+   */
+  $form = null
+
+  /**
+   * Original button content, saved while the button is busy
+   *
+   * @private
+   * @type {DocumentFragment | string | null}
+   */
+  content = null
+
+  /** @private */
+  boundHandleKeyDown
+
+  /** @private */
+  boundDebounce
+
+  /** @private */
+  boundHandleSubmit
+
+  /** @private */
+  boundHandlePageShow
+
   /**
    * @param {Element | null} $root - HTML element to use for button
    * @param {ButtonConfig} [config] - Button config
@@ -35,8 +83,62 @@ export class Button extends GOVUKFrontendComponent {
       normaliseDataset(Button, this.$root.dataset)
     )
 
-    this.$root.addEventListener('keydown', (event) => this.handleKeyDown(event))
-    this.$root.addEventListener('click', (event) => this.debounce(event))
+    // Check for valid config
+    const errors = validateConfig(Button.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(Button, errors[0]))
+    }
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleKeyDown = this.handleKeyDown.bind(this)
+    this.boundDebounce = this.debounce.bind(this)
+    this.boundHandleSubmit = this.handleSubmit.bind(this)
+    this.boundHandlePageShow = this.handlePageShow.bind(this)
+
+    this.$root.addEventListener('keydown', this.boundHandleKeyDown)
+    this.$root.addEventListener('click', this.boundDebounce)
+
+    // Links styled as buttons do not submit forms, so only buttons and inputs
+    // can show a busy state
+    if (
+      this.config.busyOnSubmit &&
+      (this.$root instanceof HTMLButtonElement ||
+        this.$root instanceof HTMLInputElement) &&
+      this.$root.form
+    ) {
+      this.$form = this.$root.form
+      this.$form.addEventListener('submit', this.boundHandleSubmit)
+
+      // Restore the button when the user navigates back to a page restored
+      // from the back/forward cache
+      window.addEventListener('pageshow', this.boundHandlePageShow)
+    }
+  }
+
+  /**
+   * Destroy button
+   *
+   * Removes event listeners, clears any running debounce timer and restores
+   * the button if it is busy
+   */
+  destroy() {
+    this.$root.removeEventListener('keydown', this.boundHandleKeyDown)
+    this.$root.removeEventListener('click', this.boundDebounce)
+
+    if (this.$form) {
+      this.$form.removeEventListener('submit', this.boundHandleSubmit)
+      window.removeEventListener('pageshow', this.boundHandlePageShow)
+      this.$form = null
+    }
+
+    this.clearBusy()
+
+    super.destroy()
   }
 
   /**
@@ -94,7 +196,132 @@ export class Button extends GOVUKFrontendComponent {
 
     this.debounceFormSubmitTimer = window.setTimeout(() => {
       this.debounceFormSubmitTimer = null
-    }, DEBOUNCE_TIMEOUT_IN_SECONDS * 1000)
+    }, this.config.debounceTimeout)
+  }
+
+  /**
+   * Handle form submit
+   *
+   * Prevents the form being submitted again while the button is busy.
+   * Otherwise shows the busy state once other submit event listeners have
+   * run, so the button is not left busy if the submission is cancelled, and
+   * the value of an `<input>` button is still sent with the form.
+   *
+   * @private
+   * @param {SubmitEvent} event - Form submit event
+   */
+  handleSubmit(event) {
+    if (this.busy || this.busyTimer) {
+      event.preventDefault()
+      return
+    }
+
+    // Show the busy state on the button that submitted the form only, where
+    // supported by the browser
+    if (event.submitter && event.submitter !== this.$root) {
+      return
+    }
+
+    this.busyTimer = window.setTimeout(() => {
+      this.busyTimer = null
+
+      if (!event.defaultPrevented) {
+        this.setBusy()
+      }
+    }, 0)
+  }
+
+  /**
+   * Handle page show
+   *
+   * Restores the button when the page is shown again after navigating back
+   *
+   * @private
+   */
+  handlePageShow() {
+    this.clearBusy()
+  }
+
+  /**
+   * Whether the button is busy submitting the form
+   *
+   * @private
+   * @returns {boolean} Whether the button is busy
+   */
+  get busy() {
+    return this.content !== null
+  }
+
+  /**
+   * Show the busy state
+   *
+   * Disables the button using `aria-disabled` rather than the `disabled`
+   * attribute so it stays focusable, and replaces its content with the
+   * `submitting` text
+   *
+   * @private
+   */
+  setBusy() {
+    const $button = this.$root
+
+    $button.setAttribute('aria-disabled', 'true')
+
+    // Restore the button if the page is still shown after the busy timeout,
+    // for example when the form submission downloads a file
+    this.busyTimeoutTimer = window.setTimeout(() => {
+      this.busyTimeoutTimer = null
+      this.clearBusy()
+    }, this.config.busyTimeout)
+
+    if ($button instanceof HTMLInputElement) {
+      this.content = $button.value
+      $button.value = this.i18n.t('submitting')
+      return
+    }
+
+    this.content = document.createDocumentFragment()
+    this.content.append(...Array.from($button.childNodes))
+    $button.textContent = this.i18n.t('submitting')
+  }
+
+  /**
+   * Clear the busy state
+   *
+   * Restores the original button content and clears any pending busy state
+   *
+   * @private
+   */
+  clearBusy() {
+    const $button = this.$root
+
+    if (this.busyTimer) {
+      window.clearTimeout(this.busyTimer)
+      this.busyTimer = null
+    }
+
+    if (this.busyTimeoutTimer) {
+      window.clearTimeout(this.busyTimeoutTimer)
+      this.busyTimeoutTimer = null
+    }
+
+    if (this.debounceFormSubmitTimer) {
+      window.clearTimeout(this.debounceFormSubmitTimer)
+      this.debounceFormSubmitTimer = null
+    }
+
+    if (this.content === null) {
+      return
+    }
+
+    if ($button instanceof HTMLInputElement) {
+      $button.value = /** @type {string} */ (this.content)
+    } else {
+      $button.textContent = ''
+      $button.append(this.content)
+    }
+
+    $button.removeAttribute('aria-disabled')
+    this.content = null
   }
 
   /**
@@ -110,7 +337,13 @@ export class Button extends GOVUKFrontendComponent {
    * @type {ButtonConfig}
    */
   static defaults = Object.freeze({
-    preventDoubleClick: false
+    preventDoubleClick: false,
+    debounceTimeout: 1000,
+    busyOnSubmit: false,
+    busyTimeout: 10000,
+    i18n: {
+      submitting: 'Submitting…'
+    }
   })
 
   /**
@@ -121,7 +354,17 @@ export class Button extends GOVUKFrontendComponent {
    */
   static schema = Object.freeze({
     properties: {
-      preventDoubleClick: { type: 'boolean' }
+      preventDoubleClick: { type: 'boolean' },
+      debounceTimeout: { type: 'number', minimum: 0 },
+      busyOnSubmit: { type: 'boolean' },
+      busyTimeout: { type: 'number', minimum: 1 },
+      i18n: {
+        type: 'object',
+        properties: {
+          submitting: { type: 'string' }
+        },
+        additionalProperties: false
+      }
     }
   })
 }
@@ -132,6 +375,26 @@ export class Button extends GOVUKFrontendComponent {
  * @typedef {object} ButtonConfig
  * @property {boolean} [preventDoubleClick=false] - Prevent accidental double
  *   clicks on submit buttons from submitting forms multiple times.
+ * @property {number} [debounceTimeout=1000] - Time in milliseconds after a
+ *   click when further clicks are ignored, if `preventDoubleClick` is `true`.
+ * @property {boolean} [busyOnSubmit=false] - If set to `true`, disables the
+ *   button and shows the `submitting` text while its form is being
+ *   submitted, then restores the button if the user navigates back to the
+ *   page.
+ * @property {number} [busyTimeout=10000] - Time in milliseconds after the
+ *   form is submitted when the button is restored, if the page is still
+ *   shown and `busyOnSubmit` is `true`.
+ * @property {ButtonTranslations} [i18n=Button.defaults.i18n] - Button
+ *   translations
+ */
+
+/**
+ * Button translations
+ *
+ * @see {@link Button.defaults.i18n}
+ * @typedef {object} ButtonTranslations
+ * @property {string} [submitting] - Text of the button while its form is being
+ *   submitted, if `busyOnSubmit` is `true`.
  */
 
 /**
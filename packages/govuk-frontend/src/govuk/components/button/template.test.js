@@ -99,6 +99,56 @@ describe('Button', () => {
         expect($component.attr('data-prevent-double-click')).toBe('false')
       })
     })
+
+    describe('debounceTimeout', () => {
+      it('does not render the attribute if not set', () => {
+        const $ = render('button', examples['prevent double click'])
+
+        const $component = $('.govuk-button')
+        expect($component.attr('data-debounce-timeout')).toBeUndefined()
+      })
+
+      it('renders with debounceTimeout attribute', () => {
+        const $ = render('button', examples['with debounce timeout'])
+
+        const $component = $('.govuk-button')
+        expect($component.attr('data-debounce-timeout')).toBe('2000')
+      })
+    })
+
+    describe('busyOnSubmit', () => {
+      it('does not render the attributes if not set', () => {
+        const $ = render('button', examples.default)
+
+        const $component = $('.govuk-button')
+        expect($component.attr('data-busy-on-submit')).toBeUndefined()
+        expect($component.attr('data-busy-timeout')).toBeUndefined()
+        expect($component.attr('data-i18n.submitting')).toBeUndefined()
+      })
+
+      it('renders with busyOnSubmit attribute', () => {
+        const $ = render('button', examples['busy on submit'])
+
+        const $component = $('.govuk-button')
+        expect($component.attr('data-busy-on-submit')).toBe('true')
+      })
+
+      it('renders with busyTimeout attribute', () => {
+        const $ = render('button', examples['busy on submit with timeout'])
+
+        const $component = $('.govuk-button')
+        expect($component.attr('data-busy-timeout')).toBe('5000')
+      })
+
+      it('renders with submitting text translation', () => {
+        const $ = render('button', examples['busy on submit with translations'])
+
+        const $component = $('.govuk-button')
+        expect($component.attr('data-i18n.submitting')).toBe(
+          "Wrthi'n cyflwyno…"
+        )
+      })
+    })
   })
 
   describe('link', () => {
@@ -1,6 +1,10 @@
+/* eslint-disable no-new */
+
 import { getExamples, render } from '@govuk-frontend/lib/components'
 import { outdent } from 'outdent'
 
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+
 import { CharacterCount } from './character-count.mjs'
 
 describe('CharacterCount', () => {
@@ -218,4 +222,408 @@ describe('CharacterCount', () => {
       })
     })
   })
+
+  describe('count', () => {
+    let $div
+    let $textarea
+    let $status
+
+    beforeEach(() => {
+      $div = document.querySelector('[data-module]')
+      $textarea = $div.querySelector('.govuk-js-character-count')
+    })
+
+    /**
+     * Enter text into the textarea and update the count message
+     *
+     * @param {string} text - Text to enter
+     */
+    function enterText(text) {
+      $textarea.value = text
+      $textarea.dispatchEvent(new window.KeyboardEvent('keyup'))
+      $status = $div.querySelector('.govuk-character-count__status')
+    }
+
+    describe('characters', () => {
+      it('counts UTF-16 code units by default', () => {
+        new CharacterCount($div, { maxlength: 20 })
+        enterText('Café 👍🏽')
+
+        expect($status).toHaveTextContent('You have 11 characters remaining')
+      })
+
+      it('counts grapheme clusters', () => {
+        new CharacterCount($div, {
+          maxlength: 20,
+          characterCountMode: 'graphemes'
+        })
+
+        // Includes 'w' with a combining circumflex (U+0302)
+        enterText('Café 👍🏽 w\u0302')
+
+        expect($status).toHaveTextContent('You have 12 characters remaining')
+      })
+
+      it('counts UTF-8 bytes', () => {
+        new CharacterCount($div, {
+          maxlength: 20,
+          characterCountMode: 'bytes'
+        })
+
+        enterText('Café 👍🏽')
+
+        expect($status).toHaveTextContent('You have 6 characters remaining')
+      })
+
+      it('reads the count mode from data attributes', () => {
+        $div.setAttribute('data-character-count-mode', 'bytes')
+
+        new CharacterCount($div, { maxlength: 20 })
+        enterText('Café')
+
+        expect($status).toHaveTextContent('You have 15 characters remaining')
+      })
+    })
+
+    describe('words', () => {
+      it('counts consecutive non-whitespace characters by default', () => {
+        new CharacterCount($div, { maxwords: 10 })
+        enterText('Hello, world - how are you?')
+
+        expect($status).toHaveTextContent('You have 4 words remaining')
+      })
+
+      it('counts words using the locale word boundaries', () => {
+        new CharacterCount($div, {
+          maxwords: 10,
+          wordCountMode: 'segmenter'
+        })
+
+        enterText('Hello, world - how are you?')
+
+        expect($status).toHaveTextContent('You have 5 words remaining')
+      })
+
+      it('reads the count mode from data attributes', () => {
+        $div.setAttribute('data-word-count-mode', 'segmenter')
+
+        new CharacterCount($div, { maxwords: 10 })
+        enterText('Hello, world - how are you?')
+
+        expect($status).toHaveTextContent('You have 5 words remaining')
+      })
+    })
+
+    describe('when Intl.Segmenter is not supported', () => {
+      const { Segmenter } = Intl
+
+      beforeEach(() => {
+        Reflect.deleteProperty(Intl, 'Segmenter')
+      })
+
+      afterEach(() => {
+        Reflect.defineProperty(Intl, 'Segmenter', {
+          value: Segmenter,
+          configurable: true,
+          writable: true
+        })
+      })
+
+      it('counts code points instead of grapheme clusters', () => {
+        new CharacterCount($div, {
+          maxlength: 20,
+          characterCountMode: 'graphemes'
+        })
+
+        enterText('Café 👍🏽')
+
+        expect($status).toHaveTextContent('You have 13 characters remaining')
+      })
+
+      it('counts consecutive non-whitespace characters as words', () => {
+        new CharacterCount($div, {
+          maxwords: 10,
+          wordCountMode: 'segmenter'
+        })
+
+        enterText('Hello, world - how are you?')
+
+        expect($status).toHaveTextContent('You have 4 words remaining')
+      })
+    })
+
+    describe('custom counter', () => {
+      it('counts characters using the counter function', () => {
+        const counter = jest.fn(() => 3)
+
+        new CharacterCount($div, {
+          maxlength: 20,
+          characterCountMode: 'bytes',
+          counter
+        })
+
+        enterText('Some text')
+
+        expect(counter).toHaveBeenCalledWith('Some text', 'characters')
+        expect($status).toHaveTextContent('You have 17 characters remaining')
+      })
+
+      it('counts words using the counter function', () => {
+        const counter = jest.fn(() => 3)
+
+        new CharacterCount($div, { maxwords: 10, counter })
+        enterText('Some text')
+
+        expect(counter).toHaveBeenCalledWith('Some text', 'words')
+        expect($status).toHaveTextContent('You have 7 words remaining')
+      })
+    })
+  })
+
+  describe('form fields', () => {
+    let inputExamples
+
+    beforeAll(async () => {
+      inputExamples = await getExamples('input')
+    })
+
+    describe('input', () => {
+      let $root
+      let $input
+
+      beforeEach(() => {
+        document.body.innerHTML = render(
+          'input',
+          inputExamples['with character count and suffix']
+        )
+
+        $root = document.querySelector('[data-module]')
+        $input = $root.querySelector('.govuk-js-character-count')
+      })
+
+      it('counts the text entered into the input', () => {
+        new CharacterCount($root)
+
+        $input.value = 'Some text'
+        $input.dispatchEvent(new window.KeyboardEvent('keyup'))
+
+        expect(
+          $root.querySelector('.govuk-character-count__status')
+        ).toHaveTextContent('You have 11 characters remaining')
+      })
+
+      it('adds the input error class when over the limit', () => {
+        new CharacterCount($root)
+
+        $input.value = 'A nickname that is too long'
+        $input.dispatchEvent(new window.KeyboardEvent('keyup'))
+
+        expect($input).toHaveClass('govuk-input--error')
+        expect($input).not.toHaveClass('govuk-textarea--error')
+      })
+
+      it('adds the count messages after the input wrapper', () => {
+        new CharacterCount($root)
+
+        const $wrapper = $root.querySelector('.govuk-input__wrapper')
+
+        expect($wrapper.querySelector('.govuk-hint')).toBeNull()
+        expect($wrapper.nextElementSibling).toHaveClass(
+          'govuk-character-count__message'
+        )
+      })
+
+      it('restores the input error class on destroy', () => {
+        $input.classList.add('govuk-input--error')
+
+        const component = new CharacterCount($root)
+        component.destroy()
+
+        expect($input).toHaveClass('govuk-input--error')
+      })
+    })
+
+    describe('contenteditable', () => {
+      let $root
+      let $editor
+
+      beforeEach(() => {
+        document.body.innerHTML = outdent`
+          <div class="govuk-form-group govuk-character-count" data-module="govuk-character-count" data-maxwords="10">
+            <div class="govuk-textarea govuk-js-character-count" id="summary" contenteditable="true" role="textbox" aria-multiline="true" aria-describedby="summary-info"></div>
+            <div id="summary-info" class="govuk-hint govuk-character-count__message">
+              You can enter up to 10 words
+            </div>
+          </div>
+        `
+
+        $root = document.querySelector('[data-module]')
+        $editor = $root.querySelector('.govuk-js-character-count')
+      })
+
+      it('counts the text content of the element', () => {
+        new CharacterCount($root)
+
+        $editor.innerHTML = '<p>Some <strong>rich</strong> text</p>'
+        $editor.dispatchEvent(new window.KeyboardEvent('keyup'))
+
+        expect(
+          $root.querySelector('.govuk-character-count__status')
+        ).toHaveTextContent('You have 7 words remaining')
+      })
+
+      it('adds the textarea error class when over the limit', () => {
+        new CharacterCount($root)
+
+        $editor.textContent =
+          'one two three four five six seven eight nine ten eleven'
+        $editor.dispatchEvent(new window.KeyboardEvent('keyup'))
+
+        expect($editor).toHaveClass('govuk-textarea--error')
+      })
+
+      it('throws when the element is not editable', () => {
+        $editor.setAttribute('contenteditable', 'false')
+
+        expect(() => new CharacterCount($root)).toThrow(
+          new ElementError(
+            'govuk-character-count: Form field (`.govuk-js-character-count`) is not of type HTMLTextareaElement, HTMLInputElement or contenteditable HTMLElement'
+          )
+        )
+      })
+    })
+  })
+
+  describe('config validation', () => {
+    let $div
+
+    beforeEach(() => {
+      $div = document.querySelector('[data-module]')
+    })
+
+    it('throws when a data attribute is not a number', () => {
+      $div.setAttribute('data-maxlength', 'abc')
+
+      expect(() => new CharacterCount($div)).toThrow(
+        new ConfigError(
+          'govuk-character-count: "maxlength" must be of type "number"'
+        )
+      )
+    })
+
+    it('throws when the threshold is over 100', () => {
+      expect(
+        () => new CharacterCount($div, { maxlength: 10, threshold: 101 })
+      ).toThrow(
+        new ConfigError(
+          'govuk-character-count: "threshold" must be less than or equal to 100'
+        )
+      )
+    })
+
+    it('throws when the count mode is not supported', () => {
+      $div.setAttribute('data-character-count-mode', 'letters')
+
+      expect(() => new CharacterCount($div, { maxlength: 10 })).toThrow(
+        new ConfigError(
+          'govuk-character-count: "characterCountMode" must be one of "code-units", "graphemes", "bytes"'
+        )
+      )
+    })
+
+    it('throws when the counter is not a function', () => {
+      expect(
+        () =>
+          new CharacterCount($div, {
+            maxlength: 10,
+            // @ts-expect-error Type 'string' is not assignable
+            counter: 'count'
+          })
+      ).toThrow(
+        new ConfigError(
+          'govuk-character-count: "counter" must be of type "function"'
+        )
+      )
+    })
+
+    it('throws naming the path to invalid translations', () => {
+      $div.setAttribute('data-i18n.characters-under-limit.lots', 'Too many')
+
+      expect(() => new CharacterCount($div, { maxlength: 10 })).toThrow(
+        new ConfigError(
+          'govuk-character-count: "i18n.charactersUnderLimit.lots" is not a known config option'
+        )
+      )
+    })
+
+    it('throws for unknown config options', () => {
+      expect(
+        () =>
+          new CharacterCount($div, {
+            maxlength: 10,
+            // @ts-expect-error Object literal may only specify known properties
+            maxLength: 10
+          })
+      ).toThrow(
+        new ConfigError(
+          'govuk-character-count: "maxLength" is not a known config option'
+        )
+      )
+    })
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $textarea
+    let component
+
+    beforeEach(() => {
+      $root = document.querySelector('[data-module]')
+      $textarea = $root.querySelector('.govuk-js-character-count')
+      $textarea.setAttribute('maxlength', '10')
+
+      component = new CharacterCount($root, { maxlength: 10 })
+    })
+
+    it('removes the count messages', () => {
+      component.destroy()
+
+      expect(
+        $root.querySelector('.govuk-character-count__status')
+      ).not.toBeInTheDocument()
+      expect(
+        $root.querySelector('.govuk-character-count__sr-status')
+      ).not.toBeInTheDocument()
+    })
+
+    it('restores the textarea description and maxlength', () => {
+      const $description = document.getElementById(`${$textarea.id}-info`)
+
+      component.destroy()
+
+      expect($description).not.toHaveClass('govuk-visually-hidden')
+      expect($description).toHaveTextContent(/^\s*$/)
+      expect($textarea).toHaveAttribute('maxlength', '10')
+    })
+
+    it('stops updating the count message on keyup', () => {
+      const updateSpy = jest.spyOn(component, 'updateVisibleCountMessage')
+
+      component.destroy()
+
+      $textarea.value = 'Some text'
+      $textarea.dispatchEvent(new window.KeyboardEvent('keyup'))
+
+      expect(updateSpy).not.toHaveBeenCalled()
+    })
+
+    it('allows the component to be initialised again', () => {
+      component.destroy()
+
+      expect(() => new CharacterCount($root, { maxlength: 10 })).not.toThrow()
+      expect(
+        $root.querySelectorAll('.govuk-character-count__status')
+      ).toHaveLength(1)
+    })
+  })
 })
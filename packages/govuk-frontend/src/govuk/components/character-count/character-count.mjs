@@ -7,14 +7,15 @@ import {
 import { normaliseDataset } from '../../common/normalise-dataset.mjs'
 import { ConfigError, ElementError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
-import { I18n } from '../../i18n.mjs'
+import { I18n, translationPluralFormsSchema } from '../../i18n.mjs'
 
 /**
  * Character count component
  *
  * Tracks the number of characters or words in the `.govuk-js-character-count`
- * `<textarea>` inside the element. Displays a message with the remaining number
- * of characters/words available, or the number of characters/words in excess.
+ * `<textarea>`, `<input>` or `contenteditable` element inside the element.
+ * Displays a message with the remaining number of characters/words available,
+ * or the number of characters/words in excess.
  *
  * You can configure the message to only appear after a certain percentage
  * of the available characters/words has been entered.
@@ -22,9 +23,22 @@ import { I18n } from '../../i18n.mjs'
  * @preserve
  */
 export class CharacterCount extends GOVUKFrontendComponent {
-  /** @private */
+  /**
+   * @private
+   * @type {HTMLTextAreaElement | HTMLInputElement | HTMLElement}
+   */
   $textarea
 
+  /**
+   * Class added to the form field when over the limit
+   *
+   * @private
+   */
+  errorClass
+
+  /** @private */
+  $textareaDescription
+
   /** @private */
   $visibleCountMessage
 
@@ -58,6 +72,26 @@ export class CharacterCount extends GOVUKFrontendComponent {
   /** @private */
   maxLength
 
+  /**
+   * Original markup state, saved so it can be restored on destroy
+   *
+   * @private
+   * @type {{ description: string | null, maxlength: string | null, hasError: boolean }}
+   */
+  originalState
+
+  /** @private */
+  boundHandleKeyUp
+
+  /** @private */
+  boundHandleFocus
+
+  /** @private */
+  boundHandleBlur
+
+  /** @private */
+  boundUpdateCountMessage
+
   /**
    * @param {Element | null} $root - HTML element to use for character count
    * @param {CharacterCountConfig} [config] - Character count config
@@ -69,13 +103,15 @@ export class CharacterCount extends GOVUKFrontendComponent {
     if (
       !(
         $textarea instanceof HTMLTextAreaElement ||
-        $textarea instanceof HTMLInputElement
+        $textarea instanceof HTMLInputElement ||
+        ($textarea instanceof HTMLElement && isContentEditable($textarea))
       )
     ) {
       throw new ElementError({
         component: CharacterCount,
         element: $textarea,
-        expectedType: 'HTMLTextareaElement or HTMLInputElement',
+        expectedType:
+          'HTMLTextareaElement, HTMLInputElement or contenteditable HTMLElement',
         identifier: 'Form field (`.govuk-js-character-count`)'
       })
     }
@@ -120,6 +156,16 @@ export class CharacterCount extends GOVUKFrontendComponent {
     this.maxLength = this.config.maxwords ?? this.config.maxlength ?? Infinity
 
     this.$textarea = $textarea
+    this.errorClass =
+      $textarea instanceof HTMLInputElement
+        ? 'govuk-input--error'
+        : 'govuk-textarea--error'
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleKeyUp = this.handleKeyUp.bind(this)
+    this.boundHandleFocus = this.handleFocus.bind(this)
+    this.boundHandleBlur = this.handleBlur.bind(this)
+    this.boundUpdateCountMessage = this.updateCountMessage.bind(this)
 
     const textareaDescriptionId = `${this.$textarea.id}-info`
     const $textareaDescription = document.getElementById(textareaDescriptionId)
@@ -131,6 +177,13 @@ export class CharacterCount extends GOVUKFrontendComponent {
       })
     }
 
+    this.$textareaDescription = $textareaDescription
+    this.originalState = {
+      description: $textareaDescription.textContent,
+      maxlength: this.$textarea.getAttribute('maxlength'),
+      hasError: this.$textarea.classList.contains(this.errorClass)
+    }
+
     // Inject a description for the textarea if none is present already
     // for when the component was rendered with no maxlength, maxwords
     // nor custom textareaDescriptionText
@@ -142,7 +195,12 @@ export class CharacterCount extends GOVUKFrontendComponent {
 
     // Move the textarea description to be immediately after the textarea
     // Kept for backwards compatibility
-    this.$textarea.insertAdjacentElement('afterend', $textareaDescription)
+    //
+    // Inputs with a prefix or suffix are inside a wrapper, so the description
+    // is moved after the wrapper instead
+    const $inputWrapper = this.$textarea.closest('.govuk-input__wrapper')
+    const $field = $inputWrapper ?? this.$textarea
+    $field.insertAdjacentElement('afterend', $textareaDescription)
 
     // Create the *screen reader* specific live-updating counter
     // This doesn't need any styling classes, as it is never visible
@@ -177,7 +235,7 @@ export class CharacterCount extends GOVUKFrontendComponent {
     // When the page is restored after navigating 'back' in some browsers the
     // state of form controls is not restored until *after* the DOMContentLoaded
     // event is fired, so we need to sync after the pageshow event.
-    window.addEventListener('pageshow', () => this.updateCountMessage())
+    window.addEventListener('pageshow', this.boundUpdateCountMessage)
 
     // Although we've set up handlers to sync state on the pageshow event, init
     // could be called after those events have fired, for example if they are
@@ -194,11 +252,45 @@ export class CharacterCount extends GOVUKFrontendComponent {
    * @private
    */
   bindChangeEvents() {
-    this.$textarea.addEventListener('keyup', () => this.handleKeyUp())
+    this.$textarea.addEventListener('keyup', this.boundHandleKeyUp)
 
     // Bind focus/blur events to start/stop polling
-    this.$textarea.addEventListener('focus', () => this.handleFocus())
-    this.$textarea.addEventListener('blur', () => this.handleBlur())
+    this.$textarea.addEventListener('focus', this.boundHandleFocus)
+    this.$textarea.addEventListener('blur', this.boundHandleBlur)
+  }
+
+  /**
+   * Destroy character count
+   *
+   * Removes event listeners, stops polling, removes the live-updating count
+   * messages and restores the original textarea description and `maxlength`
+   */
+  destroy() {
+    this.$textarea.removeEventListener('keyup', this.boundHandleKeyUp)
+    this.$textarea.removeEventListener('focus', this.boundHandleFocus)
+    this.$textarea.removeEventListener('blur', this.boundHandleBlur)
+    window.removeEventListener('pageshow', this.boundUpdateCountMessage)
+
+    this.handleBlur()
+
+    this.$visibleCountMessage.remove()
+    this.$screenReaderCountMessage.remove()
+
+    // Restore the textarea description
+    this.$textareaDescription.textContent = this.originalState.description
+    this.$textareaDescription.classList.remove('govuk-visually-hidden')
+
+    // Restore hard limit and error state
+    if (this.originalState.maxlength !== null) {
+      this.$textarea.setAttribute('maxlength', this.originalState.maxlength)
+    }
+
+    this.$textarea.classList.toggle(
+      this.errorClass,
+      this.originalState.hasError
+    )
+
+    super.destroy()
   }
 
   /**
@@ -251,6 +343,7 @@ export class CharacterCount extends GOVUKFrontendComponent {
     // Cancel value checking on blur
     if (this.valueChecker) {
       window.clearInterval(this.valueChecker)
+      this.valueChecker = null
     }
   }
 
@@ -260,12 +353,32 @@ export class CharacterCount extends GOVUKFrontendComponent {
    * @private
    */
   updateIfValueChanged() {
-    if (this.$textarea.value !== this.lastInputValue) {
-      this.lastInputValue = this.$textarea.value
+    const value = this.getValue()
+
+    if (value !== this.lastInputValue) {
+      this.lastInputValue = value
       this.updateCountMessage()
     }
   }
 
+  /**
+   * Get the text entered into the form field
+   *
+   * @private
+   * @returns {string} Text entered into the `<textarea>` or `<input>`, or the
+   *   text content of a `contenteditable` element
+   */
+  getValue() {
+    if (
+      this.$textarea instanceof HTMLTextAreaElement ||
+      this.$textarea instanceof HTMLInputElement
+    ) {
+      return this.$textarea.value
+    }
+
+    return this.$textarea.textContent ?? ''
+  }
+
   /**
    * Update count message
    *
@@ -285,7 +398,7 @@ export class CharacterCount extends GOVUKFrontendComponent {
    * @private
    */
   updateVisibleCountMessage() {
-    const remainingNumber = this.maxLength - this.count(this.$textarea.value)
+    const remainingNumber = this.maxLength - this.count(this.getValue())
     const isError = remainingNumber < 0
 
     // If input is over the threshold, remove the disabled class which renders
@@ -296,7 +409,7 @@ export class CharacterCount extends GOVUKFrontendComponent {
     )
 
     // Update styles
-    this.$textarea.classList.toggle('govuk-textarea--error', isError)
+    this.$textarea.classList.toggle(this.errorClass, isError)
     this.$visibleCountMessage.classList.toggle('govuk-error-message', isError)
     this.$visibleCountMessage.classList.toggle('govuk-hint', !isError)
 
@@ -326,17 +439,36 @@ export class CharacterCount extends GOVUKFrontendComponent {
    * Count the number of characters (or words, if `config.maxwords` is set)
    * in the given text
    *
+   * Uses the `counter` function if configured, otherwise counts using the
+   * configured `characterCountMode` or `wordCountMode`
+   *
    * @private
    * @param {string} text - The text to count the characters of
    * @returns {number} the number of characters (or words) in the text
    */
   count(text) {
-    if (this.config.maxwords) {
-      const tokens = text.match(/\S+/g) ?? [] // Matches consecutive non-whitespace chars
-      return tokens.length
+    const countType = this.config.maxwords ? 'words' : 'characters'
+
+    if (this.config.counter) {
+      return this.config.counter(text, countType)
+    }
+
+    if (countType === 'words') {
+      return this.config.wordCountMode === 'segmenter'
+        ? countWordSegments(text, this.i18n.locale)
+        : (text.match(/\S+/g) ?? []).length // Matches consecutive non-whitespace chars
     }
 
-    return text.length
+    switch (this.config.characterCountMode) {
+      case 'graphemes':
+        return countGraphemes(text, this.i18n.locale)
+
+      case 'bytes':
+        return countBytes(text)
+
+      default:
+        return text.length
+    }
   }
 
   /**
@@ -346,7 +478,7 @@ export class CharacterCount extends GOVUKFrontendComponent {
    * @returns {string} Status message
    */
   getCountMessage() {
-    const remainingNumber = this.maxLength - this.count(this.$textarea.value)
+    const remainingNumber = this.maxLength - this.count(this.getValue())
     const countType = this.config.maxwords ? 'words' : 'characters'
     return this.formatCountMessage(remainingNumber, countType)
   }
@@ -391,7 +523,7 @@ export class CharacterCount extends GOVUKFrontendComponent {
     }
 
     // Determine the remaining number of characters/words
-    const currentLength = this.count(this.$textarea.value)
+    const currentLength = this.count(this.getValue())
     const maxLength = this.maxLength
 
     const thresholdValue = (maxLength * this.config.threshold) / 100
@@ -413,6 +545,8 @@ export class CharacterCount extends GOVUKFrontendComponent {
    */
   static defaults = Object.freeze({
     threshold: 0,
+    characterCountMode: 'code-units',
+    wordCountMode: 'whitespace',
     i18n: {
       // Characters
       charactersUnderLimit: {
@@ -448,10 +582,28 @@ export class CharacterCount extends GOVUKFrontendComponent {
    */
   static schema = Object.freeze({
     properties: {
-      i18n: { type: 'object' },
-      maxwords: { type: 'number' },
-      maxlength: { type: 'number' },
-      threshold: { type: 'number' }
+      i18n: {
+        type: 'object',
+        properties: {
+          charactersUnderLimit: translationPluralFormsSchema,
+          charactersAtLimit: { type: 'string' },
+          charactersOverLimit: translationPluralFormsSchema,
+          wordsUnderLimit: translationPluralFormsSchema,
+          wordsAtLimit: { type: 'string' },
+          wordsOverLimit: translationPluralFormsSchema,
+          textareaDescription: translationPluralFormsSchema
+        },
+        additionalProperties: false
+      },
+      maxwords: { type: 'number', minimum: 1 },
+      maxlength: { type: 'number', minimum: 1 },
+      threshold: { type: 'number', minimum: 0, maximum: 100 },
+      characterCountMode: {
+        type: 'string',
+        enum: ['code-units', 'graphemes', 'bytes']
+      },
+      wordCountMode: { type: 'string', enum: ['whitespace', 'segmenter'] },
+      counter: { type: 'function' }
     },
     anyOf: [
       {
@@ -466,6 +618,85 @@ export class CharacterCount extends GOVUKFrontendComponent {
   })
 }
 
+/**
+ * Check if an element is editable using the `contenteditable` attribute
+ *
+ * @param {HTMLElement} $element - Element to check
+ * @returns {boolean} Whether the element is editable
+ */
+function isContentEditable($element) {
+  const value = $element.getAttribute('contenteditable')
+  return value !== null && value !== 'false'
+}
+
+/**
+ * Count the grapheme clusters (user-perceived characters) in the given text
+ *
+ * Emoji, letters with combining diacritics and other characters made from
+ * multiple code points count as one. Falls back to counting code points in
+ * browsers without `Intl.Segmenter`.
+ *
+ * @param {string} text - The text to count the characters of
+ * @param {string} locale - Locale used to segment the text
+ * @returns {number} the number of grapheme clusters in the text
+ */
+function countGraphemes(text, locale) {
+  if (!('Segmenter' in window.Intl)) {
+    return Array.from(text).length
+  }
+
+  const segmenter = new Intl.Segmenter(locale, { granularity: 'grapheme' })
+  return Array.from(segmenter.segment(text)).length
+}
+
+/**
+ * Count the bytes used to encode the given text as UTF-8
+ *
+ * @param {string} text - The text to count the bytes of
+ * @returns {number} the number of UTF-8 bytes in the text
+ */
+function countBytes(text) {
+  let bytes = 0
+
+  for (const character of text) {
+    const codePoint = character.codePointAt(0) ?? 0
+
+    if (codePoint < 0x80) {
+      bytes += 1
+    } else if (codePoint < 0x800) {
+      bytes += 2
+    } else if (codePoint < 0x10000) {
+      bytes += 3
+    } else {
+      bytes += 4
+    }
+  }
+
+  return bytes
+}
+
+/**
+ * Count the words in the given text using the locale's word boundaries
+ *
+ * Punctuation and whitespace are not counted as words. Falls back to
+ * counting consecutive non-whitespace characters in browsers without
+ * `Intl.Segmenter`.
+ *
+ * @param {string} text - The text to count the words of
+ * @param {string} locale - Locale used to segment the text
+ * @returns {number} the number of words in the text
+ */
+function countWordSegments(text, locale) {
+  if (!('Segmenter' in window.Intl)) {
+    return (text.match(/\S+/g) ?? []).length
+  }
+
+  const segmenter = new Intl.Segmenter(locale, { granularity: 'word' })
+  return Array.from(segmenter.segment(text)).filter(
+    (segment) => segment.isWordLike
+  ).length
+}
+
 /**
  * Character count config
  *
@@ -478,9 +709,30 @@ export class CharacterCount extends GOVUKFrontendComponent {
  * @property {number} [threshold=0] - The percentage value of the limit at
  *   which point the count message is displayed. If this attribute is set, the
  *   count message will be hidden by default.
+ * @property {'code-units' | 'graphemes' | 'bytes'} [characterCountMode='code-units'] -
+ *   How characters are counted when `maxlength` is provided. Use `graphemes`
+ *   to count emoji and letters with combining diacritics as one character,
+ *   or `bytes` to count the UTF-8 bytes stored in a database column.
+ * @property {'whitespace' | 'segmenter'} [wordCountMode='whitespace'] - How
+ *   words are counted when `maxwords` is provided. Use `segmenter` to count
+ *   words using the word boundaries of the page language, ignoring
+ *   punctuation.
+ * @property {CharacterCountCounter} [counter] - Function to count the
+ *   characters or words in the text instead, for example to match how your
+ *   backend validates the limit.
  * @property {CharacterCountTranslations} [i18n=CharacterCount.defaults.i18n] - Character count translations
  */
 
+/**
+ * Character count counter function
+ *
+ * @callback CharacterCountCounter
+ * @param {string} text - The text to count
+ * @param {'characters' | 'words'} countType - Whether `maxlength` (characters)
+ *   or `maxwords` (words) is being counted
+ * @returns {number} The number of characters or words in the text
+ */
+
 /**
  * Character count translations
  *
@@ -884,7 +884,7 @@ describe('Character count', () => {
         await expect(
           render(page, 'character-count', examples.default, {
             beforeInitialisation($root, { selector }) {
-              // Replace with a tag that's neither an `<input>` or `<textarea>`
+              // Replace with a tag that's neither an `<input>`, `<textarea>` nor editable
               $root.querySelector(selector).outerHTML =
                 '<div class="govuk-js-character-count"></div>'
             },
@@ -896,7 +896,7 @@ describe('Character count', () => {
           cause: {
             name: 'ElementError',
             message:
-              'govuk-character-count: Form field (`.govuk-js-character-count`) is not of type HTMLTextareaElement or HTMLInputElement'
+              'govuk-character-count: Form field (`.govuk-js-character-count`) is not of type HTMLTextareaElement, HTMLInputElement or contenteditable HTMLElement'
           }
         })
       })
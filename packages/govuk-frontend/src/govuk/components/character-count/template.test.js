@@ -243,6 +243,33 @@ describe('Character count', () => {
     })
   })
 
+  describe('with count modes', () => {
+    it('renders with the character count mode', () => {
+      const $ = render('character-count', examples['with byte count'])
+
+      const $component = $('.govuk-character-count')
+      expect($component.attr('data-character-count-mode')).toBe('bytes')
+    })
+
+    it('renders with the word count mode', () => {
+      const $ = render(
+        'character-count',
+        examples['with word count using word boundaries']
+      )
+
+      const $component = $('.govuk-character-count')
+      expect($component.attr('data-word-count-mode')).toBe('segmenter')
+    })
+
+    it('renders without count modes by default', () => {
+      const $ = render('character-count', examples.default)
+
+      const $component = $('.govuk-character-count')
+      expect($component.attr('data-character-count-mode')).toBeUndefined()
+      expect($component.attr('data-word-count-mode')).toBeUndefined()
+    })
+  })
+
   describe('with custom textarea description', () => {
     it('allows customisation of the textarea description', () => {
       const $ = render(
@@ -0,0 +1,79 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { Checkboxes } from './checkboxes.mjs'
+
+describe('Checkboxes', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('checkboxes')
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $input
+    let $conditional
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('checkboxes', examples['with conditional items'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $input = $root.querySelector('input[type="checkbox"]')
+      $conditional = document.getElementById(
+        $input.getAttribute('data-aria-controls')
+      )
+    })
+
+    it('restores the original markup', () => {
+      const checkboxes = new Checkboxes($root)
+
+      expect($input).toHaveAttribute('aria-controls', $conditional.id)
+      expect($input).toHaveAttribute('aria-expanded', 'false')
+
+      checkboxes.destroy()
+
+      expect($input).toHaveAttribute('data-aria-controls', $conditional.id)
+      expect($input).not.toHaveAttribute('aria-controls')
+      expect($input).not.toHaveAttribute('aria-expanded')
+      expect($root).not.toHaveAttribute('data-govuk-checkboxes-init')
+    })
+
+    it('stops revealing conditional content on click', () => {
+      new Checkboxes($root).destroy()
+
+      $input.click()
+
+      expect($input).toBeChecked()
+      expect($conditional).toHaveClass('govuk-checkboxes__conditional--hidden')
+    })
+
+    it('stops syncing conditional content when the page is shown again', () => {
+      new Checkboxes($root).destroy()
+
+      $input.checked = true
+      window.dispatchEvent(new window.PageTransitionEvent('pageshow'))
+
+      expect($conditional).toHaveClass('govuk-checkboxes__conditional--hidden')
+    })
+
+    it('allows the component to be initialised again', () => {
+      new Checkboxes($root).destroy()
+
+      expect(() => new Checkboxes($root)).not.toThrow()
+
+      $input.click()
+
+      expect($input).toHaveAttribute('aria-expanded', 'true')
+      expect($conditional).not.toHaveClass(
+        'govuk-checkboxes__conditional--hidden'
+      )
+    })
+  })
+})
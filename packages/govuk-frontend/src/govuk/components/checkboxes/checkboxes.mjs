@@ -10,6 +10,12 @@ export class Checkboxes extends GOVUKFrontendComponent {
   /** @private */
   $inputs
 
+  /** @private */
+  boundSyncAllConditionalReveals
+
+  /** @private */
+  boundHandleClick
+
   /**
    * Checkboxes can be associated with a 'conditionally revealed' content block
    * – for example, a checkbox for 'Phone' could reveal an additional form field
@@ -59,10 +65,15 @@ export class Checkboxes extends GOVUKFrontendComponent {
       $input.removeAttribute('data-aria-controls')
     })
 
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundSyncAllConditionalReveals =
+      this.syncAllConditionalReveals.bind(this)
+    this.boundHandleClick = this.handleClick.bind(this)
+
     // When the page is restored after navigating 'back' in some browsers the
     // state of form controls is not restored until *after* the DOMContentLoaded
     // event is fired, so we need to sync after the pageshow event.
-    window.addEventListener('pageshow', () => this.syncAllConditionalReveals())
+    window.addEventListener('pageshow', this.boundSyncAllConditionalReveals)
 
     // Although we've set up handlers to sync state on the pageshow event, init
     // could be called after those events have fired, for example if they are
@@ -70,7 +81,31 @@ export class Checkboxes extends GOVUKFrontendComponent {
     this.syncAllConditionalReveals()
 
     // Handle events
-    this.$root.addEventListener('click', (event) => this.handleClick(event))
+    this.$root.addEventListener('click', this.boundHandleClick)
+  }
+
+  /**
+   * Destroy checkboxes
+   *
+   * Removes event listeners and demotes the `aria-controls` attributes back to
+   * `data-aria-controls` so the component can be initialised again
+   */
+  destroy() {
+    window.removeEventListener('pageshow', this.boundSyncAllConditionalReveals)
+    this.$root.removeEventListener('click', this.boundHandleClick)
+
+    this.$inputs.forEach(($input) => {
+      const targetId = $input.getAttribute('aria-controls')
+      if (!targetId) {
+        return
+      }
+
+      $input.setAttribute('data-aria-controls', targetId)
+      $input.removeAttribute('aria-controls')
+      $input.removeAttribute('aria-expanded')
+    })
+
+    super.destroy()
   }
 
   /**
@@ -0,0 +1,327 @@
+import { renderComponent } from '@govuk-frontend/helpers/jsdom'
+import { getExamples } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+
+import { CookieBanner } from './cookie-banner.mjs'
+
+describe('Cookie banner', () => {
+  let examples
+  let $root
+
+  function renderExample(example, scripts = '') {
+    $root = renderComponent('cookie-banner', examples[example], {
+      wrap: (html) => `${html}\n${scripts}`
+    })
+  }
+
+  /**
+   * @param {string} example - Example name
+   * @param {{ config?: object, scripts?: string }} [options] - Component config
+   *   and scripts to add after the cookie banner
+   * @returns {CookieBanner} Cookie banner
+   */
+  function initExample(example, { config, scripts } = {}) {
+    renderExample(example, scripts)
+    return new CookieBanner($root, config)
+  }
+
+  // Read the consent cookie saved by the cookie banner
+  function getCookie(name = 'cookies_policy') {
+    const cookie = document.cookie
+      .split('; ')
+      .find((cookie) => cookie.startsWith(`${name}=`))
+
+    return cookie
+      ? JSON.parse(decodeURIComponent(cookie.slice(name.length + 1)))
+      : undefined
+  }
+
+  function setCookie(value, name = 'cookies_policy') {
+    document.cookie = `${name}=${encodeURIComponent(JSON.stringify(value))}`
+  }
+
+  function click(selector) {
+    $root.querySelector(selector).click()
+  }
+
+  beforeAll(async () => {
+    examples = await getExamples('cookie-banner')
+  })
+
+  afterEach(() => {
+    for (const cookie of document.cookie.split('; ')) {
+      document.cookie = `${cookie.split('=')[0]}=; max-age=0`
+    }
+  })
+
+  describe('on page load', () => {
+    it('shows the cookie banner if users have not made a choice', () => {
+      initExample('client-side implementation with JavaScript')
+
+      expect($root).toBeVisible()
+    })
+
+    it('keeps the cookie banner hidden if users have made a choice', () => {
+      setCookie({ version: 1, categories: { analytics: false } })
+      initExample('client-side implementation with JavaScript')
+
+      expect($root).not.toBeVisible()
+    })
+
+    it('shows the cookie banner if users made a choice for an older version', () => {
+      setCookie({ version: 1, categories: { analytics: true } })
+      initExample('client-side implementation with JavaScript', {
+        config: { cookieVersion: 2 }
+      })
+
+      expect($root).toBeVisible()
+    })
+
+    it('shows the cookie banner if the cookie is not valid', () => {
+      document.cookie = 'cookies_policy=not-json'
+      initExample('client-side implementation with JavaScript')
+
+      expect($root).toBeVisible()
+    })
+  })
+
+  describe('when users accept cookies', () => {
+    beforeEach(() => {
+      initExample('client-side implementation with JavaScript')
+      click('.govuk-js-cookie-banner-accept')
+    })
+
+    it('saves their choice in a cookie', () => {
+      expect(getCookie()).toEqual({
+        version: 1,
+        categories: { analytics: true }
+      })
+    })
+
+    it('shows and focuses the accepted confirmation message', () => {
+      const $message = $root.querySelector('.govuk-js-cookie-banner-accepted')
+
+      expect($message).toBeVisible()
+      expect($message).toHaveFocus()
+      expect($message).toHaveAttribute('tabindex', '-1')
+      expect(
+        $root.querySelector('.govuk-js-cookie-banner-rejected')
+      ).not.toBeVisible()
+    })
+
+    it('hides the question', () => {
+      expect(
+        $root.querySelector('.govuk-js-cookie-banner-accept')
+      ).not.toBeVisible()
+    })
+
+    it('hides the cookie banner when the hide button is clicked', () => {
+      click('.govuk-js-cookie-banner-accepted .govuk-js-cookie-banner-hide')
+
+      expect($root).not.toBeVisible()
+    })
+  })
+
+  describe('when users reject cookies', () => {
+    beforeEach(() => {
+      initExample('client-side implementation with JavaScript')
+      click('.govuk-js-cookie-banner-reject')
+    })
+
+    it('saves their choice in a cookie', () => {
+      expect(getCookie()).toEqual({
+        version: 1,
+        categories: { analytics: false }
+      })
+    })
+
+    it('shows and focuses the rejected confirmation message', () => {
+      const $message = $root.querySelector('.govuk-js-cookie-banner-rejected')
+
+      expect($message).toBeVisible()
+      expect($message).toHaveFocus()
+      expect(
+        $root.querySelector('.govuk-js-cookie-banner-accepted')
+      ).not.toBeVisible()
+    })
+  })
+
+  describe('with cookie options', () => {
+    beforeEach(() => {
+      initExample('client-side implementation with cookie options')
+    })
+
+    it('saves every category in the named cookie', () => {
+      click('.govuk-js-cookie-banner-accept')
+
+      expect(getCookie()).toBeUndefined()
+      expect(getCookie('service_cookies')).toEqual({
+        version: 2,
+        categories: { analytics: true, marketing: true }
+      })
+    })
+
+    it('hides the cookie banner if there is no confirmation message', () => {
+      click('.govuk-js-cookie-banner-reject')
+
+      expect($root).not.toBeVisible()
+    })
+  })
+
+  describe('scripts waiting for consent', () => {
+    const scripts = outdent`
+      <script type="text/plain" data-consent-category="analytics">
+        document.body.setAttribute('data-analytics-loaded', '')
+      </script>
+      <script type="text/plain" data-consent-category="marketing">
+        document.body.setAttribute('data-marketing-loaded', '')
+      </script>
+    `
+
+    it('do not run before users make a choice', () => {
+      initExample('client-side implementation with JavaScript', { scripts })
+
+      expect(document.body).not.toHaveAttribute('data-analytics-loaded')
+    })
+
+    it('run when users accept their category of cookies', () => {
+      initExample('client-side implementation with JavaScript', { scripts })
+      click('.govuk-js-cookie-banner-accept')
+
+      expect(document.body).toHaveAttribute('data-analytics-loaded')
+      expect(document.body).not.toHaveAttribute('data-marketing-loaded')
+      expect(
+        document.querySelector('script[data-consent-category="analytics"]')
+      ).not.toHaveAttribute('type')
+    })
+
+    it('do not run when users reject their category of cookies', () => {
+      initExample('client-side implementation with JavaScript', { scripts })
+      click('.govuk-js-cookie-banner-reject')
+
+      expect(document.body).not.toHaveAttribute('data-analytics-loaded')
+    })
+
+    it('run external scripts in page order unless they are async', () => {
+      initExample('client-side implementation with JavaScript', {
+        scripts: outdent`
+          <script type="text/plain" data-consent-category="analytics" src="/analytics.js"></script>
+          <script type="text/plain" data-consent-category="analytics" src="/tag.js" async></script>
+        `
+      })
+      click('.govuk-js-cookie-banner-accept')
+
+      const $scripts = document.querySelectorAll(
+        'script[data-consent-category="analytics"]'
+      )
+
+      expect($scripts[0]).not.toHaveAttribute('type')
+      expect($scripts[0].async).toBe(false)
+      expect($scripts[1]).toHaveAttribute('async')
+    })
+
+    it('run on page load if users have already accepted cookies', () => {
+      setCookie({ version: 1, categories: { analytics: true } })
+      initExample('client-side implementation with JavaScript', { scripts })
+
+      expect(document.body).toHaveAttribute('data-analytics-loaded')
+      expect(document.body).not.toHaveAttribute('data-marketing-loaded')
+    })
+  })
+
+  describe('JavaScript API', () => {
+    let cookieBanner
+
+    beforeEach(() => {
+      cookieBanner = initExample(
+        'client-side implementation with cookie options'
+      )
+    })
+
+    it('returns null from getConsent if users have not made a choice', () => {
+      expect(cookieBanner.getConsent()).toBeNull()
+    })
+
+    it('saves consent for each category with setConsent', () => {
+      cookieBanner.setConsent({ marketing: true, unknown: true })
+
+      expect(cookieBanner.getConsent()).toEqual({
+        analytics: false,
+        marketing: true
+      })
+    })
+
+    it('dispatches a consent change event', () => {
+      const listener = jest.fn()
+      $root.addEventListener('govuk-cookie-banner:consent-change', listener)
+
+      cookieBanner.setConsent({ analytics: true })
+
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          detail: { consent: { analytics: true, marketing: false } }
+        })
+      )
+    })
+
+    it('stops listening for clicks when destroyed', () => {
+      cookieBanner.destroy()
+      click('.govuk-js-cookie-banner-accept')
+
+      expect(cookieBanner.getConsent()).toBeNull()
+    })
+
+    it('restores the cookie banner and its messages when destroyed', () => {
+      renderExample('client-side implementation with JavaScript')
+
+      const $messages = $root.querySelectorAll('.govuk-cookie-banner__message')
+      const hidden = [$root, ...$messages].map(($element) => $element.hidden)
+
+      cookieBanner = new CookieBanner($root)
+      click('.govuk-js-cookie-banner-accept')
+      cookieBanner.destroy()
+
+      expect([$root, ...$messages].map(($element) => $element.hidden)).toEqual(
+        hidden
+      )
+    })
+  })
+
+  describe('errors at instantiation', () => {
+    beforeEach(() => {
+      renderExample('client-side implementation with JavaScript')
+    })
+
+    it('throws when the accept button is missing', () => {
+      $root.querySelector('.govuk-js-cookie-banner-accept').remove()
+
+      expect(() => new CookieBanner($root)).toThrow(
+        new ElementError(
+          'govuk-cookie-banner: Accept button (`.govuk-js-cookie-banner-accept`) not found'
+        )
+      )
+    })
+
+    it('throws when the reject button is missing', () => {
+      $root.querySelector('.govuk-js-cookie-banner-reject').remove()
+
+      expect(() => new CookieBanner($root)).toThrow(
+        new ElementError(
+          'govuk-cookie-banner: Reject button (`.govuk-js-cookie-banner-reject`) not found'
+        )
+      )
+    })
+
+    it('throws when the cookie version is not a number', () => {
+      $root.setAttribute('data-cookie-version', 'latest')
+
+      expect(() => new CookieBanner($root)).toThrow(
+        new ConfigError(
+          'govuk-cookie-banner: "cookieVersion" must be of type "number"'
+        )
+      )
+    })
+  })
+})
@@ -0,0 +1,536 @@
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  setFocus,
+  validateConfig
+} from '../../common/index.mjs'
+import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+
+/**
+ * Cookie banner component
+ *
+ * Saves users' choice to accept or reject optional cookies in a consent
+ * cookie, then shows the matching confirmation message. Scripts added to the
+ * page as `<script type="text/plain" data-consent-category="analytics">` are
+ * only run once users accept that category of cookies.
+ *
+ * @preserve
+ */
+export class CookieBanner extends GOVUKFrontendComponent {
+  /**
+   * @private
+   * @type {CookieBannerConfig}
+   */
+  config
+
+  /** @private */
+  $acceptButton
+
+  /** @private */
+  $rejectButton
+
+  /**
+   * Message asking users to accept or reject cookies
+   *
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $questionMessage = null
+
+  /**
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $acceptedMessage = null
+
+  /**
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $rejectedMessage = null
+
+  /**
+   * @private
+   * @type {NodeListOf<Element>}
+   */
+  $hideButtons
+
+  /**
+   * Whether the cookie banner and each of its messages were hidden before
+   * initialisation, so destroy can restore them
+   *
+   * @private
+   * @type {Map<HTMLElement, boolean>}
+   */
+  hiddenStates = new Map()
+
+  /** @private */
+  boundAccept
+
+  /** @private */
+  boundReject
+
+  /** @private */
+  boundHide
+
+  /**
+   * @param {Element | null} $root - HTML element to use for cookie banner
+   * @param {CookieBannerConfig} [config] - Cookie banner config
+   */
+  constructor($root, config = {}) {
+    super($root)
+
+    this.config = mergeConfigs(
+      CookieBanner.defaults,
+      config,
+      normaliseDataset(CookieBanner, this.$root.dataset)
+    )
+
+    // Check for valid config
+    const errors = validateConfig(CookieBanner.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(CookieBanner, errors[0]))
+    }
+
+    const $acceptButton = this.$root.querySelector(
+      '.govuk-js-cookie-banner-accept'
+    )
+    if (!($acceptButton instanceof HTMLButtonElement)) {
+      throw new ElementError({
+        component: CookieBanner,
+        element: $acceptButton,
+        expectedType: 'HTMLButtonElement',
+        identifier: 'Accept button (`.govuk-js-cookie-banner-accept`)'
+      })
+    }
+
+    const $rejectButton = this.$root.querySelector(
+      '.govuk-js-cookie-banner-reject'
+    )
+    if (!($rejectButton instanceof HTMLButtonElement)) {
+      throw new ElementError({
+        component: CookieBanner,
+        element: $rejectButton,
+        expectedType: 'HTMLButtonElement',
+        identifier: 'Reject button (`.govuk-js-cookie-banner-reject`)'
+      })
+    }
+
+    this.$acceptButton = $acceptButton
+    this.$rejectButton = $rejectButton
+
+    const $questionMessage = $acceptButton.closest(
+      '.govuk-cookie-banner__message'
+    )
+    const $acceptedMessage = this.$root.querySelector(
+      '.govuk-js-cookie-banner-accepted'
+    )
+    const $rejectedMessage = this.$root.querySelector(
+      '.govuk-js-cookie-banner-rejected'
+    )
+
+    if ($questionMessage instanceof HTMLElement) {
+      this.$questionMessage = $questionMessage
+    }
+
+    // Confirmation messages are optional, as the cookie banner can be hidden
+    // as soon as users make a choice instead
+    if ($acceptedMessage instanceof HTMLElement) {
+      this.$acceptedMessage = $acceptedMessage
+    }
+
+    if ($rejectedMessage instanceof HTMLElement) {
+      this.$rejectedMessage = $rejectedMessage
+    }
+
+    this.$hideButtons = this.$root.querySelectorAll(
+      'button.govuk-js-cookie-banner-hide'
+    )
+
+    for (const $element of [
+      this.$root,
+      this.$questionMessage,
+      this.$acceptedMessage,
+      this.$rejectedMessage
+    ]) {
+      if ($element) {
+        this.hiddenStates.set($element, $element.hidden)
+      }
+    }
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundAccept = this.handleAcceptClick.bind(this)
+    this.boundReject = this.handleRejectClick.bind(this)
+    this.boundHide = this.hide.bind(this)
+
+    this.$acceptButton.addEventListener('click', this.boundAccept)
+    this.$rejectButton.addEventListener('click', this.boundReject)
+    this.$hideButtons.forEach(($button) => {
+      $button.addEventListener('click', this.boundHide)
+    })
+
+    // Only ask users about cookies if they haven't already made a choice
+    const consent = this.getConsent()
+    this.$root.hidden = !!consent
+
+    if (consent) {
+      this.activateScripts(consent)
+    }
+  }
+
+  /**
+   * Destroy cookie banner
+   *
+   * Removes event listeners from the accept, reject and hide buttons, and
+   * shows or hides the cookie banner and its messages as they were before
+   * initialisation
+   */
+  destroy() {
+    this.$acceptButton.removeEventListener('click', this.boundAccept)
+    this.$rejectButton.removeEventListener('click', this.boundReject)
+    this.$hideButtons.forEach(($button) => {
+      $button.removeEventListener('click', this.boundHide)
+    })
+
+    this.hiddenStates.forEach((hidden, $element) => {
+      $element.hidden = hidden
+    })
+
+    super.destroy()
+  }
+
+  /**
+   * Get the categories of cookies users have accepted or rejected
+   *
+   * Returns `null` if users have not made a choice, or made their choice
+   * before the `cookieVersion` changed.
+   *
+   * @returns {CookieBannerConsent | null} Consent by category of cookies
+   */
+  getConsent() {
+    const value = getCookie(this.config.cookieName ?? '')
+
+    if (!value) {
+      return null
+    }
+
+    try {
+      const cookie = /** @type {unknown} */ (JSON.parse(value))
+
+      if (
+        !cookie ||
+        typeof cookie !== 'object' ||
+        !('version' in cookie) ||
+        !('categories' in cookie) ||
+        cookie.version !== this.config.cookieVersion ||
+        !cookie.categories ||
+        typeof cookie.categories !== 'object'
+      ) {
+        return null
+      }
+
+      /** @type {CookieBannerConsent} */
+      const consent = {}
+
+      for (const [category, accepted] of Object.entries(cookie.categories)) {
+        if (typeof accepted === 'boolean') {
+          consent[category] = accepted
+        }
+      }
+
+      return consent
+    } catch (exception) {
+      return null
+    }
+  }
+
+  /**
+   * Save the categories of cookies users have accepted or rejected
+   *
+   * Writes the consent cookie, runs scripts for any accepted categories and
+   * dispatches a `govuk-cookie-banner:consent-change` event. Categories not
+   * included are saved as rejected.
+   *
+   * Scripts that have already run are not stopped if users later reject their
+   * category of cookies.
+   *
+   * @param {CookieBannerConsent} consent - Consent by category of cookies
+   */
+  setConsent(consent) {
+    /** @type {CookieBannerConsent} */
+    const categories = {}
+
+    for (const category of this.getCategories()) {
+      categories[category] = !!consent[category]
+    }
+
+    setCookie(
+      this.config.cookieName ?? '',
+      JSON.stringify({ version: this.config.cookieVersion, categories }),
+      this.config.cookieExpiry ?? 0
+    )
+
+    this.activateScripts(categories)
+    this.dispatch('consent-change', { consent: categories })
+  }
+
+  /**
+   * Accept all categories of cookies
+   *
+   * Saves the choice and shows the accepted confirmation message
+   */
+  accept() {
+    this.setConsent(this.getConsentForAll(true))
+    this.showMessage(this.$acceptedMessage)
+  }
+
+  /**
+   * Reject all categories of cookies
+   *
+   * Saves the choice and shows the rejected confirmation message
+   */
+  reject() {
+    this.setConsent(this.getConsentForAll(false))
+    this.showMessage(this.$rejectedMessage)
+  }
+
+  /**
+   * Hide the cookie banner
+   */
+  hide() {
+    this.$root.hidden = true
+  }
+
+  /**
+   * Handle accept button click
+   *
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleAcceptClick(event) {
+    // Prevent submitting the form, if the button is a submit button
+    event.preventDefault()
+    this.accept()
+  }
+
+  /**
+   * Handle reject button click
+   *
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleRejectClick(event) {
+    // Prevent submitting the form, if the button is a submit button
+    event.preventDefault()
+    this.reject()
+  }
+
+  /**
+   * Show a confirmation message in place of the question
+   *
+   * Moves focus to the confirmation message so screen reader users hear it,
+   * or hides the cookie banner if there is no confirmation message
+   *
+   * @private
+   * @param {HTMLElement | null} $message - Confirmation message
+   */
+  showMessage($message) {
+    if (!$message) {
+      this.hide()
+      return
+    }
+
+    if (this.$questionMessage) {
+      this.$questionMessage.hidden = true
+    }
+
+    $message.hidden = false
+    setFocus($message)
+  }
+
+  /**
+   * Get the categories of cookies users can accept or reject
+   *
+   * @private
+   * @returns {string[]} Categories of cookies
+   */
+  getCategories() {
+    return (this.config.categories ?? '').split(' ').filter(Boolean)
+  }
+
+  /**
+   * Get consent for all categories of cookies
+   *
+   * @private
+   * @param {boolean} accepted - Whether all categories are accepted
+   * @returns {CookieBannerConsent} Consent by category of cookies
+   */
+  getConsentForAll(accepted) {
+    /** @type {CookieBannerConsent} */
+    const consent = {}
+
+    for (const category of this.getCategories()) {
+      consent[category] = accepted
+    }
+
+    return consent
+  }
+
+  /**
+   * Run scripts for accepted categories of cookies
+   *
+   * Replaces each `<script type="text/plain">` with a `data-consent-category`
+   * attribute for an accepted category with a copy the browser will run
+   *
+   * @private
+   * @param {CookieBannerConsent} consent - Consent by category of cookies
+   */
+  activateScripts(consent) {
+    const $scripts = document.querySelectorAll(
+      'script[type="text/plain"][data-consent-category]'
+    )
+
+    $scripts.forEach(($script) => {
+      if (
+        !($script instanceof HTMLScriptElement) ||
+        !consent[$script.dataset.consentCategory ?? '']
+      ) {
+        return
+      }
+
+      const $activeScript = document.createElement('script')
+
+      for (const { name, value } of Array.from($script.attributes)) {
+        if (name !== 'type') {
+          $activeScript.setAttribute(name, value)
+        }
+      }
+
+      // Browsers hide the `nonce` attribute value, so copy the property
+      $activeScript.nonce = $script.nonce
+      $activeScript.text = $script.text
+
+      // Scripts added using JavaScript run as soon as they load, so keep
+      // external scripts running in page order unless they are `async`
+      if ($script.src && !$script.hasAttribute('async')) {
+        $activeScript.async = false
+      }
+
+      $script.replaceWith($activeScript)
+    })
+  }
+
+  /**
+   * Name for the component used when initialising using data-module attributes.
+   */
+  static moduleName = 'govuk-cookie-banner'
+
+  /**
+   * Cookie banner default config
+   *
+   * @see {@link CookieBannerConfig}
+   * @constant
+   * @type {CookieBannerConfig}
+   */
+  static defaults = Object.freeze({
+    cookieName: 'cookies_policy',
+    cookieVersion: 1,
+    cookieExpiry: 365,
+    categories: 'analytics'
+  })
+
+  /**
+   * Cookie banner config schema
+   *
+   * @constant
+   * @satisfies {Schema}
+   */
+  static schema = Object.freeze({
+    properties: {
+      cookieName: { type: 'string' },
+      cookieVersion: { type: 'number', minimum: 1 },
+      cookieExpiry: { type: 'number', minimum: 1 },
+      categories: { type: 'string' }
+    }
+  })
+}
+
+/**
+ * Get the value of a cookie
+ *
+ * @private
+ * @param {string} name - Cookie name
+ * @returns {string | null} Cookie value, or `null` if not set
+ */
+function getCookie(name) {
+  for (const cookie of document.cookie.split(';')) {
+    const [key, ...value] = cookie.trim().split('=')
+
+    if (key === name) {
+      try {
+        return decodeURIComponent(value.join('='))
+      } catch (exception) {
+        return null
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Set a cookie for the whole site
+ *
+ * @private
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {number} days - Number of days until the cookie expires
+ */
+function setCookie(name, value, days) {
+  let cookie = `${name}=${encodeURIComponent(value)}; path=/; max-age=${days * 24 * 60 * 60}; samesite=lax`
+
+  if (window.location.protocol === 'https:') {
+    cookie += '; secure'
+  }
+
+  document.cookie = cookie
+}
+
+/**
+ * Cookie banner config
+ *
+ * @typedef {object} CookieBannerConfig
+ * @property {string} [cookieName='cookies_policy'] - Name of the cookie used
+ *   to save users' choice.
+ * @property {number} [cookieVersion=1] - Version of the consent cookie.
+ *   Increase the version to ask users again, for example when you start
+ *   using a new category of cookies.
+ * @property {number} [cookieExpiry=365] - Number of days until the consent
+ *   cookie expires.
+ * @property {string} [categories='analytics'] - Space-separated list of the
+ *   categories of optional cookies users accept or reject using the cookie
+ *   banner, for example `'analytics marketing'`.
+ */
+
+/**
+ * Cookie banner consent
+ *
+ * Whether users have accepted each category of cookies
+ *
+ * @typedef {{ [category: string]: boolean }} CookieBannerConsent
+ */
+
+/**
+ * Cookie banner consent change event
+ *
+ * Dispatched from the cookie banner root element as
+ * `govuk-cookie-banner:consent-change` when users accept or reject cookies.
+ *
+ * @typedef {CustomEvent<{ consent: CookieBannerConsent }>} CookieBannerConsentChangeEvent
+ */
+
+/**
+ * @typedef {import('../../common/index.mjs').Schema} Schema
+ */
@@ -0,0 +1,161 @@
+const {
+  goToComponent,
+  isVisible,
+  render
+} = require('@govuk-frontend/helpers/puppeteer')
+const { getExamples } = require('@govuk-frontend/lib/components')
+
+const bannerSelector = '[data-module="govuk-cookie-banner"]'
+const acceptSelector = '.govuk-js-cookie-banner-accept'
+const rejectSelector = '.govuk-js-cookie-banner-reject'
+const acceptedSelector = '.govuk-js-cookie-banner-accepted'
+const rejectedSelector = '.govuk-js-cookie-banner-rejected'
+
+describe('/components/cookie-banner', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('cookie-banner')
+  })
+
+  describe('/components/cookie-banner/client-side-implementation-with-javascript/preview', () => {
+    describe('when JavaScript is unavailable or fails', () => {
+      beforeAll(async () => {
+        await page.setJavaScriptEnabled(false)
+      })
+
+      afterAll(async () => {
+        await page.setJavaScriptEnabled(true)
+      })
+
+      it('keeps the cookie banner hidden', async () => {
+        await render(
+          page,
+          'cookie-banner',
+          examples['client-side implementation with JavaScript']
+        )
+
+        const $banner = await page.$(bannerSelector)
+        await expect(isVisible($banner)).resolves.toBe(false)
+      })
+    })
+
+    describe('when JavaScript is available', () => {
+      let page
+
+      // Cookies are only available over HTTP, so use the Review app preview
+      beforeEach(async () => {
+        page = await goToComponent(browser, 'cookie-banner', {
+          exampleName: 'client-side implementation with JavaScript'
+        })
+      })
+
+      afterEach(async () => {
+        await page.deleteCookie(...(await page.cookies()))
+        await page.close()
+      })
+
+      it('shows the cookie banner', async () => {
+        const $banner = await page.$(bannerSelector)
+        await expect(isVisible($banner)).resolves.toBe(true)
+      })
+
+      it('saves consent and focuses the confirmation when users accept cookies', async () => {
+        await page.click(acceptSelector)
+
+        const cookies = await page.cookies()
+        const cookie = cookies.find(({ name }) => name === 'cookies_policy')
+
+        expect(JSON.parse(decodeURIComponent(cookie.value))).toEqual({
+          version: 1,
+          categories: { analytics: true }
+        })
+
+        const $message = await page.$(acceptedSelector)
+        await expect(isVisible($message)).resolves.toBe(true)
+
+        const activeElementIsMessage = await page.$eval(
+          acceptedSelector,
+          ($message) => document.activeElement === $message
+        )
+
+        expect(activeElementIsMessage).toBe(true)
+      })
+
+      it('saves consent and focuses the confirmation when users reject cookies', async () => {
+        await page.click(rejectSelector)
+
+        const cookies = await page.cookies()
+        const cookie = cookies.find(({ name }) => name === 'cookies_policy')
+
+        expect(JSON.parse(decodeURIComponent(cookie.value))).toEqual({
+          version: 1,
+          categories: { analytics: false }
+        })
+
+        const $message = await page.$(rejectedSelector)
+        await expect(isVisible($message)).resolves.toBe(true)
+      })
+
+      it('hides the cookie banner when users hide the confirmation', async () => {
+        await page.click(acceptSelector)
+        await page.click(`${acceptedSelector} .govuk-js-cookie-banner-hide`)
+
+        const $banner = await page.$(bannerSelector)
+        await expect(isVisible($banner)).resolves.toBe(false)
+      })
+
+      it('keeps the cookie banner hidden once users have made a choice', async () => {
+        await page.click(rejectSelector)
+        await page.reload()
+
+        const $banner = await page.$(bannerSelector)
+        await expect(isVisible($banner)).resolves.toBe(false)
+      })
+    })
+
+    describe('errors at instantiation', () => {
+      it('throws when the accept button is missing', async () => {
+        await expect(
+          render(
+            page,
+            'cookie-banner',
+            examples['client-side implementation with JavaScript'],
+            {
+              beforeInitialisation($root) {
+                $root.querySelector('.govuk-js-cookie-banner-accept').remove()
+              }
+            }
+          )
+        ).rejects.toMatchObject({
+          cause: {
+            name: 'ElementError',
+            message:
+              'govuk-cookie-banner: Accept button (`.govuk-js-cookie-banner-accept`) not found'
+          }
+        })
+      })
+
+      it('throws when the cookie version is not a number', async () => {
+        await expect(
+          render(
+            page,
+            'cookie-banner',
+            examples['client-side implementation with JavaScript'],
+            {
+              beforeInitialisation($root) {
+                $root.setAttribute('data-cookie-version', 'latest')
+              }
+            }
+          )
+        ).rejects.toMatchObject({
+          cause: {
+            name: 'ConfigError',
+            message:
+              'govuk-cookie-banner: "cookieVersion" must be of type "number"'
+          }
+        })
+      })
+    })
+  })
+})
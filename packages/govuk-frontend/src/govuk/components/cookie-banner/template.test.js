@@ -257,6 +257,51 @@ describe('Cookie Banner', () => {
     })
   })
 
+  describe('client-side implementation with JavaScript', () => {
+    it('renders with data-module attribute to initialise JavaScript', () => {
+      const $ = render(
+        'cookie-banner',
+        examples['client-side implementation with JavaScript']
+      )
+
+      const $component = $('.govuk-cookie-banner')
+      expect($component.attr('data-module')).toBe('govuk-cookie-banner')
+    })
+
+    it('does not render data-module attribute by default', () => {
+      const $ = render('cookie-banner', examples['client-side implementation'])
+
+      const $component = $('.govuk-cookie-banner')
+      expect($component.attr('data-module')).toBeUndefined()
+    })
+
+    it('does not render cookie options by default', () => {
+      const $ = render(
+        'cookie-banner',
+        examples['client-side implementation with JavaScript']
+      )
+
+      const $component = $('.govuk-cookie-banner')
+      expect($component.attr('data-cookie-name')).toBeUndefined()
+      expect($component.attr('data-cookie-version')).toBeUndefined()
+      expect($component.attr('data-cookie-expiry')).toBeUndefined()
+      expect($component.attr('data-categories')).toBeUndefined()
+    })
+
+    it('renders cookie options as data attributes', () => {
+      const $ = render(
+        'cookie-banner',
+        examples['client-side implementation with cookie options']
+      )
+
+      const $component = $('.govuk-cookie-banner')
+      expect($component.attr('data-cookie-name')).toBe('service_cookies')
+      expect($component.attr('data-cookie-version')).toBe('2')
+      expect($component.attr('data-cookie-expiry')).toBe('90')
+      expect($component.attr('data-categories')).toBe('analytics marketing')
+    })
+  })
+
   describe('full cookie banner hidden', () => {
     it('HTML for 3 banners is present', () => {
       const $ = render('cookie-banner', examples['full banner hidden'])
@@ -0,0 +1,433 @@
+import { renderComponent } from '@govuk-frontend/helpers/jsdom'
+import { getExamples } from '@govuk-frontend/lib/components'
+
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+
+import { DateInput } from './date-input.mjs'
+
+describe('Date input', () => {
+  let examples
+  let $root
+  let $day
+  let $month
+  let $year
+
+  function renderExample(example) {
+    $root = renderComponent('date-input', examples[example], {
+      wrap: (html) => `${html}\n<button type="submit">Continue</button>`
+    })
+
+    $day = $root.querySelector('[name$="day"]')
+    $month = $root.querySelector('[name$="month"]')
+    $year = $root.querySelector('[name$="year"]')
+  }
+
+  function initExample(example, config) {
+    renderExample(example)
+    return new DateInput($root, config)
+  }
+
+  // Paste text into a field, returning whether the paste was cancelled
+  function paste($input, text) {
+    const event = new window.Event('paste', {
+      bubbles: true,
+      cancelable: true
+    })
+
+    Object.defineProperty(event, 'clipboardData', {
+      value: { getData: () => text }
+    })
+
+    $input.dispatchEvent(event)
+
+    return event.defaultPrevented
+  }
+
+  // Move focus out of a field, to another field or out of the date input
+  function leave($input, $relatedTarget = document.querySelector('button')) {
+    $input.dispatchEvent(
+      new window.FocusEvent('focusout', {
+        bubbles: true,
+        relatedTarget: $relatedTarget
+      })
+    )
+  }
+
+  function fillIn(day, month, year) {
+    $day.value = day
+    $month.value = month
+    $year.value = year
+    leave($year)
+  }
+
+  function getErrorMessage() {
+    return document.querySelector('.govuk-error-message')
+  }
+
+  beforeAll(async () => {
+    examples = await getExamples('date-input')
+  })
+
+  describe('when users paste a date', () => {
+    beforeEach(() => {
+      initExample('complete question')
+    })
+
+    it.each([
+      ['12/03/2024', ['12', '03', '2024']],
+      ['12.03.2024', ['12', '03', '2024']],
+      ['12 March 2024', ['12', '3', '2024']],
+      ['12th Mar 2024', ['12', '3', '2024']],
+      ['March 12, 2024', ['12', '3', '2024']],
+      ['2024-03-12', ['12', '03', '2024']]
+    ])('splits %s across the fields', (text, [day, month, year]) => {
+      expect(paste($day, text)).toBe(true)
+
+      expect($day).toHaveValue(day)
+      expect($month).toHaveValue(month)
+      expect($year).toHaveValue(year)
+    })
+
+    it('splits the date when pasted into any field', () => {
+      $year.value = '1999'
+
+      paste($year, '1/2/2003')
+
+      expect($day).toHaveValue('1')
+      expect($month).toHaveValue('2')
+      expect($year).toHaveValue('2003')
+    })
+
+    it('dispatches input events for each field', () => {
+      const onInput = jest.fn()
+      $root.addEventListener('input', onInput)
+
+      paste($day, '12/03/2024')
+
+      expect(onInput).toHaveBeenCalledTimes(3)
+    })
+
+    it.each(['12', '12/03', '12/03/2024/1', 'Twelve March 2024'])(
+      'pastes %s as normal',
+      (text) => {
+        expect(paste($day, text)).toBe(false)
+
+        expect($day).toHaveValue('')
+        expect($month).toHaveValue('')
+        expect($year).toHaveValue('')
+      }
+    )
+
+    it('splits the date across month and year fields', () => {
+      initExample('month and year')
+
+      expect(paste($month, 'September 2024')).toBe(true)
+      expect($month).toHaveValue('9')
+      expect($year).toHaveValue('2024')
+    })
+  })
+
+  describe('when users leave a field', () => {
+    beforeEach(() => {
+      initExample('complete question')
+    })
+
+    it('replaces month names with their number', () => {
+      $month.value = 'Sept'
+      leave($month)
+
+      expect($month).toHaveValue('9')
+    })
+
+    it('removes spaces and ordinal suffixes', () => {
+      $day.value = ' 3rd '
+      $year.value = '20 24'
+      leave($day)
+      leave($year)
+
+      expect($day).toHaveValue('3')
+      expect($year).toHaveValue('2024')
+    })
+
+    it('keeps values it does not recognise', () => {
+      $month.value = 'Ma'
+      leave($month)
+
+      expect($month).toHaveValue('Ma')
+    })
+
+    it('does not check the date', () => {
+      fillIn('31', '2', '2024')
+
+      expect(getErrorMessage()).toBeNull()
+    })
+  })
+
+  describe('with validation', () => {
+    beforeEach(() => {
+      initExample('with validation')
+    })
+
+    it('shows an error message if the date is not a real date', () => {
+      fillIn('31', '2', '2024')
+
+      const $errorMessage = getErrorMessage()
+
+      expect($errorMessage).toHaveTextContent('Error: Date must be a real date')
+      expect($errorMessage.nextElementSibling).toBe($root)
+      expect($root.closest('.govuk-form-group')).toHaveClass(
+        'govuk-form-group--error'
+      )
+      expect($root.closest('fieldset')).toHaveAccessibleDescription(
+        'For example, 27 3 2007 Error: Date must be a real date'
+      )
+    })
+
+    it('adds error styles to the fields that are not valid', () => {
+      fillIn('31', '2', '2024')
+
+      expect($day).toHaveClass('govuk-input--error')
+      expect($month).not.toHaveClass('govuk-input--error')
+      expect($year).not.toHaveClass('govuk-input--error')
+
+      fillIn('1', '13', '24')
+
+      expect($day).not.toHaveClass('govuk-input--error')
+      expect($month).toHaveClass('govuk-input--error')
+      expect($year).toHaveClass('govuk-input--error')
+    })
+
+    it('accepts 29 February in a leap year', () => {
+      fillIn('29', 'Feb', '2024')
+
+      expect(getErrorMessage()).toBeNull()
+    })
+
+    it('shows an error message if the date is before the earliest date', () => {
+      fillIn('31', '12', '1989')
+
+      expect(getErrorMessage()).toHaveTextContent(
+        'Date must be the same as or after 1 January 1990'
+      )
+      expect($day).toHaveClass('govuk-input--error')
+      expect($month).toHaveClass('govuk-input--error')
+      expect($year).toHaveClass('govuk-input--error')
+    })
+
+    it('shows an error message if the date is after the latest date', () => {
+      fillIn('1', '1', '2030')
+
+      expect(getErrorMessage()).toHaveTextContent(
+        'Date must be the same as or before 31 December 2029'
+      )
+    })
+
+    it('does not check the date while users move between the fields', () => {
+      $day.value = '31'
+      $month.value = '2'
+      $year.value = '2024'
+      leave($day, $month)
+
+      expect(getErrorMessage()).toBeNull()
+    })
+
+    it('does not check the date until every field is filled in', () => {
+      fillIn('31', '2', '')
+
+      expect(getErrorMessage()).toBeNull()
+    })
+
+    it('checks the date again when a field changes, if there is an error', () => {
+      fillIn('31', '2', '2024')
+
+      $day.value = '29'
+      $day.dispatchEvent(new window.Event('change', { bubbles: true }))
+
+      expect(getErrorMessage()).toBeNull()
+      expect($day).not.toHaveClass('govuk-input--error')
+    })
+
+    it('does not check the date when a field changes, if there is no error', () => {
+      $day.value = '31'
+      $month.value = '2'
+      $year.value = '2024'
+      $day.dispatchEvent(new window.Event('change', { bubbles: true }))
+
+      expect(getErrorMessage()).toBeNull()
+    })
+
+    it('removes the error message once the date is valid', () => {
+      fillIn('31', '2', '2024')
+      fillIn('28', '2', '2024')
+
+      expect(getErrorMessage()).toBeNull()
+      expect($day).not.toHaveClass('govuk-input--error')
+      expect($root.closest('.govuk-form-group')).not.toHaveClass(
+        'govuk-form-group--error'
+      )
+      expect($root.closest('fieldset')).toHaveAccessibleDescription(
+        'For example, 27 3 2007'
+      )
+    })
+  })
+
+  describe('with validation and an error message from the server', () => {
+    beforeEach(() => {
+      initExample('with errors only', { validate: true })
+    })
+
+    it('replaces the content of the error message', () => {
+      fillIn('31', '4', '2024')
+
+      expect(document.querySelectorAll('.govuk-error-message')).toHaveLength(1)
+      expect(getErrorMessage()).toHaveTextContent(
+        'Error: Date must be a real date'
+      )
+    })
+
+    it('restores the error message once the date is valid', () => {
+      fillIn('31', '4', '2024')
+      fillIn('30', '4', '2024')
+
+      expect(getErrorMessage()).toHaveTextContent(
+        'Error: Error message goes here'
+      )
+      expect($day).toHaveClass('govuk-input--error')
+      expect($root.closest('.govuk-form-group')).toHaveClass(
+        'govuk-form-group--error'
+      )
+    })
+  })
+
+  describe('with translations', () => {
+    beforeEach(() => {
+      initExample('with validation and translations')
+    })
+
+    it('shows error messages using data attributes', () => {
+      fillIn('31', '2', '2024')
+
+      expect(getErrorMessage()).toHaveTextContent(
+        'Gwall: Rhaid i’r dyddiad fod yn ddyddiad go iawn'
+      )
+    })
+
+    it('formats dates in the language of the page', () => {
+      fillIn('1', '1', '2025')
+
+      expect(getErrorMessage()).toHaveTextContent(
+        'Rhaid i’r dyddiad fod yr un fath â 31 Rhagfyr 2024 neu cyn hynny'
+      )
+    })
+
+    it('accepts month names in the language of the page', () => {
+      $month.value = 'Mawrth'
+      leave($month)
+
+      expect($month).toHaveValue('3')
+
+      expect(paste($day, '1 Ebrill 2024')).toBe(true)
+      expect($month).toHaveValue('4')
+    })
+  })
+
+  describe('JavaScript API', () => {
+    let dateInput
+
+    beforeEach(() => {
+      dateInput = initExample('complete question', { min: '2000-01-01' })
+    })
+
+    it('checks the date', () => {
+      $day.value = '1'
+      $month.value = '1'
+      $year.value = '1999'
+
+      expect(dateInput.validate()).toBe(false)
+      expect(getErrorMessage()).toHaveTextContent(
+        'Date must be the same as or after 1 January 2000'
+      )
+
+      $year.value = '2000'
+
+      expect(dateInput.validate()).toBe(true)
+      expect(getErrorMessage()).toBeNull()
+    })
+
+    it('removes the error message and listeners when destroyed', () => {
+      $day.value = '32'
+      $month.value = '1'
+      $year.value = '2000'
+      dateInput.validate()
+
+      dateInput.destroy()
+
+      expect(getErrorMessage()).toBeNull()
+      expect($day).not.toHaveClass('govuk-input--error')
+      expect(paste($day, '1/1/2000')).toBe(false)
+    })
+  })
+
+  describe('errors at instantiation', () => {
+    it('throws when there are no day, month or year fields', () => {
+      renderExample('with nested name')
+      $root.innerHTML = '<input class="govuk-date-input__input" name="date">'
+
+      expect(() => new DateInput($root)).toThrow(
+        new ElementError(
+          'govuk-date-input: Day, month or year fields (`.govuk-date-input__input`) not found'
+        )
+      )
+    })
+
+    it('throws when validating a date input without an `id`', () => {
+      renderExample('with validation')
+      $root.removeAttribute('id')
+
+      expect(() => new DateInput($root)).toThrow(
+        new ElementError(
+          'govuk-date-input: Date input `id` attribute not found'
+        )
+      )
+    })
+
+    it('does not need an `id` if validation is not enabled', () => {
+      renderExample('complete question')
+      $root.removeAttribute('id')
+
+      expect(() => new DateInput($root)).not.toThrow()
+    })
+
+    it('throws when the earliest date is not a date', () => {
+      renderExample('with validation')
+      $root.setAttribute('data-min', '31/12/1989')
+
+      expect(() => new DateInput($root)).toThrow(
+        new ConfigError(
+          'govuk-date-input: "min" must be a date in the format "YYYY-MM-DD"'
+        )
+      )
+    })
+
+    it('throws for unknown translations', () => {
+      renderExample('with validation')
+      $root.setAttribute('data-i18n.date-invalid', 'Date must be real')
+
+      expect(() => new DateInput($root)).toThrow(
+        new ConfigError(
+          'govuk-date-input: "i18n.dateInvalid" is not a known config option'
+        )
+      )
+    })
+
+    it('throws when the latest date is not a real date', () => {
+      renderExample('complete question')
+
+      expect(() => new DateInput($root, { max: '2029-02-30' })).toThrow(
+        new ConfigError(
+          'govuk-date-input: "max" must be a date in the format "YYYY-MM-DD"'
+        )
+      )
+    })
+  })
+})
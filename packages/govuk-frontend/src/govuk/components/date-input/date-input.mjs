@@ -0,0 +1,733 @@
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  getDateLocales,
+  getDatePart,
+  getDaysInMonth,
+  parseISODate
+} from '../../common/date.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
+import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+import { I18n } from '../../i18n.mjs'
+
+/**
+ * Date input component
+ *
+ * Splits a full date pasted into any field across the day, month and year
+ * fields, and tidies up values when users leave a field, for example changing
+ * `March` to `3`. Can also check the date is a real date within a range, and
+ * show an error message if it is not.
+ *
+ * The server must still check the date, as users can submit the form without
+ * JavaScript or before leaving the fields.
+ *
+ * @preserve
+ */
+export class DateInput extends GOVUKFrontendComponent {
+  /**
+   * @private
+   * @type {DateInputConfig}
+   */
+  config
+
+  /** @private */
+  i18n
+
+  /**
+   * Day, month and year fields, in the order they are shown
+   *
+   * @private
+   * @type {DateInputField[]}
+   */
+  fields
+
+  /**
+   * Month names users can type or paste, lowercase, for January to December
+   *
+   * @private
+   * @type {string[][]}
+   */
+  monthNames
+
+  /**
+   * Error message shown by the component, if any
+   *
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $errorMessage = null
+
+  /**
+   * HTML of the error message rendered by the server, if the component
+   * replaced its content
+   *
+   * @private
+   * @type {string | null}
+   */
+  serverErrorMessageHtml = null
+
+  /**
+   * Fields the component added error styles to
+   *
+   * @private
+   * @type {HTMLInputElement[]}
+   */
+  $invalidInputs = []
+
+  /** @private */
+  boundHandlePaste
+
+  /** @private */
+  boundHandleFocusOut
+
+  /** @private */
+  boundHandleChange
+
+  /**
+   * @param {Element | null} $root - HTML element to use for date input
+   * @param {DateInputConfig} [config] - Date input config
+   */
+  constructor($root, config = {}) {
+    super($root)
+
+    this.fields = []
+
+    const $inputs = this.$root.querySelectorAll('.govuk-date-input__input')
+
+    for (const $input of Array.from($inputs)) {
+      const part = getDatePart($input)
+
+      if ($input instanceof HTMLInputElement && part) {
+        this.fields.push({ $input, part })
+      }
+    }
+
+    if (!this.fields.length) {
+      throw new ElementError({
+        component: DateInput,
+        identifier: 'Day, month or year fields (`.govuk-date-input__input`)'
+      })
+    }
+
+    this.config = mergeConfigs(
+      DateInput.defaults,
+      config,
+      normaliseDataset(DateInput, this.$root.dataset)
+    )
+
+    // Check for valid config
+    const errors = validateConfig(DateInput.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(DateInput, errors[0]))
+    }
+
+    // Error messages shown when validating need an ID to link them to the
+    // fields
+    if (this.config.validate && !this.$root.id) {
+      throw new ElementError({
+        component: DateInput,
+        identifier: 'Date input `id` attribute'
+      })
+    }
+
+    for (const key of /** @type {const} */ (['min', 'max'])) {
+      const value = this.config[key]
+
+      if (typeof value === 'string' && !parseISODate(value)) {
+        throw new ConfigError(
+          formatErrorMessage(
+            DateInput,
+            `"${key}" must be a date in the format "YYYY-MM-DD"`
+          )
+        )
+      }
+    }
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    this.monthNames = getMonthNames(this.i18n.locale)
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandlePaste = this.handlePaste.bind(this)
+    this.boundHandleFocusOut = this.handleFocusOut.bind(this)
+    this.boundHandleChange = this.handleChange.bind(this)
+
+    this.$root.addEventListener('paste', this.boundHandlePaste)
+    this.$root.addEventListener('focusout', this.boundHandleFocusOut)
+    this.$root.addEventListener('change', this.boundHandleChange)
+  }
+
+  /**
+   * Destroy date input
+   *
+   * Removes the event listeners and any error message shown by the component
+   */
+  destroy() {
+    this.$root.removeEventListener('paste', this.boundHandlePaste)
+    this.$root.removeEventListener('focusout', this.boundHandleFocusOut)
+    this.$root.removeEventListener('change', this.boundHandleChange)
+
+    this.hideError()
+
+    super.destroy()
+  }
+
+  /**
+   * Check the date is a real date within the range allowed
+   *
+   * Shows an error message if it is not, or hides the error message shown
+   * by a previous check. Dates are only checked once users have filled in
+   * every field.
+   *
+   * @returns {boolean} Whether the date is valid, or not filled in yet
+   */
+  validate() {
+    const values = this.getValues()
+
+    if (this.fields.some(({ part }) => !values[part])) {
+      this.hideError()
+      return true
+    }
+
+    const { day, month, year } = values
+
+    /** @type {DateInputPart[]} */
+    const invalidParts = []
+
+    const monthNumber = month ? Number(month) : 1
+    const yearNumber = year ? Number(year) : 2000 // Leap year, for 29 February
+
+    if (year && !/^\d{4}$/.test(year)) {
+      invalidParts.push('year')
+    }
+
+    if (
+      month &&
+      (!/^\d+$/.test(month) || monthNumber < 1 || monthNumber > 12)
+    ) {
+      invalidParts.push('month')
+    }
+
+    if (
+      day &&
+      (!/^\d+$/.test(day) ||
+        Number(day) < 1 ||
+        Number(day) > getDaysInMonth(yearNumber, monthNumber))
+    ) {
+      invalidParts.push('day')
+    }
+
+    if (invalidParts.length) {
+      this.showError(
+        this.i18n.t('invalidDate'),
+        this.fields.filter(({ part }) => invalidParts.includes(part))
+      )
+
+      return false
+    }
+
+    // Compare the date with the range allowed, as precisely as the fields
+    // allow, for example by month for month and year fields
+    if (year) {
+      const date = [year, month, day]
+        .filter(Boolean)
+        .map((value) => `${Number(value) < 10 ? '0' : ''}${Number(value)}`)
+        .join('-')
+
+      const { min, max } = this.config
+
+      if (min && date < min.slice(0, date.length)) {
+        this.showError(
+          this.i18n.t('dateBeforeMin', { date: this.formatDate(min) }),
+          this.fields
+        )
+
+        return false
+      }
+
+      if (max && date > max.slice(0, date.length)) {
+        this.showError(
+          this.i18n.t('dateAfterMax', { date: this.formatDate(max) }),
+          this.fields
+        )
+
+        return false
+      }
+    }
+
+    this.hideError()
+    return true
+  }
+
+  /**
+   * Handle text pasted into a field
+   *
+   * Splits a full date, such as `12/03/2024` or `12 March 2024`, across the
+   * fields. Other text is pasted as normal.
+   *
+   * @private
+   * @param {ClipboardEvent} event - Paste event
+   */
+  handlePaste(event) {
+    const values = this.parseDate(event.clipboardData?.getData('text') ?? '')
+
+    if (!values) {
+      return
+    }
+
+    event.preventDefault()
+
+    for (const { $input, part } of this.fields) {
+      $input.value = values[part] ?? ''
+
+      // Let other scripts know the value has changed, as when users type
+      $input.dispatchEvent(new Event('input', { bubbles: true }))
+    }
+  }
+
+  /**
+   * Handle focus leaving a field
+   *
+   * Tidies up the value of the field, then checks the date if validation is
+   * enabled and focus has left all the fields
+   *
+   * @private
+   * @param {FocusEvent} event - Focus out event
+   */
+  handleFocusOut(event) {
+    const field = this.fields.find(({ $input }) => $input === event.target)
+
+    if (field) {
+      const value = this.normaliseValue(field.$input.value, field.part)
+
+      if (value !== field.$input.value) {
+        field.$input.value = value
+      }
+    }
+
+    if (
+      this.config.validate &&
+      !(
+        event.relatedTarget instanceof Node &&
+        this.$root.contains(event.relatedTarget)
+      )
+    ) {
+      this.validate()
+    }
+  }
+
+  /**
+   * Handle a change to the value of a field
+   *
+   * Checks the date again if the component is showing an error message, so
+   * the error message is removed as soon as the date is valid. For example,
+   * when users choose a date using the date picker, which moves focus
+   * outside the fields without leaving them.
+   *
+   * @private
+   * @param {Event} event - Change event
+   */
+  handleChange(event) {
+    if (
+      this.$errorMessage &&
+      this.fields.some(({ $input }) => $input === event.target)
+    ) {
+      this.validate()
+    }
+  }
+
+  /**
+   * Get the tidied up value of each field
+   *
+   * @private
+   * @returns {DateInputValues} Values of the fields
+   */
+  getValues() {
+    /** @type {DateInputValues} */
+    const values = {}
+
+    for (const { $input, part } of this.fields) {
+      values[part] = this.normaliseValue($input.value, part)
+    }
+
+    return values
+  }
+
+  /**
+   * Tidy up a field value
+   *
+   * Removes spaces, ordinal suffixes from days (`12th`) and replaces month
+   * names with their number
+   *
+   * @private
+   * @param {string} value - Field value
+   * @param {DateInputPart} part - Part of the date the field is for
+   * @returns {string} Tidied up value
+   */
+  normaliseValue(value, part) {
+    const normalisedValue = value.replace(/\s+/g, '')
+
+    if (part === 'day') {
+      return normalisedValue.replace(/^(\d+)(st|nd|rd|th)$/i, '$1')
+    }
+
+    if (part === 'month') {
+      const month = this.getMonthNumber(normalisedValue)
+      return month ? `${month}` : normalisedValue
+    }
+
+    return normalisedValue
+  }
+
+  /**
+   * Get the number of a month from its name
+   *
+   * Accepts full or abbreviated names, of at least 3 letters, in English or
+   * the language of the page
+   *
+   * @private
+   * @param {string} name - Month name
+   * @returns {number | undefined} Number of the month, from 1 to 12
+   */
+  getMonthNumber(name) {
+    const search = name.toLowerCase().replace(/\.$/, '')
+
+    if (search.length < 3) {
+      return
+    }
+
+    const index = this.monthNames.findIndex((names) =>
+      names.some((monthName) => monthName.startsWith(search))
+    )
+
+    return index >= 0 ? index + 1 : undefined
+  }
+
+  /**
+   * Split a full date across the fields
+   *
+   * Dates must have a value for every field, in day, month, year order or
+   * starting with the year, separated by spaces or punctuation
+   *
+   * @private
+   * @param {string} text - Pasted text
+   * @returns {DateInputValues | undefined} Values of the fields, if the text
+   *   is a date
+   */
+  parseDate(text) {
+    const tokens = text.split(/[\s/.,-]+/).filter(Boolean)
+
+    if (tokens.length < 2 || tokens.length !== this.fields.length) {
+      return
+    }
+
+    /** @type {DateInputValues} */
+    const values = {}
+
+    /** @type {DateInputPart[]} */
+    let parts = this.fields.map(({ part }) => part)
+
+    /** @type {string[]} */
+    const numbers = []
+
+    for (const token of tokens) {
+      const month = /^\d/.test(token) ? undefined : this.getMonthNumber(token)
+
+      if (month && parts.includes('month') && !values.month) {
+        values.month = `${month}`
+        parts = parts.filter((part) => part !== 'month')
+      } else if (/^\d+(st|nd|rd|th)?$/i.test(token)) {
+        numbers.push(token.replace(/\D/g, ''))
+      } else {
+        return
+      }
+    }
+
+    // Dates starting with the year, such as `2024-03-12`, are always in
+    // year, month, day order
+    if (numbers[0]?.length === 4 && parts.includes('year')) {
+      /** @type {DateInputPart[]} */
+      const order = ['year', 'month', 'day']
+      parts = order.filter((part) => parts.includes(part))
+    }
+
+    parts.forEach((part, index) => {
+      values[part] = numbers[index]
+    })
+
+    return values
+  }
+
+  /**
+   * Format a date in the format `YYYY-MM-DD` for error messages
+   *
+   * @private
+   * @param {string} date - Date in the format `YYYY-MM-DD`
+   * @returns {string} Date such as `12 March 2024`
+   */
+  formatDate(date) {
+    return new Intl.DateTimeFormat(getDateLocales(this.i18n.locale), {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC'
+    }).format(parseISODate(date))
+  }
+
+  /**
+   * Show an error message above the fields
+   *
+   * Replaces the content of the error message rendered by the server, if
+   * there is one
+   *
+   * @private
+   * @param {string} message - Error message
+   * @param {DateInputField[]} invalidFields - Fields to add error styles to
+   */
+  showError(message, invalidFields) {
+    this.hideError()
+
+    const errorId = `${this.$root.id}-error`
+    let $errorMessage = document.getElementById(errorId)
+
+    if ($errorMessage) {
+      this.serverErrorMessageHtml = $errorMessage.innerHTML
+    } else {
+      $errorMessage = document.createElement('p')
+      $errorMessage.id = errorId
+      $errorMessage.className = 'govuk-error-message'
+      this.$root.insertAdjacentElement('beforebegin', $errorMessage)
+
+      for (const $element of this.getDescribedElements()) {
+        const describedBy = $element.getAttribute('aria-describedby')
+        $element.setAttribute(
+          'aria-describedby',
+          describedBy ? `${describedBy} ${errorId}` : errorId
+        )
+      }
+    }
+
+    const $prefix = document.createElement('span')
+    $prefix.className = 'govuk-visually-hidden'
+    $prefix.textContent = `${this.i18n.t('errorPrefix')}:`
+
+    $errorMessage.textContent = ''
+    $errorMessage.append($prefix, ` ${message}`)
+    this.$errorMessage = $errorMessage
+
+    this.$root
+      .closest('.govuk-form-group')
+      ?.classList.add('govuk-form-group--error')
+
+    for (const { $input } of invalidFields) {
+      if (!$input.classList.contains('govuk-input--error')) {
+        $input.classList.add('govuk-input--error')
+        this.$invalidInputs.push($input)
+      }
+    }
+  }
+
+  /**
+   * Hide the error message shown by the component
+   *
+   * Restores the error message rendered by the server, if there was one
+   *
+   * @private
+   */
+  hideError() {
+    const $errorMessage = this.$errorMessage
+
+    if (!$errorMessage) {
+      return
+    }
+
+    if (this.serverErrorMessageHtml !== null) {
+      $errorMessage.innerHTML = this.serverErrorMessageHtml
+      this.serverErrorMessageHtml = null
+    } else {
+      $errorMessage.remove()
+
+      for (const $element of this.getDescribedElements()) {
+        const describedBy = ($element.getAttribute('aria-describedby') ?? '')
+          .split(' ')
+          .filter((id) => id && id !== $errorMessage.id)
+          .join(' ')
+
+        if (describedBy) {
+          $element.setAttribute('aria-describedby', describedBy)
+        } else {
+          $element.removeAttribute('aria-describedby')
+        }
+      }
+
+      this.$root
+        .closest('.govuk-form-group')
+        ?.classList.remove('govuk-form-group--error')
+    }
+
+    for (const $input of this.$invalidInputs) {
+      $input.classList.remove('govuk-input--error')
+    }
+
+    this.$errorMessage = null
+    this.$invalidInputs = []
+  }
+
+  /**
+   * Get the elements the error message should describe
+   *
+   * @private
+   * @returns {Element[]} The fieldset around the fields, or the fields if
+   *   there is no fieldset
+   */
+  getDescribedElements() {
+    const $fieldset = this.$root.closest('fieldset')
+    return $fieldset ? [$fieldset] : this.fields.map(({ $input }) => $input)
+  }
+
+  /**
+   * Name for the component used when initialising using data-module attributes.
+   */
+  static moduleName = 'govuk-date-input'
+
+  /**
+   * Date input default config
+   *
+   * @see {@link DateInputConfig}
+   * @constant
+   * @type {DateInputConfig}
+   */
+  static defaults = Object.freeze({
+    validate: false,
+    i18n: {
+      invalidDate: 'Date must be a real date',
+      dateBeforeMin: 'Date must be the same as or after %{date}',
+      dateAfterMax: 'Date must be the same as or before %{date}',
+      errorPrefix: 'Error'
+    }
+  })
+
+  /**
+   * Date input config schema
+   *
+   * @constant
+   * @satisfies {Schema}
+   */
+  static schema = Object.freeze({
+    properties: {
+      validate: { type: 'boolean' },
+      min: { type: 'string' },
+      max: { type: 'string' },
+      i18n: {
+        type: 'object',
+        properties: {
+          invalidDate: { type: 'string' },
+          dateBeforeMin: { type: 'string' },
+          dateAfterMax: { type: 'string' },
+          errorPrefix: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  })
+}
+
+/**
+ * Get month names users can type or paste
+ *
+ * @private
+ * @param {string} locale - Language of the page
+ * @returns {string[][]} Full and abbreviated month names, lowercase, in the
+ *   language of the page and English, for January to December
+ */
+function getMonthNames(locale) {
+  const locales = getDateLocales(locale)
+
+  return Array.from({ length: 12 }, (_, index) => {
+    const date = Date.UTC(2000, index, 1)
+
+    /** @type {string[]} */
+    const names = []
+
+    for (const locale of locales) {
+      for (const month of /** @type {const} */ (['long', 'short'])) {
+        names.push(
+          new Intl.DateTimeFormat(locale, { month, timeZone: 'UTC' })
+            .format(date)
+            .toLowerCase()
+            .replace(/\.$/, '')
+        )
+      }
+    }
+
+    return names
+  })
+}
+
+/**
+ * Date input config
+ *
+ * @typedef {object} DateInputConfig
+ * @property {boolean} [validate=false] - If set to `true`, checks the date is
+ *   a real date within the range allowed when users leave the fields
+ * @property {string} [min] - Earliest date allowed, in the format `YYYY-MM-DD`
+ * @property {string} [max] - Latest date allowed, in the format `YYYY-MM-DD`
+ * @property {DateInputTranslations} [i18n=DateInput.defaults.i18n] - Date input
+ *   translations
+ */
+
+/**
+ * Date input translations
+ *
+ * @see {@link DateInput.defaults.i18n}
+ * @typedef {object} DateInputTranslations
+ *
+ * Messages used by the component
+ * @property {string} [invalidDate] - Error message shown when the date is not
+ *   a real date, such as 31 February
+ * @property {string} [dateBeforeMin] - Error message shown when the date is
+ *   before the earliest date allowed. The component will replace the
+ *   `%{date}` placeholder with the earliest date allowed.
+ * @property {string} [dateAfterMax] - Error message shown when the date is
+ *   after the latest date allowed. The component will replace the `%{date}`
+ *   placeholder with the latest date allowed.
+ * @property {string} [errorPrefix] - Visually hidden text before error
+ *   messages
+ */
+
+/**
+ * Date input part
+ *
+ * @typedef {'day' | 'month' | 'year'} DateInputPart
+ */
+
+/**
+ * Date input field
+ *
+ * @private
+ * @typedef {object} DateInputField
+ * @property {HTMLInputElement} $input - Field
+ * @property {DateInputPart} part - Part of the date the field is for
+ */
+
+/**
+ * Date input values
+ *
+ * @private
+ * @typedef {object} DateInputValues
+ * @property {string} [day] - Value of the day field
+ * @property {string} [month] - Value of the month field
+ * @property {string} [year] - Value of the year field
+ */
+
+/**
+ * @typedef {import('../../common/index.mjs').Schema} Schema
+ */
@@ -0,0 +1,149 @@
+const { getProperty, render } = require('@govuk-frontend/helpers/puppeteer')
+const { getExamples } = require('@govuk-frontend/lib/components')
+
+const daySelector = '.govuk-date-input__input[name$="day"]'
+const monthSelector = '.govuk-date-input__input[name$="month"]'
+const yearSelector = '.govuk-date-input__input[name$="year"]'
+const errorMessageSelector = '.govuk-error-message'
+
+describe('/components/date-input', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('date-input')
+  })
+
+  // Type a date into the fields, then move focus out of the date input
+  async function fillIn(day, month, year) {
+    await page.type(daySelector, day)
+    await page.type(monthSelector, month)
+    await page.type(yearSelector, year)
+    await page.keyboard.press('Tab')
+  }
+
+  function getErrorMessage() {
+    return page
+      .$(errorMessageSelector)
+      .then(($errorMessage) =>
+        $errorMessage?.evaluate(($el) =>
+          $el.textContent.replace(/\s+/g, ' ').trim()
+        )
+      )
+  }
+
+  function getErrorFields() {
+    return page.$$eval('.govuk-date-input__input', ($inputs) =>
+      $inputs
+        .filter(($input) => $input.classList.contains('govuk-input--error'))
+        .map(($input) => $input.getAttribute('name'))
+    )
+  }
+
+  describe('/components/date-input/with-validation/preview', () => {
+    describe('when JavaScript is unavailable or fails', () => {
+      beforeAll(async () => {
+        await page.setJavaScriptEnabled(false)
+      })
+
+      afterAll(async () => {
+        await page.setJavaScriptEnabled(true)
+      })
+
+      it('does not check the date', async () => {
+        await render(page, 'date-input', examples['with validation'])
+        await fillIn('31', '2', '2024')
+
+        await expect(getErrorMessage()).resolves.toBeUndefined()
+      })
+    })
+
+    describe('when JavaScript is available', () => {
+      beforeEach(async () => {
+        await render(page, 'date-input', examples['with validation'])
+      })
+
+      it('shows an error message when users leave a date that is not real', async () => {
+        await fillIn('31', '2', '2024')
+
+        await expect(getErrorMessage()).resolves.toBe(
+          'Error: Date must be a real date'
+        )
+        await expect(getErrorFields()).resolves.toEqual(['passport-issued-day'])
+      })
+
+      it('does not check the date while users move between the fields', async () => {
+        await page.type(daySelector, '31')
+        await page.keyboard.press('Tab')
+        await page.keyboard.type('2')
+        await page.keyboard.press('Tab')
+
+        await expect(getErrorMessage()).resolves.toBeUndefined()
+      })
+
+      it('shows an error message when the date is outside the allowed range', async () => {
+        await fillIn('31', '12', '1989')
+
+        await expect(getErrorMessage()).resolves.toBe(
+          'Error: Date must be the same as or after 1 January 1990'
+        )
+        await expect(getErrorFields()).resolves.toEqual([
+          'passport-issued-day',
+          'passport-issued-month',
+          'passport-issued-year'
+        ])
+      })
+
+      it('removes the error message once users correct the date', async () => {
+        await fillIn('31', '2', '2024')
+
+        await page.click(daySelector, { count: 3 })
+        await page.keyboard.type('28')
+        await page.keyboard.press('Tab')
+
+        await expect(getErrorMessage()).resolves.toBeUndefined()
+        await expect(getErrorFields()).resolves.toEqual([])
+      })
+
+      it('replaces month names with their number when users leave a field', async () => {
+        await page.type(monthSelector, 'Sept')
+        await page.keyboard.press('Tab')
+
+        const $month = await page.$(monthSelector)
+        await expect(getProperty($month, 'value')).resolves.toBe('9')
+      })
+    })
+
+    describe('errors at instantiation', () => {
+      it('throws when validating a date input without an `id`', async () => {
+        await expect(
+          render(page, 'date-input', examples['with validation'], {
+            beforeInitialisation($root) {
+              $root.removeAttribute('id')
+            }
+          })
+        ).rejects.toMatchObject({
+          cause: {
+            name: 'ElementError',
+            message: 'govuk-date-input: Date input `id` attribute not found'
+          }
+        })
+      })
+
+      it('throws when the earliest date is not a date', async () => {
+        await expect(
+          render(page, 'date-input', examples['with validation'], {
+            beforeInitialisation($root) {
+              $root.setAttribute('data-min', '31/12/1989')
+            }
+          })
+        ).rejects.toMatchObject({
+          cause: {
+            name: 'ConfigError',
+            message:
+              'govuk-date-input: "min" must be a date in the format "YYYY-MM-DD"'
+          }
+        })
+      })
+    })
+  })
+})
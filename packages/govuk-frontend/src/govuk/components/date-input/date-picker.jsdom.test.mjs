@@ -0,0 +1,432 @@
+import { renderComponent } from '@govuk-frontend/helpers/jsdom'
+import { getExamples } from '@govuk-frontend/lib/components'
+
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+import { createAll } from '../../init.mjs'
+
+import { DateInput } from './date-input.mjs'
+import { DatePicker } from './date-picker.mjs'
+
+describe('Date picker', () => {
+  let examples
+  let $root
+  let $toggleButton
+  let $dialog
+
+  function renderExample(example) {
+    $root = renderComponent('date-input', examples[example], {
+      wrap: (html) => `${html}\n<p>Other content</p>`,
+      selector: '[data-module="govuk-date-picker"]'
+    })
+  }
+
+  function initExample(example, config) {
+    renderExample(example)
+
+    const datePicker = new DatePicker($root, config)
+
+    $toggleButton = document.querySelector('.govuk-date-picker__toggle')
+    $dialog = document.querySelector('.govuk-date-picker__dialog')
+
+    return datePicker
+  }
+
+  function getDay(date) {
+    return $dialog.querySelector(`[data-date="${date}"]`)
+  }
+
+  function getHeading() {
+    return $dialog.querySelector('.govuk-date-picker__heading').textContent
+  }
+
+  // Press a key in the calendar, returning whether the keydown was cancelled
+  function press(key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', {
+      key,
+      bubbles: true,
+      cancelable: true,
+      ...options
+    })
+
+    document.activeElement.dispatchEvent(event)
+
+    return event.defaultPrevented
+  }
+
+  function getValues() {
+    return ['day', 'month', 'year'].map(
+      (part) => $root.querySelector(`[name$="${part}"]`).value
+    )
+  }
+
+  function fillIn(day, month, year) {
+    $root.querySelector('[name$="day"]').value = day
+    $root.querySelector('[name$="month"]').value = month
+    $root.querySelector('[name$="year"]').value = year
+  }
+
+  beforeAll(async () => {
+    examples = await getExamples('date-input')
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2025, 0, 15, 12) })
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  describe('on page load', () => {
+    beforeEach(() => {
+      initExample('with date picker')
+    })
+
+    it('adds a button after the fields', () => {
+      expect($toggleButton).toHaveTextContent('Choose date')
+      expect($toggleButton).toHaveAttribute('type', 'button')
+      expect($toggleButton).toHaveAttribute('aria-expanded', 'false')
+      expect($toggleButton).toHaveAttribute('aria-controls', $dialog.id)
+      expect($toggleButton.parentElement.previousElementSibling).toHaveClass(
+        'govuk-date-input'
+      )
+    })
+
+    it('hides the calendar', () => {
+      expect($dialog).toHaveAttribute('role', 'dialog')
+      expect($dialog).not.toHaveAttribute('aria-modal')
+      expect($dialog).not.toBeVisible()
+    })
+  })
+
+  describe('when users open the calendar', () => {
+    beforeEach(() => {
+      initExample('with date picker')
+    })
+
+    it('shows the calendar for the current month', () => {
+      $toggleButton.click()
+
+      expect($dialog).toBeVisible()
+      expect($dialog).toHaveAccessibleName('January 2025')
+      expect($toggleButton).toHaveAttribute('aria-expanded', 'true')
+    })
+
+    it('focuses today', () => {
+      $toggleButton.click()
+
+      const $today = getDay('2025-01-15')
+
+      expect($today).toHaveFocus()
+      expect($today).toHaveAttribute('tabindex', '0')
+      expect($today).toHaveAttribute('aria-current', 'date')
+      expect(getDay('2025-01-16')).toHaveAttribute('tabindex', '-1')
+    })
+
+    it('shows the days of the week, starting on Monday', () => {
+      $toggleButton.click()
+
+      const $weekdays = $dialog.querySelectorAll('th')
+
+      expect($weekdays[0]).toHaveTextContent('Mon')
+      expect($weekdays[0]).toHaveAttribute('abbr', 'Monday')
+      expect($weekdays[6]).toHaveTextContent('Sun')
+
+      // 1 January 2025 was a Wednesday
+      const $firstWeek = $dialog.querySelector('tbody tr')
+      expect($firstWeek.cells[0]).toBeEmptyDOMElement()
+      expect($firstWeek.cells[2]).toHaveTextContent('1')
+    })
+
+    it('shows and selects the date in the fields', () => {
+      fillIn('27', '2', '2025')
+      $toggleButton.click()
+
+      expect(getHeading()).toBe('February 2025')
+      expect(getDay('2025-02-27')).toHaveFocus()
+      expect(getDay('2025-02-27')).toHaveAttribute('aria-selected', 'true')
+    })
+
+    it('does not let users choose dates outside the range or disabled', () => {
+      $toggleButton.click()
+
+      expect(getDay('2025-01-05')).toHaveAttribute('aria-disabled', 'true')
+      expect(getDay('2025-01-06')).not.toHaveAttribute('aria-disabled')
+      expect(getDay('2025-01-20')).toHaveAttribute('aria-disabled', 'true')
+
+      getDay('2025-01-20').click()
+
+      expect($dialog).toBeVisible()
+      expect(getValues()).toEqual(['', '', ''])
+    })
+
+    it('does not let users move to months outside the range', () => {
+      $toggleButton.click()
+
+      const $previousButton = $dialog.querySelector(
+        '.govuk-date-picker__nav-button--previous'
+      )
+
+      expect($previousButton).toHaveAttribute('aria-disabled', 'true')
+
+      $previousButton.click()
+      expect(getHeading()).toBe('January 2025')
+    })
+  })
+
+  describe('when users choose a date', () => {
+    beforeEach(() => {
+      initExample('with date picker')
+      $toggleButton.click()
+    })
+
+    it('writes the date into the fields', () => {
+      getDay('2025-01-27').click()
+
+      expect(getValues()).toEqual(['27', '1', '2025'])
+    })
+
+    it('closes the calendar and focuses the button', () => {
+      getDay('2025-01-27').click()
+
+      expect($dialog).not.toBeVisible()
+      expect($toggleButton).toHaveFocus()
+      expect($toggleButton).toHaveAttribute('aria-expanded', 'false')
+    })
+
+    it('dispatches input and change events for each field', () => {
+      const onInput = jest.fn()
+      const onChange = jest.fn()
+      $root.addEventListener('input', onInput)
+      $root.addEventListener('change', onChange)
+
+      getDay('2025-01-27').click()
+
+      expect(onInput).toHaveBeenCalledTimes(3)
+      expect(onChange).toHaveBeenCalledTimes(3)
+    })
+
+    it('shows the previous and next months', () => {
+      $dialog.querySelector('.govuk-date-picker__nav-button--next').click()
+      expect(getHeading()).toBe('February 2025')
+
+      $dialog.querySelector('.govuk-date-picker__nav-button--next').click()
+      $dialog.querySelector('.govuk-date-picker__nav-button--previous').click()
+      expect(getHeading()).toBe('February 2025')
+    })
+
+    it('closes the calendar when users click the close button', () => {
+      $dialog.querySelector('.govuk-date-picker__close').click()
+
+      expect($dialog).not.toBeVisible()
+      expect(getValues()).toEqual(['', '', ''])
+    })
+
+    it('closes the calendar when users click outside it', () => {
+      document.querySelector('p').click()
+
+      expect($dialog).not.toBeVisible()
+    })
+  })
+
+  describe('keyboard support', () => {
+    beforeEach(() => {
+      initExample('with date picker')
+      $toggleButton.click()
+    })
+
+    it.each([
+      ['ArrowRight', {}, '2025-01-16'],
+      ['ArrowLeft', {}, '2025-01-14'],
+      ['ArrowDown', {}, '2025-01-22'],
+      ['ArrowUp', {}, '2025-01-08'],
+      ['Home', {}, '2025-01-13'],
+      ['End', {}, '2025-01-19'],
+      ['PageDown', {}, '2025-02-15'],
+      ['PageDown', { shiftKey: true }, '2025-03-28'],
+      ['PageUp', {}, '2025-01-06']
+    ])('moves focus using %s %o', (key, options, date) => {
+      expect(press(key, options)).toBe(true)
+      expect(getDay(date)).toHaveFocus()
+    })
+
+    it('moves to the next month from the end of the month', () => {
+      press('End')
+      press('End')
+      for (let week = 0; week < 2; week++) {
+        press('ArrowDown')
+      }
+
+      expect(getHeading()).toBe('February 2025')
+      expect(getDay('2025-02-02')).toHaveFocus()
+    })
+
+    it.each(['Enter', ' '])('chooses the focused date using %p', (key) => {
+      expect(press(key)).toBe(true)
+
+      expect(getValues()).toEqual(['15', '1', '2025'])
+      expect($dialog).not.toBeVisible()
+    })
+
+    it('closes the calendar using Escape', () => {
+      expect(press('Escape')).toBe(true)
+
+      expect($dialog).not.toBeVisible()
+      expect($toggleButton).toHaveFocus()
+    })
+
+    it('keeps focus inside the calendar', () => {
+      const $previousButton = $dialog.querySelector(
+        '.govuk-date-picker__nav-button--previous'
+      )
+      const $closeButton = $dialog.querySelector('.govuk-date-picker__close')
+
+      $closeButton.focus()
+      expect(press('Tab')).toBe(true)
+      expect($previousButton).toHaveFocus()
+
+      expect(press('Tab', { shiftKey: true })).toBe(true)
+      expect($closeButton).toHaveFocus()
+    })
+  })
+
+  describe('with the Date input component', () => {
+    let $dateInput
+
+    beforeEach(() => {
+      initExample('with date picker')
+
+      $dateInput = $root.querySelector('[data-module="govuk-date-input"]')
+      createAll(DateInput, { validate: true }, $root)
+    })
+
+    it('removes the error message when users choose a valid date', () => {
+      fillIn('31', '2', '2025')
+      $root.querySelector('[name$="year"]').dispatchEvent(
+        new window.FocusEvent('focusout', {
+          bubbles: true,
+          relatedTarget: $toggleButton
+        })
+      )
+
+      expect(document.querySelector('.govuk-error-message')).toHaveTextContent(
+        'Date must be a real date'
+      )
+
+      $toggleButton.click()
+      getDay('2025-01-27').click()
+
+      expect(getValues()).toEqual(['27', '1', '2025'])
+      expect(document.querySelector('.govuk-error-message')).toBeNull()
+      expect($dateInput.querySelectorAll('.govuk-input--error')).toHaveLength(0)
+      expect($root).not.toHaveClass('govuk-form-group--error')
+    })
+  })
+
+  describe('with translations', () => {
+    beforeEach(() => {
+      initExample('with date picker and translations')
+    })
+
+    it('uses the translations from data attributes', () => {
+      expect($toggleButton).toHaveTextContent('Dewis dyddiad')
+
+      $toggleButton.click()
+
+      expect(
+        $dialog.querySelector('.govuk-date-picker__nav-button--previous')
+      ).toHaveTextContent('Mis blaenorol')
+      expect(
+        $dialog.querySelector('.govuk-date-picker__close')
+      ).toHaveTextContent('Cau')
+    })
+
+    it('uses the month and day names of the page language', () => {
+      $toggleButton.click()
+
+      expect(getHeading()).toBe('Ionawr 2025')
+      expect($dialog.querySelector('th')).toHaveAttribute('abbr', 'Dydd Sul')
+    })
+  })
+
+  describe('JavaScript API', () => {
+    it('opens and closes the calendar', () => {
+      const datePicker = initExample('with date picker', { firstDayOfWeek: 0 })
+
+      datePicker.open()
+      expect(document.querySelector('.govuk-date-picker__dialog')).toBeVisible()
+      expect(document.querySelector('th')).toHaveTextContent('Sun')
+
+      datePicker.close()
+      expect(
+        document.querySelector('.govuk-date-picker__dialog')
+      ).not.toBeVisible()
+    })
+
+    it('removes the button and calendar when destroyed', () => {
+      const datePicker = initExample('with date picker')
+
+      datePicker.destroy()
+
+      expect(
+        document.querySelector('.govuk-date-picker')
+      ).not.toBeInTheDocument()
+    })
+  })
+
+  describe('errors at instantiation', () => {
+    beforeEach(() => {
+      renderExample('with date picker')
+    })
+
+    it('throws when there is no date input', () => {
+      $root.querySelector('.govuk-date-input').remove()
+
+      expect(() => new DatePicker($root)).toThrow(
+        new ElementError(
+          'govuk-date-picker: Date input (`.govuk-date-input`) not found'
+        )
+      )
+    })
+
+    it('throws when there is no year field', () => {
+      $root.querySelector('[name$="year"]').remove()
+
+      expect(() => new DatePicker($root)).toThrow(
+        new ElementError(
+          'govuk-date-picker: Day, month and year fields (`.govuk-date-input__input`) not found'
+        )
+      )
+    })
+
+    it('throws when a disabled date is not a date', () => {
+      $root.setAttribute('data-disabled-dates', '2025-01-20 20/01/2025')
+
+      expect(() => new DatePicker($root)).toThrow(
+        new ConfigError(
+          'govuk-date-picker: "disabledDates" must be dates in the format "YYYY-MM-DD", separated by spaces'
+        )
+      )
+    })
+
+    it('throws for unknown translations', () => {
+      $root.setAttribute('data-i18n.open', 'Open calendar')
+
+      expect(() => new DatePicker($root)).toThrow(
+        new ConfigError(
+          'govuk-date-picker: "i18n.open" is not a known config option'
+        )
+      )
+    })
+
+    it('throws when the first day of the week is not a day', () => {
+      $root.setAttribute('data-first-day-of-week', '7')
+
+      expect(() => new DatePicker($root)).toThrow(
+        new ConfigError(
+          'govuk-date-picker: "firstDayOfWeek" must be less than or equal to 6'
+        )
+      )
+    })
+  })
+})
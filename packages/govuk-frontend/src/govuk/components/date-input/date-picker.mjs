@@ -0,0 +1,839 @@
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatISODate,
+  getDateLocales,
+  getDatePart,
+  getDaysInMonth,
+  parseISODate
+} from '../../common/date.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
+import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+import { I18n } from '../../i18n.mjs'
+
+/**
+ * Date picker component
+ *
+ * Adds a button to a date input that opens a calendar dialog, so users can
+ * choose a date instead of typing it. The chosen date is written back into
+ * the day, month and year fields, which are still submitted with the form.
+ *
+ * @preserve
+ */
+export class DatePicker extends GOVUKFrontendComponent {
+  /**
+   * @private
+   * @type {DatePickerConfig}
+   */
+  config
+
+  /** @private */
+  i18n
+
+  /**
+   * Day, month and year fields
+   *
+   * @private
+   * @type {{ day: HTMLInputElement, month: HTMLInputElement, year: HTMLInputElement }}
+   */
+  $inputs
+
+  /** @private */
+  $wrapper
+
+  /** @private */
+  $toggleButton
+
+  /** @private */
+  $dialog
+
+  /** @private */
+  $heading
+
+  /** @private */
+  $previousButton
+
+  /** @private */
+  $nextButton
+
+  /** @private */
+  $closeButton
+
+  /** @private */
+  $gridBody
+
+  /**
+   * @private
+   * @type {Date | undefined}
+   */
+  min
+
+  /**
+   * @private
+   * @type {Date | undefined}
+   */
+  max
+
+  /**
+   * Dates users cannot choose, in the format `YYYY-MM-DD`
+   *
+   * @private
+   * @type {string[]}
+   */
+  disabledDates
+
+  /**
+   * First day of the week, from 0 for Sunday to 6 for Saturday
+   *
+   * @private
+   */
+  firstDayOfWeek
+
+  /**
+   * Date that can be focused in the calendar, at midnight UTC
+   *
+   * @private
+   * @type {Date}
+   */
+  focusedDate = getToday()
+
+  /**
+   * Date in the fields when the calendar was opened, at midnight UTC
+   *
+   * @private
+   * @type {Date | undefined}
+   */
+  selectedDate
+
+  /** @private */
+  monthFormatter
+
+  /** @private */
+  boundHandleToggleClick
+
+  /** @private */
+  boundHandleDialogClick
+
+  /** @private */
+  boundHandleDialogKeyDown
+
+  /** @private */
+  boundHandleDocumentClick
+
+  /**
+   * @param {Element | null} $root - HTML element to use for date picker
+   * @param {DatePickerConfig} [config] - Date picker config
+   */
+  constructor($root, config = {}) {
+    super($root)
+
+    const $dateInput = this.$root.querySelector('.govuk-date-input')
+    if (!$dateInput) {
+      throw new ElementError({
+        component: DatePicker,
+        identifier: 'Date input (`.govuk-date-input`)'
+      })
+    }
+
+    if (!$dateInput.id) {
+      throw new ElementError({
+        component: DatePicker,
+        identifier: 'Date input `id` attribute'
+      })
+    }
+
+    /** @type {{ day?: HTMLInputElement, month?: HTMLInputElement, year?: HTMLInputElement }} */
+    const $inputs = {}
+
+    for (const $input of Array.from(
+      $dateInput.querySelectorAll('.govuk-date-input__input')
+    )) {
+      const part = getDatePart($input)
+
+      if ($input instanceof HTMLInputElement && part) {
+        $inputs[part] = $input
+      }
+    }
+
+    const { day, month, year } = $inputs
+    if (!day || !month || !year) {
+      throw new ElementError({
+        component: DatePicker,
+        identifier: 'Day, month and year fields (`.govuk-date-input__input`)'
+      })
+    }
+
+    this.$inputs = { day, month, year }
+
+    this.config = mergeConfigs(
+      DatePicker.defaults,
+      config,
+      normaliseDataset(DatePicker, this.$root.dataset)
+    )
+
+    // Check for valid config
+    const errors = validateConfig(DatePicker.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(DatePicker, errors[0]))
+    }
+
+    for (const key of /** @type {const} */ (['min', 'max'])) {
+      const value = this.config[key]
+
+      if (typeof value === 'string' && !parseISODate(value)) {
+        throw new ConfigError(
+          formatErrorMessage(
+            DatePicker,
+            `"${key}" must be a date in the format "YYYY-MM-DD"`
+          )
+        )
+      }
+    }
+
+    this.disabledDates = (this.config.disabledDates ?? '')
+      .split(' ')
+      .filter(Boolean)
+
+    if (this.disabledDates.some((date) => !parseISODate(date))) {
+      throw new ConfigError(
+        formatErrorMessage(
+          DatePicker,
+          '"disabledDates" must be dates in the format "YYYY-MM-DD", separated by spaces'
+        )
+      )
+    }
+
+    this.firstDayOfWeek = this.config.firstDayOfWeek ?? 1
+    this.min = this.config.min ? parseISODate(this.config.min) : undefined
+    this.max = this.config.max ? parseISODate(this.config.max) : undefined
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    const locales = getDateLocales(this.i18n.locale)
+
+    this.monthFormatter = new Intl.DateTimeFormat(locales, {
+      month: 'long',
+      year: 'numeric',
+      timeZone: 'UTC'
+    })
+
+    const dialogId = `${$dateInput.id}-date-picker`
+    const headingId = `${dialogId}-heading`
+
+    const $toggleButton = document.createElement('button')
+    $toggleButton.setAttribute('type', 'button')
+    $toggleButton.className =
+      'govuk-button govuk-button--secondary govuk-date-picker__toggle'
+    $toggleButton.setAttribute('aria-haspopup', 'dialog')
+    $toggleButton.setAttribute('aria-controls', dialogId)
+    $toggleButton.setAttribute('aria-expanded', 'false')
+    $toggleButton.textContent = this.i18n.t('chooseDate')
+    this.$toggleButton = $toggleButton
+
+    const $dialog = document.createElement('div')
+    $dialog.id = dialogId
+    $dialog.className = 'govuk-date-picker__dialog'
+    $dialog.setAttribute('role', 'dialog')
+    $dialog.setAttribute('aria-labelledby', headingId)
+    $dialog.hidden = true
+    this.$dialog = $dialog
+
+    const $header = document.createElement('div')
+    $header.className = 'govuk-date-picker__header'
+
+    this.$previousButton = createButton(
+      'govuk-date-picker__nav-button govuk-date-picker__nav-button--previous',
+      this.i18n.t('previousMonth')
+    )
+
+    this.$nextButton = createButton(
+      'govuk-date-picker__nav-button govuk-date-picker__nav-button--next',
+      this.i18n.t('nextMonth')
+    )
+
+    // Announce the month and year when users move to another month
+    const $heading = document.createElement('h2')
+    $heading.id = headingId
+    $heading.className = 'govuk-date-picker__heading'
+    $heading.setAttribute('aria-live', 'polite')
+    this.$heading = $heading
+
+    $header.append(this.$previousButton, $heading, this.$nextButton)
+
+    const $grid = document.createElement('table')
+    $grid.className = 'govuk-date-picker__grid'
+    $grid.setAttribute('role', 'grid')
+    $grid.setAttribute('aria-labelledby', headingId)
+
+    const $weekdays = document.createElement('tr')
+    const weekdayFormatters = /** @type {const} */ (['short', 'long']).map(
+      (weekday) =>
+        new Intl.DateTimeFormat(locales, { weekday, timeZone: 'UTC' })
+    )
+
+    for (let index = 0; index < 7; index++) {
+      // 7 January 2024 was a Sunday
+      const date = Date.UTC(2024, 0, 7 + ((this.firstDayOfWeek + index) % 7))
+
+      const $weekday = document.createElement('th')
+      $weekday.setAttribute('scope', 'col')
+      $weekday.className = 'govuk-date-picker__weekday'
+      $weekday.textContent = weekdayFormatters[0].format(date)
+      $weekday.setAttribute('abbr', weekdayFormatters[1].format(date))
+      $weekdays.append($weekday)
+    }
+
+    $grid.createTHead().append($weekdays)
+    this.$gridBody = $grid.createTBody()
+
+    const $footer = document.createElement('div')
+    $footer.className = 'govuk-date-picker__footer'
+
+    this.$closeButton = createButton(
+      'govuk-button govuk-button--secondary govuk-date-picker__close',
+      this.i18n.t('close')
+    )
+
+    $footer.append(this.$closeButton)
+    $dialog.append($header, $grid, $footer)
+
+    const $wrapper = document.createElement('div')
+    $wrapper.className = 'govuk-date-picker'
+    $wrapper.append($toggleButton, $dialog)
+    this.$wrapper = $wrapper
+
+    $dateInput.insertAdjacentElement('afterend', $wrapper)
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleToggleClick = this.handleToggleClick.bind(this)
+    this.boundHandleDialogClick = this.handleDialogClick.bind(this)
+    this.boundHandleDialogKeyDown = this.handleDialogKeyDown.bind(this)
+    this.boundHandleDocumentClick = this.handleDocumentClick.bind(this)
+
+    $toggleButton.addEventListener('click', this.boundHandleToggleClick)
+    $dialog.addEventListener('click', this.boundHandleDialogClick)
+    $dialog.addEventListener('keydown', this.boundHandleDialogKeyDown)
+    document.addEventListener('click', this.boundHandleDocumentClick)
+  }
+
+  /**
+   * Destroy date picker
+   *
+   * Removes the event listeners, the button and the calendar dialog
+   */
+  destroy() {
+    document.removeEventListener('click', this.boundHandleDocumentClick)
+    this.$wrapper.remove()
+
+    super.destroy()
+  }
+
+  /**
+   * Open the calendar
+   *
+   * Focuses the date in the fields, if it is a real date, otherwise today
+   */
+  open() {
+    this.selectedDate = this.getInputDate()
+    this.$dialog.hidden = false
+    this.$toggleButton.setAttribute('aria-expanded', 'true')
+
+    this.focusDate(this.selectedDate ?? getToday())
+  }
+
+  /**
+   * Close the calendar
+   *
+   * @param {boolean} [returnFocus] - Whether to move focus back to the button
+   *   that opens the calendar
+   */
+  close(returnFocus = true) {
+    this.$dialog.hidden = true
+    this.$toggleButton.setAttribute('aria-expanded', 'false')
+
+    if (returnFocus) {
+      this.$toggleButton.focus()
+    }
+  }
+
+  /**
+   * Choose a date
+   *
+   * Writes the date into the day, month and year fields and closes the
+   * calendar, unless users cannot choose the date
+   *
+   * @private
+   * @param {Date} date - Date at midnight UTC
+   */
+  choose(date) {
+    if (this.isDisabled(date)) {
+      return
+    }
+
+    const { day, month, year } = this.$inputs
+
+    day.value = `${date.getUTCDate()}`
+    month.value = `${date.getUTCMonth() + 1}`
+    year.value = `${date.getUTCFullYear()}`
+
+    for (const $input of [day, month, year]) {
+      // Let other scripts know the values have changed, as when users type
+      $input.dispatchEvent(new Event('input', { bubbles: true }))
+      $input.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+
+    this.close()
+  }
+
+  /**
+   * Handle clicks on the button that opens the calendar
+   *
+   * @private
+   */
+  handleToggleClick() {
+    if (this.$dialog.hidden) {
+      this.open()
+    } else {
+      this.close()
+    }
+  }
+
+  /**
+   * Handle clicks in the calendar
+   *
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleDialogClick(event) {
+    const $target = event.target
+
+    if (!($target instanceof Element)) {
+      return
+    }
+
+    const $day = $target.closest('[data-date]')
+    const date = parseISODate($day?.getAttribute('data-date') ?? '')
+
+    if (date) {
+      this.choose(date)
+    } else if (this.$previousButton.contains($target)) {
+      this.showMonth(-1)
+    } else if (this.$nextButton.contains($target)) {
+      this.showMonth(1)
+    } else if (this.$closeButton.contains($target)) {
+      this.close()
+    }
+  }
+
+  /**
+   * Handle key presses in the calendar
+   *
+   * Lets users move between dates using the arrow, Home, End, Page Up and
+   * Page Down keys, choose a date using Enter or Space, and close the
+   * calendar using Escape. Keeps focus inside the calendar when users press
+   * Tab.
+   *
+   * @private
+   * @param {KeyboardEvent} event - Key down event
+   */
+  handleDialogKeyDown(event) {
+    if (['Escape', 'Esc'].includes(event.key)) {
+      event.preventDefault()
+      this.close()
+      return
+    }
+
+    if (event.key === 'Tab') {
+      this.handleTab(event)
+      return
+    }
+
+    if (
+      !(event.target instanceof Element) ||
+      !event.target.hasAttribute('data-date')
+    ) {
+      return
+    }
+
+    const date = this.focusedDate
+    const dayOfWeek = (date.getUTCDay() - this.firstDayOfWeek + 7) % 7
+
+    /** @type {{ [key: string]: () => Date }} */
+    const moves = {
+      ArrowLeft: () => addDays(date, -1),
+      ArrowRight: () => addDays(date, 1),
+      ArrowUp: () => addDays(date, -7),
+      ArrowDown: () => addDays(date, 7),
+      Home: () => addDays(date, -dayOfWeek),
+      End: () => addDays(date, 6 - dayOfWeek),
+      PageUp: () => addMonths(date, event.shiftKey ? -12 : -1),
+      PageDown: () => addMonths(date, event.shiftKey ? 12 : 1)
+    }
+
+    if (event.key in moves) {
+      event.preventDefault()
+      this.focusDate(moves[event.key]())
+    } else if (['Enter', ' '].includes(event.key)) {
+      event.preventDefault()
+      this.choose(date)
+    }
+  }
+
+  /**
+   * Keep focus inside the calendar when users press Tab
+   *
+   * @private
+   * @param {KeyboardEvent} event - Key down event
+   */
+  handleTab(event) {
+    const $first = this.$previousButton
+    const $last = this.$closeButton
+
+    if (event.shiftKey && document.activeElement === $first) {
+      event.preventDefault()
+      $last.focus()
+    } else if (!event.shiftKey && document.activeElement === $last) {
+      event.preventDefault()
+      $first.focus()
+    }
+  }
+
+  /**
+   * Close the calendar when users click outside it
+   *
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleDocumentClick(event) {
+    if (
+      !this.$dialog.hidden &&
+      event.target instanceof Node &&
+      !this.$wrapper.contains(event.target)
+    ) {
+      this.close(false)
+    }
+  }
+
+  /**
+   * Show the previous or next month, keeping focus on the button pressed
+   *
+   * @private
+   * @param {number} months - Number of months to move by
+   */
+  showMonth(months) {
+    this.focusDate(addMonths(this.focusedDate, months), false)
+  }
+
+  /**
+   * Move focus to a date, showing its month if necessary
+   *
+   * Dates before the earliest date or after the latest date cannot be
+   * focused
+   *
+   * @private
+   * @param {Date} date - Date at midnight UTC
+   * @param {boolean} [moveFocus] - Whether to move focus to the date
+   */
+  focusDate(date, moveFocus = true) {
+    let focusedDate = date
+
+    if (this.min && focusedDate < this.min) {
+      focusedDate = this.min
+    } else if (this.max && focusedDate > this.max) {
+      focusedDate = this.max
+    }
+
+    this.focusedDate = focusedDate
+    this.render()
+
+    if (moveFocus) {
+      this.getDay(focusedDate)?.focus()
+    }
+  }
+
+  /**
+   * Render the month of the focused date
+   *
+   * @private
+   */
+  render() {
+    const year = this.focusedDate.getUTCFullYear()
+    const month = this.focusedDate.getUTCMonth()
+    const firstDate = new Date(Date.UTC(year, month, 1))
+    const daysInMonth = getDaysInMonth(year, month + 1)
+
+    this.$heading.textContent = this.monthFormatter.format(firstDate)
+
+    // Let users know when there are no dates they can choose in the
+    // previous or next month
+    const lastDateOfPreviousMonth = addDays(firstDate, -1)
+    const firstDateOfNextMonth = addDays(firstDate, daysInMonth)
+
+    this.$previousButton.setAttribute(
+      'aria-disabled',
+      `${!!this.min && lastDateOfPreviousMonth < this.min}`
+    )
+
+    this.$nextButton.setAttribute(
+      'aria-disabled',
+      `${!!this.max && firstDateOfNextMonth > this.max}`
+    )
+
+    const today = formatISODate(getToday())
+    const offset = (firstDate.getUTCDay() - this.firstDayOfWeek + 7) % 7
+
+    this.$gridBody.innerHTML = ''
+
+    for (let week = 0; week * 7 < offset + daysInMonth; week++) {
+      const $week = document.createElement('tr')
+
+      for (let index = 0; index < 7; index++) {
+        const $cell = document.createElement('td')
+        const day = week * 7 + index - offset + 1
+
+        if (day >= 1 && day <= daysInMonth) {
+          const date = new Date(Date.UTC(year, month, day))
+          const isoDate = formatISODate(date)
+
+          $cell.className = 'govuk-date-picker__day'
+          $cell.textContent = `${day}`
+          $cell.setAttribute('data-date', isoDate)
+          $cell.tabIndex =
+            date.getTime() === this.focusedDate.getTime() ? 0 : -1
+
+          if (isoDate === today) {
+            $cell.classList.add('govuk-date-picker__day--today')
+            $cell.setAttribute('aria-current', 'date')
+          }
+
+          if (date.getTime() === this.selectedDate?.getTime()) {
+            $cell.classList.add('govuk-date-picker__day--selected')
+            $cell.setAttribute('aria-selected', 'true')
+          }
+
+          if (this.isDisabled(date)) {
+            $cell.classList.add('govuk-date-picker__day--disabled')
+            $cell.setAttribute('aria-disabled', 'true')
+          }
+        }
+
+        $week.append($cell)
+      }
+
+      this.$gridBody.append($week)
+    }
+  }
+
+  /**
+   * Get the calendar cell for a date in the month shown
+   *
+   * @private
+   * @param {Date} date - Date at midnight UTC
+   * @returns {HTMLElement | null} Calendar cell
+   */
+  getDay(date) {
+    const $day = this.$gridBody.querySelector(
+      `[data-date="${formatISODate(date)}"]`
+    )
+
+    return $day instanceof HTMLElement ? $day : null
+  }
+
+  /**
+   * Check whether users cannot choose a date
+   *
+   * @private
+   * @param {Date} date - Date at midnight UTC
+   * @returns {boolean} Whether the date is disabled or outside the range
+   *   allowed
+   */
+  isDisabled(date) {
+    return (
+      (!!this.min && date < this.min) ||
+      (!!this.max && date > this.max) ||
+      this.disabledDates.includes(formatISODate(date))
+    )
+  }
+
+  /**
+   * Get the date in the day, month and year fields
+   *
+   * @private
+   * @returns {Date | undefined} Date at midnight UTC, if it is a real date
+   */
+  getInputDate() {
+    const [day, month, year] = [
+      this.$inputs.day,
+      this.$inputs.month,
+      this.$inputs.year
+    ].map(($input) => $input.value.trim())
+
+    if (![day, month, year].every((value) => /^\d+$/.test(value))) {
+      return
+    }
+
+    return parseISODate(
+      `${year}-${`0${month}`.slice(-2)}-${`0${day}`.slice(-2)}`
+    )
+  }
+
+  /**
+   * Name for the component used when initialising using data-module attributes.
+   */
+  static moduleName = 'govuk-date-picker'
+
+  /**
+   * Date picker default config
+   *
+   * @see {@link DatePickerConfig}
+   * @constant
+   * @type {DatePickerConfig}
+   */
+  static defaults = Object.freeze({
+    firstDayOfWeek: 1,
+    i18n: {
+      chooseDate: 'Choose date',
+      previousMonth: 'Previous month',
+      nextMonth: 'Next month',
+      close: 'Close'
+    }
+  })
+
+  /**
+   * Date picker config schema
+   *
+   * @constant
+   * @satisfies {Schema}
+   */
+  static schema = Object.freeze({
+    properties: {
+      min: { type: 'string' },
+      max: { type: 'string' },
+      disabledDates: { type: 'string' },
+      firstDayOfWeek: { type: 'number', minimum: 0, maximum: 6 },
+      i18n: {
+        type: 'object',
+        properties: {
+          chooseDate: { type: 'string' },
+          previousMonth: { type: 'string' },
+          nextMonth: { type: 'string' },
+          close: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  })
+}
+
+/**
+ * Create a button for the calendar
+ *
+ * @private
+ * @param {string} className - Button classes
+ * @param {string} text - Button text
+ * @returns {HTMLButtonElement} Button
+ */
+function createButton(className, text) {
+  const $button = document.createElement('button')
+  $button.setAttribute('type', 'button')
+  $button.className = className
+  $button.textContent = text
+  return $button
+}
+
+/**
+ * Get today's date, in the time zone of the user, at midnight UTC
+ *
+ * @private
+ * @returns {Date} Today's date
+ */
+function getToday() {
+  const now = new Date()
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()))
+}
+
+/**
+ * Add days to a date
+ *
+ * @private
+ * @param {Date} date - Date at midnight UTC
+ * @param {number} days - Number of days to add, or subtract if negative
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  return new Date(
+    Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      date.getUTCDate() + days
+    )
+  )
+}
+
+/**
+ * Add months to a date
+ *
+ * Uses the last day of the month if the month has fewer days, for example
+ * 31 January plus 1 month is 28 or 29 February
+ *
+ * @private
+ * @param {Date} date - Date at midnight UTC
+ * @param {number} months - Number of months to add, or subtract if negative
+ * @returns {Date} New date
+ */
+function addMonths(date, months) {
+  const firstDate = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)
+  )
+
+  const day = Math.min(
+    date.getUTCDate(),
+    getDaysInMonth(firstDate.getUTCFullYear(), firstDate.getUTCMonth() + 1)
+  )
+
+  return addDays(firstDate, day - 1)
+}
+
+/**
+ * Date picker config
+ *
+ * @typedef {object} DatePickerConfig
+ * @property {string} [min] - Earliest date users can choose, in the format
+ *   `YYYY-MM-DD`
+ * @property {string} [max] - Latest date users can choose, in the format
+ *   `YYYY-MM-DD`
+ * @property {string} [disabledDates] - Other dates users cannot choose, such
+ *   as bank holidays, in the format `YYYY-MM-DD` and separated by spaces
+ * @property {number} [firstDayOfWeek=1] - First day of the week in the
+ *   calendar, from `0` for Sunday to `6` for Saturday
+ * @property {DatePickerTranslations} [i18n=DatePicker.defaults.i18n] - Date
+ *   picker translations
+ */
+
+/**
+ * Date picker translations
+ *
+ * @see {@link DatePicker.defaults.i18n}
+ * @typedef {object} DatePickerTranslations
+ *
+ * Messages used by the component
+ * @property {string} [chooseDate] - Text of the button that opens the
+ *   calendar
+ * @property {string} [previousMonth] - Text of the button that shows the
+ *   previous month
+ * @property {string} [nextMonth] - Text of the button that shows the next
+ *   month
+ * @property {string} [close] - Text of the button that closes the calendar
+ */
+
+/**
+ * @typedef {import('../../common/index.mjs').Schema} Schema
+ */
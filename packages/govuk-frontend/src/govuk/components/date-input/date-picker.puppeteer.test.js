@@ -0,0 +1,200 @@
+/* eslint-disable no-new */
+
+const {
+  getProperty,
+  isVisible,
+  render
+} = require('@govuk-frontend/helpers/puppeteer')
+const { getExamples } = require('@govuk-frontend/lib/components')
+
+const datePickerSelector = '[data-module="govuk-date-picker"]'
+const toggleButtonSelector = '.govuk-date-picker__toggle'
+const dialogSelector = '.govuk-date-picker__dialog'
+
+describe('/components/date-input', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('date-input')
+  })
+
+  // Initialise the date picker, as rendering the Date input example only
+  // initialises the Date input component
+  function initDatePicker() {
+    return page.evaluate(async (datePickerSelector) => {
+      const { DatePicker } = await import('govuk-frontend')
+
+      try {
+        new DatePicker(document.querySelector(datePickerSelector))
+      } catch ({ name, message }) {
+        return { name, message }
+      }
+    }, datePickerSelector)
+  }
+
+  async function fillIn(day, month, year) {
+    await page.type('[name$="day"]', day)
+    await page.type('[name$="month"]', month)
+    await page.type('[name$="year"]', year)
+  }
+
+  async function getValues() {
+    const $inputs = await page.$$('.govuk-date-input__input')
+    return Promise.all($inputs.map(($input) => getProperty($input, 'value')))
+  }
+
+  function getHeading() {
+    return page.$eval(
+      '.govuk-date-picker__heading',
+      ($heading) => $heading.textContent
+    )
+  }
+
+  function getFocusedDate() {
+    return page.evaluate(() => document.activeElement.getAttribute('data-date'))
+  }
+
+  function getFocusedClassName() {
+    return page.evaluate(() => document.activeElement.className)
+  }
+
+  describe('/components/date-input/with-date-picker/preview', () => {
+    describe('when JavaScript is unavailable or fails', () => {
+      beforeAll(async () => {
+        await page.setJavaScriptEnabled(false)
+      })
+
+      afterAll(async () => {
+        await page.setJavaScriptEnabled(true)
+      })
+
+      it('does not add a button to choose a date', async () => {
+        await render(page, 'date-input', examples['with date picker'])
+
+        await expect(page.$(toggleButtonSelector)).resolves.toBeNull()
+      })
+    })
+
+    describe('when JavaScript is available', () => {
+      beforeEach(async () => {
+        await render(page, 'date-input', examples['with date picker'])
+        await initDatePicker()
+        await fillIn('27', '2', '2025')
+      })
+
+      it('hides the calendar', async () => {
+        const $dialog = await page.$(dialogSelector)
+        await expect(isVisible($dialog)).resolves.toBe(false)
+      })
+
+      it('opens the calendar at the date in the fields', async () => {
+        await page.click(toggleButtonSelector)
+
+        const $dialog = await page.$(dialogSelector)
+        await expect(isVisible($dialog)).resolves.toBe(true)
+        await expect(getHeading()).resolves.toBe('February 2025')
+        await expect(getFocusedDate()).resolves.toBe('2025-02-27')
+      })
+
+      it('lets users choose a date using the keyboard', async () => {
+        await page.focus(toggleButtonSelector)
+        await page.keyboard.press('Enter')
+        await page.keyboard.press('ArrowRight')
+        await page.keyboard.press('ArrowDown')
+
+        await expect(getHeading()).resolves.toBe('March 2025')
+        await expect(getFocusedDate()).resolves.toBe('2025-03-07')
+
+        await page.keyboard.press('Enter')
+
+        await expect(getValues()).resolves.toEqual(['7', '3', '2025'])
+        await expect(getFocusedClassName()).resolves.toContain(
+          'govuk-date-picker__toggle'
+        )
+      })
+
+      it('lets users choose a date by clicking it', async () => {
+        await page.click(toggleButtonSelector)
+        await page.click('[data-date="2025-02-03"]')
+
+        await expect(getValues()).resolves.toEqual(['3', '2', '2025'])
+
+        const $dialog = await page.$(dialogSelector)
+        await expect(isVisible($dialog)).resolves.toBe(false)
+      })
+
+      it('does not let users choose disabled dates', async () => {
+        await page.click(toggleButtonSelector)
+        await page.click('[data-date="2025-02-17"]')
+
+        const $dialog = await page.$(dialogSelector)
+        await expect(isVisible($dialog)).resolves.toBe(true)
+      })
+
+      it('keeps focus inside the calendar', async () => {
+        await page.click(toggleButtonSelector)
+        await page.keyboard.press('Tab')
+
+        await expect(getFocusedClassName()).resolves.toContain(
+          'govuk-date-picker__close'
+        )
+
+        await page.keyboard.press('Tab')
+
+        await expect(getFocusedClassName()).resolves.toContain(
+          'govuk-date-picker__nav-button--previous'
+        )
+      })
+
+      it('closes the calendar using Escape', async () => {
+        await page.click(toggleButtonSelector)
+        await page.keyboard.press('Escape')
+
+        const $dialog = await page.$(dialogSelector)
+        await expect(isVisible($dialog)).resolves.toBe(false)
+        await expect(getFocusedClassName()).resolves.toContain(
+          'govuk-date-picker__toggle'
+        )
+        await expect(getValues()).resolves.toEqual(['27', '2', '2025'])
+      })
+
+      it('closes the calendar when users click outside it', async () => {
+        await page.click(toggleButtonSelector)
+        await page.click('h1')
+
+        const $dialog = await page.$(dialogSelector)
+        await expect(isVisible($dialog)).resolves.toBe(false)
+      })
+    })
+
+    describe('errors at instantiation', () => {
+      beforeEach(async () => {
+        await render(page, 'date-input', examples['with date picker'])
+      })
+
+      it('throws when a disabled date is not a date', async () => {
+        await page.$eval(datePickerSelector, ($root) =>
+          $root.setAttribute('data-disabled-dates', '2025-01-20 20/01/2025')
+        )
+
+        await expect(initDatePicker()).resolves.toEqual({
+          name: 'ConfigError',
+          message:
+            'govuk-date-picker: "disabledDates" must be dates in the format "YYYY-MM-DD", separated by spaces'
+        })
+      })
+
+      it('throws when the first day of the week is not a day', async () => {
+        await page.$eval(datePickerSelector, ($root) =>
+          $root.setAttribute('data-first-day-of-week', '7')
+        )
+
+        await expect(initDatePicker()).resolves.toEqual({
+          name: 'ConfigError',
+          message:
+            'govuk-date-picker: "firstDayOfWeek" must be less than or equal to 6'
+        })
+      })
+    })
+  })
+})
@@ -351,4 +351,84 @@ describe('Date input', () => {
       expect($firstItems.attr('autocomplete')).toBe('bday-day')
     })
   })
+
+  describe('JavaScript', () => {
+    it('renders with the data-module attribute', () => {
+      const $ = render('date-input', examples.default)
+
+      const $component = $('.govuk-date-input')
+      expect($component.attr('data-module')).toBe('govuk-date-input')
+    })
+
+    it('does not render validation attributes by default', () => {
+      const $ = render('date-input', examples.default)
+
+      const $component = $('.govuk-date-input')
+      expect($component.attr('data-validate')).toBeUndefined()
+      expect($component.attr('data-min')).toBeUndefined()
+      expect($component.attr('data-max')).toBeUndefined()
+    })
+
+    it('renders the validation attributes', () => {
+      const $ = render('date-input', examples['with validation'])
+
+      const $component = $('.govuk-date-input')
+      expect($component.attr('data-validate')).toBe('true')
+      expect($component.attr('data-min')).toBe('1990-01-01')
+      expect($component.attr('data-max')).toBe('2029-12-31')
+    })
+
+    it('renders the translations as data attributes', () => {
+      const $ = render(
+        'date-input',
+        examples['with validation and translations']
+      )
+
+      const $component = $('.govuk-date-input')
+      expect($component.attr('data-i18n.invalid-date')).toBe(
+        'Rhaid i’r dyddiad fod yn ddyddiad go iawn'
+      )
+      expect($component.attr('data-i18n.date-before-min')).toBe(
+        'Rhaid i’r dyddiad fod yr un fath â %{date} neu ar ei ôl'
+      )
+      expect($component.attr('data-i18n.date-after-max')).toBe(
+        'Rhaid i’r dyddiad fod yr un fath â %{date} neu cyn hynny'
+      )
+      expect($component.attr('data-i18n.error-prefix')).toBe('Gwall')
+    })
+
+    it('does not render the date picker by default', () => {
+      const $ = render('date-input', examples.default)
+
+      const $formGroup = $('.govuk-form-group')
+      expect($formGroup.attr('data-module')).toBeUndefined()
+    })
+
+    it('renders the date picker attributes on the form group', () => {
+      const $ = render('date-input', examples['with date picker'])
+
+      const $formGroup = $('.govuk-form-group')
+      expect($formGroup.attr('data-module')).toBe('govuk-date-picker')
+      expect($formGroup.attr('data-min')).toBe('2025-01-06')
+      expect($formGroup.attr('data-max')).toBe('2025-03-28')
+      expect($formGroup.attr('data-disabled-dates')).toBe(
+        '2025-01-20 2025-02-17'
+      )
+      expect($formGroup.attr('data-first-day-of-week')).toBeUndefined()
+    })
+
+    it('renders the date picker translations as data attributes', () => {
+      const $ = render(
+        'date-input',
+        examples['with date picker and translations']
+      )
+
+      const $formGroup = $('.govuk-form-group')
+      expect($formGroup.attr('data-first-day-of-week')).toBe('0')
+      expect($formGroup.attr('data-i18n.choose-date')).toBe('Dewis dyddiad')
+      expect($formGroup.attr('data-i18n.previous-month')).toBe('Mis blaenorol')
+      expect($formGroup.attr('data-i18n.next-month')).toBe('Mis nesaf')
+      expect($formGroup.attr('data-i18n.close')).toBe('Cau')
+    })
+  })
 })
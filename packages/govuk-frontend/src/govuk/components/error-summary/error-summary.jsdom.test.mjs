@@ -0,0 +1,85 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ErrorSummary } from './error-summary.mjs'
+
+describe('Error summary', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('error-summary')
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $link
+    let $input
+    let html
+
+    // Click a link, returning whether the click was cancelled
+    function click($element) {
+      const event = new window.MouseEvent('click', {
+        bubbles: true,
+        cancelable: true
+      })
+
+      $element.dispatchEvent(event)
+
+      return event.defaultPrevented
+    }
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('error-summary', examples.default)}
+          <label for="example-error-1">Date</label>
+          <input id="example-error-1" type="text">
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $link = $root.querySelector('a[href="#example-error-1"]')
+      $input = document.getElementById('example-error-1')
+      html = $root.innerHTML
+
+      // Not implemented by JSDOM
+      window.HTMLElement.prototype.scrollIntoView = jest.fn()
+
+      // Prevent JSDOM following links to the form fields
+      document.addEventListener('click', (event) => event.preventDefault())
+    })
+
+    it('restores the original markup', () => {
+      const errorSummary = new ErrorSummary($root)
+
+      $input.focus()
+      errorSummary.destroy()
+
+      expect($root.innerHTML).toEqual(html)
+      expect($root).not.toHaveAttribute('tabindex')
+      expect($root).not.toHaveAttribute('data-govuk-error-summary-init')
+    })
+
+    it('stops focusing form fields when links are clicked', () => {
+      new ErrorSummary($root, { disableAutoFocus: true }).destroy()
+
+      click($link)
+
+      expect($input).not.toHaveFocus()
+    })
+
+    it('allows the component to be initialised again', () => {
+      new ErrorSummary($root, { disableAutoFocus: true }).destroy()
+
+      expect(
+        () => new ErrorSummary($root, { disableAutoFocus: true })
+      ).not.toThrow()
+
+      click($link)
+
+      expect($input).toHaveFocus()
+    })
+  })
+})
@@ -1,9 +1,12 @@
 import {
+  formatErrorMessage,
   getFragmentFromUrl,
   mergeConfigs,
-  setFocus
+  setFocus,
+  validateConfig
 } from '../../common/index.mjs'
 import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
 
 /**
@@ -21,6 +24,9 @@ export class ErrorSummary extends GOVUKFrontendComponent {
    */
   config
 
+  /** @private */
+  boundHandleClick
+
   /**
    * @param {Element | null} $root - HTML element to use for error summary
    * @param {ErrorSummaryConfig} [config] - Error summary config
@@ -34,6 +40,12 @@ export class ErrorSummary extends GOVUKFrontendComponent {
       normaliseDataset(ErrorSummary, this.$root.dataset)
     )
 
+    // Check for valid config
+    const errors = validateConfig(ErrorSummary.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(ErrorSummary, errors[0]))
+    }
+
     /**
      * Focus the error summary
      */
@@ -41,7 +53,21 @@ export class ErrorSummary extends GOVUKFrontendComponent {
       setFocus(this.$root)
     }
 
-    this.$root.addEventListener('click', (event) => this.handleClick(event))
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleClick = this.handleClick.bind(this)
+
+    this.$root.addEventListener('click', this.boundHandleClick)
+  }
+
+  /**
+   * Destroy error summary
+   *
+   * Removes event listeners
+   */
+  destroy() {
+    this.$root.removeEventListener('click', this.boundHandleClick)
+
+    super.destroy()
   }
 
   /**
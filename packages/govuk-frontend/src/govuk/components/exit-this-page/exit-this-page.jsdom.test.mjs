@@ -0,0 +1,386 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ExitThisPage } from './exit-this-page.mjs'
+
+describe('Exit this page', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('exit-this-page')
+  })
+
+  describe('events', () => {
+    let $root
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('exit-this-page', examples.default)}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+
+      // Redirect to a hash, as JSDOM does not implement navigation
+      $root
+        .querySelector('.govuk-exit-this-page__button')
+        .setAttribute('href', '#exit')
+    })
+
+    afterEach(() => {
+      ExitThisPage.getInstance($root)?.destroy()
+      window.location.hash = ''
+    })
+
+    it('dispatches activate before redirecting', () => {
+      const listener = jest.fn()
+
+      new ExitThisPage($root)
+      $root.addEventListener('govuk-exit-this-page:activate', listener)
+
+      const $button = $root.querySelector('.govuk-exit-this-page__button')
+      $button.click()
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail).toEqual({
+        href: $button.href
+      })
+    })
+  })
+
+  describe('configuration', () => {
+    let $root
+    let exitThisPage
+
+    function renderExample(example) {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('exit-this-page', examples[example])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+
+      // Redirect to a hash, as JSDOM does not implement navigation
+      $root
+        .querySelector('.govuk-exit-this-page__button')
+        .setAttribute('href', '#exit')
+    }
+
+    // Press a key, which is handled on keyup
+    function press(key) {
+      document.dispatchEvent(
+        new window.KeyboardEvent('keyup', { key, bubbles: true })
+      )
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      exitThisPage?.destroy()
+      exitThisPage = null
+
+      jest.useRealTimers()
+      window.location.hash = ''
+    })
+
+    describe('keyboard shortcut', () => {
+      it('activates when the activation key is pressed the configured number of times', () => {
+        renderExample('with custom keyboard shortcut')
+        exitThisPage = new ExitThisPage($root)
+
+        press('Shift')
+        press('Escape')
+        expect(window.location.hash).toBe('')
+
+        press('Escape')
+        expect(window.location.hash).toBe('#exit')
+      })
+
+      it('shows an indicator light for each press of the activation key', () => {
+        renderExample('with custom keyboard shortcut')
+        exitThisPage = new ExitThisPage($root)
+
+        expect(
+          $root.querySelectorAll('.govuk-exit-this-page__indicator-light')
+        ).toHaveLength(2)
+      })
+
+      it('announces the remaining presses of the activation key', () => {
+        renderExample('default')
+        exitThisPage = new ExitThisPage($root, {
+          activationKey: 'Control',
+          activationPresses: 4
+        })
+
+        const $updateSpan = $root.querySelector('[role="status"]')
+
+        press('Control')
+        expect($updateSpan).toHaveTextContent(
+          'Control, press 3 more times to exit.'
+        )
+
+        press('Control')
+        expect($updateSpan).toHaveTextContent(
+          'Control, press 2 more times to exit.'
+        )
+
+        press('Control')
+        expect($updateSpan).toHaveTextContent(
+          'Control, press 1 more time to exit.'
+        )
+      })
+
+      it('announces the remaining presses using translations from data attributes', () => {
+        renderExample('with custom keyboard shortcut')
+        exitThisPage = new ExitThisPage($root)
+
+        press('Escape')
+
+        expect($root.querySelector('[role="status"]')).toHaveTextContent(
+          'Escape, press 1 more time to leave.'
+        )
+      })
+
+      it('announces the remaining presses of the Shift key using the existing messages', () => {
+        renderExample('default')
+        exitThisPage = new ExitThisPage($root, {
+          i18n: { pressTwoMoreTimes: 'Press Shift twice more' }
+        })
+
+        press('Shift')
+
+        expect($root.querySelector('[role="status"]')).toHaveTextContent(
+          'Press Shift twice more'
+        )
+      })
+
+      it('resets after the activation timeout', () => {
+        renderExample('with custom keyboard shortcut')
+        exitThisPage = new ExitThisPage($root)
+
+        press('Escape')
+        jest.advanceTimersByTime(3000)
+        press('Escape')
+
+        expect(window.location.hash).toBe('')
+        expect($root.querySelector('[role="status"]')).toHaveTextContent(
+          'Escape, press 1 more time to leave.'
+        )
+      })
+    })
+
+    describe('before exit', () => {
+      it('waits for the beforeExit function before redirecting', async () => {
+        renderExample('default')
+
+        // Resolve after 1 second, like clearing storage that takes a while
+        const beforeExit = jest.fn(
+          () =>
+            new Promise((resolve) => {
+              window.setTimeout(resolve, 1000)
+            })
+        )
+
+        exitThisPage = new ExitThisPage($root, { beforeExit })
+
+        const $button = $root.querySelector('.govuk-exit-this-page__button')
+        $button.click()
+
+        await jest.advanceTimersByTimeAsync(999)
+
+        expect(beforeExit).toHaveBeenCalledWith({ href: $button.href })
+        expect(
+          document.querySelector('.govuk-exit-this-page-overlay')
+        ).not.toBeNull()
+        expect(window.location.hash).toBe('')
+
+        await jest.advanceTimersByTimeAsync(1)
+
+        expect(window.location.hash).toBe('#exit')
+      })
+
+      it('only calls the beforeExit function once', async () => {
+        renderExample('default')
+
+        const beforeExit = jest.fn(() => new Promise(() => {}))
+        exitThisPage = new ExitThisPage($root, { beforeExit })
+
+        const $button = $root.querySelector('.govuk-exit-this-page__button')
+        $button.click()
+        $button.click()
+
+        await jest.advanceTimersByTimeAsync(0)
+
+        expect(beforeExit).toHaveBeenCalledTimes(1)
+      })
+
+      it('redirects if the beforeExit function fails', async () => {
+        renderExample('default')
+
+        exitThisPage = new ExitThisPage($root, {
+          beforeExit() {
+            throw new Error('Storage unavailable')
+          }
+        })
+
+        $root.querySelector('.govuk-exit-this-page__button').click()
+        await jest.advanceTimersByTimeAsync(0)
+
+        expect(window.location.hash).toBe('#exit')
+      })
+
+      it('redirects if the beforeExit function takes too long', async () => {
+        renderExample('default')
+
+        exitThisPage = new ExitThisPage($root, {
+          beforeExit: () => new Promise(() => {})
+        })
+
+        $root.querySelector('.govuk-exit-this-page__button').click()
+
+        await jest.advanceTimersByTimeAsync(1999)
+        expect(window.location.hash).toBe('')
+
+        await jest.advanceTimersByTimeAsync(1)
+        expect(window.location.hash).toBe('#exit')
+      })
+    })
+
+    describe('replacing history', () => {
+      it('does not add a history entry when replaceHistory is set', () => {
+        renderExample('with replaced history')
+        exitThisPage = new ExitThisPage($root)
+
+        const { length } = window.history
+        $root.querySelector('.govuk-exit-this-page__button').click()
+
+        expect(window.location.hash).toBe('#exit')
+        expect(window.history).toHaveLength(length)
+      })
+
+      it('adds a history entry by default', () => {
+        renderExample('default')
+        exitThisPage = new ExitThisPage($root)
+
+        const { length } = window.history
+        $root.querySelector('.govuk-exit-this-page__button').click()
+
+        expect(window.location.hash).toBe('#exit')
+        expect(window.history).toHaveLength(length + 1)
+      })
+    })
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $button
+    let html
+
+    function renderExample() {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('exit-this-page', examples.default)}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $button = $root.querySelector('.govuk-exit-this-page__button')
+
+      // Redirect to a hash, as JSDOM does not implement navigation
+      $button.setAttribute('href', '#exit')
+
+      html = $root.innerHTML
+    }
+
+    // Press a key, which is handled on keyup
+    function press(key) {
+      document.dispatchEvent(
+        new window.KeyboardEvent('keyup', { key, bubbles: true })
+      )
+    }
+
+    beforeEach(() => {
+      renderExample()
+    })
+
+    afterEach(() => {
+      ExitThisPage.getInstance($root)?.destroy()
+      window.location.hash = ''
+    })
+
+    it('restores the original markup', () => {
+      const exitThisPage = new ExitThisPage($root)
+
+      expect($root.innerHTML).not.toEqual(html)
+
+      exitThisPage.destroy()
+
+      expect($root.innerHTML).toEqual(html)
+      expect($root).not.toHaveAttribute('data-govuk-exit-this-page-init')
+    })
+
+    it('stops redirecting when the button is clicked', () => {
+      new ExitThisPage($root).destroy()
+
+      // Prevent JSDOM following the link itself
+      $button.addEventListener('click', (event) => event.preventDefault())
+      $button.click()
+
+      expect(window.location.hash).toBe('')
+      expect(document.querySelector('.govuk-exit-this-page-overlay')).toBeNull()
+    })
+
+    it('removes the shared keyboard shortcut listener', () => {
+      new ExitThisPage($root).destroy()
+
+      press('Shift')
+      press('Shift')
+      press('Shift')
+
+      expect(window.location.hash).toBe('')
+      expect(document.body.dataset).not.toHaveProperty(
+        'govukFrontendExitThisPageKeypress'
+      )
+    })
+
+    it('lets the next Exit this page handle the keyboard shortcut', () => {
+      new ExitThisPage($root).destroy()
+      new ExitThisPage($root)
+
+      press('Shift')
+      press('Shift')
+      press('Shift')
+
+      expect(window.location.hash).toBe('#exit')
+    })
+
+    it('keeps the keyboard shortcut when another Exit this page is destroyed', () => {
+      const $otherRoot = $root.cloneNode(true)
+      document.body.appendChild($otherRoot)
+
+      new ExitThisPage($root)
+      new ExitThisPage($otherRoot).destroy()
+
+      press('Shift')
+      press('Shift')
+      press('Shift')
+
+      expect(window.location.hash).toBe('#exit')
+    })
+
+    it('allows the component to be initialised again', () => {
+      new ExitThisPage($root).destroy()
+
+      expect(() => new ExitThisPage($root)).not.toThrow()
+      expect(
+        $root.querySelectorAll('.govuk-exit-this-page__indicator')
+      ).toHaveLength(1)
+    })
+  })
+})
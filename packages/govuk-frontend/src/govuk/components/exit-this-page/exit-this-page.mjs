@@ -1,8 +1,13 @@
-import { mergeConfigs } from '../../common/index.mjs'
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
 import { normaliseDataset } from '../../common/normalise-dataset.mjs'
-import { ElementError } from '../../errors/index.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
-import { I18n } from '../../i18n.mjs'
+import { I18n, translationPluralFormsSchema } from '../../i18n.mjs'
 
 /**
  * Exit this page component
@@ -52,8 +57,12 @@ export class ExitThisPage extends GOVUKFrontendComponent {
   /** @private */
   lastKeyWasModified = false
 
-  /** @private */
-  timeoutTime = 5000 // milliseconds
+  /**
+   * Longest time to wait for the `beforeExit` function before leaving the page
+   *
+   * @private
+   */
+  beforeExitTimeoutTime = 2000 // milliseconds
 
   // Store the timeout events so that we can clear them to avoid user keypresses overlapping
   // setTimeout returns an id that we can use to clear it with clearTimeout,
@@ -71,6 +80,22 @@ export class ExitThisPage extends GOVUKFrontendComponent {
    */
   timeoutMessageId = null
 
+  /**
+   * Whether this instance registered the shared `keyup` listener on document
+   *
+   * @private
+   */
+  hasKeypressListener = false
+
+  /** @private */
+  boundHandleClick
+
+  /** @private */
+  boundHandleKeypress
+
+  /** @private */
+  boundResetPage
+
   /**
    * @param {Element | null} $root - HTML element that wraps the Exit This Page button
    * @param {ExitThisPageConfig} [config] - Exit This Page config
@@ -94,9 +119,23 @@ export class ExitThisPage extends GOVUKFrontendComponent {
       normaliseDataset(ExitThisPage, this.$root.dataset)
     )
 
-    this.i18n = new I18n(this.config.i18n)
+    // Check for valid config
+    const errors = validateConfig(ExitThisPage.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(ExitThisPage, errors[0]))
+    }
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
     this.$button = $button
 
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleClick = this.handleClick.bind(this)
+    this.boundHandleKeypress = this.handleKeypress.bind(this)
+    this.boundResetPage = this.resetPage.bind(this)
+
     const $skiplinkButton = document.querySelector(
       '.govuk-js-exit-this-page-skiplink'
     )
@@ -110,14 +149,44 @@ export class ExitThisPage extends GOVUKFrontendComponent {
 
     // Check to see if this has already been done by a previous initialisation of ExitThisPage
     if (!('govukFrontendExitThisPageKeypress' in document.body.dataset)) {
-      document.addEventListener('keyup', this.handleKeypress.bind(this), true)
+      document.addEventListener('keyup', this.boundHandleKeypress, true)
       document.body.dataset.govukFrontendExitThisPageKeypress = 'true'
+      this.hasKeypressListener = true
     }
 
     // When the page is restored after navigating 'back' in some browsers the
     // blank overlay remains present, rendering the page unusable. Here, we check
     // to see if it's present on page (re)load, and remove it if so.
-    window.addEventListener('pageshow', this.resetPage.bind(this))
+    window.addEventListener('pageshow', this.boundResetPage)
+  }
+
+  /**
+   * Destroy Exit this page
+   *
+   * Removes event listeners, clears any running timers and removes the
+   * indicator, announcement and overlay elements
+   */
+  destroy() {
+    this.$button.removeEventListener('click', this.boundHandleClick)
+    this.$skiplinkButton?.removeEventListener('click', this.boundHandleClick)
+    window.removeEventListener('pageshow', this.boundResetPage)
+
+    // Allow the next initialised instance to handle the keyboard shortcut
+    if (this.hasKeypressListener) {
+      document.removeEventListener('keyup', this.boundHandleKeypress, true)
+      delete document.body.dataset.govukFrontendExitThisPageKeypress
+      this.hasKeypressListener = false
+    }
+
+    this.resetPage()
+
+    this.$indicatorContainer?.remove()
+    this.$indicatorContainer = null
+
+    this.$updateSpan?.remove()
+    this.$updateSpan = null
+
+    super.destroy()
   }
 
   /**
@@ -140,19 +209,17 @@ export class ExitThisPage extends GOVUKFrontendComponent {
    */
   initButtonClickHandler() {
     // Main EtP button
-    this.$button.addEventListener('click', this.handleClick.bind(this))
+    this.$button.addEventListener('click', this.boundHandleClick)
 
     // EtP secondary link
     if (this.$skiplinkButton) {
-      this.$skiplinkButton.addEventListener(
-        'click',
-        this.handleClick.bind(this)
-      )
+      this.$skiplinkButton.addEventListener('click', this.boundHandleClick)
     }
   }
 
   /**
-   * Create the HTML for the 'three lights' indicator on the button.
+   * Create the HTML for the indicator on the button, with a light for each
+   * press of the activation key.
    *
    * @private
    */
@@ -163,8 +230,10 @@ export class ExitThisPage extends GOVUKFrontendComponent {
     this.$indicatorContainer.className = 'govuk-exit-this-page__indicator'
     this.$indicatorContainer.setAttribute('aria-hidden', 'true')
 
-    // Create three 'lights' and place them within the container
-    for (let i = 0; i < 3; i++) {
+    // Create the 'lights' and place them within the container
+    const lights = this.config.activationPresses ?? 0
+
+    for (let i = 0; i < lights; i++) {
       const $indicator = document.createElement('div')
       $indicator.className = 'govuk-exit-this-page__indicator-light'
       this.$indicatorContainer.appendChild($indicator)
@@ -209,10 +278,14 @@ export class ExitThisPage extends GOVUKFrontendComponent {
    * white overlay so that the contents are not visible during the loading
    * process. This is particularly important on slow network connections.
    *
+   * Waits for the `beforeExit` function, if set, but leaves the page even if
+   * it fails or takes too long.
+   *
    * @private
    */
   exitPage() {
-    if (!this.$updateSpan) {
+    // Do nothing if the page is already being exited
+    if (!this.$updateSpan || this.$overlay) {
       return
     }
 
@@ -233,7 +306,41 @@ export class ExitThisPage extends GOVUKFrontendComponent {
     document.body.appendChild(this.$overlay)
     this.$overlay.textContent = this.i18n.t('activated')
 
-    window.location.href = this.$button.href
+    const href = this.$button.href
+    const { beforeExit } = this.config
+
+    this.dispatch('activate', { href })
+
+    if (!beforeExit) {
+      this.redirect(href)
+      return
+    }
+
+    Promise.race([
+      Promise.resolve().then(() => beforeExit({ href })),
+      new Promise((resolve) => {
+        window.setTimeout(resolve, this.beforeExitTimeoutTime)
+      })
+    ])
+      .then(() => this.redirect(href))
+      .catch(() => this.redirect(href)) // Leave the page even if `beforeExit` fails
+  }
+
+  /**
+   * Redirect to the Exit this page URL
+   *
+   * Replaces the current page in the browser history if `replaceHistory` is
+   * set, so that the back button does not return to it
+   *
+   * @private
+   * @param {string} href - URL to redirect to
+   */
+  redirect(href) {
+    if (this.config.replaceHistory) {
+      window.location.replace(href)
+    } else {
+      window.location.href = href
+    }
   }
 
   /**
@@ -254,13 +361,16 @@ export class ExitThisPage extends GOVUKFrontendComponent {
 
   /**
    * Logic for the 'quick escape' keyboard sequence functionality (pressing the
-   * Shift key three times without interruption, within a time limit).
+   * activation key, Shift by default, three times without interruption, within
+   * a time limit).
    *
    * @private
    * @param {KeyboardEvent} event - keyup event
    */
   handleKeypress(event) {
-    if (!this.$updateSpan) {
+    const { activationKey, activationPresses } = this.config
+
+    if (!this.$updateSpan || !activationKey || !activationPresses) {
       return
     }
 
@@ -272,7 +382,7 @@ export class ExitThisPage extends GOVUKFrontendComponent {
     // This works because using Shift as a modifier key (e.g. pressing Shift + A)
     // will fire TWO keyup events, one for A (with e.shiftKey: true) and the other
     // for Shift (with e.shiftKey: false).
-    if (event.key === 'Shift' && !this.lastKeyWasModified) {
+    if (event.key === activationKey && !this.lastKeyWasModified) {
       this.keypressCounter += 1
 
       // Update the indicator before the below if statement can reset it back to 0
@@ -284,7 +394,7 @@ export class ExitThisPage extends GOVUKFrontendComponent {
         this.timeoutMessageId = null
       }
 
-      if (this.keypressCounter >= 3) {
+      if (this.keypressCounter >= activationPresses) {
         this.keypressCounter = 0
 
         if (this.keypressTimeoutId) {
@@ -294,11 +404,10 @@ export class ExitThisPage extends GOVUKFrontendComponent {
 
         this.exitPage()
       } else {
-        if (this.keypressCounter === 1) {
-          this.$updateSpan.textContent = this.i18n.t('pressTwoMoreTimes')
-        } else {
-          this.$updateSpan.textContent = this.i18n.t('pressOneMoreTime')
-        }
+        this.$updateSpan.textContent = this.getPressMoreTimesMessage(
+          activationKey,
+          activationPresses - this.keypressCounter
+        )
       }
 
       this.setKeypressTimer()
@@ -308,8 +417,34 @@ export class ExitThisPage extends GOVUKFrontendComponent {
       this.resetKeypressTimer()
     }
 
-    // Keep track of whether the Shift modifier key was held during this keypress
-    this.lastKeyWasModified = event.shiftKey
+    // Keep track of whether the activation key was held as a modifier during
+    // this keypress. This is always false for keys that are not modifiers.
+    this.lastKeyWasModified = event.getModifierState(activationKey)
+  }
+
+  /**
+   * Get the screen reader announcement for the remaining number of presses of
+   * the activation key
+   *
+   * Uses the `pressTwoMoreTimes` and `pressOneMoreTime` messages for the Shift
+   * key, so existing translations continue to work, otherwise the pluralised
+   * `pressMoreTimes` message.
+   *
+   * @private
+   * @param {string} activationKey - Activation key
+   * @param {number} count - Remaining number of presses
+   * @returns {string} Screen reader announcement
+   */
+  getPressMoreTimesMessage(activationKey, count) {
+    if (activationKey === 'Shift' && count === 2) {
+      return this.i18n.t('pressTwoMoreTimes')
+    }
+
+    if (activationKey === 'Shift' && count === 1) {
+      return this.i18n.t('pressOneMoreTime')
+    }
+
+    return this.i18n.t('pressMoreTimes', { count, key: activationKey })
   }
 
   /**
@@ -332,7 +467,7 @@ export class ExitThisPage extends GOVUKFrontendComponent {
     // Set a fresh timeout
     this.keypressTimeoutId = window.setTimeout(
       this.resetKeypressTimer.bind(this),
-      this.timeoutTime
+      this.config.activationTimeout
     )
   }
 
@@ -358,7 +493,7 @@ export class ExitThisPage extends GOVUKFrontendComponent {
 
     this.timeoutMessageId = window.setTimeout(() => {
       $updateSpan.textContent = ''
-    }, this.timeoutTime)
+    }, this.config.activationTimeout)
 
     this.updateIndicator()
   }
@@ -398,10 +533,12 @@ export class ExitThisPage extends GOVUKFrontendComponent {
     // If the timeouts are active, clear them
     if (this.keypressTimeoutId) {
       window.clearTimeout(this.keypressTimeoutId)
+      this.keypressTimeoutId = null
     }
 
     if (this.timeoutMessageId) {
       window.clearTimeout(this.timeoutMessageId)
+      this.timeoutMessageId = null
     }
   }
 
@@ -418,11 +555,19 @@ export class ExitThisPage extends GOVUKFrontendComponent {
    * @type {ExitThisPageConfig}
    */
   static defaults = Object.freeze({
+    activationKey: 'Shift',
+    activationPresses: 3,
+    activationTimeout: 5000,
+    replaceHistory: false,
     i18n: {
       activated: 'Loading.',
       timedOut: 'Exit this page expired.',
       pressTwoMoreTimes: 'Shift, press 2 more times to exit.',
-      pressOneMoreTime: 'Shift, press 1 more time to exit.'
+      pressOneMoreTime: 'Shift, press 1 more time to exit.',
+      pressMoreTimes: {
+        one: '%{key}, press %{count} more time to exit.',
+        other: '%{key}, press %{count} more times to exit.'
+      }
     }
   })
 
@@ -434,7 +579,22 @@ export class ExitThisPage extends GOVUKFrontendComponent {
    */
   static schema = Object.freeze({
     properties: {
-      i18n: { type: 'object' }
+      activationKey: { type: 'string' },
+      activationPresses: { type: 'number', minimum: 1 },
+      activationTimeout: { type: 'number', minimum: 1 },
+      beforeExit: { type: 'function' },
+      replaceHistory: { type: 'boolean' },
+      i18n: {
+        type: 'object',
+        properties: {
+          activated: { type: 'string' },
+          timedOut: { type: 'string' },
+          pressTwoMoreTimes: { type: 'string' },
+          pressOneMoreTime: { type: 'string' },
+          pressMoreTimes: translationPluralFormsSchema
+        },
+        additionalProperties: false
+      }
     }
   })
 }
@@ -444,9 +604,32 @@ export class ExitThisPage extends GOVUKFrontendComponent {
  *
  * @see {@link ExitThisPage.defaults}
  * @typedef {object} ExitThisPageConfig
+ * @property {string} [activationKey='Shift'] - The `key` value of the keyboard
+ *   key users press to activate Exit this page, for example `'Shift'` or
+ *   `'Escape'`.
+ * @property {number} [activationPresses=3] - The number of times users must
+ *   press the activation key to activate Exit this page.
+ * @property {number} [activationTimeout=5000] - The time in milliseconds
+ *   users have between each press of the activation key before the keyboard
+ *   shortcut resets.
+ * @property {ExitThisPageBeforeExit} [beforeExit] - Function called before
+ *   leaving the page, for example to clear client storage or form state. Can
+ *   return a promise, which is waited for for up to 2 seconds.
+ * @property {boolean} [replaceHistory=false] - If set to `true`, replaces the
+ *   current page in the browser history using `location.replace()`, so users
+ *   cannot return to it using the back button.
  * @property {ExitThisPageTranslations} [i18n=ExitThisPage.defaults.i18n] - Exit this page translations
  */
 
+/**
+ * Exit this Page before exit function
+ *
+ * @callback ExitThisPageBeforeExit
+ * @param {{ href: string }} context - The URL the page is exiting to
+ * @returns {Promise<unknown> | unknown} Optional promise to wait for before
+ *   leaving the page
+ */
+
 /**
  * Exit this Page translations
  *
@@ -463,8 +646,24 @@ export class ExitThisPage extends GOVUKFrontendComponent {
  *   the user they must press the activation key two more times.
  * @property {string} [pressOneMoreTime] - Screen reader announcement informing
  *   the user they must press the activation key one more time.
+ * @property {TranslationPluralForms} [pressMoreTimes] - Screen reader
+ *   announcement informing the user how many more times they must press the
+ *   activation key, used instead of `pressTwoMoreTimes` and `pressOneMoreTime`
+ *   when the activation key is not Shift or more presses remain. The component
+ *   will replace the `%{key}` placeholder with the activation key and the
+ *   `%{count}` placeholder with the number of remaining presses.
+ */
+
+/**
+ * Exit this page activate event
+ *
+ * Dispatched from the exit this page root element as
+ * `govuk-exit-this-page:activate` before redirecting away from the page.
+ *
+ * @typedef {CustomEvent<{ href: string }>} ExitThisPageActivateEvent
  */
 
 /**
  * @typedef {import('../../common/index.mjs').Schema} Schema
+ * @typedef {import('../../i18n.mjs').TranslationPluralForms} TranslationPluralForms
  */
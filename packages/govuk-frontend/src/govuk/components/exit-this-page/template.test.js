@@ -81,4 +81,42 @@ describe('Exit this page', () => {
       )
     })
   })
+
+  describe('Keyboard shortcut', () => {
+    it('renders with keyboard shortcut data attributes', () => {
+      const $ = render(
+        'exit-this-page',
+        examples['with custom keyboard shortcut']
+      )
+      const $component = $('.govuk-exit-this-page')
+
+      expect($component.attr('data-activation-key')).toBe('Escape')
+      expect($component.attr('data-activation-presses')).toBe('2')
+      expect($component.attr('data-activation-timeout')).toBe('3000')
+      expect($component.attr('data-i18n.press-more-times.one')).toBe(
+        'Escape, press %{count} more time to leave.'
+      )
+      expect($component.attr('data-i18n.press-more-times.other')).toBe(
+        'Escape, press %{count} more times to leave.'
+      )
+    })
+
+    it('does not render keyboard shortcut data attributes by default', () => {
+      const $ = render('exit-this-page', examples.default)
+      const $component = $('.govuk-exit-this-page')
+
+      expect($component.attr('data-activation-key')).toBeUndefined()
+      expect($component.attr('data-activation-presses')).toBeUndefined()
+      expect($component.attr('data-activation-timeout')).toBeUndefined()
+      expect($component.attr('data-replace-history')).toBeUndefined()
+    })
+
+    it('renders with replaceHistory data attribute', () => {
+      const $ = render('exit-this-page', examples['with replaced history'])
+
+      expect($('.govuk-exit-this-page').attr('data-replace-history')).toBe(
+        'true'
+      )
+    })
+  })
 })
@@ -0,0 +1,729 @@
+import { renderComponent } from '@govuk-frontend/helpers/jsdom'
+import { getExamples } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+
+import { FileUpload } from './file-upload.mjs'
+
+describe('File upload', () => {
+  let examples
+  let $root
+  let $input
+
+  beforeAll(async () => {
+    examples = await getExamples('file-upload')
+  })
+
+  /**
+   * Render an example and find the component root and input
+   *
+   * @param {string} exampleName - Name of the example to render
+   * @param {(html: string) => string} [wrap] - Add HTML around the example
+   */
+  function renderExample(exampleName, wrap) {
+    $root = renderComponent('file-upload', examples[exampleName], {
+      selector: '[data-module="govuk-file-upload"]',
+      wrap
+    })
+
+    $input = $root.querySelector('input')
+  }
+
+  /**
+   * Render an example and initialise the component
+   *
+   * @param {string} exampleName - Name of the example to render
+   * @param {(html: string) => string} [wrap] - Add HTML around the example
+   * @returns {FileUpload} File upload component
+   */
+  function initExample(exampleName, wrap) {
+    renderExample(exampleName, wrap)
+    return new FileUpload($root)
+  }
+
+  /**
+   * Choose files on the input and dispatch a `change` event
+   *
+   * @param {HTMLInputElement} $input - File input
+   * @param {File[]} files - Files to choose
+   */
+  function chooseFiles($input, files) {
+    // JSDOM does not allow file lists to be created, so we
+    // replace the `files` property with an array instead
+    Object.defineProperty($input, 'files', {
+      configurable: true,
+      writable: true,
+      value: files
+    })
+
+    $input.dispatchEvent(new window.Event('change'))
+  }
+
+  /**
+   * Create a file of the given size
+   *
+   * @param {string} name - File name
+   * @param {string} type - File MIME type
+   * @param {number} [size] - File size in bytes
+   * @returns {File} File
+   */
+  function createFile(name, type, size = 1) {
+    return new window.File(['x'.repeat(size)], name, { type })
+  }
+
+  describe('initialisation', () => {
+    it('replaces the native input with a button', () => {
+      initExample('with JavaScript')
+
+      const $button = $root.querySelector('.govuk-file-upload-button')
+
+      expect($input).toHaveAttribute('hidden')
+      expect($input).toHaveAttribute('id', 'file-upload-javascript-input')
+      expect($button).toHaveAttribute('id', 'file-upload-javascript')
+      expect($button).toHaveAttribute('type', 'button')
+      expect(
+        $button.querySelector('.govuk-file-upload-button__status').innerText
+      ).toBe('No file chosen')
+      expect(
+        $button.querySelector('.govuk-file-upload-button__pseudo-button')
+          .innerText
+      ).toBe('Choose file')
+      expect(
+        $button.querySelector('.govuk-file-upload-button__instruction')
+          .innerText
+      ).toBe('or drop file')
+    })
+
+    it('copies the input description and error state to the button', () => {
+      initExample('with JavaScript and error message')
+
+      const $button = $root.querySelector('.govuk-file-upload-button')
+
+      expect($button).toHaveAttribute(
+        'aria-describedby',
+        'file-upload-javascript-error-error'
+      )
+      expect($button).toHaveClass('govuk-file-upload-button--error')
+    })
+
+    it('disables the button when the input is disabled', () => {
+      initExample('with JavaScript disabled')
+
+      expect($root.querySelector('.govuk-file-upload-button')).toBeDisabled()
+    })
+
+    it('opens the file picker when the button is clicked', () => {
+      const onClick = jest.fn()
+
+      initExample('with JavaScript')
+      $input.addEventListener('click', onClick)
+
+      $root.querySelector('.govuk-file-upload-button').click()
+
+      expect(onClick).toHaveBeenCalledTimes(1)
+    })
+
+    it('uses translations from data attributes', () => {
+      initExample('translated')
+
+      const $status = $root.querySelector('.govuk-file-upload-button__status')
+
+      expect($status.innerText).toBe("Dim ffeil wedi'i dewis")
+
+      chooseFiles($input, [
+        createFile('one.pdf', 'application/pdf'),
+        createFile('two.pdf', 'application/pdf')
+      ])
+
+      expect($status.innerText).toBe("2 ffeil wedi'u dewis")
+    })
+
+    it('uses the error prefix from data attributes', () => {
+      initExample('translated')
+
+      chooseFiles($input, [
+        createFile('mawr.pdf', 'application/pdf', 2 * 1024 * 1024 + 1)
+      ])
+
+      expect(
+        document.querySelector('.govuk-error-message .govuk-visually-hidden')
+      ).toHaveTextContent('Gwall:')
+    })
+
+    it('throws when the input is missing', () => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          <div class="govuk-drop-zone" data-module="govuk-file-upload"></div>
+        </body>
+      `
+
+      expect(
+        () => new FileUpload(document.querySelector('[data-module]'))
+      ).toThrow(
+        new ElementError('govuk-file-upload: Form field (`input`) not found')
+      )
+    })
+
+    it('throws when the input is not a file input', () => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          <div class="govuk-drop-zone" data-module="govuk-file-upload">
+            <input id="file" type="text">
+          </div>
+        </body>
+      `
+
+      expect(
+        () => new FileUpload(document.querySelector('[data-module]'))
+      ).toThrow(
+        new ElementError(
+          'File upload: Form field (`input`) must be of type `file`.'
+        )
+      )
+    })
+
+    it('throws when the config is not valid', () => {
+      renderExample('with JavaScript')
+      $root.setAttribute('data-max-file-size', '0')
+
+      expect(() => new FileUpload($root)).toThrow(
+        new ConfigError(
+          'govuk-file-upload: "maxFileSize" must be greater than or equal to 1'
+        )
+      )
+    })
+  })
+
+  describe('choosing files', () => {
+    it('shows the name of a single chosen file', () => {
+      initExample('with JavaScript')
+      chooseFiles($input, [createFile('photo.jpg', 'image/jpeg')])
+
+      expect(
+        $root.querySelector('.govuk-file-upload-button__status').innerText
+      ).toBe('photo.jpg')
+      expect($root.querySelector('.govuk-file-upload__list')).toHaveAttribute(
+        'hidden'
+      )
+    })
+
+    it('lists the names of multiple chosen files', () => {
+      initExample('with JavaScript and multiple files')
+      chooseFiles($input, [
+        createFile('one.pdf', 'application/pdf'),
+        createFile('two.pdf', 'application/pdf')
+      ])
+
+      const $list = $root.querySelector('.govuk-file-upload__list')
+      const $items = $list.querySelectorAll('li')
+
+      expect(
+        $root.querySelector('.govuk-file-upload-button__status').innerText
+      ).toBe('2 files chosen')
+      expect($list).not.toHaveAttribute('hidden')
+      expect($items).toHaveLength(2)
+      expect($items[0].innerText).toBe('one.pdf')
+      expect($items[1].innerText).toBe('two.pdf')
+    })
+  })
+
+  describe('validation', () => {
+    beforeEach(() => {
+      initExample('with JavaScript and multiple files')
+    })
+
+    it('shows an error when a file type is not accepted', () => {
+      chooseFiles($input, [createFile('photo.jpg', 'image/jpeg')])
+
+      const $errorMessage = document.getElementById(
+        'file-upload-javascript-multiple-file-error'
+      )
+
+      expect($errorMessage).toHaveClass('govuk-error-message')
+      expect($errorMessage).toHaveTextContent(
+        'Error: photo.jpg is not an accepted file type'
+      )
+      expect($root.querySelector('.govuk-file-upload-button')).toHaveAttribute(
+        'aria-describedby',
+        expect.stringContaining($errorMessage.id)
+      )
+      expect($root.closest('.govuk-form-group')).toHaveClass(
+        'govuk-form-group--error'
+      )
+    })
+
+    it('shows an error when a file is too large', () => {
+      chooseFiles($input, [
+        createFile('large.pdf', 'application/pdf', 2 * 1024 * 1024 + 1)
+      ])
+
+      expect(
+        document.getElementById('file-upload-javascript-multiple-file-error')
+      ).toHaveTextContent('Error: large.pdf must be smaller than 2MB')
+    })
+
+    it('shows an error when too many files are chosen', () => {
+      chooseFiles($input, [
+        createFile('one.pdf', 'application/pdf'),
+        createFile('two.pdf', 'application/pdf'),
+        createFile('three.pdf', 'application/pdf'),
+        createFile('four.pdf', 'application/pdf')
+      ])
+
+      expect(
+        document.getElementById('file-upload-javascript-multiple-file-error')
+      ).toHaveTextContent('Error: Select no more than 3 files')
+    })
+
+    it('removes the error when valid files are chosen', () => {
+      const $button = $root.querySelector('.govuk-file-upload-button')
+
+      chooseFiles($input, [createFile('photo.jpg', 'image/jpeg')])
+      chooseFiles($input, [createFile('document.pdf', 'application/pdf')])
+
+      expect(
+        document.getElementById('file-upload-javascript-multiple-file-error')
+      ).toBeNull()
+      expect($button).toHaveAttribute(
+        'aria-describedby',
+        'file-upload-javascript-multiple-hint'
+      )
+      expect($button).not.toHaveClass('govuk-file-upload-button--error')
+      expect($root.closest('.govuk-form-group')).not.toHaveClass(
+        'govuk-form-group--error'
+      )
+    })
+
+    it('only allows one file when the input does not accept multiple files', () => {
+      initExample('with JavaScript')
+      chooseFiles($input, [
+        createFile('one.pdf', 'application/pdf'),
+        createFile('two.pdf', 'application/pdf')
+      ])
+
+      expect(
+        document.getElementById('file-upload-javascript-file-error')
+      ).toHaveTextContent('Error: Select no more than 1 file')
+    })
+
+    it('keeps errors rendered by the server', () => {
+      initExample('with JavaScript and error message')
+      chooseFiles($input, [createFile('photo.jpg', 'image/jpeg')])
+
+      expect(
+        document.getElementById('file-upload-javascript-error-error')
+      ).toBeInTheDocument()
+      expect($root.closest('.govuk-form-group')).toHaveClass(
+        'govuk-form-group--error'
+      )
+    })
+  })
+
+  describe('drop zone', () => {
+    /**
+     * Dispatch a drag event with a data transfer on the drop zone
+     *
+     * @param {EventTarget} $target - Element to dispatch the event on
+     * @param {string} type - Drag event type
+     * @param {object} [options] - Drag event options
+     * @returns {Event} Dispatched event
+     */
+    function drag($target, type, options = {}) {
+      const event = new window.Event(type, { bubbles: true, cancelable: true })
+
+      Object.assign(
+        event,
+        {
+          relatedTarget: null,
+          dataTransfer: { types: ['Files'], files: [] }
+        },
+        options
+      )
+
+      $target.dispatchEvent(event)
+      return event
+    }
+
+    beforeEach(() => {
+      initExample('with JavaScript and multiple files')
+    })
+
+    it('highlights the drop zone and announces when files enter it', () => {
+      const event = drag($root, 'dragenter')
+
+      expect(event.defaultPrevented).toBe(true)
+      expect($root).toHaveClass('govuk-drop-zone--active')
+      expect(
+        $root.querySelector('.govuk-file-upload-announcements').innerText
+      ).toBe('Entered drop zone')
+    })
+
+    it('removes the highlight and announces when files leave it', () => {
+      drag($root, 'dragenter')
+      drag($root, 'dragleave')
+
+      expect($root).not.toHaveClass('govuk-drop-zone--active')
+      expect(
+        $root.querySelector('.govuk-file-upload-announcements').innerText
+      ).toBe('Left drop zone')
+    })
+
+    it('keeps the highlight when moving between elements in the drop zone', () => {
+      drag($root, 'dragenter')
+      drag($root, 'dragleave', {
+        relatedTarget: $root.querySelector('.govuk-file-upload-button')
+      })
+
+      expect($root).toHaveClass('govuk-drop-zone--active')
+    })
+
+    it('ignores dragged items that are not files', () => {
+      const event = drag($root, 'dragenter', {
+        dataTransfer: { types: ['text/plain'], files: [] }
+      })
+
+      expect(event.defaultPrevented).toBe(false)
+      expect($root).not.toHaveClass('govuk-drop-zone--active')
+    })
+
+    it('chooses the dropped files', () => {
+      const files = [
+        createFile('one.pdf', 'application/pdf'),
+        createFile('two.pdf', 'application/pdf')
+      ]
+
+      // JSDOM only allows file lists to be set on the input
+      Object.defineProperty($input, 'files', {
+        configurable: true,
+        writable: true,
+        value: []
+      })
+
+      drag($root, 'dragenter')
+      drag($root, 'drop', { dataTransfer: { types: ['Files'], files } })
+
+      expect($input.files).toBe(files)
+      expect($root).not.toHaveClass('govuk-drop-zone--active')
+      expect(
+        $root.querySelector('.govuk-file-upload-button__status').innerText
+      ).toBe('2 files chosen')
+    })
+  })
+
+  describe('upload queue', () => {
+    const { XMLHttpRequest } = window
+
+    /**
+     * Requests sent by the component, in the order they were created
+     *
+     * @type {FakeXMLHttpRequest[]}
+     */
+    let requests
+
+    class FakeXMLHttpRequest extends window.EventTarget {
+      upload = new window.EventTarget()
+      response = null
+      status = 0
+
+      open = jest.fn()
+      send = jest.fn()
+      abort = jest.fn()
+
+      constructor() {
+        super()
+        requests.push(this)
+      }
+
+      /**
+       * Respond to the request
+       *
+       * @param {number} status - Response status code
+       * @param {object} response - Response JSON
+       */
+      respond(status, response) {
+        this.status = status
+        this.response = response
+        this.dispatchEvent(new window.Event('load'))
+      }
+    }
+
+    /**
+     * Get the text content of the upload list items
+     *
+     * @returns {string[]} Status text for each file
+     */
+    function getStatuses() {
+      return Array.from(
+        $root.querySelectorAll('.govuk-file-upload__item-status'),
+        ($status) => $status.innerText
+      )
+    }
+
+    beforeEach(() => {
+      requests = []
+      window.XMLHttpRequest = /** @type {any} */ (FakeXMLHttpRequest)
+
+      initExample('with upload queue', (html) => `<form>${html}</form>`)
+    })
+
+    afterEach(() => {
+      window.XMLHttpRequest = XMLHttpRequest
+    })
+
+    it('removes the input name so files are not submitted with the form', () => {
+      expect($input).not.toHaveAttribute('name')
+    })
+
+    it('uploads chosen files one at a time', () => {
+      chooseFiles($input, [
+        createFile('one.pdf', 'application/pdf'),
+        createFile('two.pdf', 'application/pdf')
+      ])
+
+      expect(requests).toHaveLength(1)
+      expect(requests[0].open).toHaveBeenCalledWith(
+        'POST',
+        '/full-page-examples/upload-your-documents/upload'
+      )
+      expect(requests[0].send.mock.calls[0][0].get('file').name).toBe('one.pdf')
+      expect(getStatuses()).toEqual(['Uploading', 'Waiting to upload'])
+      expect(
+        $root.querySelector('.govuk-file-upload-announcements').innerText
+      ).toBe('one.pdf: Uploading')
+
+      requests[0].respond(200, { id: 'file-1' })
+
+      expect(requests).toHaveLength(2)
+      expect(requests[1].send.mock.calls[0][0].get('file').name).toBe('two.pdf')
+      expect(getStatuses()).toEqual(['Uploaded', 'Uploading'])
+    })
+
+    it('sends the hidden fields of the form with each file', () => {
+      document
+        .querySelector('form')
+        .insertAdjacentHTML(
+          'beforeend',
+          '<input type="hidden" name="_csrf" value="csrf-token">'
+        )
+
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+      requests[0].respond(200, { id: 'file-1' })
+      chooseFiles($input, [createFile('two.pdf', 'application/pdf')])
+
+      const formData = requests[1].send.mock.calls[0][0]
+
+      expect(formData.get('_csrf')).toBe('csrf-token')
+      expect(formData.get('file').name).toBe('two.pdf')
+
+      // Does not send the IDs of files already uploaded
+      expect(formData.has('file-upload-queue')).toBe(false)
+    })
+
+    it('shows the progress of the upload', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+
+      const $progress = $root.querySelector('.govuk-file-upload__progress')
+
+      requests[0].upload.dispatchEvent(
+        Object.assign(new window.Event('progress'), {
+          lengthComputable: true,
+          loaded: 25,
+          total: 100
+        })
+      )
+
+      expect($progress).not.toHaveAttribute('hidden')
+      expect($progress.value).toBe(25)
+    })
+
+    it('submits uploaded file IDs in hidden inputs', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+      requests[0].respond(200, { id: 'file-1' })
+
+      const formData = new window.FormData(document.querySelector('form'))
+
+      expect(formData.getAll('file-upload-queue')).toEqual(['file-1'])
+      expect(
+        $root.querySelector('.govuk-file-upload-button__status').innerText
+      ).toBe('one.pdf')
+      expect(
+        $root.querySelector('.govuk-file-upload-announcements').innerText
+      ).toBe('one.pdf: Uploaded')
+    })
+
+    it('shows the error returned when an upload fails', () => {
+      chooseFiles($input, [createFile('virus.pdf', 'application/pdf')])
+      requests[0].respond(422, { error: 'virus.pdf contains a virus' })
+
+      const $item = $root.querySelector('.govuk-file-upload__item')
+
+      expect($item).toHaveClass('govuk-file-upload__item--failed')
+      expect(getStatuses()).toEqual(['virus.pdf contains a virus'])
+      expect(
+        $item.querySelector('.govuk-file-upload__item-button:not([hidden])')
+      ).toHaveTextContent('Retry virus.pdf')
+    })
+
+    it('fails uploads when the response has no file ID', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+      requests[0].respond(200, {})
+
+      expect(getStatuses()).toEqual(['Upload failed'])
+      expect(
+        new window.FormData(document.querySelector('form')).getAll(
+          'file-upload-queue'
+        )
+      ).toEqual([])
+    })
+
+    it('fails uploads when the request errors', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+      requests[0].dispatchEvent(new window.Event('error'))
+
+      expect(getStatuses()).toEqual(['Upload failed'])
+    })
+
+    it('cancels and retries uploads', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+
+      const [$cancelButton, $retryButton] = $root.querySelectorAll(
+        '.govuk-file-upload__item-button'
+      )
+
+      $cancelButton.focus()
+      $cancelButton.click()
+
+      expect(requests[0].abort).toHaveBeenCalled()
+      expect(getStatuses()).toEqual(['Upload cancelled'])
+      expect($retryButton).toHaveFocus()
+
+      $retryButton.click()
+
+      expect(requests).toHaveLength(2)
+      expect(getStatuses()).toEqual(['Uploading'])
+    })
+
+    it('removes files and their IDs', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+      requests[0].respond(200, { id: 'file-1' })
+
+      const $removeButton = $root.querySelector(
+        '.govuk-file-upload__item-button:not([hidden])'
+      )
+
+      expect($removeButton).toHaveTextContent('Remove one.pdf')
+
+      $removeButton.click()
+
+      expect($root.querySelector('.govuk-file-upload__item')).toBeNull()
+      expect(
+        new window.FormData(document.querySelector('form')).getAll(
+          'file-upload-queue'
+        )
+      ).toEqual([])
+      expect(
+        $root.querySelector('.govuk-file-upload-announcements').innerText
+      ).toBe('one.pdf removed')
+      expect($root.querySelector('.govuk-file-upload-button')).toHaveFocus()
+    })
+
+    it('includes uploaded files when checking the number of files', () => {
+      chooseFiles($input, [
+        createFile('one.pdf', 'application/pdf'),
+        createFile('two.pdf', 'application/pdf'),
+        createFile('three.pdf', 'application/pdf')
+      ])
+
+      chooseFiles($input, [
+        createFile('four.pdf', 'application/pdf'),
+        createFile('five.pdf', 'application/pdf'),
+        createFile('six.pdf', 'application/pdf')
+      ])
+
+      expect(
+        document.getElementById('file-upload-queue-file-error')
+      ).toHaveTextContent('Error: Select no more than 5 files')
+      expect(getStatuses()).toHaveLength(3)
+    })
+
+    it('does not count failed or cancelled uploads when checking the number of files', () => {
+      chooseFiles(
+        $input,
+        ['one', 'two', 'three', 'four', 'five'].map((name) =>
+          createFile(`${name}.pdf`, 'application/pdf')
+        )
+      )
+
+      requests[0].respond(422, { error: 'one.pdf contains a virus' })
+      chooseFiles($input, [createFile('six.pdf', 'application/pdf')])
+
+      expect(document.getElementById('file-upload-queue-file-error')).toBeNull()
+      expect(getStatuses()).toHaveLength(6)
+
+      // Retrying the failed upload would go over the limit
+      $root
+        .querySelector('.govuk-file-upload__item-button:not([hidden])')
+        .click()
+
+      expect(
+        document.getElementById('file-upload-queue-file-error')
+      ).toHaveTextContent('Error: Select no more than 5 files')
+      expect(getStatuses()[0]).toBe('one.pdf contains a virus')
+    })
+
+    it('stops the form being submitted while files are uploading', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+
+      const event = new window.Event('submit', { cancelable: true })
+      document.querySelector('form').dispatchEvent(event)
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(
+        document.getElementById('file-upload-queue-file-error')
+      ).toHaveTextContent('Error: Wait for your files to finish uploading')
+    })
+
+    it('allows the form to be submitted once files have uploaded', () => {
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+      requests[0].respond(200, { id: 'file-1' })
+
+      const event = new window.Event('submit', { cancelable: true })
+      document.querySelector('form').dispatchEvent(event)
+
+      expect(event.defaultPrevented).toBe(false)
+    })
+
+    it('restores the input name and removes file IDs when destroyed', () => {
+      const component = FileUpload.getInstance($root)
+
+      chooseFiles($input, [createFile('one.pdf', 'application/pdf')])
+      requests[0].respond(200, { id: 'file-1' })
+
+      component.destroy()
+
+      expect($input).toHaveAttribute('name', 'file-upload-queue')
+      expect($root.querySelector('input[type="hidden"]')).toBeNull()
+    })
+  })
+
+  describe('destroy()', () => {
+    it('restores the native input', () => {
+      const component = initExample('with JavaScript and multiple files')
+      chooseFiles($input, [createFile('photo.jpg', 'image/jpeg')])
+
+      component.destroy()
+
+      expect($input).not.toHaveAttribute('hidden')
+      expect($input).toHaveAttribute('id', 'file-upload-javascript-multiple')
+      expect($root.querySelector('.govuk-file-upload-button')).toBeNull()
+      expect($root.querySelector('.govuk-file-upload__list')).toBeNull()
+      expect(
+        document.getElementById('file-upload-javascript-multiple-file-error')
+      ).toBeNull()
+      expect($root.closest('.govuk-form-group')).not.toHaveClass(
+        'govuk-form-group--error'
+      )
+    })
+  })
+})
@@ -0,0 +1,1169 @@
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
+import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+import { I18n, translationPluralFormsSchema } from '../../i18n.mjs'
+
+/**
+ * Translation keys for the status of each upload
+ *
+ * @type {{ [status in FileUploadStatus]: string }}
+ */
+const uploadStatusKeys = {
+  queued: 'fileQueued',
+  uploading: 'fileUploading',
+  uploaded: 'fileUploaded',
+  failed: 'fileUploadFailed',
+  cancelled: 'fileUploadCancelled'
+}
+
+/**
+ * File upload component
+ *
+ * Replaces the native file picker with a button and drop zone, lists the
+ * chosen files and checks them against the `accept` attribute and the
+ * configured size and number limits before the form is submitted.
+ *
+ * When an `uploadUrl` is configured, chosen files are uploaded straight away
+ * and the IDs returned are submitted with the form in hidden inputs instead.
+ *
+ * @preserve
+ */
+export class FileUpload extends GOVUKFrontendComponent {
+  /**
+   * @private
+   * @type {FileUploadConfig}
+   */
+  config
+
+  /** @private */
+  i18n
+
+  /**
+   * @private
+   * @type {HTMLInputElement}
+   */
+  $input
+
+  /** @private */
+  id
+
+  /** @private */
+  $formGroup
+
+  /** @private */
+  $button
+
+  /** @private */
+  $status
+
+  /** @private */
+  $list
+
+  /** @private */
+  $announcements
+
+  /**
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $errorMessage = null
+
+  /** @private */
+  isDragging = false
+
+  /**
+   * Name of the input, submitted with uploaded file IDs
+   *
+   * @private
+   * @type {string}
+   */
+  name = ''
+
+  /**
+   * Files chosen for uploading, in the order they were chosen
+   *
+   * @private
+   * @type {FileUploadItem[]}
+   */
+  uploads = []
+
+  /** @private */
+  uploadCount = 0
+
+  /** @private */
+  boundOnClick
+
+  /** @private */
+  boundOnChange
+
+  /** @private */
+  boundOnDragEnter
+
+  /** @private */
+  boundOnDragOver
+
+  /** @private */
+  boundOnDragLeave
+
+  /** @private */
+  boundOnDrop
+
+  /** @private */
+  boundOnSubmit
+
+  /**
+   * @param {Element | null} $root - HTML element to use for file upload
+   * @param {FileUploadConfig} [config] - File upload config
+   */
+  constructor($root, config = {}) {
+    super($root)
+
+    const $input = this.$root.querySelector('input')
+    if (!($input instanceof HTMLInputElement)) {
+      throw new ElementError({
+        component: FileUpload,
+        element: $input,
+        expectedType: 'HTMLInputElement',
+        identifier: 'Form field (`input`)'
+      })
+    }
+
+    if ($input.type !== 'file') {
+      throw new ElementError(
+        'File upload: Form field (`input`) must be of type `file`.'
+      )
+    }
+
+    if (!$input.id) {
+      throw new ElementError(
+        'File upload: Form field (`input`) must have an `id` attribute.'
+      )
+    }
+
+    this.$input = $input
+    this.id = $input.id
+    this.$formGroup = this.$root.closest('.govuk-form-group')
+
+    this.config = mergeConfigs(
+      FileUpload.defaults,
+      config,
+      normaliseDataset(FileUpload, this.$root.dataset)
+    )
+
+    // Check for valid config
+    const errors = validateConfig(FileUpload.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(FileUpload, errors[0]))
+    }
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    // Create the button that opens the file picker. It takes over the input
+    // `id` so the label and any error summary links point to it instead
+    const $button = document.createElement('button')
+    $button.type = 'button'
+    $button.id = this.id
+    $button.className = 'govuk-file-upload-button'
+    $button.disabled = this.$input.disabled
+
+    const describedBy = this.$input.getAttribute('aria-describedby')
+    if (describedBy) {
+      $button.setAttribute('aria-describedby', describedBy)
+    }
+
+    if (this.$input.classList.contains('govuk-file-upload--error')) {
+      $button.classList.add('govuk-file-upload-button--error')
+    }
+
+    const $status = document.createElement('span')
+    $status.className = 'govuk-body govuk-file-upload-button__status'
+    $status.innerText = this.i18n.t('noFileChosen')
+
+    const $pseudoButton = document.createElement('span')
+    $pseudoButton.className =
+      'govuk-button govuk-button--secondary govuk-file-upload-button__pseudo-button'
+    $pseudoButton.innerText = this.i18n.t('chooseFilesButton')
+
+    const $instruction = document.createElement('span')
+    $instruction.className = 'govuk-body govuk-file-upload-button__instruction'
+    $instruction.innerText = this.i18n.t('dropInstruction')
+
+    $button.append($status, $pseudoButton, $instruction)
+    this.$button = $button
+    this.$status = $status
+
+    // Create the list of chosen files, shown when more than one is chosen
+    const $list = document.createElement('ul')
+    $list.className = 'govuk-list govuk-file-upload__list'
+    $list.hidden = true
+    this.$list = $list
+
+    // Create the live region announcing when files are dragged in or out
+    const $announcements = document.createElement('span')
+    $announcements.className =
+      'govuk-file-upload-announcements govuk-visually-hidden'
+    $announcements.setAttribute('aria-live', 'assertive')
+    this.$announcements = $announcements
+
+    // Hide the native input, keeping it in the form to submit the files
+    this.$input.id = `${this.id}-input`
+    this.$input.hidden = true
+    this.$input.insertAdjacentElement('afterend', $button)
+    $button.insertAdjacentElement('afterend', $list)
+    $list.insertAdjacentElement('afterend', $announcements)
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundOnClick = this.onClick.bind(this)
+    this.boundOnChange = this.onChange.bind(this)
+    this.boundOnDragEnter = this.onDragEnter.bind(this)
+    this.boundOnDragOver = this.onDragOver.bind(this)
+    this.boundOnDragLeave = this.onDragLeave.bind(this)
+    this.boundOnDrop = this.onDrop.bind(this)
+    this.boundOnSubmit = this.onSubmit.bind(this)
+
+    this.$button.addEventListener('click', this.boundOnClick)
+    this.$input.addEventListener('change', this.boundOnChange)
+    this.$root.addEventListener('dragenter', this.boundOnDragEnter)
+    this.$root.addEventListener('dragover', this.boundOnDragOver)
+    this.$root.addEventListener('dragleave', this.boundOnDragLeave)
+    this.$root.addEventListener('drop', this.boundOnDrop)
+
+    // Upload files as soon as they're chosen, removing the input name so the
+    // files are not submitted again with the form
+    if (this.config.uploadUrl) {
+      this.name = this.$input.name
+      this.$input.removeAttribute('name')
+      this.$input.form?.addEventListener('submit', this.boundOnSubmit)
+    }
+
+    // Show files already chosen, for example when navigating back to the page
+    this.updateStatus()
+  }
+
+  /**
+   * Destroy file upload
+   *
+   * Removes event listeners, any error shown by the component and the
+   * elements it created, and shows the native file input again. Uploads in
+   * progress are cancelled and uploaded file IDs are no longer submitted
+   */
+  destroy() {
+    this.$button.removeEventListener('click', this.boundOnClick)
+    this.$input.removeEventListener('change', this.boundOnChange)
+    this.$root.removeEventListener('dragenter', this.boundOnDragEnter)
+    this.$root.removeEventListener('dragover', this.boundOnDragOver)
+    this.$root.removeEventListener('dragleave', this.boundOnDragLeave)
+    this.$root.removeEventListener('drop', this.boundOnDrop)
+    this.$input.form?.removeEventListener('submit', this.boundOnSubmit)
+
+    for (const upload of this.uploads) {
+      upload.xhr?.abort()
+      upload.$hiddenInput?.remove()
+    }
+
+    if (this.config.uploadUrl) {
+      this.$input.name = this.name
+    }
+
+    this.hideError()
+    this.$root.classList.remove('govuk-drop-zone--active')
+
+    this.$button.remove()
+    this.$list.remove()
+    this.$announcements.remove()
+
+    this.$input.id = this.id
+    this.$input.hidden = false
+
+    super.destroy()
+  }
+
+  /**
+   * Open the file picker when the button is clicked
+   *
+   * @private
+   */
+  onClick() {
+    this.$input.click()
+  }
+
+  /**
+   * Update the chosen files and check them when the input changes
+   *
+   * @private
+   */
+  onChange() {
+    const files = Array.from(this.$input.files ?? [])
+    const error = this.validate(files)
+
+    if (error) {
+      this.showError(error)
+    } else {
+      this.hideError()
+    }
+
+    if (this.config.uploadUrl) {
+      if (!error) {
+        this.queueUploads(files)
+      }
+
+      // Clear the input so the same file can be chosen again
+      this.$input.value = ''
+    }
+
+    this.updateStatus()
+  }
+
+  /**
+   * Stop the form being submitted while files are still uploading
+   *
+   * @private
+   * @param {SubmitEvent} event - Form submit event
+   */
+  onSubmit(event) {
+    const isUploading = this.uploads.some(
+      ({ status }) => status === 'queued' || status === 'uploading'
+    )
+
+    if (isUploading) {
+      event.preventDefault()
+      this.showError(this.i18n.t('uploadsPending'))
+      this.$button.focus()
+    }
+  }
+
+  /**
+   * Highlight the drop zone when files are dragged into it
+   *
+   * @private
+   * @param {DragEvent} event - Drag enter event
+   */
+  onDragEnter(event) {
+    if (!this.canDrop(event)) {
+      return
+    }
+
+    event.preventDefault()
+
+    if (!this.isDragging) {
+      this.isDragging = true
+      this.$root.classList.add('govuk-drop-zone--active')
+      this.$announcements.innerText = this.i18n.t('enteredDropZone')
+    }
+  }
+
+  /**
+   * Allow files to be dropped on the drop zone
+   *
+   * @private
+   * @param {DragEvent} event - Drag over event
+   */
+  onDragOver(event) {
+    if (this.canDrop(event)) {
+      event.preventDefault()
+    }
+  }
+
+  /**
+   * Remove the drop zone highlight when files are dragged out of it
+   *
+   * @private
+   * @param {DragEvent} event - Drag leave event
+   */
+  onDragLeave(event) {
+    // Ignore moving between elements inside the drop zone
+    if (
+      !this.isDragging ||
+      (event.relatedTarget instanceof Node &&
+        this.$root.contains(event.relatedTarget))
+    ) {
+      return
+    }
+
+    this.isDragging = false
+    this.$root.classList.remove('govuk-drop-zone--active')
+    this.$announcements.innerText = this.i18n.t('leftDropZone')
+  }
+
+  /**
+   * Choose the files dropped on the drop zone
+   *
+   * @private
+   * @param {DragEvent} event - Drop event
+   */
+  onDrop(event) {
+    if (!this.canDrop(event) || !event.dataTransfer) {
+      return
+    }
+
+    event.preventDefault()
+
+    this.isDragging = false
+    this.$root.classList.remove('govuk-drop-zone--active')
+
+    this.$input.files = event.dataTransfer.files
+    this.$input.dispatchEvent(new Event('change', { bubbles: true }))
+  }
+
+  /**
+   * Check if the dragged items can be dropped on the drop zone
+   *
+   * @private
+   * @param {DragEvent} event - Drag event
+   * @returns {boolean} Whether files are dragged and the input is enabled
+   */
+  canDrop(event) {
+    return (
+      !this.$input.disabled &&
+      !!event.dataTransfer?.types &&
+      Array.from(event.dataTransfer.types).includes('Files')
+    )
+  }
+
+  /**
+   * Update the button status and list of chosen files
+   *
+   * @private
+   */
+  updateStatus() {
+    const files = this.config.uploadUrl
+      ? this.uploads.map(({ file }) => file)
+      : Array.from(this.$input.files ?? [])
+
+    if (!files.length) {
+      this.$status.innerText = this.i18n.t('noFileChosen')
+    } else if (files.length === 1) {
+      this.$status.innerText = files[0].name
+    } else {
+      this.$status.innerText = this.i18n.t('multipleFilesChosen', {
+        count: files.length
+      })
+    }
+
+    // Uploads are listed as they're queued, with their progress
+    if (this.config.uploadUrl) {
+      this.$list.hidden = !files.length
+      return
+    }
+
+    this.$list.innerHTML = ''
+    this.$list.hidden = files.length < 2
+
+    if (files.length < 2) {
+      return
+    }
+
+    for (const file of files) {
+      const $item = document.createElement('li')
+      $item.className = 'govuk-file-upload__list-item'
+      $item.innerText = file.name
+      this.$list.appendChild($item)
+    }
+  }
+
+  /**
+   * Check the chosen files against the accepted types and configured limits
+   *
+   * @private
+   * @param {File[]} files - Chosen files
+   * @returns {string | undefined} Message for the first error found
+   */
+  validate(files) {
+    // Only one file can be chosen unless the input accepts multiple files,
+    // which includes files already uploaded or waiting to upload, but not
+    // failed or cancelled uploads that users may replace
+    const maxFiles = this.$input.multiple ? this.config.maxFiles : 1
+    const count = this.$input.multiple
+      ? files.length +
+        this.uploads.filter(
+          ({ status }) => status !== 'failed' && status !== 'cancelled'
+        ).length
+      : files.length
+
+    if (maxFiles && count > maxFiles) {
+      return this.i18n.t('tooManyFiles', { count: maxFiles })
+    }
+
+    for (const file of files) {
+      if (!isAccepted(file, this.$input.accept)) {
+        return this.i18n.t('fileTypeNotAccepted', { fileName: file.name })
+      }
+
+      if (this.config.maxFileSize && file.size > this.config.maxFileSize) {
+        return this.i18n.t('fileTooLarge', {
+          fileName: file.name,
+          maxFileSize: formatFileSize(this.config.maxFileSize, this.i18n.locale)
+        })
+      }
+    }
+  }
+
+  /**
+   * Add chosen files to the upload queue
+   *
+   * @private
+   * @param {File[]} files - Chosen files
+   */
+  queueUploads(files) {
+    // Replace the previous file unless the input accepts multiple files
+    if (!this.$input.multiple) {
+      for (const upload of this.uploads.slice()) {
+        this.removeUpload(upload)
+      }
+    }
+
+    for (const file of files) {
+      const upload = this.createUpload(file)
+
+      this.uploads.push(upload)
+      this.$list.appendChild(upload.$item)
+      this.setUploadStatus(upload, 'queued')
+    }
+
+    this.processQueue()
+  }
+
+  /**
+   * Create the list item showing a file's upload progress and actions
+   *
+   * @private
+   * @param {File} file - File to upload
+   * @returns {FileUploadItem} File upload item
+   */
+  createUpload(file) {
+    const nameId = `${this.id}-upload-${++this.uploadCount}`
+
+    const $item = document.createElement('li')
+
+    const $name = document.createElement('span')
+    $name.id = nameId
+    $name.className = 'govuk-file-upload__item-name'
+    $name.innerText = file.name
+
+    const $progress = document.createElement('progress')
+    $progress.className = 'govuk-file-upload__progress'
+    $progress.max = 100
+    $progress.value = 0
+    $progress.setAttribute('aria-labelledby', nameId)
+
+    const $status = document.createElement('span')
+    $status.className = 'govuk-file-upload__item-status'
+
+    const $actions = document.createElement('span')
+    $actions.className = 'govuk-file-upload__item-actions'
+
+    /** @type {FileUploadItem} */
+    const upload = {
+      file,
+      status: 'queued',
+      $item,
+      $progress,
+      $status,
+      $cancelButton: this.createUploadButton('cancelUploadButton', file),
+      $retryButton: this.createUploadButton('retryUploadButton', file),
+      $removeButton: this.createUploadButton('removeFileButton', file)
+    }
+
+    upload.$cancelButton.addEventListener('click', () =>
+      this.cancelUpload(upload)
+    )
+    upload.$retryButton.addEventListener('click', () =>
+      this.retryUpload(upload)
+    )
+    upload.$removeButton.addEventListener('click', () =>
+      this.removeUpload(upload, true)
+    )
+
+    $actions.append(
+      upload.$cancelButton,
+      upload.$retryButton,
+      upload.$removeButton
+    )
+
+    $item.append($name, $progress, $status, $actions)
+    return upload
+  }
+
+  /**
+   * Create a button for an upload action
+   *
+   * The file name is added as visually hidden text so screen reader users
+   * know which file the button is for
+   *
+   * @private
+   * @param {'cancelUploadButton' | 'retryUploadButton' | 'removeFileButton'} key - Translation key for the button text
+   * @param {File} file - File the button acts on
+   * @returns {HTMLButtonElement} Upload action button
+   */
+  createUploadButton(key, file) {
+    const $button = document.createElement('button')
+    $button.type = 'button'
+    $button.className =
+      'govuk-button govuk-button--secondary govuk-file-upload__item-button'
+
+    const $fileName = document.createElement('span')
+    $fileName.className = 'govuk-visually-hidden'
+    $fileName.textContent = ` ${file.name}`
+
+    $button.append(this.i18n.t(key), $fileName)
+
+    return $button
+  }
+
+  /**
+   * Start the next queued upload, one file at a time
+   *
+   * @private
+   */
+  processQueue() {
+    if (this.uploads.some(({ status }) => status === 'uploading')) {
+      return
+    }
+
+    const upload = this.uploads.find(({ status }) => status === 'queued')
+    if (upload) {
+      this.startUpload(upload)
+    }
+  }
+
+  /**
+   * Upload a file to the configured `uploadUrl`
+   *
+   * @private
+   * @param {FileUploadItem} upload - File upload item
+   */
+  startUpload(upload) {
+    const xhr = new XMLHttpRequest()
+    const formData = new FormData()
+
+    // Send the hidden fields of the form, such as a CSRF token, with the file
+    for (const $field of Array.from(this.$input.form?.elements ?? [])) {
+      if (
+        $field instanceof HTMLInputElement &&
+        $field.type === 'hidden' &&
+        $field.name &&
+        $field.name !== this.name &&
+        !$field.disabled
+      ) {
+        formData.append($field.name, $field.value)
+      }
+    }
+
+    formData.append('file', upload.file)
+
+    // Use XMLHttpRequest rather than `fetch()` to report upload progress
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) {
+        upload.$progress.value = Math.round((event.loaded / event.total) * 100)
+      }
+    })
+
+    xhr.addEventListener('load', () => this.onUploadLoad(upload))
+    xhr.addEventListener('error', () => this.onUploadError(upload))
+
+    xhr.open('POST', this.config.uploadUrl ?? '')
+    xhr.responseType = 'json'
+
+    upload.xhr = xhr
+    upload.$progress.value = 0
+    this.setUploadStatus(upload, 'uploading')
+
+    xhr.send(formData)
+  }
+
+  /**
+   * Handle an upload response, adding the returned file ID to the form
+   *
+   * Responses are expected to be JSON with an `id` for the uploaded file, or
+   * an `error` message to show when the file is not accepted
+   *
+   * @private
+   * @param {FileUploadItem} upload - File upload item
+   */
+  onUploadLoad(upload) {
+    const xhr = /** @type {XMLHttpRequest} */ (upload.xhr)
+
+    /** @type {unknown} */
+    const response = xhr.response
+    const { id, error } = /** @type {FileUploadResponse} */ (
+      response && typeof response === 'object' ? response : {}
+    )
+
+    upload.xhr = undefined
+
+    if (
+      xhr.status < 200 ||
+      xhr.status > 299 ||
+      (typeof id !== 'string' && typeof id !== 'number')
+    ) {
+      this.setUploadStatus(
+        upload,
+        'failed',
+        typeof error === 'string' ? error : undefined
+      )
+
+      this.processQueue()
+      return
+    }
+
+    const $hiddenInput = document.createElement('input')
+    $hiddenInput.type = 'hidden'
+    $hiddenInput.name = this.name
+    $hiddenInput.value = `${id}`
+
+    upload.$hiddenInput = $hiddenInput
+    upload.$item.appendChild($hiddenInput)
+    upload.$progress.value = 100
+
+    this.setUploadStatus(upload, 'uploaded')
+    this.processQueue()
+  }
+
+  /**
+   * Handle an upload failing, for example when the network is unavailable
+   *
+   * @private
+   * @param {FileUploadItem} upload - File upload item
+   */
+  onUploadError(upload) {
+    upload.xhr = undefined
+
+    this.setUploadStatus(upload, 'failed')
+    this.processQueue()
+  }
+
+  /**
+   * Cancel a queued upload or one in progress
+   *
+   * @private
+   * @param {FileUploadItem} upload - File upload item
+   */
+  cancelUpload(upload) {
+    upload.xhr?.abort()
+    upload.xhr = undefined
+
+    this.setUploadStatus(upload, 'cancelled')
+    this.processQueue()
+  }
+
+  /**
+   * Add a failed or cancelled upload to the queue again
+   *
+   * @private
+   * @param {FileUploadItem} upload - File upload item
+   */
+  retryUpload(upload) {
+    // Check the file again, as users may have chosen other files since
+    const error = this.validate([upload.file])
+
+    if (error) {
+      this.showError(error)
+      return
+    }
+
+    this.setUploadStatus(upload, 'queued')
+    this.processQueue()
+  }
+
+  /**
+   * Remove a file, cancelling its upload and removing its ID from the form
+   *
+   * @private
+   * @param {FileUploadItem} upload - File upload item
+   * @param {boolean} [announce] - Whether to announce the file was removed
+   */
+  removeUpload(upload, announce = false) {
+    upload.xhr?.abort()
+    upload.xhr = undefined
+    upload.$item.remove()
+
+    this.uploads.splice(this.uploads.indexOf(upload), 1)
+
+    if (announce) {
+      this.$announcements.innerText = this.i18n.t('fileRemoved', {
+        fileName: upload.file.name
+      })
+
+      // Move focus back to the button, as the focused button was removed
+      this.$button.focus()
+    }
+
+    this.updateStatus()
+    this.processQueue()
+  }
+
+  /**
+   * Update the status, progress and available actions of an upload
+   *
+   * @private
+   * @param {FileUploadItem} upload - File upload item
+   * @param {FileUploadStatus} status - Upload status
+   * @param {string} [message] - Message to show instead of the status text
+   */
+  setUploadStatus(upload, status, message) {
+    const $focused = document.activeElement
+    const hadFocus =
+      $focused instanceof HTMLButtonElement && upload.$item.contains($focused)
+
+    const isActive = status === 'queued' || status === 'uploading'
+    const statusText = message ?? this.i18n.t(uploadStatusKeys[status])
+
+    upload.status = status
+    upload.$item.className = `govuk-file-upload__item govuk-file-upload__item--${status}`
+    upload.$progress.hidden = status !== 'uploading'
+    upload.$status.innerText = statusText
+
+    upload.$cancelButton.hidden = !isActive
+    upload.$retryButton.hidden = isActive || status === 'uploaded'
+    upload.$removeButton.hidden = isActive
+
+    // Move focus to the next action when the focused button is hidden
+    if (hadFocus && $focused.hidden) {
+      const $buttons = [
+        upload.$retryButton,
+        upload.$cancelButton,
+        upload.$removeButton
+      ]
+
+      $buttons.find(($button) => !$button.hidden)?.focus()
+    }
+
+    // Don't announce every file as it's queued, only when it starts uploading
+    if (status !== 'queued') {
+      this.$announcements.innerText = this.i18n.t('uploadStatusAnnouncement', {
+        fileName: upload.file.name,
+        status: statusText
+      })
+    }
+  }
+
+  /**
+   * Show an error message using the error message component styles
+   *
+   * @private
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    if (!this.$errorMessage) {
+      const $errorMessage = document.createElement('p')
+      $errorMessage.id = `${this.id}-file-error`
+      $errorMessage.className = 'govuk-error-message'
+      this.$root.insertAdjacentElement('beforebegin', $errorMessage)
+      this.$errorMessage = $errorMessage
+
+      const describedBy = this.$button.getAttribute('aria-describedby')
+      this.$button.setAttribute(
+        'aria-describedby',
+        describedBy ? `${describedBy} ${$errorMessage.id}` : $errorMessage.id
+      )
+    }
+
+    const $prefix = document.createElement('span')
+    $prefix.className = 'govuk-visually-hidden'
+    $prefix.textContent = `${this.i18n.t('errorPrefix')}:`
+
+    this.$errorMessage.innerHTML = ''
+    this.$errorMessage.append($prefix, ` ${message}`)
+
+    this.$formGroup?.classList.add('govuk-form-group--error')
+    this.$input.classList.add('govuk-file-upload--error')
+    this.$button.classList.add('govuk-file-upload-button--error')
+  }
+
+  /**
+   * Hide the error message shown by the component
+   *
+   * Errors rendered by the server are left in place
+   *
+   * @private
+   */
+  hideError() {
+    if (!this.$errorMessage) {
+      return
+    }
+
+    const errorId = this.$errorMessage.id
+    const describedBy = (this.$button.getAttribute('aria-describedby') ?? '')
+      .split(' ')
+      .filter((id) => id && id !== errorId)
+      .join(' ')
+
+    if (describedBy) {
+      this.$button.setAttribute('aria-describedby', describedBy)
+    } else {
+      this.$button.removeAttribute('aria-describedby')
+    }
+
+    this.$errorMessage.remove()
+    this.$errorMessage = null
+
+    if (!this.$formGroup?.querySelector('.govuk-error-message')) {
+      this.$formGroup?.classList.remove('govuk-form-group--error')
+      this.$input.classList.remove('govuk-file-upload--error')
+      this.$button.classList.remove('govuk-file-upload-button--error')
+    }
+  }
+
+  /**
+   * Name for the component used when initialising using data-module attributes.
+   */
+  static moduleName = 'govuk-file-upload'
+
+  /**
+   * File upload default config
+   *
+   * @see {@link FileUploadConfig}
+   * @constant
+   * @default
+   * @type {FileUploadConfig}
+   */
+  static defaults = Object.freeze({
+    i18n: {
+      chooseFilesButton: 'Choose file',
+      dropInstruction: 'or drop file',
+      noFileChosen: 'No file chosen',
+      multipleFilesChosen: {
+        one: '%{count} file chosen',
+        other: '%{count} files chosen'
+      },
+      enteredDropZone: 'Entered drop zone',
+      leftDropZone: 'Left drop zone',
+      fileTooLarge: '%{fileName} must be smaller than %{maxFileSize}',
+      fileTypeNotAccepted: '%{fileName} is not an accepted file type',
+      tooManyFiles: {
+        one: 'Select no more than %{count} file',
+        other: 'Select no more than %{count} files'
+      },
+      fileQueued: 'Waiting to upload',
+      fileUploading: 'Uploading',
+      fileUploaded: 'Uploaded',
+      fileUploadFailed: 'Upload failed',
+      fileUploadCancelled: 'Upload cancelled',
+      fileRemoved: '%{fileName} removed',
+      uploadStatusAnnouncement: '%{fileName}: %{status}',
+      uploadsPending: 'Wait for your files to finish uploading',
+      cancelUploadButton: 'Cancel',
+      retryUploadButton: 'Retry',
+      removeFileButton: 'Remove',
+      errorPrefix: 'Error'
+    }
+  })
+
+  /**
+   * File upload config schema
+   *
+   * @constant
+   * @satisfies {Schema}
+   */
+  static schema = Object.freeze({
+    properties: {
+      i18n: {
+        type: 'object',
+        properties: {
+          chooseFilesButton: { type: 'string' },
+          dropInstruction: { type: 'string' },
+          noFileChosen: { type: 'string' },
+          multipleFilesChosen: translationPluralFormsSchema,
+          enteredDropZone: { type: 'string' },
+          leftDropZone: { type: 'string' },
+          fileTooLarge: { type: 'string' },
+          fileTypeNotAccepted: { type: 'string' },
+          tooManyFiles: translationPluralFormsSchema,
+          fileQueued: { type: 'string' },
+          fileUploading: { type: 'string' },
+          fileUploaded: { type: 'string' },
+          fileUploadFailed: { type: 'string' },
+          fileUploadCancelled: { type: 'string' },
+          fileRemoved: { type: 'string' },
+          uploadStatusAnnouncement: { type: 'string' },
+          uploadsPending: { type: 'string' },
+          cancelUploadButton: { type: 'string' },
+          retryUploadButton: { type: 'string' },
+          removeFileButton: { type: 'string' },
+          errorPrefix: { type: 'string' }
+        },
+        additionalProperties: false
+      },
+      maxFileSize: { type: 'number', minimum: 1 },
+      maxFiles: { type: 'number', minimum: 1 },
+      uploadUrl: { type: 'string' }
+    }
+  })
+}
+
+/**
+ * Check if a file matches the input `accept` attribute
+ *
+ * Supports file extensions (`.pdf`), MIME types (`application/pdf`) and
+ * wildcard MIME types (`image/*`)
+ *
+ * @param {File} file - Chosen file
+ * @param {string} accept - Input `accept` attribute value
+ * @returns {boolean} Whether the file is accepted
+ */
+function isAccepted(file, accept) {
+  const types = accept
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean)
+
+  if (!types.length) {
+    return true
+  }
+
+  const name = file.name.toLowerCase()
+  const mimeType = file.type.toLowerCase()
+
+  return types.some((type) => {
+    if (type.startsWith('.')) {
+      return name.endsWith(type)
+    }
+
+    if (type.endsWith('/*')) {
+      return mimeType.startsWith(type.slice(0, -1))
+    }
+
+    return mimeType === type
+  })
+}
+
+/**
+ * Format a file size in bytes for display
+ *
+ * @param {number} bytes - File size in bytes
+ * @param {string} locale - Locale used to format the number
+ * @returns {string} File size, for example `2MB`
+ */
+function formatFileSize(bytes, locale) {
+  const units = ['bytes', 'KB', 'MB', 'GB']
+
+  let size = bytes
+  let unit = 0
+
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024
+    unit++
+  }
+
+  const formatted = Intl.NumberFormat.supportedLocalesOf(locale).length
+    ? new Intl.NumberFormat(locale, { maximumFractionDigits: 1 }).format(size)
+    : `${Math.round(size * 10) / 10}`
+
+  return unit ? `${formatted}${units[unit]}` : `${formatted} ${units[unit]}`
+}
+
+/**
+ * File upload config
+ *
+ * @typedef {object} FileUploadConfig
+ * @property {number} [maxFileSize] - Maximum size in bytes of each chosen file
+ * @property {number} [maxFiles] - Maximum number of files that can be chosen
+ *   when the input has the `multiple` attribute
+ * @property {string} [uploadUrl] - URL to upload each chosen file to
+ *   straight away. Files are sent one at a time in a `file` form field, with
+ *   the hidden fields of the form such as a CSRF token, and the response must
+ *   be JSON with the `id` of the uploaded file, which is submitted with the
+ *   form instead of the file, or an `error` message
+ * @property {FileUploadTranslations} [i18n=FileUpload.defaults.i18n] - File upload translations
+ */
+
+/**
+ * File upload translations
+ *
+ * @see {@link FileUpload.defaults.i18n}
+ * @typedef {object} FileUploadTranslations
+ * @property {string} [chooseFilesButton] - Text of the button that opens
+ *   the file picker. Plain text only.
+ * @property {string} [dropInstruction] - Text informing users they can drop
+ *   files. Plain text only.
+ * @property {string} [noFileChosen] - Text displayed when no file has been
+ *   chosen. Plain text only.
+ * @property {TranslationPluralForms} [multipleFilesChosen] - Text displayed
+ *   when multiple files have been chosen. The component will replace the
+ *   `%{count}` placeholder with the number of files chosen.
+ * @property {string} [enteredDropZone] - Screen reader announcement when
+ *   files are dragged into the drop zone. Plain text only.
+ * @property {string} [leftDropZone] - Screen reader announcement when files
+ *   are dragged out of the drop zone without being dropped. Plain text only.
+ * @property {string} [fileTooLarge] - Error message when a file is larger
+ *   than `maxFileSize`. The component will replace the `%{fileName}` and
+ *   `%{maxFileSize}` placeholders.
+ * @property {string} [fileTypeNotAccepted] - Error message when a file does
+ *   not match the input `accept` attribute. The component will replace the
+ *   `%{fileName}` placeholder.
+ * @property {TranslationPluralForms} [tooManyFiles] - Error message when
+ *   more files are chosen than allowed. The component will replace the
+ *   `%{count}` placeholder with the maximum number of files.
+ * @property {string} [fileQueued] - Status of a file waiting to be
+ *   uploaded. Plain text only.
+ * @property {string} [fileUploading] - Status of a file being uploaded.
+ *   Plain text only.
+ * @property {string} [fileUploaded] - Status of an uploaded file. Plain
+ *   text only.
+ * @property {string} [fileUploadFailed] - Status of a file that could not be
+ *   uploaded, when the server does not return an error message. Plain text
+ *   only.
+ * @property {string} [fileUploadCancelled] - Status of a file whose upload
+ *   was cancelled. Plain text only.
+ * @property {string} [fileRemoved] - Screen reader announcement when a file
+ *   is removed. The component will replace the `%{fileName}` placeholder.
+ * @property {string} [uploadStatusAnnouncement] - Screen reader
+ *   announcement when the status of an upload changes. The component will
+ *   replace the `%{fileName}` and `%{status}` placeholders.
+ * @property {string} [uploadsPending] - Error message when the form is
+ *   submitted before all files have uploaded. Plain text only.
+ * @property {string} [cancelUploadButton] - Text of the button that cancels
+ *   an upload. Plain text only.
+ * @property {string} [retryUploadButton] - Text of the button that retries
+ *   a failed or cancelled upload. Plain text only.
+ * @property {string} [removeFileButton] - Text of the button that removes a
+ *   file. Plain text only.
+ * @property {string} [errorPrefix] - Visually hidden text before error
+ *   messages. Plain text only.
+ */
+
+/**
+ * File upload response
+ *
+ * @typedef {object} FileUploadResponse
+ * @property {unknown} [id] - ID of the uploaded file
+ * @property {unknown} [error] - Message explaining why the file was not
+ *   accepted
+ */
+
+/**
+ * File upload status
+ *
+ * @typedef {'queued' | 'uploading' | 'uploaded' | 'failed' | 'cancelled'} FileUploadStatus
+ */
+
+/**
+ * File upload item
+ *
+ * @typedef {object} FileUploadItem
+ * @property {File} file - File to upload
+ * @property {FileUploadStatus} status - Upload status
+ * @property {XMLHttpRequest} [xhr] - Request for the upload in progress
+ * @property {HTMLLIElement} $item - List item for the file
+ * @property {HTMLProgressElement} $progress - Upload progress bar
+ * @property {HTMLElement} $status - Upload status text
+ * @property {HTMLButtonElement} $cancelButton - Button to cancel the upload
+ * @property {HTMLButtonElement} $retryButton - Button to retry the upload
+ * @property {HTMLButtonElement} $removeButton - Button to remove the file
+ * @property {HTMLInputElement} [$hiddenInput] - Hidden input with the
+ *   uploaded file ID
+ */
+
+/**
+ * @typedef {import('../../common/index.mjs').Schema} Schema
+ * @typedef {import('../../i18n.mjs').TranslationPluralForms} TranslationPluralForms
+ */
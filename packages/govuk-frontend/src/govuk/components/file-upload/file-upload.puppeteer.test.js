@@ -0,0 +1,151 @@
+const { mkdtemp, rm, writeFile } = require('fs/promises')
+const { tmpdir } = require('os')
+const { join } = require('path')
+
+const { isVisible, render } = require('@govuk-frontend/helpers/puppeteer')
+const { getExamples } = require('@govuk-frontend/lib/components')
+
+const inputSelector = '.govuk-file-upload'
+const buttonSelector = '.govuk-file-upload-button'
+const statusSelector = '.govuk-file-upload-button__status'
+const listSelector = '.govuk-file-upload__list'
+
+describe('/components/file-upload', () => {
+  let examples
+  let fixturesPath
+
+  beforeAll(async () => {
+    examples = await getExamples('file-upload')
+
+    // Create files for users to choose
+    fixturesPath = await mkdtemp(join(tmpdir(), 'file-upload-'))
+
+    await writeFile(join(fixturesPath, 'one.pdf'), 'x')
+    await writeFile(join(fixturesPath, 'two.pdf'), 'x')
+    await writeFile(join(fixturesPath, 'photo.jpg'), 'x')
+  })
+
+  afterAll(async () => {
+    await rm(fixturesPath, { recursive: true, force: true })
+  })
+
+  // Choose files using the file picker opened by the button
+  async function chooseFiles(...fileNames) {
+    const [fileChooser] = await Promise.all([
+      page.waitForFileChooser(),
+      page.click(buttonSelector)
+    ])
+
+    await fileChooser.accept(
+      fileNames.map((fileName) => join(fixturesPath, fileName))
+    )
+  }
+
+  function getStatus() {
+    return page.$eval(statusSelector, ($status) => $status.textContent.trim())
+  }
+
+  describe('/components/file-upload/with-javascript/preview', () => {
+    describe('when JavaScript is unavailable or fails', () => {
+      beforeAll(async () => {
+        await page.setJavaScriptEnabled(false)
+      })
+
+      afterAll(async () => {
+        await page.setJavaScriptEnabled(true)
+      })
+
+      it('still renders an unmodified file input', async () => {
+        await render(page, 'file-upload', examples['with JavaScript'])
+
+        const $input = await page.$(inputSelector)
+
+        await expect(isVisible($input)).resolves.toBe(true)
+        await expect(page.$(buttonSelector)).resolves.toBeNull()
+      })
+    })
+
+    describe('when JavaScript is available', () => {
+      beforeEach(async () => {
+        await render(page, 'file-upload', examples['with JavaScript'])
+      })
+
+      it('replaces the native input with a button', async () => {
+        const $input = await page.$(inputSelector)
+        const $button = await page.$(buttonSelector)
+
+        await expect(isVisible($input)).resolves.toBe(false)
+        await expect(isVisible($button)).resolves.toBe(true)
+        await expect(getStatus()).resolves.toBe('No file chosen')
+      })
+
+      it('opens the file picker when users press Enter on the button', async () => {
+        await page.focus(buttonSelector)
+
+        const [fileChooser] = await Promise.all([
+          page.waitForFileChooser(),
+          page.keyboard.press('Enter')
+        ])
+
+        expect(fileChooser.isMultiple()).toBe(false)
+
+        await fileChooser.cancel()
+      })
+
+      it('shows the name of the chosen file', async () => {
+        await chooseFiles('photo.jpg')
+
+        await expect(getStatus()).resolves.toBe('photo.jpg')
+      })
+    })
+  })
+
+  describe('/components/file-upload/with-javascript-and-multiple-files/preview', () => {
+    beforeEach(async () => {
+      await render(
+        page,
+        'file-upload',
+        examples['with JavaScript and multiple files']
+      )
+    })
+
+    it('lists the names of the chosen files', async () => {
+      await chooseFiles('one.pdf', 'two.pdf')
+
+      const fileNames = await page.$$eval(`${listSelector} li`, ($items) =>
+        $items.map(($item) => $item.textContent.trim())
+      )
+
+      await expect(getStatus()).resolves.toBe('2 files chosen')
+      expect(fileNames).toEqual(['one.pdf', 'two.pdf'])
+    })
+
+    it('shows an error when a file type is not accepted', async () => {
+      await chooseFiles('photo.jpg')
+
+      const errorMessage = await page.$eval(
+        '#file-upload-javascript-multiple-file-error',
+        ($errorMessage) => $errorMessage.textContent.replace(/\s+/g, ' ').trim()
+      )
+
+      expect(errorMessage).toBe('Error: photo.jpg is not an accepted file type')
+    })
+  })
+
+  describe('errors at instantiation', () => {
+    it('throws when the input is missing', async () => {
+      await expect(
+        render(page, 'file-upload', examples['with JavaScript'], {
+          beforeInitialisation($root) {
+            $root.querySelector('input').remove()
+          }
+        })
+      ).rejects.toMatchObject({
+        cause: {
+          name: 'ElementError',
+          message: 'govuk-file-upload: Form field (`input`) not found'
+        }
+      })
+    })
+  })
+})
@@ -194,6 +194,85 @@ describe('File upload', () => {
     })
   })
 
+  describe('with JavaScript', () => {
+    it('does not render the drop zone by default', () => {
+      const $ = render('file-upload', examples.default)
+
+      expect($('[data-module="govuk-file-upload"]')).toHaveLength(0)
+    })
+
+    it('wraps the input in the drop zone', () => {
+      const $ = render('file-upload', examples['with JavaScript'])
+
+      const $component = $('.govuk-drop-zone > .govuk-file-upload')
+      expect($component.length).toBeTruthy()
+      expect($('.govuk-drop-zone').attr('data-module')).toBe(
+        'govuk-file-upload'
+      )
+    })
+
+    it('renders the file limits', () => {
+      const $ = render(
+        'file-upload',
+        examples['with JavaScript and multiple files']
+      )
+
+      const $component = $('.govuk-drop-zone')
+      expect($component.attr('data-max-file-size')).toBe('2097152')
+      expect($component.attr('data-max-files')).toBe('3')
+    })
+
+    it('renders the upload URL', () => {
+      const $ = render('file-upload', examples['with upload queue'])
+
+      expect($('.govuk-drop-zone').attr('data-upload-url')).toBe(
+        '/full-page-examples/upload-your-documents/upload'
+      )
+    })
+
+    it('renders with translations', () => {
+      const $ = render('file-upload', examples.translated)
+
+      const $component = $('.govuk-drop-zone')
+      expect($component.attr('data-i18n.choose-files-button')).toBe(
+        'Dewiswch ffeil'
+      )
+      expect($component.attr('data-i18n.drop-instruction')).toBe(
+        'neu ollwng ffeil'
+      )
+      expect($component.attr('data-i18n.no-file-chosen')).toBe(
+        "Dim ffeil wedi'i dewis"
+      )
+      expect($component.attr('data-i18n.multiple-files-chosen.one')).toBe(
+        "%{count} ffeil wedi'i dewis"
+      )
+      expect($component.attr('data-i18n.multiple-files-chosen.other')).toBe(
+        "%{count} ffeil wedi'u dewis"
+      )
+      expect($component.attr('data-i18n.entered-drop-zone')).toBe(
+        "Wedi mynd i mewn i'r parth gollwng"
+      )
+      expect($component.attr('data-i18n.left-drop-zone')).toBe(
+        'Wedi gadael y parth gollwng'
+      )
+      expect($component.attr('data-i18n.file-too-large')).toBe(
+        'Rhaid i %{fileName} fod yn llai na %{maxFileSize}'
+      )
+      expect($component.attr('data-i18n.file-type-not-accepted')).toBe(
+        'Nid yw %{fileName} yn fath o ffeil a dderbynnir'
+      )
+      expect($component.attr('data-i18n.too-many-files.other')).toBe(
+        'Dewiswch ddim mwy na %{count} ffeil'
+      )
+      expect($component.attr('data-i18n.cancel-upload-button')).toBe('Canslo')
+      expect($component.attr('data-i18n.retry-upload-button')).toBe(
+        'Rhoi cynnig arall arni'
+      )
+      expect($component.attr('data-i18n.remove-file-button')).toBe('Dileu')
+      expect($component.attr('data-i18n.error-prefix')).toBe('Gwall')
+    })
+  })
+
   describe('with dependant components', () => {
     it('have correct nesting order', () => {
       const $ = render('file-upload', examples.error)
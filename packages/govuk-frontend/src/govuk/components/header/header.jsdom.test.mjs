@@ -0,0 +1,258 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { Header } from './header.mjs'
+
+describe('Header', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('header')
+  })
+
+  beforeEach(() => {
+    document.documentElement.style.setProperty(
+      '--govuk-frontend-breakpoint-desktop',
+      '48.0625em'
+    )
+
+    // Emulate mobile viewports
+    window.matchMedia = jest.fn().mockReturnValue({
+      matches: false,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    })
+  })
+
+  afterEach(() => {
+    // Unsubscribe from the breakpoint, so each test gets a new media query list
+    Header.getInstance(document.querySelector('[data-module]'))?.destroy()
+  })
+
+  describe('events', () => {
+    let $root
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('header', examples['with navigation'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    })
+
+    it('dispatches menu-toggled when the menu is opened or closed', () => {
+      const listener = jest.fn()
+
+      new Header($root)
+      $root.addEventListener('govuk-header:menu-toggled', listener)
+
+      const $menuButton = $root.querySelector('button[aria-controls]')
+
+      $menuButton.click()
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail).toEqual({ open: true })
+
+      $menuButton.click()
+      expect(listener).toHaveBeenCalledTimes(2)
+      expect(listener.mock.calls[1][0].detail).toEqual({ open: false })
+    })
+  })
+
+  describe('closing the menu', () => {
+    let $root
+    let $menuButton
+    let $menu
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('header', examples['with navigation'])}
+          <main>
+            <a href="#" id="outside">Outside link</a>
+          </main>
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $menuButton = $root.querySelector('button[aria-controls]')
+      $menu = document.getElementById($menuButton.getAttribute('aria-controls'))
+
+      new Header($root)
+      $menuButton.click()
+    })
+
+    it('closes the menu when the Escape key is pressed', () => {
+      $menu.querySelector('a').focus()
+      $menu
+        .querySelector('a')
+        .dispatchEvent(
+          new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+        )
+
+      expect($menu).toHaveAttribute('hidden')
+      expect($menuButton).toHaveAttribute('aria-expanded', 'false')
+      expect($menuButton).toHaveFocus()
+    })
+
+    it('does not close the menu when other keys are pressed', () => {
+      $menuButton.dispatchEvent(
+        new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true })
+      )
+
+      expect($menu).not.toHaveAttribute('hidden')
+    })
+
+    it('closes the menu when the user clicks outside it', () => {
+      document.querySelector('main').click()
+
+      expect($menu).toHaveAttribute('hidden')
+      expect($menuButton).toHaveAttribute('aria-expanded', 'false')
+    })
+
+    it('does not close the menu when the user clicks inside it', () => {
+      $menu.click()
+
+      expect($menu).not.toHaveAttribute('hidden')
+    })
+
+    it('closes the menu when focus moves outside it', () => {
+      const $links = $menu.querySelectorAll('a')
+
+      $links[$links.length - 1].focus()
+      document.getElementById('outside').focus()
+
+      expect($menu).toHaveAttribute('hidden')
+      expect(document.getElementById('outside')).toHaveFocus()
+    })
+
+    it('does not close the menu when focus moves to the menu button', () => {
+      $menu.querySelector('a').focus()
+      $menuButton.focus()
+
+      expect($menu).not.toHaveAttribute('hidden')
+    })
+  })
+
+  describe('JavaScript API', () => {
+    let $root
+    let $menuButton
+    let $menu
+    let navigation
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('header', examples['with navigation'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $menuButton = $root.querySelector('button[aria-controls]')
+      $menu = document.getElementById($menuButton.getAttribute('aria-controls'))
+
+      navigation = new Header($root)
+    })
+
+    it('opens and closes the menu', () => {
+      navigation.open()
+
+      expect($menu).not.toHaveAttribute('hidden')
+      expect($menuButton).toHaveAttribute('aria-expanded', 'true')
+
+      navigation.close()
+
+      expect($menu).toHaveAttribute('hidden')
+      expect($menuButton).toHaveAttribute('aria-expanded', 'false')
+    })
+
+    it('toggles the menu', () => {
+      navigation.toggle()
+      expect($menu).not.toHaveAttribute('hidden')
+
+      navigation.toggle()
+      expect($menu).toHaveAttribute('hidden')
+    })
+
+    it('dispatches menu-toggled only when the menu state changes', () => {
+      const listener = jest.fn()
+      $root.addEventListener('govuk-header:menu-toggled', listener)
+
+      navigation.open()
+      navigation.open()
+      navigation.close()
+      navigation.close()
+
+      expect(listener).toHaveBeenCalledTimes(2)
+      expect(listener.mock.calls[0][0].detail).toEqual({ open: true })
+      expect(listener.mock.calls[1][0].detail).toEqual({ open: false })
+    })
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $menuButton
+    let $menu
+    let mql
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('header', examples['with navigation'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $menuButton = $root.querySelector('button[aria-controls]')
+      $menu = document.getElementById($menuButton.getAttribute('aria-controls'))
+
+      // Media query list shared by subscribers to the breakpoint
+      mql = window.matchMedia('')
+      jest.mocked(window.matchMedia).mockClear()
+    })
+
+    it('restores the original markup', () => {
+      const navigation = new Header($root)
+
+      navigation.open()
+      navigation.destroy()
+
+      expect($menuButton).toHaveAttribute('hidden')
+      expect($menuButton).not.toHaveAttribute('aria-expanded')
+      expect($menu).not.toHaveAttribute('hidden')
+      expect($root).not.toHaveAttribute('data-govuk-header-init')
+    })
+
+    it('stops listening for breakpoint changes', () => {
+      const navigation = new Header($root)
+      const [[, onChange]] = mql.addEventListener.mock.calls
+
+      navigation.destroy()
+
+      expect(mql.removeEventListener).toHaveBeenCalledWith('change', onChange)
+    })
+
+    it('stops toggling the menu on click', () => {
+      const listener = jest.fn()
+
+      new Header($root).destroy()
+      $root.addEventListener('govuk-header:menu-toggled', listener)
+
+      $menuButton.click()
+
+      expect(listener).not.toHaveBeenCalled()
+      expect($menuButton).not.toHaveAttribute('aria-expanded')
+    })
+
+    it('allows the component to be initialised again', () => {
+      new Header($root).destroy()
+
+      expect(() => new Header($root)).not.toThrow()
+      expect($menuButton).toHaveAttribute('aria-expanded', 'false')
+      expect($menu).toHaveAttribute('hidden')
+    })
+  })
+})
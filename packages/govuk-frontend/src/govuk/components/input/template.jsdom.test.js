@@ -493,4 +493,115 @@ describe('Input', () => {
       expect($wrapper).toHaveAttribute('data-attribute', 'value')
     })
   })
+  describe('when a character count is passed', () => {
+    let $formGroup
+    let $component
+    let $countMessage
+
+    beforeAll(() => {
+      document.body.innerHTML = render(
+        'input',
+        examples['with character count']
+      )
+
+      $formGroup = document.querySelector('.govuk-form-group')
+      $component = document.querySelector('.govuk-input')
+      $countMessage = document.querySelector('.govuk-character-count__message')
+    })
+
+    it('initialises the Character count component on the form group', () => {
+      expect($formGroup).toHaveClass('govuk-character-count')
+      expect($formGroup).toHaveAttribute('data-module', 'govuk-character-count')
+      expect($formGroup).toHaveAttribute('data-maxlength', '18')
+    })
+
+    it('includes the JavaScript hook class on the input', () => {
+      expect($component).toHaveClass('govuk-js-character-count')
+    })
+
+    it('includes the count message', () => {
+      expect($countMessage).toHaveAttribute(
+        'id',
+        'input-with-character-count-info'
+      )
+      expect($countMessage).toHaveTextContent(
+        'You can enter up to 18 characters'
+      )
+    })
+
+    it('associates the input as described by the count message and the hint', () => {
+      const $hint = document.querySelector('.govuk-hint:not([id$="-info"])')
+
+      expect($component).toHaveAccessibleDescription(
+        [$countMessage, $hint].map((el) => el.textContent.trim()).join(' ')
+      )
+    })
+
+    it('renders the count message for words', () => {
+      document.body.innerHTML = render('input', examples['with word count'])
+
+      const $formGroup = document.querySelector('.govuk-form-group')
+      const $countMessage = document.querySelector(
+        '.govuk-character-count__message'
+      )
+
+      expect($formGroup).toHaveAttribute('data-maxwords', '5')
+      expect($countMessage).toHaveTextContent('You can enter up to 5 words')
+    })
+
+    it('renders the count message after the input wrapper', () => {
+      document.body.innerHTML = render(
+        'input',
+        examples['with character count and suffix']
+      )
+
+      const $formGroup = document.querySelector('.govuk-form-group')
+
+      expect($formGroup).toHaveAttribute('data-threshold', '75')
+      expect(
+        document.querySelector(
+          '.govuk-input__wrapper + .govuk-character-count__message'
+        )
+      ).toBeInTheDocument()
+    })
+
+    it('renders with translation data attributes', () => {
+      document.body.innerHTML = render(
+        'input',
+        examples['with character count translations']
+      )
+
+      const $formGroup = document.querySelector('.govuk-form-group')
+      const $countMessage = document.querySelector(
+        '.govuk-character-count__message'
+      )
+
+      expect($formGroup).toHaveAttribute(
+        'data-i18n.characters-under-limit.other',
+        'Mae gennych %{count} nod yn weddill'
+      )
+      expect($formGroup).toHaveAttribute(
+        'data-i18n.characters-at-limit',
+        'Mae gennych 0 nod yn weddill'
+      )
+      expect($countMessage).toHaveTextContent(
+        'Gallwch ddefnyddio hyd at 18 nod'
+      )
+    })
+
+    it('renders an empty count message when the limit is set in JavaScript', () => {
+      document.body.innerHTML = render(
+        'input',
+        examples['with character count set in JavaScript']
+      )
+
+      const $formGroup = document.querySelector('.govuk-form-group')
+      const $countMessage = document.querySelector(
+        '.govuk-character-count__message'
+      )
+
+      expect($formGroup).not.toHaveAttribute('data-maxlength')
+      expect($countMessage).toHaveTextContent(/^\s*$/)
+    })
+  })
 })
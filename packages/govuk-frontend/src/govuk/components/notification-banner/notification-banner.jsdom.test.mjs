@@ -0,0 +1,286 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ConfigError } from '../../errors/index.mjs'
+
+import { NotificationBanner } from './notification-banner.mjs'
+
+describe('Notification banner', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('notification-banner')
+  })
+
+  afterEach(() => {
+    window.sessionStorage.clear()
+  })
+
+  describe('when dismissible', () => {
+    let $root
+
+    function renderExample(example) {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          <main tabindex="-1">
+            <h1 id="main-heading">Page heading</h1>
+            ${render('notification-banner', examples[example])}
+          </main>
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    }
+
+    beforeEach(() => {
+      renderExample('dismissible')
+    })
+
+    it('adds a dismiss button described by the title', () => {
+      new NotificationBanner($root)
+
+      const $button = $root.querySelector('.govuk-notification-banner__dismiss')
+
+      expect($root).toHaveClass('govuk-notification-banner--dismissible')
+      expect($button).toHaveAttribute('type', 'button')
+      expect($button).toHaveAttribute(
+        'aria-describedby',
+        $root.getAttribute('aria-labelledby')
+      )
+      expect($button).toHaveTextContent('Dismiss')
+      expect($button.parentElement).toHaveClass(
+        'govuk-notification-banner__header'
+      )
+    })
+
+    it('does not add a dismiss button by default', () => {
+      renderExample('default')
+      new NotificationBanner($root)
+
+      expect(
+        $root.querySelector('.govuk-notification-banner__dismiss')
+      ).toBeNull()
+    })
+
+    it('removes the notification banner and focuses the main element', () => {
+      new NotificationBanner($root)
+
+      $root.querySelector('.govuk-notification-banner__dismiss').click()
+
+      expect(document.querySelector('.govuk-notification-banner')).toBeNull()
+      expect(document.querySelector('main')).toHaveFocus()
+    })
+
+    it('focuses the dismiss focus target', () => {
+      renderExample('dismissible with custom focus target')
+      new NotificationBanner($root)
+
+      $root.querySelector('.govuk-notification-banner__dismiss').click()
+
+      expect(document.getElementById('main-heading')).toHaveFocus()
+    })
+
+    it('dispatches dismiss when the notification banner is dismissed', () => {
+      renderExample('dismissible, with type as success')
+
+      const listener = jest.fn()
+
+      new NotificationBanner($root)
+      $root.addEventListener('govuk-notification-banner:dismiss', listener)
+
+      $root.querySelector('.govuk-notification-banner__dismiss').click()
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail).toEqual({ id: 'email-sent' })
+    })
+
+    it('can be dismissed using the JavaScript API', () => {
+      const banner = new NotificationBanner($root)
+
+      banner.dismiss()
+
+      expect(document.querySelector('.govuk-notification-banner')).toBeNull()
+    })
+
+    it('remembers the notification banner was dismissed', () => {
+      renderExample('dismissible, with type as success')
+      new NotificationBanner($root)
+
+      $root.querySelector('.govuk-notification-banner__dismiss').click()
+
+      expect(
+        window.sessionStorage.getItem(
+          'govuk-notification-banner-dismissed:email-sent'
+        )
+      ).toBe('true')
+
+      renderExample('dismissible, with type as success')
+      new NotificationBanner($root)
+
+      expect(document.querySelector('.govuk-notification-banner')).toBeNull()
+    })
+
+    it('does not remember the notification banner was dismissed by default', () => {
+      new NotificationBanner($root)
+
+      $root.querySelector('.govuk-notification-banner__dismiss').click()
+
+      expect(window.sessionStorage).toHaveLength(0)
+    })
+
+    it('removes the dismiss button when destroyed', () => {
+      const banner = new NotificationBanner($root)
+
+      banner.destroy()
+
+      expect($root).not.toHaveClass('govuk-notification-banner--dismissible')
+      expect(
+        $root.querySelector('.govuk-notification-banner__dismiss')
+      ).toBeNull()
+    })
+
+    it('uses the dismiss button text from the config', () => {
+      new NotificationBanner($root, {
+        i18n: { dismissButton: 'Hide message' }
+      })
+
+      expect(
+        $root.querySelector('.govuk-notification-banner__dismiss')
+      ).toHaveTextContent('Hide message')
+    })
+
+    it('uses the dismiss button text from data attributes', () => {
+      renderExample('dismissible with translations')
+      new NotificationBanner($root)
+
+      expect(
+        $root.querySelector('.govuk-notification-banner__dismiss')
+      ).toHaveTextContent('Diystyru')
+    })
+  })
+
+  describe('when auto-dismissing', () => {
+    let $root
+    let $otherButton
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          <main tabindex="-1">
+            ${render('notification-banner', examples['auto-dismissing'])}
+            <button type="button">Other button</button>
+          </main>
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $otherButton = document.querySelector('main > button')
+
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('removes the notification banner after the delay', () => {
+      const listener = jest.fn()
+
+      new NotificationBanner($root)
+      $root.addEventListener('govuk-notification-banner:dismiss', listener)
+
+      jest.advanceTimersByTime(9999)
+      expect($root).toBeInTheDocument()
+
+      jest.advanceTimersByTime(1)
+      expect($root).not.toBeInTheDocument()
+      expect(listener).toHaveBeenCalledTimes(1)
+    })
+
+    it('does not move focus if it is outside the notification banner', () => {
+      new NotificationBanner($root)
+
+      $otherButton.focus()
+      jest.advanceTimersByTime(10000)
+
+      expect($root).not.toBeInTheDocument()
+      expect($otherButton).toHaveFocus()
+    })
+
+    it('waits while keyboard focus is inside the notification banner', () => {
+      new NotificationBanner($root)
+
+      const $dismissButton = $root.querySelector(
+        '.govuk-notification-banner__dismiss'
+      )
+
+      jest.advanceTimersByTime(5000)
+      $dismissButton.focus()
+      jest.advanceTimersByTime(60000)
+
+      expect($root).toBeInTheDocument()
+      expect($dismissButton).toHaveFocus()
+
+      // Start the delay again once focus leaves
+      $otherButton.focus()
+      jest.advanceTimersByTime(9999)
+      expect($root).toBeInTheDocument()
+
+      jest.advanceTimersByTime(1)
+      expect($root).not.toBeInTheDocument()
+      expect($otherButton).toHaveFocus()
+    })
+
+    it('waits while the pointer is over the notification banner', () => {
+      new NotificationBanner($root)
+
+      $root.dispatchEvent(new window.MouseEvent('mouseenter'))
+      jest.advanceTimersByTime(60000)
+      expect($root).toBeInTheDocument()
+
+      $root.dispatchEvent(new window.MouseEvent('mouseleave'))
+      jest.advanceTimersByTime(10000)
+      expect($root).not.toBeInTheDocument()
+    })
+
+    it('keeps waiting when the pointer leaves while focus is inside', () => {
+      new NotificationBanner($root)
+
+      $root.querySelector('.govuk-notification-banner__dismiss').focus()
+      $root.dispatchEvent(new window.MouseEvent('mouseenter'))
+      $root.dispatchEvent(new window.MouseEvent('mouseleave'))
+      jest.advanceTimersByTime(60000)
+
+      expect($root).toBeInTheDocument()
+    })
+
+    it('uses the delay from the config', () => {
+      $root.removeAttribute('data-auto-dismiss')
+      new NotificationBanner($root, { autoDismiss: 500 })
+
+      jest.advanceTimersByTime(500)
+
+      expect($root).not.toBeInTheDocument()
+    })
+
+    it('stops the delay when destroyed', () => {
+      new NotificationBanner($root).destroy()
+
+      jest.advanceTimersByTime(10000)
+
+      expect($root).toBeInTheDocument()
+    })
+
+    it('throws when the delay is not a positive number', () => {
+      $root.setAttribute('data-auto-dismiss', '0')
+
+      expect(() => new NotificationBanner($root)).toThrow(
+        new ConfigError(
+          'govuk-notification-banner: "autoDismiss" must be greater than or equal to 1'
+        )
+      )
+    })
+  })
+})
@@ -1,6 +1,14 @@
-import { mergeConfigs, setFocus } from '../../common/index.mjs'
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  setFocus,
+  validateConfig
+} from '../../common/index.mjs'
 import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+import { I18n } from '../../i18n.mjs'
 
 /**
  * Notification Banner component
@@ -14,6 +22,33 @@ export class NotificationBanner extends GOVUKFrontendComponent {
    */
   config
 
+  /** @private */
+  i18n
+
+  /**
+   * @private
+   * @type {HTMLButtonElement | null}
+   */
+  $dismissButton = null
+
+  /**
+   * @private
+   * @type {number | null}
+   */
+  autoDismissTimeout = null
+
+  /** @private */
+  boundDismiss
+
+  /** @private */
+  boundAutoDismiss
+
+  /** @private */
+  boundPauseAutoDismiss
+
+  /** @private */
+  boundResumeAutoDismiss
+
   /**
    * @param {Element | null} $root - HTML element to use for notification banner
    * @param {NotificationBannerConfig} [config] - Notification banner config
@@ -27,6 +62,41 @@ export class NotificationBanner extends GOVUKFrontendComponent {
       normaliseDataset(NotificationBanner, this.$root.dataset)
     )
 
+    // Check for valid config
+    const errors = validateConfig(NotificationBanner.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(NotificationBanner, errors[0]))
+    }
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundDismiss = this.dismiss.bind(this)
+    this.boundAutoDismiss = this.autoDismiss.bind(this)
+    this.boundPauseAutoDismiss = this.pauseAutoDismiss.bind(this)
+    this.boundResumeAutoDismiss = this.resumeAutoDismiss.bind(this)
+
+    // Remove the notification banner straight away if the user has already
+    // dismissed it
+    const canBeDismissed =
+      this.config.dismissible === true || !!this.config.autoDismiss
+
+    if (canBeDismissed && this.isDismissed()) {
+      this.$root.remove()
+      return
+    }
+
+    if (this.config.dismissible) {
+      this.createDismissButton()
+    }
+
+    if (this.config.autoDismiss) {
+      this.setupAutoDismiss()
+    }
+
     /**
      * Focus the notification banner
      *
@@ -46,6 +116,236 @@ export class NotificationBanner extends GOVUKFrontendComponent {
     }
   }
 
+  /**
+   * Create the dismiss button
+   *
+   * Added to the header of the notification banner, and described by the
+   * notification banner title so users know what it will dismiss
+   *
+   * @private
+   */
+  createDismissButton() {
+    const $header =
+      this.$root.querySelector('.govuk-notification-banner__header') ??
+      this.$root
+    const titleId = this.$root.getAttribute('aria-labelledby')
+
+    const $dismissButton = document.createElement('button')
+    $dismissButton.type = 'button'
+    $dismissButton.className = 'govuk-notification-banner__dismiss'
+    $dismissButton.textContent = this.i18n.t('dismissButton')
+
+    if (titleId) {
+      $dismissButton.setAttribute('aria-describedby', titleId)
+    }
+
+    $dismissButton.addEventListener('click', this.boundDismiss)
+
+    this.$root.classList.add('govuk-notification-banner--dismissible')
+    $header.appendChild($dismissButton)
+
+    this.$dismissButton = $dismissButton
+  }
+
+  /**
+   * Set up removing the notification banner after the `autoDismiss` delay
+   *
+   * The delay is paused while the user's pointer or keyboard focus is inside
+   * the notification banner, and starts again once they leave, so users have
+   * time to read and interact with it.
+   *
+   * @private
+   */
+  setupAutoDismiss() {
+    this.$root.addEventListener('mouseenter', this.boundPauseAutoDismiss)
+    this.$root.addEventListener('focusin', this.boundPauseAutoDismiss)
+    this.$root.addEventListener('mouseleave', this.boundResumeAutoDismiss)
+    this.$root.addEventListener('focusout', this.boundResumeAutoDismiss)
+
+    this.startAutoDismiss()
+  }
+
+  /**
+   * Start waiting for the `autoDismiss` delay
+   *
+   * @private
+   */
+  startAutoDismiss() {
+    this.pauseAutoDismiss()
+
+    if (this.config.autoDismiss) {
+      this.autoDismissTimeout = window.setTimeout(
+        this.boundAutoDismiss,
+        this.config.autoDismiss
+      )
+    }
+  }
+
+  /**
+   * Pause the `autoDismiss` delay
+   *
+   * @private
+   */
+  pauseAutoDismiss() {
+    if (this.autoDismissTimeout) {
+      window.clearTimeout(this.autoDismissTimeout)
+      this.autoDismissTimeout = null
+    }
+  }
+
+  /**
+   * Start the `autoDismiss` delay again when the user's pointer or keyboard
+   * focus leaves the notification banner
+   *
+   * @private
+   * @param {Event} event - Mouse leave or focus out event
+   */
+  resumeAutoDismiss(event) {
+    const $focused =
+      event instanceof FocusEvent ? event.relatedTarget : document.activeElement
+
+    // Keep waiting while keyboard focus is inside the notification banner
+    if ($focused instanceof Node && this.$root.contains($focused)) {
+      return
+    }
+
+    this.startAutoDismiss()
+  }
+
+  /**
+   * Dismiss the notification banner once the `autoDismiss` delay has passed
+   *
+   * Focus only moves if it was inside the notification banner, so it is not
+   * lost when the notification banner is removed
+   *
+   * @private
+   */
+  autoDismiss() {
+    this.autoDismissTimeout = null
+    this.removeBanner(this.$root.contains(document.activeElement))
+  }
+
+  /**
+   * Dismiss the notification banner
+   *
+   * Removes the notification banner from the page and moves focus to the
+   * `dismissFocusTarget`, or the `<main>` element, so users don't lose their
+   * place on the page.
+   *
+   * Dispatches a `govuk-notification-banner:dismiss` event before the
+   * notification banner is removed.
+   */
+  dismiss() {
+    this.removeBanner(true)
+  }
+
+  /**
+   * Remove the notification banner from the page
+   *
+   * @private
+   * @param {boolean} moveFocus - Whether to move focus to the
+   *   `dismissFocusTarget`, or the `<main>` element
+   */
+  removeBanner(moveFocus) {
+    this.storeDismissed()
+
+    this.dispatch('dismiss', { id: this.$root.id || null })
+    this.destroy()
+    this.$root.remove()
+
+    const $focusTarget = moveFocus ? this.getFocusTarget() : null
+    if ($focusTarget) {
+      setFocus($focusTarget)
+    }
+  }
+
+  /**
+   * Get the element to focus when the notification banner is dismissed
+   *
+   * @private
+   * @returns {HTMLElement | null} Element to focus
+   */
+  getFocusTarget() {
+    const $focusTarget = this.config.dismissFocusTarget
+      ? document.querySelector(this.config.dismissFocusTarget)
+      : document.querySelector('main')
+
+    return $focusTarget instanceof HTMLElement ? $focusTarget : null
+  }
+
+  /**
+   * Get the sessionStorage key used to remember the notification banner was
+   * dismissed
+   *
+   * Requires the notification banner to have an `id` attribute
+   *
+   * @private
+   * @returns {string | null} Storage key
+   */
+  getStorageKey() {
+    if (!this.config.rememberDismissal || !this.$root.id) {
+      return null
+    }
+
+    return `${NotificationBanner.moduleName}-dismissed:${this.$root.id}`
+  }
+
+  /**
+   * Check if the notification banner was dismissed, using sessionStorage
+   *
+   * @private
+   * @returns {boolean} Whether the notification banner was dismissed
+   */
+  isDismissed() {
+    const key = this.getStorageKey()
+
+    if (key) {
+      try {
+        return window.sessionStorage.getItem(key) === 'true'
+      } catch (exception) {}
+    }
+
+    return false
+  }
+
+  /**
+   * Remember the notification banner was dismissed, using sessionStorage
+   *
+   * @private
+   */
+  storeDismissed() {
+    const key = this.getStorageKey()
+
+    if (key) {
+      try {
+        window.sessionStorage.setItem(key, 'true')
+      } catch (exception) {}
+    }
+  }
+
+  /**
+   * Destroy notification banner
+   *
+   * Removes the dismiss button, stops the `autoDismiss` delay and removes
+   * their event listeners
+   */
+  destroy() {
+    this.pauseAutoDismiss()
+
+    this.$root.removeEventListener('mouseenter', this.boundPauseAutoDismiss)
+    this.$root.removeEventListener('focusin', this.boundPauseAutoDismiss)
+    this.$root.removeEventListener('mouseleave', this.boundResumeAutoDismiss)
+    this.$root.removeEventListener('focusout', this.boundResumeAutoDismiss)
+
+    this.$dismissButton?.removeEventListener('click', this.boundDismiss)
+    this.$dismissButton?.remove()
+    this.$dismissButton = null
+
+    this.$root.classList.remove('govuk-notification-banner--dismissible')
+
+    super.destroy()
+  }
+
   /**
    * Name for the component used when initialising using data-module attributes.
    */
@@ -59,7 +359,12 @@ export class NotificationBanner extends GOVUKFrontendComponent {
    * @type {NotificationBannerConfig}
    */
   static defaults = Object.freeze({
-    disableAutoFocus: false
+    disableAutoFocus: false,
+    dismissible: false,
+    rememberDismissal: false,
+    i18n: {
+      dismissButton: 'Dismiss'
+    }
   })
 
   /**
@@ -70,7 +375,18 @@ export class NotificationBanner extends GOVUKFrontendComponent {
    */
   static schema = Object.freeze({
     properties: {
-      disableAutoFocus: { type: 'boolean' }
+      disableAutoFocus: { type: 'boolean' },
+      dismissible: { type: 'boolean' },
+      autoDismiss: { type: 'number', minimum: 1 },
+      dismissFocusTarget: { type: 'string' },
+      rememberDismissal: { type: 'boolean' },
+      i18n: {
+        type: 'object',
+        properties: {
+          dismissButton: { type: 'string' }
+        },
+        additionalProperties: false
+      }
     }
   })
 }
@@ -83,6 +399,30 @@ export class NotificationBanner extends GOVUKFrontendComponent {
  *   notification banner will not be focussed when the page loads. This only
  *   applies if the component has a `role` of `alert` – in other cases the
  *   component will not be focused on page load, regardless of this option.
+ * @property {boolean} [dismissible=false] - If set to `true`, adds a button
+ *   that removes the notification banner from the page.
+ * @property {number} [autoDismiss] - Time in milliseconds before the
+ *   notification banner is removed from the page automatically. The time is
+ *   paused while the user's pointer or keyboard focus is inside the
+ *   notification banner. Focus only moves to the `dismissFocusTarget` if it
+ *   was inside the notification banner.
+ * @property {string} [dismissFocusTarget] - CSS selector for the element to
+ *   focus when the notification banner is dismissed. Defaults to the `<main>`
+ *   element.
+ * @property {boolean} [rememberDismissal=false] - If set to `true`, the
+ *   notification banner stays dismissed for the rest of the browser session,
+ *   using sessionStorage. The notification banner must have an `id`
+ *   attribute.
+ * @property {NotificationBannerTranslations} [i18n=NotificationBanner.defaults.i18n] - Notification banner translations
+ */
+
+/**
+ * Notification banner translations
+ *
+ * @see {@link NotificationBanner.defaults.i18n}
+ * @typedef {object} NotificationBannerTranslations
+ * @property {string} [dismissButton] - Text of the button that dismisses the
+ *   notification banner.
  */
 
 /**
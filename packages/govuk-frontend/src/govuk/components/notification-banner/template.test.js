@@ -288,4 +288,54 @@ describe('Notification-banner', () => {
       expect(ariaAttr).toEqual(titleId)
     })
   })
+  describe('when dismissible', () => {
+    it('renders data attributes to configure JavaScript', () => {
+      const $ = render(
+        'notification-banner',
+        examples['dismissible, with type as success']
+      )
+      const $component = $('.govuk-notification-banner')
+
+      expect($component.attr('data-dismissible')).toBe('true')
+      expect($component.attr('data-remember-dismissal')).toBe('true')
+      expect($component.attr('id')).toBe('email-sent')
+    })
+
+    it('renders the focus target data attribute', () => {
+      const $ = render(
+        'notification-banner',
+        examples['dismissible with custom focus target']
+      )
+      const $component = $('.govuk-notification-banner')
+
+      expect($component.attr('data-dismiss-focus-target')).toBe('#main-heading')
+    })
+
+    it('renders the dismiss button text data attribute', () => {
+      const $ = render(
+        'notification-banner',
+        examples['dismissible with translations']
+      )
+      const $component = $('.govuk-notification-banner')
+
+      expect($component.attr('data-i18n.dismiss-button')).toBe('Diystyru')
+    })
+
+    it('renders the auto dismiss data attribute', () => {
+      const $ = render('notification-banner', examples['auto-dismissing'])
+      const $component = $('.govuk-notification-banner')
+
+      expect($component.attr('data-auto-dismiss')).toBe('10000')
+    })
+
+    it('does not render data attributes by default', () => {
+      const $ = render('notification-banner', examples.default)
+      const $component = $('.govuk-notification-banner')
+
+      expect($component.attr('data-dismissible')).toBeUndefined()
+      expect($component.attr('data-remember-dismissal')).toBeUndefined()
+      expect($component.attr('data-dismiss-focus-target')).toBeUndefined()
+      expect($component.attr('data-auto-dismiss')).toBeUndefined()
+    })
+  })
 })
@@ -0,0 +1,111 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { PasswordInput } from './password-input.mjs'
+
+describe('Password input', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('password-input')
+  })
+
+  describe('events', () => {
+    let $root
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('password-input', examples.default)}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    })
+
+    it('dispatches visibility-change when the password is shown or hidden', () => {
+      const listener = jest.fn()
+
+      new PasswordInput($root)
+      $root.addEventListener('govuk-password-input:visibility-change', listener)
+
+      const $button = $root.querySelector('.govuk-js-password-input-toggle')
+
+      $button.click()
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail).toEqual({ visible: true })
+
+      $button.click()
+      expect(listener).toHaveBeenCalledTimes(2)
+      expect(listener.mock.calls[1][0].detail).toEqual({ visible: false })
+    })
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $input
+    let $button
+    let html
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          <form>
+            ${render('password-input', examples.default)}
+          </form>
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $input = $root.querySelector('.govuk-js-password-input-input')
+      $button = $root.querySelector('.govuk-js-password-input-toggle')
+      html = $root.innerHTML
+    })
+
+    it('restores the original markup', () => {
+      const passwordInput = new PasswordInput($root)
+
+      $button.click()
+
+      expect($root.innerHTML).not.toEqual(html)
+
+      passwordInput.destroy()
+
+      expect($root.innerHTML).toEqual(html)
+      expect($root).not.toHaveAttribute('data-govuk-password-input-init')
+    })
+
+    it('hides the password', () => {
+      const passwordInput = new PasswordInput($root)
+
+      $button.click()
+      passwordInput.destroy()
+
+      expect($input).toHaveAttribute('type', 'password')
+    })
+
+    it('stops showing the password on click', () => {
+      const listener = jest.fn()
+
+      new PasswordInput($root).destroy()
+      $root.addEventListener('govuk-password-input:visibility-change', listener)
+
+      $button.click()
+
+      expect($input).toHaveAttribute('type', 'password')
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('allows the component to be initialised again', () => {
+      new PasswordInput($root).destroy()
+
+      expect(() => new PasswordInput($root)).not.toThrow()
+      expect($button).not.toHaveAttribute('hidden')
+      expect(
+        $root.querySelectorAll('.govuk-password-input__sr-status')
+      ).toHaveLength(1)
+    })
+  })
+})
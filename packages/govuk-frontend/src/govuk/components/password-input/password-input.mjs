@@ -1,7 +1,11 @@
 import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
-import { mergeConfigs } from '../../common/index.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
 import { normaliseDataset } from '../../common/normalise-dataset.mjs'
-import { ElementError } from '../../errors/index.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
 import { I18n } from '../../i18n.mjs'
 
@@ -35,6 +39,15 @@ export class PasswordInput extends GOVUKFrontendComponent {
   /** @private */
   $screenReaderStatusMessage
 
+  /** @private */
+  boundToggle
+
+  /** @private */
+  boundHide
+
+  /** @private */
+  boundOnPageShow
+
   /**
    * @param {Element | null} $root - HTML element to use for password input
    * @param {PasswordInputConfig} [config] - Password input config
@@ -85,6 +98,12 @@ export class PasswordInput extends GOVUKFrontendComponent {
       normaliseDataset(PasswordInput, this.$root.dataset)
     )
 
+    // Check for valid config
+    const errors = validateConfig(PasswordInput.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(PasswordInput, errors[0]))
+    }
+
     this.i18n = new I18n(this.config.i18n, {
       // Read the fallback if necessary rather than have it set in the defaults
       locale: closestAttributeValue(this.$root, 'lang')
@@ -104,25 +123,57 @@ export class PasswordInput extends GOVUKFrontendComponent {
     this.$screenReaderStatusMessage = $screenReaderStatusMessage
     this.$input.insertAdjacentElement('afterend', $screenReaderStatusMessage)
 
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundToggle = this.toggle.bind(this)
+    this.boundHide = this.hide.bind(this)
+    this.boundOnPageShow = this.onPageShow.bind(this)
+
     // Bind toggle button
-    this.$showHideButton.addEventListener('click', this.toggle.bind(this))
+    this.$showHideButton.addEventListener('click', this.boundToggle)
 
     // Bind event to revert the password visibility to hidden
     if (this.$input.form) {
-      this.$input.form.addEventListener('submit', () => this.hide())
+      this.$input.form.addEventListener('submit', this.boundHide)
     }
 
     // If the page is restored from bfcache and the password is visible, hide it again
-    window.addEventListener('pageshow', (event) => {
-      if (event.persisted && this.$input.type !== 'password') {
-        this.hide()
-      }
-    })
+    window.addEventListener('pageshow', this.boundOnPageShow)
 
     // Default the component to having the password hidden.
     this.hide()
   }
 
+  /**
+   * Destroy password input
+   *
+   * Removes event listeners, hides the password and the toggle button and
+   * removes the screen reader status message
+   */
+  destroy() {
+    this.$showHideButton.removeEventListener('click', this.boundToggle)
+    this.$input.form?.removeEventListener('submit', this.boundHide)
+    window.removeEventListener('pageshow', this.boundOnPageShow)
+
+    this.hide()
+
+    this.$screenReaderStatusMessage.remove()
+    this.$showHideButton.setAttribute('hidden', '')
+
+    super.destroy()
+  }
+
+  /**
+   * Handle page show event
+   *
+   * @private
+   * @param {PageTransitionEvent} event - Page show event
+   */
+  onPageShow(event) {
+    if (event.persisted && this.$input.type !== 'password') {
+      this.hide()
+    }
+  }
+
   /**
    * Toggle the visibility of the password input
    *
@@ -192,6 +243,8 @@ export class PasswordInput extends GOVUKFrontendComponent {
     this.$screenReaderStatusMessage.innerText = this.i18n.t(
       `${prefixStatus}Announcement`
     )
+
+    this.dispatch('visibility-change', { visible: !isHidden })
   }
 
   /**
@@ -226,7 +279,18 @@ export class PasswordInput extends GOVUKFrontendComponent {
    */
   static schema = Object.freeze({
     properties: {
-      i18n: { type: 'object' }
+      i18n: {
+        type: 'object',
+        properties: {
+          showPassword: { type: 'string' },
+          hidePassword: { type: 'string' },
+          showPasswordAriaLabel: { type: 'string' },
+          hidePasswordAriaLabel: { type: 'string' },
+          passwordShownAnnouncement: { type: 'string' },
+          passwordHiddenAnnouncement: { type: 'string' }
+        },
+        additionalProperties: false
+      }
     }
   })
 }
@@ -261,6 +325,16 @@ export class PasswordInput extends GOVUKFrontendComponent {
  *   Plain text only.
  */
 
+/**
+ * Password input visibility change event
+ *
+ * Dispatched from the password input root element as
+ * `govuk-password-input:visibility-change` when the password is shown or
+ * hidden.
+ *
+ * @typedef {CustomEvent<{ visible: boolean }>} PasswordInputVisibilityChangeEvent
+ */
+
 /**
  * @typedef {import('../../common/index.mjs').Schema} Schema
  * @typedef {import('../../i18n.mjs').TranslationPluralForms} TranslationPluralForms
@@ -0,0 +1,77 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { Radios } from './radios.mjs'
+
+describe('Radios', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('radios')
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $input
+    let $conditional
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('radios', examples['with conditional items'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $input = $root.querySelector('input[type="radio"]')
+      $conditional = document.getElementById(
+        $input.getAttribute('data-aria-controls')
+      )
+    })
+
+    it('restores the original markup', () => {
+      const radios = new Radios($root)
+
+      expect($input).toHaveAttribute('aria-controls', $conditional.id)
+      expect($input).toHaveAttribute('aria-expanded', 'false')
+
+      radios.destroy()
+
+      expect($input).toHaveAttribute('data-aria-controls', $conditional.id)
+      expect($input).not.toHaveAttribute('aria-controls')
+      expect($input).not.toHaveAttribute('aria-expanded')
+      expect($root).not.toHaveAttribute('data-govuk-radios-init')
+    })
+
+    it('stops revealing conditional content on click', () => {
+      new Radios($root).destroy()
+
+      $input.click()
+
+      expect($input).toBeChecked()
+      expect($conditional).toHaveClass('govuk-radios__conditional--hidden')
+    })
+
+    it('stops syncing conditional content when the page is shown again', () => {
+      new Radios($root).destroy()
+
+      $input.checked = true
+      window.dispatchEvent(new window.PageTransitionEvent('pageshow'))
+
+      expect($conditional).toHaveClass('govuk-radios__conditional--hidden')
+    })
+
+    it('allows the component to be initialised again', () => {
+      new Radios($root).destroy()
+
+      expect(() => new Radios($root)).not.toThrow()
+
+      $input.click()
+
+      expect($input).toHaveAttribute('aria-expanded', 'true')
+      expect($conditional).not.toHaveClass('govuk-radios__conditional--hidden')
+    })
+  })
+})
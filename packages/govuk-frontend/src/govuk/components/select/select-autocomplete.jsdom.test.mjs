@@ -0,0 +1,405 @@
+import { renderComponent } from '@govuk-frontend/helpers/jsdom'
+import { getExamples } from '@govuk-frontend/lib/components'
+
+import { ElementError } from '../../errors/index.mjs'
+
+import { SelectAutocomplete } from './select-autocomplete.mjs'
+
+describe('Select autocomplete', () => {
+  let examples
+  let $root
+  let $input
+  let $listbox
+
+  function renderExample(example) {
+    $root = renderComponent('select', examples[example], {
+      wrap: (html) => `<form action="/submit" method="post">${html}</form>`
+    })
+  }
+
+  function initComponent(config) {
+    const selectAutocomplete = new SelectAutocomplete($root, config)
+
+    $input = document.querySelector('.govuk-select-autocomplete__input')
+    $listbox = document.querySelector('.govuk-select-autocomplete__listbox')
+
+    return selectAutocomplete
+  }
+
+  function initExample(example, config) {
+    renderExample(example)
+    return initComponent(config)
+  }
+
+  function type(text) {
+    $input.focus()
+    $input.value = text
+    $input.dispatchEvent(new window.Event('input', { bubbles: true }))
+  }
+
+  // Press a key in the input, returning whether the keydown was cancelled
+  function press(key) {
+    const event = new window.KeyboardEvent('keydown', {
+      key,
+      bubbles: true,
+      cancelable: true
+    })
+
+    $input.dispatchEvent(event)
+
+    return event.defaultPrevented
+  }
+
+  function getResults() {
+    return Array.from($listbox.querySelectorAll('[role="option"]')).map(
+      ($option) => $option.textContent
+    )
+  }
+
+  function getStatus() {
+    return document.querySelector('.govuk-select-autocomplete__status')
+      .textContent
+  }
+
+  beforeAll(async () => {
+    examples = await getExamples('select')
+  })
+
+  describe('on page load', () => {
+    beforeEach(() => {
+      initExample('with autocomplete')
+    })
+
+    it('replaces the select with a combobox labelled by the select label', () => {
+      expect($input).toHaveAttribute('role', 'combobox')
+      expect($input).toHaveAttribute('aria-autocomplete', 'list')
+      expect($input).toHaveAttribute('aria-expanded', 'false')
+      expect($input).toHaveAttribute('aria-controls', $listbox.id)
+      expect($input).toHaveAttribute('id', 'country')
+      expect($input).toHaveAccessibleName('Country')
+      expect($input).toHaveAccessibleDescription(
+        'Start typing, then choose from the list'
+      )
+      expect($input).not.toHaveAttribute('name')
+    })
+
+    it('hides the select but keeps it in the form', () => {
+      expect($root).not.toBeVisible()
+      expect($root).toHaveAttribute('id', 'country-select')
+      expect($root.form).toBe(document.querySelector('form'))
+    })
+
+    it('hides the list of options', () => {
+      expect($listbox).toHaveAttribute('role', 'listbox')
+      expect($listbox).not.toBeVisible()
+    })
+
+    it('leaves the input empty if the placeholder option is selected', () => {
+      expect($input).toHaveValue('')
+    })
+  })
+
+  describe('with a selected value', () => {
+    beforeEach(() => {
+      initExample('with autocomplete and selected value')
+    })
+
+    it('shows the text of the selected option', () => {
+      expect($input).toHaveValue('Germany')
+    })
+
+    it('shows the error state of the select', () => {
+      expect($input).toHaveClass('govuk-input--error')
+    })
+  })
+
+  describe('when users type', () => {
+    beforeEach(() => {
+      initExample('with autocomplete')
+    })
+
+    it('shows the matching options', () => {
+      type('uni')
+
+      expect($listbox).toBeVisible()
+      expect($input).toHaveAttribute('aria-expanded', 'true')
+      expect(getResults()).toEqual(['United Kingdom', 'United States'])
+    })
+
+    it('announces the number of matching options', () => {
+      type('uni')
+      expect(getStatus()).toBe('2 results are available')
+
+      type('unit')
+      type('united k')
+      expect(getStatus()).toBe('1 result is available')
+    })
+
+    it('matches options by their synonyms', () => {
+      type('deutsch')
+
+      expect(getResults()).toEqual(['Germany'])
+    })
+
+    it('ignores case, accents and punctuation', () => {
+      type('COTE D IVOIRE')
+      expect(getResults()).toEqual(['Côte d’Ivoire'])
+
+      type('eire')
+      expect(getResults()).toEqual(['Ireland'])
+    })
+
+    it('shows options starting with the text first, then options with a word starting with it', () => {
+      type('u')
+      expect(getResults()).toEqual([
+        'United Kingdom',
+        'United States',
+        'Germany'
+      ])
+
+      type('st')
+      expect(getResults()).toEqual([
+        'United States',
+        'Afghanistan',
+        'Côte d’Ivoire'
+      ])
+    })
+
+    it('does not show the placeholder option', () => {
+      type('select')
+
+      expect(getResults()).toEqual([])
+    })
+
+    it('shows and announces when no options match', () => {
+      type('narnia')
+
+      expect($listbox).toHaveTextContent('No results found')
+      expect(getStatus()).toBe('No results found')
+    })
+
+    it('hides the list of options when the input is cleared', () => {
+      type('uni')
+      type('')
+
+      expect($listbox).not.toBeVisible()
+      expect($input).toHaveAttribute('aria-expanded', 'false')
+    })
+  })
+
+  describe('keyboard support', () => {
+    let onChange
+
+    beforeEach(() => {
+      initExample('with autocomplete')
+
+      onChange = jest.fn()
+      $root.addEventListener('change', onChange)
+    })
+
+    it('highlights options using the up and down arrow keys', () => {
+      type('uni')
+
+      expect(press('ArrowDown')).toBe(true)
+      expect($input).toHaveAttribute(
+        'aria-activedescendant',
+        'country-option-0'
+      )
+      expect(document.getElementById('country-option-0')).toHaveAttribute(
+        'aria-selected',
+        'true'
+      )
+
+      press('ArrowDown')
+      press('ArrowDown')
+      expect($input).toHaveAttribute(
+        'aria-activedescendant',
+        'country-option-1'
+      )
+
+      press('ArrowUp')
+      press('ArrowUp')
+      expect($input).not.toHaveAttribute('aria-activedescendant')
+      expect($input).toHaveFocus()
+    })
+
+    it('shows the options using the down arrow key', () => {
+      expect(press('ArrowDown')).toBe(true)
+
+      expect($listbox).toBeVisible()
+      expect(getResults()).toHaveLength(10)
+    })
+
+    it('chooses the highlighted option using Enter', () => {
+      type('uni')
+      press('ArrowDown')
+
+      expect(press('Enter')).toBe(true)
+      expect($input).toHaveValue('United Kingdom')
+      expect($root).toHaveValue('GB')
+      expect($listbox).not.toBeVisible()
+      expect(onChange).toHaveBeenCalledTimes(1)
+    })
+
+    it('chooses the highlighted option using Tab', () => {
+      type('uni')
+      press('ArrowDown')
+      press('ArrowDown')
+
+      expect(press('Tab')).toBe(false)
+      expect($root).toHaveValue('US')
+    })
+
+    it('selects the option matching the text and submits using Enter', () => {
+      type('france')
+
+      expect(press('Enter')).toBe(false)
+      expect($input).toHaveValue('France')
+      expect($root).toHaveValue('FR')
+    })
+
+    it('hides the list of options using Escape', () => {
+      type('uni')
+
+      expect(press('Escape')).toBe(true)
+      expect($listbox).not.toBeVisible()
+      expect($root).toHaveValue('')
+    })
+  })
+
+  describe('mouse support', () => {
+    beforeEach(() => {
+      initExample('with autocomplete')
+    })
+
+    it('keeps focus on the input when users press an option', () => {
+      type('uni')
+
+      const event = new window.MouseEvent('mousedown', {
+        bubbles: true,
+        cancelable: true
+      })
+
+      $listbox.children[1].dispatchEvent(event)
+
+      expect(event.defaultPrevented).toBe(true)
+    })
+
+    it('chooses the option users click', () => {
+      type('uni')
+      $listbox.children[1].click()
+
+      expect($input).toHaveValue('United States')
+      expect($root).toHaveValue('US')
+      expect($listbox).not.toBeVisible()
+    })
+
+    it('ignores clicks on the no results message', () => {
+      type('narnia')
+      $listbox.children[0].click()
+
+      expect($listbox).toBeVisible()
+    })
+  })
+
+  describe('when users leave the input', () => {
+    beforeEach(() => {
+      initExample('with autocomplete and selected value')
+    })
+
+    it('selects the option matching the text or a synonym', () => {
+      type('uk')
+      $input.blur()
+
+      expect($input).toHaveValue('United Kingdom')
+      expect($root).toHaveValue('GB')
+      expect($listbox).not.toBeVisible()
+    })
+
+    it('does not submit a value if no option matches', () => {
+      type('Narnia')
+      $input.blur()
+
+      expect($input).toHaveValue('Narnia')
+      expect(new FormData($root.form).has('country')).toBe(false)
+    })
+
+    it('selects the placeholder option if the input is empty', () => {
+      type('')
+      $input.blur()
+
+      expect($root.selectedIndex).toBe(0)
+      expect(new FormData($root.form).get('country')).toBe('')
+    })
+  })
+
+  describe('with translations', () => {
+    it('uses the translations from data attributes', () => {
+      renderExample('with autocomplete and translations')
+      $root.setAttribute('lang', 'cy')
+
+      initComponent()
+
+      type('l')
+      expect(getStatus()).toBe('Mae 3 chanlyniad ar gael')
+
+      type('xyz')
+      expect(getStatus()).toBe('Dim canlyniadau')
+      expect($listbox).toHaveTextContent('Dim canlyniadau')
+    })
+
+    it('uses the translations from the config', () => {
+      initExample('with autocomplete', {
+        i18n: {
+          resultsAvailable: {
+            one: '%{count} country found',
+            other: '%{count} countries found'
+          }
+        }
+      })
+
+      type('uni')
+      expect(getStatus()).toBe('2 countries found')
+    })
+  })
+
+  describe('JavaScript API', () => {
+    it('restores the select when destroyed', () => {
+      const selectAutocomplete = initExample('with autocomplete')
+
+      selectAutocomplete.destroy()
+
+      expect(
+        document.querySelector('.govuk-select-autocomplete')
+      ).not.toBeInTheDocument()
+      expect($root).toBeVisible()
+      expect($root).toHaveAttribute('id', 'country')
+    })
+  })
+
+  describe('errors at instantiation', () => {
+    beforeEach(() => {
+      renderExample('with autocomplete')
+    })
+
+    it('throws when the select has no id', () => {
+      $root.removeAttribute('id')
+
+      expect(() => new SelectAutocomplete($root)).toThrow(
+        new ElementError(
+          'govuk-select-autocomplete: Select `id` attribute not found'
+        )
+      )
+    })
+
+    it('throws when the select allows multiple options to be selected', () => {
+      $root.multiple = true
+
+      expect(() => new SelectAutocomplete($root)).toThrow(
+        new ElementError(
+          'govuk-select-autocomplete: Select (`<select multiple>`) allows more than one option to be selected'
+        )
+      )
+    })
+  })
+})
@@ -0,0 +1,660 @@
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
+import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+import { I18n, translationPluralFormsSchema } from '../../i18n.mjs'
+
+/**
+ * Select autocomplete component
+ *
+ * Enhances a select into a text input users can type in to filter the
+ * options, using the ARIA combobox pattern. The original select is hidden but
+ * kept in the form, so its value is still submitted.
+ *
+ * @preserve
+ * @augments GOVUKFrontendComponent<HTMLSelectElement>
+ */
+export class SelectAutocomplete extends GOVUKFrontendComponent {
+  static elementType = HTMLSelectElement
+
+  /**
+   * @private
+   * @type {SelectAutocompleteConfig}
+   */
+  config
+
+  /** @private */
+  i18n
+
+  /**
+   * Original `id` of the select, moved to the input so labels and error
+   * summary links point to it
+   *
+   * @private
+   */
+  id
+
+  /** @private */
+  $wrapper
+
+  /** @private */
+  $input
+
+  /** @private */
+  $listbox
+
+  /** @private */
+  $status
+
+  /**
+   * Options users can choose from
+   *
+   * @private
+   * @type {SelectAutocompleteOption[]}
+   */
+  options
+
+  /**
+   * Options matching the text in the input
+   *
+   * @private
+   * @type {SelectAutocompleteOption[]}
+   */
+  results = []
+
+  /**
+   * Index of the option highlighted using the keyboard
+   *
+   * @private
+   */
+  activeIndex = -1
+
+  /** @private */
+  boundHandleInput
+
+  /** @private */
+  boundHandleKeyDown
+
+  /** @private */
+  boundHandleBlur
+
+  /** @private */
+  boundHandleListboxClick
+
+  /**
+   * @param {Element | null} $root - HTML element to use for select autocomplete
+   * @param {SelectAutocompleteConfig} [config] - Select autocomplete config
+   */
+  constructor($root, config = {}) {
+    super($root)
+
+    if (!this.$root.id) {
+      throw new ElementError({
+        component: SelectAutocomplete,
+        identifier: 'Select `id` attribute'
+      })
+    }
+
+    if (this.$root.multiple) {
+      throw new ElementError(
+        formatErrorMessage(
+          SelectAutocomplete,
+          'Select (`<select multiple>`) allows more than one option to be selected'
+        )
+      )
+    }
+
+    this.config = mergeConfigs(
+      SelectAutocomplete.defaults,
+      config,
+      normaliseDataset(SelectAutocomplete, this.$root.dataset)
+    )
+
+    // Check for valid config
+    const errors = validateConfig(SelectAutocomplete.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(SelectAutocomplete, errors[0]))
+    }
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    this.id = this.$root.id
+
+    // Placeholder options, such as 'Select a country', are not shown
+    this.options = Array.from(this.$root.options)
+      .filter(($option) => $option.value && !$option.disabled)
+      .map(($option) => {
+        const text = $option.text.trim()
+        const synonyms = ($option.getAttribute('data-synonyms') ?? '')
+          .split('|')
+          .filter((synonym) => synonym.trim())
+
+        return {
+          $option,
+          text,
+          terms: [text, ...synonyms].map(normalise)
+        }
+      })
+
+    const $wrapper = document.createElement('div')
+    $wrapper.classList.add('govuk-select-autocomplete')
+
+    const $input = document.createElement('input')
+    $input.type = 'text'
+    $input.id = this.id
+    $input.className = 'govuk-input govuk-select-autocomplete__input'
+    $input.disabled = this.$root.disabled
+    $input.setAttribute('role', 'combobox')
+    $input.setAttribute('aria-autocomplete', 'list')
+    $input.setAttribute('aria-expanded', 'false')
+    $input.setAttribute('aria-controls', `${this.id}-listbox`)
+    $input.setAttribute('autocomplete', 'off')
+    $input.setAttribute('autocapitalize', 'none')
+    $input.setAttribute('spellcheck', 'false')
+
+    const describedBy = this.$root.getAttribute('aria-describedby')
+    if (describedBy) {
+      $input.setAttribute('aria-describedby', describedBy)
+    }
+
+    if (this.$root.classList.contains('govuk-select--error')) {
+      $input.classList.add('govuk-input--error')
+    }
+
+    // Show the text of the option already selected
+    const $selectedOption = this.$root.selectedOptions.item(0)
+    if ($selectedOption?.value) {
+      $input.value = $selectedOption.text.trim()
+    }
+
+    const $listbox = document.createElement('ul')
+    $listbox.id = `${this.id}-listbox`
+    $listbox.className = 'govuk-select-autocomplete__listbox'
+    $listbox.setAttribute('role', 'listbox')
+    $listbox.hidden = true
+
+    // Create the live region announcing the number of matching options
+    const $status = document.createElement('div')
+    $status.className =
+      'govuk-select-autocomplete__status govuk-visually-hidden'
+    $status.setAttribute('role', 'status')
+    $status.setAttribute('aria-live', 'polite')
+
+    $wrapper.append($input, $listbox, $status)
+
+    this.$wrapper = $wrapper
+    this.$input = $input
+    this.$listbox = $listbox
+    this.$status = $status
+
+    // Hide the select but keep it in the form, so its value is submitted
+    this.$root.id = `${this.id}-select`
+    this.$root.hidden = true
+    this.$root.insertAdjacentElement('beforebegin', $wrapper)
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleInput = this.handleInput.bind(this)
+    this.boundHandleKeyDown = this.handleKeyDown.bind(this)
+    this.boundHandleBlur = this.handleBlur.bind(this)
+    this.boundHandleListboxClick = this.handleListboxClick.bind(this)
+
+    this.$input.addEventListener('input', this.boundHandleInput)
+    this.$input.addEventListener('keydown', this.boundHandleKeyDown)
+    this.$input.addEventListener('blur', this.boundHandleBlur)
+    this.$listbox.addEventListener('mousedown', handleListboxMouseDown)
+    this.$listbox.addEventListener('click', this.boundHandleListboxClick)
+  }
+
+  /**
+   * Destroy select autocomplete
+   *
+   * Removes the input and list of options, then shows the original select
+   */
+  destroy() {
+    this.$input.removeEventListener('input', this.boundHandleInput)
+    this.$input.removeEventListener('keydown', this.boundHandleKeyDown)
+    this.$input.removeEventListener('blur', this.boundHandleBlur)
+    this.$listbox.removeEventListener('mousedown', handleListboxMouseDown)
+    this.$listbox.removeEventListener('click', this.boundHandleListboxClick)
+
+    this.$wrapper.remove()
+    this.$root.id = this.id
+    this.$root.hidden = false
+
+    super.destroy()
+  }
+
+  /**
+   * Handle input
+   *
+   * Shows the options matching the text users have typed
+   *
+   * @private
+   */
+  handleInput() {
+    if (!normalise(this.$input.value)) {
+      this.close()
+      return
+    }
+
+    this.search()
+  }
+
+  /**
+   * Handle keydown
+   *
+   * Lets users move through the matching options using the up and down
+   * arrow keys, choose an option using Enter or Tab and close the list of
+   * options using Escape
+   *
+   * @private
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  handleKeyDown(event) {
+    const isOpen = !this.$listbox.hidden
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'Down':
+        event.preventDefault()
+
+        if (isOpen) {
+          this.setActiveIndex(
+            Math.min(this.activeIndex + 1, this.results.length - 1)
+          )
+        } else {
+          this.search()
+        }
+        break
+
+      case 'ArrowUp':
+      case 'Up':
+        if (isOpen) {
+          event.preventDefault()
+
+          // Moving up from the first option returns to the input
+          this.setActiveIndex(this.activeIndex - 1)
+        }
+        break
+
+      case 'Enter':
+        if (isOpen && this.results[this.activeIndex]) {
+          // Choose the option rather than submit the form
+          event.preventDefault()
+          this.choose(this.results[this.activeIndex])
+        } else {
+          this.confirm()
+        }
+        break
+
+      case 'Tab':
+        if (isOpen && this.results[this.activeIndex]) {
+          this.choose(this.results[this.activeIndex])
+        }
+        break
+
+      case 'Escape':
+      case 'Esc':
+        if (isOpen) {
+          event.preventDefault()
+          this.close()
+        }
+        break
+    }
+  }
+
+  /**
+   * Handle blur
+   *
+   * Selects the option matching the text users have typed, if any
+   *
+   * @private
+   */
+  handleBlur() {
+    this.close()
+    this.confirm()
+  }
+
+  /**
+   * Handle click on an option
+   *
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleListboxClick(event) {
+    const $target = event.target
+
+    if (!($target instanceof Element)) {
+      return
+    }
+
+    const $option = $target.closest('[role="option"]')
+    const index = Array.from(this.$listbox.children).indexOf(
+      /** @type {Element} */ ($option)
+    )
+
+    if (this.results[index]) {
+      this.choose(this.results[index])
+    }
+  }
+
+  /**
+   * Show the options matching the text in the input
+   *
+   * Options are matched by their text or synonyms, ignoring case, accents
+   * and punctuation. Options starting with the text come first, then options
+   * with a word starting with the text, then any other matches.
+   *
+   * @private
+   */
+  search() {
+    const query = normalise(this.$input.value)
+
+    this.results = this.options
+      .map((option, index) => ({
+        option,
+        index,
+        score: Math.min(...option.terms.map((term) => getScore(term, query)))
+      }))
+      .filter(({ score }) => score < Infinity)
+      .sort((resultA, resultB) =>
+        resultA.score === resultB.score
+          ? resultA.index - resultB.index
+          : resultA.score - resultB.score
+      )
+      .map(({ option }) => option)
+
+    this.$listbox.innerHTML = ''
+
+    this.results.forEach((option, index) => {
+      const $option = document.createElement('li')
+      $option.id = `${this.id}-option-${index}`
+      $option.className = 'govuk-select-autocomplete__option'
+      $option.setAttribute('role', 'option')
+      $option.setAttribute('aria-selected', 'false')
+      $option.textContent = option.text
+      this.$listbox.appendChild($option)
+    })
+
+    if (!this.results.length) {
+      const $noResults = document.createElement('li')
+      $noResults.className =
+        'govuk-select-autocomplete__option govuk-select-autocomplete__option--no-results'
+      $noResults.textContent = this.i18n.t('noResults')
+      this.$listbox.appendChild($noResults)
+    }
+
+    this.activeIndex = -1
+    this.$listbox.hidden = false
+    this.$input.setAttribute('aria-expanded', 'true')
+    this.$input.removeAttribute('aria-activedescendant')
+
+    this.$status.textContent = this.results.length
+      ? this.i18n.t('resultsAvailable', { count: this.results.length })
+      : this.i18n.t('noResults')
+  }
+
+  /**
+   * Highlight an option
+   *
+   * Focus stays on the input, so screen readers are told about the option
+   * using `aria-activedescendant`
+   *
+   * @private
+   * @param {number} index - Index of the option, or -1 for none
+   */
+  setActiveIndex(index) {
+    const $options = this.$listbox.querySelectorAll('[role="option"]')
+
+    this.activeIndex = Math.max(index, -1)
+
+    $options.forEach(($option, optionIndex) => {
+      const isActive = optionIndex === this.activeIndex
+
+      $option.classList.toggle(
+        'govuk-select-autocomplete__option--focused',
+        isActive
+      )
+      $option.setAttribute('aria-selected', `${isActive}`)
+    })
+
+    const $activeOption = $options[this.activeIndex]
+
+    if (!($activeOption instanceof HTMLElement)) {
+      this.$input.removeAttribute('aria-activedescendant')
+      return
+    }
+
+    this.$input.setAttribute('aria-activedescendant', $activeOption.id)
+
+    // Scroll the list of options so the highlighted option is visible
+    const { offsetTop, offsetHeight } = $activeOption
+    const { scrollTop, clientHeight } = this.$listbox
+
+    if (offsetTop < scrollTop) {
+      this.$listbox.scrollTop = offsetTop
+    } else if (offsetTop + offsetHeight > scrollTop + clientHeight) {
+      this.$listbox.scrollTop = offsetTop + offsetHeight - clientHeight
+    }
+  }
+
+  /**
+   * Choose an option
+   *
+   * @private
+   * @param {SelectAutocompleteOption} option - Option users have chosen
+   */
+  choose(option) {
+    this.$input.value = option.text
+    this.close()
+    this.select(option.$option)
+  }
+
+  /**
+   * Select the option matching the text in the input
+   *
+   * If no option matches, no option is selected so that a value users have
+   * not chosen is not submitted
+   *
+   * @private
+   */
+  confirm() {
+    const query = normalise(this.$input.value)
+
+    if (!query) {
+      // Select the placeholder option, if there is one
+      const $placeholder = Array.from(this.$root.options).find(
+        ($option) => !$option.value
+      )
+
+      this.select($placeholder ?? null)
+      return
+    }
+
+    const match = this.options.find(({ terms }) => terms.includes(query))
+
+    if (match) {
+      this.$input.value = match.text
+    }
+
+    this.select(match?.$option ?? null)
+  }
+
+  /**
+   * Select an option in the original select
+   *
+   * Dispatches a `change` event from the select if the selected option
+   * changes, so other scripts can respond to it
+   *
+   * @private
+   * @param {HTMLOptionElement | null} $option - Option to select, or `null`
+   *   for none
+   */
+  select($option) {
+    const previousIndex = this.$root.selectedIndex
+
+    if ($option) {
+      $option.selected = true
+    } else {
+      this.$root.selectedIndex = -1
+    }
+
+    if (this.$root.selectedIndex !== previousIndex) {
+      this.$root.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+  }
+
+  /**
+   * Close the list of options
+   *
+   * @private
+   */
+  close() {
+    this.activeIndex = -1
+    this.$listbox.hidden = true
+    this.$input.setAttribute('aria-expanded', 'false')
+    this.$input.removeAttribute('aria-activedescendant')
+  }
+
+  /**
+   * Name for the component used when initialising using data-module attributes.
+   */
+  static moduleName = 'govuk-select-autocomplete'
+
+  /**
+   * Select autocomplete default config
+   *
+   * @see {@link SelectAutocompleteConfig}
+   * @constant
+   * @type {SelectAutocompleteConfig}
+   */
+  static defaults = Object.freeze({
+    i18n: {
+      resultsAvailable: {
+        one: '%{count} result is available',
+        other: '%{count} results are available'
+      },
+      noResults: 'No results found'
+    }
+  })
+
+  /**
+   * Select autocomplete config schema
+   *
+   * @constant
+   * @satisfies {Schema}
+   */
+  static schema = Object.freeze({
+    properties: {
+      i18n: {
+        type: 'object',
+        properties: {
+          resultsAvailable: translationPluralFormsSchema,
+          noResults: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  })
+}
+
+/**
+ * Keep focus on the input when users click an option
+ *
+ * @private
+ * @param {MouseEvent} event - Mousedown event
+ */
+function handleListboxMouseDown(event) {
+  event.preventDefault()
+}
+
+/**
+ * Normalise text for matching
+ *
+ * Ignores case, accents, punctuation and extra spaces, so that
+ * `Côte d’Ivoire` matches `cote d ivoire`
+ *
+ * @private
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+function normalise(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[-'’.,()]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+}
+
+/**
+ * Score how well a term matches the text users have typed
+ *
+ * @private
+ * @param {string} term - Normalised option text or synonym
+ * @param {string} query - Normalised text users have typed
+ * @returns {number} 0 if the term starts with the text, 1 if a word in the
+ *   term does, 2 if the term contains the text, or `Infinity` if not
+ */
+function getScore(term, query) {
+  if (term.startsWith(query)) {
+    return 0
+  }
+
+  if (term.includes(` ${query}`)) {
+    return 1
+  }
+
+  if (term.includes(query)) {
+    return 2
+  }
+
+  return Infinity
+}
+
+/**
+ * Select autocomplete config
+ *
+ * @typedef {object} SelectAutocompleteConfig
+ * @property {SelectAutocompleteTranslations} [i18n=SelectAutocomplete.defaults.i18n] - Select autocomplete translations
+ */
+
+/**
+ * Select autocomplete translations
+ *
+ * @see {@link SelectAutocomplete.defaults.i18n}
+ * @typedef {object} SelectAutocompleteTranslations
+ *
+ * Messages used by the component
+ * @property {TranslationPluralForms} [resultsAvailable] - Text announced by
+ *   screen readers when the list of matching options changes. The component
+ *   will replace the `%{count}` placeholder with the number of matching
+ *   options. This is a [pluralised list of
+ *   messages](https://frontend.design-system.service.gov.uk/localise-govuk-frontend).
+ * @property {string} [noResults] - Text shown, and announced by screen
+ *   readers, when no options match.
+ */
+
+/**
+ * Select autocomplete option
+ *
+ * @private
+ * @typedef {object} SelectAutocompleteOption
+ * @property {HTMLOptionElement} $option - Option in the original select
+ * @property {string} text - Option text
+ * @property {string[]} terms - Normalised option text and synonyms
+ */
+
+/**
+ * @typedef {import('../../common/index.mjs').Schema} Schema
+ * @typedef {import('../../i18n.mjs').TranslationPluralForms} TranslationPluralForms
+ */
@@ -0,0 +1,192 @@
+/* eslint-disable no-new */
+
+const {
+  getProperty,
+  isVisible,
+  render
+} = require('@govuk-frontend/helpers/puppeteer')
+const { getExamples } = require('@govuk-frontend/lib/components')
+
+const selectSelector = '[data-module="govuk-select-autocomplete"]'
+const inputSelector = '.govuk-select-autocomplete__input'
+const listboxSelector = '.govuk-select-autocomplete__listbox'
+const statusSelector = '.govuk-select-autocomplete__status'
+
+describe('/components/select', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('select')
+  })
+
+  function getResults() {
+    return page.$$eval(`${listboxSelector} [role="option"]`, ($options) =>
+      $options.map(($option) => $option.textContent)
+    )
+  }
+
+  async function getValues() {
+    return {
+      input: await getProperty(await page.$(inputSelector), 'value'),
+      select: await getProperty(await page.$(selectSelector), 'value')
+    }
+  }
+
+  describe('/components/select/with-autocomplete/preview', () => {
+    describe('when JavaScript is unavailable or fails', () => {
+      beforeAll(async () => {
+        await page.setJavaScriptEnabled(false)
+      })
+
+      afterAll(async () => {
+        await page.setJavaScriptEnabled(true)
+      })
+
+      it('still renders an unmodified select', async () => {
+        await render(page, 'select', examples['with autocomplete'])
+
+        const selectId = await page.$eval(
+          selectSelector,
+          ($select) => $select.id
+        )
+        const $select = await page.$(selectSelector)
+
+        expect(selectId).toBe('country')
+        await expect(isVisible($select)).resolves.toBe(true)
+        await expect(page.$(inputSelector)).resolves.toBeNull()
+      })
+    })
+
+    describe('when JavaScript is available', () => {
+      beforeEach(async () => {
+        await render(page, 'select', examples['with autocomplete'])
+      })
+
+      it('replaces the select with a combobox', async () => {
+        const $select = await page.$(selectSelector)
+        const $input = await page.$(inputSelector)
+
+        await expect(isVisible($select)).resolves.toBe(false)
+        await expect(isVisible($input)).resolves.toBe(true)
+
+        const inputAttributes = await page.$eval(inputSelector, ($input) => ({
+          id: $input.id,
+          role: $input.getAttribute('role'),
+          expanded: $input.getAttribute('aria-expanded')
+        }))
+
+        expect(inputAttributes).toEqual({
+          id: 'country',
+          role: 'combobox',
+          expanded: 'false'
+        })
+      })
+
+      it('shows and announces matching options as users type', async () => {
+        await page.type(inputSelector, 'uni')
+
+        const $listbox = await page.$(listboxSelector)
+        await expect(isVisible($listbox)).resolves.toBe(true)
+        await expect(getResults()).resolves.toEqual([
+          'United Kingdom',
+          'United States'
+        ])
+
+        const statusText = await page.$eval(
+          statusSelector,
+          ($status) => $status.textContent
+        )
+
+        expect(statusText).toBe('2 results are available')
+      })
+
+      it('chooses an option using the arrow keys and Enter', async () => {
+        await page.type(inputSelector, 'uni')
+        await page.keyboard.press('ArrowDown')
+        await page.keyboard.press('ArrowDown')
+
+        const activeDescendant = await page.$eval(inputSelector, ($input) =>
+          $input.getAttribute('aria-activedescendant')
+        )
+
+        expect(activeDescendant).toBe('country-option-1')
+
+        await page.keyboard.press('Enter')
+
+        await expect(getValues()).resolves.toEqual({
+          input: 'United States',
+          select: 'US'
+        })
+
+        const $listbox = await page.$(listboxSelector)
+        await expect(isVisible($listbox)).resolves.toBe(false)
+      })
+
+      it('chooses an option when users click it', async () => {
+        await page.type(inputSelector, 'fra')
+        await page.click(`${listboxSelector} [role="option"]`)
+
+        await expect(getValues()).resolves.toEqual({
+          input: 'France',
+          select: 'FR'
+        })
+
+        const activeElementId = await page.evaluate(
+          () => document.activeElement.id
+        )
+
+        expect(activeElementId).toBe('country')
+      })
+
+      it('hides the options using Escape', async () => {
+        await page.type(inputSelector, 'uni')
+        await page.keyboard.press('Escape')
+
+        const $listbox = await page.$(listboxSelector)
+        await expect(isVisible($listbox)).resolves.toBe(false)
+      })
+    })
+
+    describe('errors at instantiation', () => {
+      beforeEach(async () => {
+        await render(page, 'select', examples['with autocomplete'])
+      })
+
+      // Initialise a new select, as the example select is already initialised
+      function initSelect(html) {
+        return page.evaluate(async (html) => {
+          const { SelectAutocomplete } = await import('govuk-frontend')
+
+          document.body.insertAdjacentHTML('beforeend', html)
+
+          try {
+            new SelectAutocomplete(document.body.lastElementChild)
+          } catch ({ name, message }) {
+            return { name, message }
+          }
+        }, html)
+      }
+
+      it('throws when the select has no id', async () => {
+        await expect(
+          initSelect('<select class="govuk-select"></select>')
+        ).resolves.toEqual({
+          name: 'ElementError',
+          message: 'govuk-select-autocomplete: Select `id` attribute not found'
+        })
+      })
+
+      it('throws when the select allows multiple options to be selected', async () => {
+        await expect(
+          initSelect(
+            '<select class="govuk-select" id="colours" multiple></select>'
+          )
+        ).resolves.toEqual({
+          name: 'ElementError',
+          message:
+            'govuk-select-autocomplete: Select (`<select multiple>`) allows more than one option to be selected'
+        })
+      })
+    })
+  })
+})
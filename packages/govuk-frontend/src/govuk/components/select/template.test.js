@@ -269,6 +269,45 @@ describe('Select', () => {
     })
   })
 
+  describe('with autocomplete', () => {
+    it('renders with data-module attribute to initialise JavaScript', () => {
+      const $ = render('select', examples['with autocomplete'])
+
+      const $select = $('.govuk-select')
+      expect($select.attr('data-module')).toBe('govuk-select-autocomplete')
+    })
+
+    it('does not render data-module attribute by default', () => {
+      const $ = render('select', examples.default)
+
+      const $select = $('.govuk-select')
+      expect($select.attr('data-module')).toBeUndefined()
+    })
+
+    it('renders synonyms as data attributes on options', () => {
+      const $ = render('select', examples['with autocomplete'])
+
+      expect($('option[value="DE"]').attr('data-synonyms')).toBe('Deutschland')
+      expect($('option[value="GB"]').attr('data-synonyms')).toBe(
+        'Great Britain|UK'
+      )
+      expect($('option[value="FR"]').attr('data-synonyms')).toBeUndefined()
+    })
+
+    it('renders with translations', () => {
+      const $ = render('select', examples['with autocomplete and translations'])
+
+      const $select = $('.govuk-select')
+      expect($select.attr('data-i18n.results-available.one')).toBe(
+        'Mae %{count} canlyniad ar gael'
+      )
+      expect($select.attr('data-i18n.results-available.other')).toBe(
+        'Mae %{count} canlyniad ar gael'
+      )
+      expect($select.attr('data-i18n.no-results')).toBe('Dim canlyniadau')
+    })
+  })
+
   describe('with dependant components', () => {
     it('have correct nesting order', () => {
       const $ = render('select', examples['with hint text and error message'])
@@ -1,4 +1,4 @@
-import { getBreakpoint } from '../../common/index.mjs'
+import { createResponsiveMenu } from '../../common/responsive-menu.mjs'
 import { ElementError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
 
@@ -8,29 +8,14 @@ import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
  * @preserve
  */
 export class ServiceNavigation extends GOVUKFrontendComponent {
-  /** @private */
-  $menuButton
-
-  /** @private */
-  $menu
-
   /**
-   * Remember the open/closed state of the nav so we can maintain it when the
-   * screen is resized.
+   * Menu shown by the menu button on screens narrower than the tablet
+   * breakpoint
    *
    * @private
+   * @type {ResponsiveMenu | null}
    */
-  menuIsOpen = false
-
-  /**
-   * A global const for storing a matchMedia instance which we'll use to detect
-   * when a screen size change happens. We rely on it being null if the feature
-   * isn't available to initially apply hidden attributes
-   *
-   * @private
-   * @type {MediaQueryList | null}
-   */
-  mql = null
+  menu = null
 
   /**
    * @param {Element | null} $root - HTML element to use for header
@@ -67,88 +52,62 @@ export class ServiceNavigation extends GOVUKFrontendComponent {
       })
     }
 
-    this.$menu = $menu
-    this.$menuButton = $menuButton
-
-    this.setupResponsiveChecks()
-
-    this.$menuButton.addEventListener('click', () =>
-      this.handleMenuButtonClick()
-    )
-  }
+    const menu = createResponsiveMenu({
+      $root: this.$root,
+      $menu,
+      $menuButton,
+      breakpoint: 'tablet',
+      onToggle: (open) => this.dispatch('menu-toggled', { open })
+    })
 
-  /**
-   * Setup viewport resize check
-   *
-   * @private
-   */
-  setupResponsiveChecks() {
-    const breakpoint = getBreakpoint('tablet')
-
-    if (!breakpoint.value) {
+    if (!menu) {
       throw new ElementError({
         component: ServiceNavigation,
-        identifier: `CSS custom property (\`${breakpoint.property}\`) on pseudo-class \`:root\``
+        identifier:
+          'CSS custom property (`--govuk-frontend-breakpoint-tablet`) on pseudo-class `:root`'
       })
     }
 
-    // Media query list for GOV.UK Frontend desktop breakpoint
-    this.mql = window.matchMedia(`(min-width: ${breakpoint.value})`)
-
-    // MediaQueryList.addEventListener isn't supported by Safari < 14 so we need
-    // to be able to fall back to the deprecated MediaQueryList.addListener
-    if ('addEventListener' in this.mql) {
-      this.mql.addEventListener('change', () => this.checkMode())
-    } else {
-      // @ts-expect-error Property 'addListener' does not exist
-      // eslint-disable-next-line @typescript-eslint/no-unsafe-call
-      this.mql.addListener(() => this.checkMode())
-    }
-
-    this.checkMode()
+    this.menu = menu
   }
 
   /**
-   * Sync menu state
+   * Open the navigation menu
    *
-   * Uses the global variable menuIsOpen to correctly set the accessible and
-   * visual states of the menu and the menu button.
-   * Additionally will force the menu to be visible and the menu button to be
-   * hidden if the matchMedia is triggered to desktop.
-   *
-   * @private
+   * Only changes the visibility of the menu on smaller screens, where the menu
+   * button is shown
    */
-  checkMode() {
-    if (!this.mql || !this.$menu || !this.$menuButton) {
-      return
-    }
+  open() {
+    this.menu?.open()
+  }
 
-    if (this.mql.matches) {
-      this.$menu.removeAttribute('hidden')
-      this.$menuButton.setAttribute('hidden', '')
-    } else {
-      this.$menuButton.removeAttribute('hidden')
-      this.$menuButton.setAttribute('aria-expanded', this.menuIsOpen.toString())
-
-      if (this.menuIsOpen) {
-        this.$menu.removeAttribute('hidden')
-      } else {
-        this.$menu.setAttribute('hidden', '')
-      }
-    }
+  /**
+   * Close the navigation menu
+   */
+  close() {
+    this.menu?.close()
   }
 
   /**
-   * Handle menu button click
-   *
-   * When the menu button is clicked, change the visibility of the menu and then
-   * sync the accessibility state and menu button state
+   * Toggle the navigation menu
+   */
+  toggle() {
+    this.menu?.toggle()
+  }
+
+  /**
+   * Destroy service navigation
    *
-   * @private
+   * Removes event listeners and restores the menu and menu button to their
+   * original state, with the menu visible and the menu button hidden
    */
-  handleMenuButtonClick() {
-    this.menuIsOpen = !this.menuIsOpen
-    this.checkMode()
+  destroy() {
+    if (this.menu) {
+      this.menu.destroy()
+      this.menu = null
+    }
+
+    super.destroy()
   }
 
   /**
@@ -156,3 +115,17 @@ export class ServiceNavigation extends GOVUKFrontendComponent {
    */
   static moduleName = 'govuk-service-navigation'
 }
+
+/**
+ * Service navigation menu toggled event
+ *
+ * Dispatched from the service navigation root element as
+ * `govuk-service-navigation:menu-toggled` when the navigation menu is opened or
+ * closed.
+ *
+ * @typedef {CustomEvent<{ open: boolean }>} ServiceNavigationMenuToggledEvent
+ */
+
+/**
+ * @typedef {import('../../common/responsive-menu.mjs').ResponsiveMenu} ResponsiveMenu
+ */
@@ -0,0 +1,67 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { SkipLink } from './skip-link.mjs'
+
+describe('Skip link', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('skip-link')
+  })
+
+  describe('destroy', () => {
+    let $root
+    let $main
+    let html
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('skip-link', examples.default)}
+          <main id="test-target-element">Main content</main>
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $main = document.querySelector('main')
+      html = document.body.innerHTML
+    })
+
+    afterEach(() => {
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('restores the original markup', () => {
+      const skipLink = new SkipLink($root)
+
+      skipLink.destroy()
+
+      expect(document.body.innerHTML).toEqual(html)
+      expect($root).not.toHaveAttribute('data-govuk-skip-link-init')
+    })
+
+    it('stops focusing the linked element on click', () => {
+      new SkipLink($root).destroy()
+
+      $root.click()
+
+      expect($main).not.toHaveFocus()
+      expect($main).not.toHaveAttribute('tabindex')
+      expect($main).not.toHaveClass('govuk-skip-link-focused-element')
+    })
+
+    it('allows the component to be initialised again', () => {
+      new SkipLink($root).destroy()
+
+      expect(() => new SkipLink($root)).not.toThrow()
+
+      $root.click()
+
+      expect($main).toHaveFocus()
+      expect($main).toHaveClass('govuk-skip-link-focused-element')
+    })
+  })
+})
@@ -11,6 +11,17 @@ import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
 export class SkipLink extends GOVUKFrontendComponent {
   static elementType = HTMLAnchorElement
 
+  /**
+   * Element the skip link targets, if it's on the current page
+   *
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $linkedElement = null
+
+  /** @private */
+  boundHandleClick
+
   /**
    * @param {Element | null} $root - HTML element to use for skip link
    * @throws {ElementError} when $root is not set or the wrong type
@@ -20,6 +31,9 @@ export class SkipLink extends GOVUKFrontendComponent {
   constructor($root) {
     super($root)
 
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleClick = this.handleClick.bind(this)
+
     const hash = this.$root.hash
     const href = this.$root.getAttribute('href') ?? ''
 
@@ -69,22 +83,45 @@ export class SkipLink extends GOVUKFrontendComponent {
       })
     }
 
-    /**
-     * Focus the linked element on click
-     *
-     * Adds a helper CSS class to hide native focus styles,
-     * but removes it on blur to restore native focus styles
-     */
-    this.$root.addEventListener('click', () =>
-      setFocus($linkedElement, {
-        onBeforeFocus() {
-          $linkedElement.classList.add('govuk-skip-link-focused-element')
-        },
-        onBlur() {
-          $linkedElement.classList.remove('govuk-skip-link-focused-element')
-        }
-      })
-    )
+    this.$linkedElement = $linkedElement
+    this.$root.addEventListener('click', this.boundHandleClick)
+  }
+
+  /**
+   * Destroy skip link
+   *
+   * Removes event listeners
+   */
+  destroy() {
+    this.$root.removeEventListener('click', this.boundHandleClick)
+    this.$linkedElement = null
+
+    super.destroy()
+  }
+
+  /**
+   * Handle click
+   *
+   * Focuses the linked element. Adds a helper CSS class to hide native focus
+   * styles, but removes it on blur to restore native focus styles
+   *
+   * @private
+   */
+  handleClick() {
+    const $linkedElement = this.$linkedElement
+
+    if (!$linkedElement) {
+      return
+    }
+
+    setFocus($linkedElement, {
+      onBeforeFocus() {
+        $linkedElement.classList.add('govuk-skip-link-focused-element')
+      },
+      onBlur() {
+        $linkedElement.classList.remove('govuk-skip-link-focused-element')
+      }
+    })
   }
 
   /**
@@ -0,0 +1,326 @@
+import { renderComponent } from '@govuk-frontend/helpers/jsdom'
+import { getExamples } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+
+import { Table } from './table.mjs'
+
+describe('Table', () => {
+  let examples
+  let $root
+
+  function renderExample(example) {
+    $root = renderComponent('table', examples[example], { selector: 'table' })
+  }
+
+  function initExample(example, config) {
+    renderExample(example)
+    return new Table($root, config)
+  }
+
+  // Get the text of the first cell in each row
+  function getRowNames() {
+    return Array.from($root.tBodies[0].rows).map(($row) =>
+      $row.cells[0].textContent.trim()
+    )
+  }
+
+  function clickHeader(index) {
+    $root.tHead.rows[0].cells[index].querySelector('button').click()
+  }
+
+  beforeAll(async () => {
+    examples = await getExamples('table')
+  })
+
+  describe('on page load', () => {
+    beforeEach(() => {
+      initExample('sortable')
+    })
+
+    it('wraps sortable column headers in buttons', () => {
+      const $headers = $root.tHead.rows[0].cells
+
+      expect($headers[0].querySelector('button')).toHaveAttribute(
+        'type',
+        'button'
+      )
+      expect($headers[0].querySelector('button')).toHaveTextContent('Name')
+      expect($headers[3].querySelector('button')).toBeNull()
+    })
+
+    it('keeps the rows in the order they were rendered', () => {
+      expect(getRowNames()).toEqual([
+        'Amira Bashir',
+        'Ben Ó Súilleabháin',
+        'Chen Wei'
+      ])
+    })
+
+    it('adds an empty live region after the table', () => {
+      const $status = $root.nextElementSibling
+
+      expect($status).toHaveClass('govuk-visually-hidden')
+      expect($status).toHaveAttribute('aria-live', 'polite')
+      expect($status).toBeEmptyDOMElement()
+    })
+  })
+
+  describe('when users click a sort button', () => {
+    beforeEach(() => {
+      initExample('sortable')
+    })
+
+    it('sorts numeric columns by number', () => {
+      clickHeader(2)
+
+      expect(getRowNames()).toEqual([
+        'Ben Ó Súilleabháin',
+        'Chen Wei',
+        'Amira Bashir'
+      ])
+    })
+
+    it('sorts columns by their sort value', () => {
+      clickHeader(1)
+
+      expect(getRowNames()).toEqual([
+        'Ben Ó Súilleabháin',
+        'Chen Wei',
+        'Amira Bashir'
+      ])
+    })
+
+    it('sorts in descending order if already sorted in ascending order', () => {
+      clickHeader(0)
+
+      expect(getRowNames()).toEqual([
+        'Chen Wei',
+        'Ben Ó Súilleabháin',
+        'Amira Bashir'
+      ])
+
+      clickHeader(0)
+
+      expect(getRowNames()).toEqual([
+        'Amira Bashir',
+        'Ben Ó Súilleabháin',
+        'Chen Wei'
+      ])
+    })
+
+    it('updates the aria-sort attributes', () => {
+      clickHeader(2)
+
+      const $headers = $root.tHead.rows[0].cells
+
+      expect($headers[0]).toHaveAttribute('aria-sort', 'none')
+      expect($headers[1]).toHaveAttribute('aria-sort', 'none')
+      expect($headers[2]).toHaveAttribute('aria-sort', 'ascending')
+      expect($headers[3]).not.toHaveAttribute('aria-sort')
+    })
+
+    it('announces the new sort order', () => {
+      clickHeader(1)
+      expect($root.nextElementSibling).toHaveTextContent(
+        'Sorted by Date received, ascending'
+      )
+
+      clickHeader(1)
+      expect($root.nextElementSibling).toHaveTextContent(
+        'Sorted by Date received, descending'
+      )
+    })
+  })
+
+  describe('sorting text', () => {
+    function renderRows(names, lang = 'en') {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          <table class="govuk-table" lang="${lang}">
+            <thead>
+              <tr><th aria-sort="none">Name</th></tr>
+            </thead>
+            <tbody>
+              ${names.map((name) => `<tr><td>${name}</td></tr>`).join('')}
+            </tbody>
+          </table>
+        </body>
+      `
+
+      $root = document.querySelector('table')
+    }
+
+    it('sorts numbers within text by their value', () => {
+      renderRows(['Item 10', 'Item 9', 'Item 1'])
+      new Table($root).sort(0)
+
+      expect(getRowNames()).toEqual(['Item 1', 'Item 9', 'Item 10'])
+    })
+
+    it('ignores case and accents', () => {
+      renderRows(['émile', 'Zoë', 'Adam'])
+      new Table($root).sort(0)
+
+      expect(getRowNames()).toEqual(['Adam', 'émile', 'Zoë'])
+    })
+
+    it('keeps rows with the same value in their current order', () => {
+      renderRows(['b', 'A', 'a', 'B'])
+      new Table($root).sort(0, 'descending')
+
+      expect(getRowNames()).toEqual(['b', 'B', 'A', 'a'])
+    })
+
+    it('uses the collation rules of the table language', () => {
+      renderRows(['ä', 'z', 'a'], 'sv')
+      new Table($root).sort(0)
+
+      expect(getRowNames()).toEqual(['a', 'z', 'ä'])
+    })
+  })
+
+  describe('with cells spanning several columns', () => {
+    let table
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          <table class="govuk-table">
+            <thead>
+              <tr>
+                <th colspan="2">Name</th>
+                <th aria-sort="none">Team</th>
+                <th aria-sort="none" class="govuk-table__header--numeric">Days</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr><td>Chen</td><td>Wei</td><td>Design</td><td>3</td></tr>
+              <tr><td colspan="2">Amira Bashir</td><td>Research</td><td>12</td></tr>
+              <tr><td>Ben</td><td>Ó Súilleabháin</td><td>Content</td><td>7</td></tr>
+            </tbody>
+          </table>
+        </body>
+      `
+
+      $root = document.querySelector('table')
+      table = new Table($root)
+    })
+
+    it('sorts by the column shown under the clicked header', () => {
+      clickHeader(1)
+
+      expect(getRowNames()).toEqual(['Ben', 'Chen', 'Amira Bashir'])
+      expect($root.tHead.rows[0].cells[1]).toHaveAttribute(
+        'aria-sort',
+        'ascending'
+      )
+
+      clickHeader(2)
+
+      expect(getRowNames()).toEqual(['Chen', 'Ben', 'Amira Bashir'])
+    })
+
+    it('counts the columns spanned by cells when sorting using JavaScript', () => {
+      table.sort(3, 'descending')
+
+      expect(getRowNames()).toEqual(['Amira Bashir', 'Ben', 'Chen'])
+      expect(() => table.sort(1)).toThrow(ElementError)
+    })
+  })
+
+  describe('JavaScript API', () => {
+    let table
+
+    beforeEach(() => {
+      table = initExample('sortable')
+    })
+
+    it('sorts by a column in the given direction', () => {
+      table.sort(2, 'descending')
+
+      expect(getRowNames()).toEqual([
+        'Amira Bashir',
+        'Chen Wei',
+        'Ben Ó Súilleabháin'
+      ])
+      expect($root.tHead.rows[0].cells[2]).toHaveAttribute(
+        'aria-sort',
+        'descending'
+      )
+    })
+
+    it('throws when the column cannot be sorted', () => {
+      expect(() => table.sort(3)).toThrow(
+        new ElementError('govuk-table: Sortable column header (`3`) not found')
+      )
+    })
+
+    it('removes the sort buttons and live region when destroyed', () => {
+      table.destroy()
+
+      const $header = $root.tHead.rows[0].cells[0]
+
+      expect($header.querySelector('button')).toBeNull()
+      expect($header).toHaveTextContent('Name')
+      expect($root.nextElementSibling).toBeNull()
+    })
+  })
+
+  describe('with translations', () => {
+    it('announces the sort order using data attributes', () => {
+      initExample('sortable with translations')
+
+      clickHeader(1)
+
+      expect($root.nextElementSibling).toHaveTextContent(
+        "Wedi'i drefnu yn ôl Swm, esgynnol"
+      )
+      expect(getRowNames()).toEqual(['Aled', 'Siân'])
+    })
+
+    it('announces the sort order using the config', () => {
+      initExample('sortable', {
+        i18n: { sortedDescending: '%{column} (Z to A)' }
+      })
+
+      clickHeader(0)
+
+      expect($root.nextElementSibling).toHaveTextContent('Name (Z to A)')
+    })
+  })
+
+  describe('errors at instantiation', () => {
+    it('throws when no column headers can be sorted', () => {
+      renderExample('table with head')
+
+      expect(() => new Table($root)).toThrow(
+        new ElementError(
+          'govuk-table: Sortable column headers (`th[aria-sort]`) not found'
+        )
+      )
+    })
+
+    it('throws when the root is not a table', () => {
+      document.body.innerHTML = '<div class="govuk-table"></div>'
+
+      expect(() => new Table(document.querySelector('div'))).toThrow(
+        new ElementError(
+          'govuk-table: Root element (`$root`) is not of type HTMLTableElement'
+        )
+      )
+    })
+
+    it('throws for unknown translations', () => {
+      renderExample('sortable')
+      $root.setAttribute('data-i18n.sorted', 'Sorted by %{column}')
+
+      expect(() => new Table($root)).toThrow(
+        new ConfigError(
+          'govuk-table: "i18n.sorted" is not a known config option'
+        )
+      )
+    })
+  })
+})
@@ -0,0 +1,418 @@
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatErrorMessage,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
+import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
+import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+import { I18n } from '../../i18n.mjs'
+
+/**
+ * Table component
+ *
+ * Lets users sort the rows of a table by any column header with an
+ * `aria-sort` attribute. Without JavaScript, rows stay in the order they were
+ * rendered on the server.
+ *
+ * @preserve
+ * @augments GOVUKFrontendComponent<HTMLTableElement>
+ */
+export class Table extends GOVUKFrontendComponent {
+  static elementType = HTMLTableElement
+
+  /**
+   * @private
+   * @type {TableConfig}
+   */
+  config
+
+  /** @private */
+  i18n
+
+  /** @private */
+  $body
+
+  /**
+   * Column headers users can sort by
+   *
+   * @private
+   * @type {HTMLTableCellElement[]}
+   */
+  $headers
+
+  /** @private */
+  $status
+
+  /** @private */
+  collator
+
+  /** @private */
+  boundHandleClick
+
+  /**
+   * @param {Element | null} $root - HTML element to use for table
+   * @param {TableConfig} [config] - Table config
+   */
+  constructor($root, config = {}) {
+    super($root)
+
+    const $body = this.$root.tBodies.item(0)
+    if (!$body) {
+      throw new ElementError({
+        component: Table,
+        identifier: 'Table body (`<tbody>`)'
+      })
+    }
+
+    const $headers = Array.from(this.$root.tHead?.rows[0]?.cells ?? [])
+    this.$headers = $headers.filter(($header) =>
+      $header.hasAttribute('aria-sort')
+    )
+
+    if (!this.$headers.length) {
+      throw new ElementError({
+        component: Table,
+        identifier: 'Sortable column headers (`th[aria-sort]`)'
+      })
+    }
+
+    this.$body = $body
+
+    this.config = mergeConfigs(
+      Table.defaults,
+      config,
+      normaliseDataset(Table, this.$root.dataset)
+    )
+
+    // Check for valid config
+    const errors = validateConfig(Table.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(Table, errors[0]))
+    }
+
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    // Compare text using the rules of the table language, so that accented
+    // characters are sorted correctly and `Item 10` comes after `Item 9`
+    const collatorOptions = /** @type {const} */ ({
+      numeric: true,
+      sensitivity: 'base'
+    })
+
+    this.collator = Intl.Collator.supportedLocalesOf(this.i18n.locale).length
+      ? new Intl.Collator(this.i18n.locale, collatorOptions)
+      : new Intl.Collator(undefined, collatorOptions)
+
+    // Wrap the content of each sortable header in a button
+    for (const $header of this.$headers) {
+      const $button = document.createElement('button')
+      $button.setAttribute('type', 'button')
+      $button.classList.add('govuk-table__sort-button')
+      $button.append(...Array.from($header.childNodes))
+      $header.append($button)
+    }
+
+    // Create the live region announcing the new sort order, after the table
+    // as it cannot be placed inside it
+    const $status = document.createElement('div')
+    $status.className = 'govuk-table__sr-status govuk-visually-hidden'
+    $status.setAttribute('aria-live', 'polite')
+    this.$status = $status
+    this.$root.insertAdjacentElement('afterend', $status)
+
+    // Save bound functions so we can remove event listeners during destroy
+    this.boundHandleClick = this.handleClick.bind(this)
+    this.$root.addEventListener('click', this.boundHandleClick)
+  }
+
+  /**
+   * Destroy table
+   *
+   * Removes the event listener, the sort buttons and the live region. Rows
+   * stay in their current order.
+   */
+  destroy() {
+    this.$root.removeEventListener('click', this.boundHandleClick)
+
+    for (const $header of this.$headers) {
+      const $button = $header.querySelector('.govuk-table__sort-button')
+
+      if ($button) {
+        $button.replaceWith(...Array.from($button.childNodes))
+      }
+    }
+
+    this.$status.remove()
+
+    super.destroy()
+  }
+
+  /**
+   * Sort the rows of the table by a column
+   *
+   * Columns are counted as they're shown, so a cell with a `colspan` attribute
+   * counts as several columns. Rows are sorted by the cell in each row that
+   * covers the column.
+   *
+   * @param {number} columnIndex - Index of the column, counting from 0
+   * @param {TableSortDirection} [direction] - Direction to sort the rows in
+   * @throws {ElementError} when the column cannot be sorted
+   */
+  sort(columnIndex, direction = 'ascending') {
+    const $header = this.$headers.find(
+      ($header) => getColumnIndex($header) === columnIndex
+    )
+
+    if (!$header) {
+      throw new ElementError({
+        component: Table,
+        identifier: `Sortable column header (\`${columnIndex}\`)`
+      })
+    }
+
+    const numeric = $header.classList.contains('govuk-table__header--numeric')
+
+    const rows = Array.from(this.$body.rows).map(($row, index) => ({
+      $row,
+      index,
+      value: getSortValue(getCell($row, columnIndex))
+    }))
+
+    rows.sort((rowA, rowB) => {
+      const order = this.compare(rowA.value, rowB.value, numeric)
+
+      // Keep rows with the same value in their current order
+      return (
+        (direction === 'descending' ? -order : order) || rowA.index - rowB.index
+      )
+    })
+
+    for (const { $row } of rows) {
+      this.$body.append($row)
+    }
+
+    for (const $sortableHeader of this.$headers) {
+      $sortableHeader.setAttribute(
+        'aria-sort',
+        $sortableHeader === $header ? direction : 'none'
+      )
+    }
+
+    this.$status.textContent = this.i18n.t(
+      direction === 'ascending' ? 'sortedAscending' : 'sortedDescending',
+      { column: $header.textContent?.trim() }
+    )
+  }
+
+  /**
+   * Handle clicks on sort buttons
+   *
+   * Sorts by the clicked column in ascending order, or in descending order if
+   * it is already sorted in ascending order
+   *
+   * @private
+   * @param {MouseEvent} event - Click event
+   */
+  handleClick(event) {
+    const $target = event.target
+
+    if (!($target instanceof Element)) {
+      return
+    }
+
+    const $header = this.$headers.find(($header) =>
+      $header.querySelector('.govuk-table__sort-button')?.contains($target)
+    )
+
+    if (!$header) {
+      return
+    }
+
+    this.sort(
+      getColumnIndex($header),
+      $header.getAttribute('aria-sort') === 'ascending'
+        ? 'descending'
+        : 'ascending'
+    )
+  }
+
+  /**
+   * Compare two cell values
+   *
+   * Values are compared as numbers if they both contain a number, otherwise
+   * as text. In numeric columns, other characters such as currency symbols and
+   * thousands separators are ignored.
+   *
+   * @private
+   * @param {string} valueA - First value
+   * @param {string} valueB - Second value
+   * @param {boolean} numeric - Whether the column is numeric
+   * @returns {number} Negative if the first value comes first, positive if the
+   *   second value comes first, or 0 if they are the same
+   */
+  compare(valueA, valueB, numeric) {
+    const numberA = parseNumber(valueA, numeric)
+    const numberB = parseNumber(valueB, numeric)
+
+    if (!isNaN(numberA) && !isNaN(numberB)) {
+      return numberA - numberB
+    }
+
+    return this.collator.compare(valueA, valueB)
+  }
+
+  /**
+   * Name for the component used when initialising using data-module attributes.
+   */
+  static moduleName = 'govuk-table'
+
+  /**
+   * Table default config
+   *
+   * @see {@link TableConfig}
+   * @constant
+   * @type {TableConfig}
+   */
+  static defaults = Object.freeze({
+    i18n: {
+      sortedAscending: 'Sorted by %{column}, ascending',
+      sortedDescending: 'Sorted by %{column}, descending'
+    }
+  })
+
+  /**
+   * Table config schema
+   *
+   * @constant
+   * @satisfies {Schema}
+   */
+  static schema = Object.freeze({
+    properties: {
+      i18n: {
+        type: 'object',
+        properties: {
+          sortedAscending: { type: 'string' },
+          sortedDescending: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  })
+}
+
+/**
+ * Get the index of the column a cell starts in
+ *
+ * Unlike `cellIndex`, counts every column spanned by the cells before it in
+ * its row
+ *
+ * @private
+ * @param {HTMLTableCellElement} $cell - Table cell
+ * @returns {number} Index of the column, counting from 0
+ */
+function getColumnIndex($cell) {
+  const $row = $cell.parentElement
+
+  if (!($row instanceof HTMLTableRowElement)) {
+    return $cell.cellIndex
+  }
+
+  let columnIndex = 0
+
+  for (const $rowCell of Array.from($row.cells)) {
+    if ($rowCell === $cell) {
+      break
+    }
+
+    columnIndex += $rowCell.colSpan
+  }
+
+  return columnIndex
+}
+
+/**
+ * Get the cell in a row that covers a column
+ *
+ * @private
+ * @param {HTMLTableRowElement} $row - Table row
+ * @param {number} columnIndex - Index of the column, counting from 0
+ * @returns {HTMLTableCellElement | undefined} Table cell, or undefined if the
+ *   row has fewer columns
+ */
+function getCell($row, columnIndex) {
+  let lastColumnIndex = -1
+
+  return Array.from($row.cells).find(($cell) => {
+    lastColumnIndex += $cell.colSpan
+    return columnIndex <= lastColumnIndex
+  })
+}
+
+/**
+ * Get the value to sort a cell by
+ *
+ * Uses the `data-sort-value` attribute if set, for example to sort dates by
+ * an ISO 8601 date, otherwise the text of the cell
+ *
+ * @private
+ * @param {HTMLTableCellElement | undefined} $cell - Table cell
+ * @returns {string} Value to sort by
+ */
+function getSortValue($cell) {
+  return (
+    $cell?.getAttribute('data-sort-value') ?? $cell?.textContent?.trim() ?? ''
+  )
+}
+
+/**
+ * Parse a cell value as a number
+ *
+ * @private
+ * @param {string} value - Cell value
+ * @param {boolean} numeric - Whether to ignore characters other than digits,
+ *   decimal points and minus signs
+ * @returns {number} Number, or `NaN` if the value is not a number
+ */
+function parseNumber(value, numeric) {
+  const number = numeric ? value.replace(/[^\d.-]/g, '') : value.trim()
+  return number ? Number(number) : NaN
+}
+
+/**
+ * Table config
+ *
+ * @typedef {object} TableConfig
+ * @property {TableTranslations} [i18n=Table.defaults.i18n] - Table translations
+ */
+
+/**
+ * Table translations
+ *
+ * @see {@link Table.defaults.i18n}
+ * @typedef {object} TableTranslations
+ *
+ * Messages used by the component
+ * @property {string} [sortedAscending] - Text announced by screen readers
+ *   when the table is sorted by a column in ascending order. The component
+ *   will replace the `%{column}` placeholder with the text of the column
+ *   header.
+ * @property {string} [sortedDescending] - Text announced by screen readers
+ *   when the table is sorted by a column in descending order. The component
+ *   will replace the `%{column}` placeholder with the text of the column
+ *   header.
+ */
+
+/**
+ * Table sort direction
+ *
+ * @typedef {'ascending' | 'descending'} TableSortDirection
+ */
+
+/**
+ * @typedef {import('../../common/index.mjs').Schema} Schema
+ */
@@ -0,0 +1,161 @@
+const { render } = require('@govuk-frontend/helpers/puppeteer')
+const { getExamples } = require('@govuk-frontend/lib/components')
+
+const headerSelector = '.govuk-table__head .govuk-table__header'
+const buttonSelector = `${headerSelector} button`
+
+describe('/components/table', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('table')
+  })
+
+  // Get the text of the first cell in each row
+  function getRowNames() {
+    return page.$$eval('.govuk-table__body .govuk-table__row', ($rows) =>
+      $rows.map(($row) => $row.querySelector('th, td').textContent.trim())
+    )
+  }
+
+  function getSortOrder() {
+    return page.$$eval(headerSelector, ($headers) =>
+      $headers.map(($header) => $header.getAttribute('aria-sort'))
+    )
+  }
+
+  describe('/components/table/sortable/preview', () => {
+    describe('when JavaScript is unavailable or fails', () => {
+      beforeAll(async () => {
+        await page.setJavaScriptEnabled(false)
+      })
+
+      afterAll(async () => {
+        await page.setJavaScriptEnabled(true)
+      })
+
+      it('does not add sort buttons', async () => {
+        await render(page, 'table', examples.sortable)
+
+        await expect(page.$$(buttonSelector)).resolves.toHaveLength(0)
+      })
+
+      it('keeps the rows in the order they were rendered', async () => {
+        await render(page, 'table', examples.sortable)
+
+        await expect(getRowNames()).resolves.toEqual([
+          'Amira Bashir',
+          'Ben Ó Súilleabháin',
+          'Chen Wei'
+        ])
+      })
+    })
+
+    describe('when JavaScript is available', () => {
+      beforeEach(async () => {
+        await render(page, 'table', examples.sortable)
+      })
+
+      it('adds a sort button to each sortable column header', async () => {
+        const buttonNames = await page.$$eval(buttonSelector, ($buttons) =>
+          $buttons.map(($button) => $button.textContent.trim())
+        )
+
+        expect(buttonNames).toEqual(['Name', 'Date received', 'Amount claimed'])
+      })
+
+      it('sorts the rows when users click a sort button', async () => {
+        const $buttons = await page.$$(buttonSelector)
+        await $buttons[2].click()
+
+        await expect(getRowNames()).resolves.toEqual([
+          'Ben Ó Súilleabháin',
+          'Chen Wei',
+          'Amira Bashir'
+        ])
+        await expect(getSortOrder()).resolves.toEqual([
+          'none',
+          'none',
+          'ascending',
+          null
+        ])
+      })
+
+      it('sorts the rows when users press Enter on a sort button', async () => {
+        const $buttons = await page.$$(buttonSelector)
+        await $buttons[0].focus()
+        await page.keyboard.press('Enter')
+
+        await expect(getRowNames()).resolves.toEqual([
+          'Chen Wei',
+          'Ben Ó Súilleabháin',
+          'Amira Bashir'
+        ])
+        await expect(getSortOrder()).resolves.toEqual([
+          'descending',
+          'none',
+          'none',
+          null
+        ])
+      })
+
+      it('keeps focus on the sort button after sorting', async () => {
+        const $buttons = await page.$$(buttonSelector)
+        await $buttons[1].click()
+
+        const activeElementName = await page.evaluate(() =>
+          document.activeElement.textContent.trim()
+        )
+
+        expect(activeElementName).toBe('Date received')
+      })
+
+      it('announces the new sort order', async () => {
+        const $buttons = await page.$$(buttonSelector)
+        await $buttons[1].click()
+
+        const statusText = await page.$eval(
+          '.govuk-table + [aria-live]',
+          ($status) => $status.textContent.trim()
+        )
+
+        expect(statusText).toBe('Sorted by Date received, ascending')
+      })
+    })
+
+    describe('errors at instantiation', () => {
+      it('throws when no column headers can be sorted', async () => {
+        await expect(
+          render(page, 'table', examples.sortable, {
+            beforeInitialisation($root) {
+              $root
+                .querySelectorAll('th[aria-sort]')
+                .forEach(($header) => $header.removeAttribute('aria-sort'))
+            }
+          })
+        ).rejects.toMatchObject({
+          cause: {
+            name: 'ElementError',
+            message:
+              'govuk-table: Sortable column headers (`th[aria-sort]`) not found'
+          }
+        })
+      })
+
+      it('throws for unknown translations', async () => {
+        await expect(
+          render(page, 'table', examples.sortable, {
+            beforeInitialisation($root) {
+              $root.setAttribute('data-i18n.sorted', 'Sorted by %{column}')
+            }
+          })
+        ).rejects.toMatchObject({
+          cause: {
+            name: 'ConfigError',
+            message: 'govuk-table: "i18n.sorted" is not a known config option'
+          }
+        })
+      })
+    })
+  })
+})
@@ -344,4 +344,54 @@ describe('Table', () => {
       expect($td.attr('data-fizz')).toBe('buzz')
     })
   })
+
+  // =========================================================
+  // Sorting
+  // =========================================================
+
+  describe('sorting', () => {
+    it('renders with data-module attribute if any column can be sorted', () => {
+      const $ = render('table', examples.sortable)
+
+      expect($('.govuk-table').attr('data-module')).toBe('govuk-table')
+    })
+
+    it('does not render data-module attribute by default', () => {
+      const $ = render('table', examples['table with head'])
+
+      expect($('.govuk-table').attr('data-module')).toBeUndefined()
+    })
+
+    it('renders aria-sort attributes on sortable column headers', () => {
+      const $ = render('table', examples.sortable)
+
+      const $headers = $('.govuk-table__head .govuk-table__header')
+
+      expect($headers.eq(0).attr('aria-sort')).toBe('ascending')
+      expect($headers.eq(1).attr('aria-sort')).toBe('none')
+      expect($headers.eq(2).attr('aria-sort')).toBe('none')
+      expect($headers.eq(3).attr('aria-sort')).toBeUndefined()
+    })
+
+    it('renders sort values as data attributes', () => {
+      const $ = render('table', examples.sortable)
+
+      const $td = $('.govuk-table td').first()
+
+      expect($td.attr('data-sort-value')).toBe('2024-03-03')
+    })
+
+    it('renders with translations', () => {
+      const $ = render('table', examples['sortable with translations'])
+
+      const $component = $('.govuk-table')
+
+      expect($component.attr('data-i18n.sorted-ascending')).toBe(
+        "Wedi'i drefnu yn ôl %{column}, esgynnol"
+      )
+      expect($component.attr('data-i18n.sorted-descending')).toBe(
+        "Wedi'i drefnu yn ôl %{column}, disgynnol"
+      )
+    })
+  })
 })
@@ -0,0 +1,737 @@
+/* eslint-disable no-new */
+
+import { getExamples, render } from '@govuk-frontend/lib/components'
+import { outdent } from 'outdent'
+
+import { ConfigError } from '../../errors/index.mjs'
+
+import { Tabs } from './tabs.mjs'
+
+/**
+ * Normalise HTML whitespace between elements
+ *
+ * @param {string} html - HTML string
+ * @returns {string} HTML string without whitespace between tags
+ */
+function normaliseHTML(html) {
+  return html.replace(/>\s+</g, '><').trim()
+}
+
+describe('Tabs', () => {
+  let examples
+
+  beforeAll(async () => {
+    examples = await getExamples('tabs')
+  })
+
+  beforeEach(() => {
+    document.documentElement.style.setProperty(
+      '--govuk-frontend-breakpoint-tablet',
+      '40.0625em'
+    )
+
+    // Emulate tablet and desktop viewports
+    window.matchMedia = jest.fn().mockReturnValue({
+      matches: true,
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    })
+  })
+
+  afterEach(() => {
+    window.location.hash = ''
+  })
+
+  // Unsubscribe from the tablet breakpoint, so each test gets a new media
+  // query list
+  function destroyAll() {
+    document
+      .querySelectorAll('[data-module="govuk-tabs"]')
+      .forEach(($root) => Tabs.getInstance($root)?.destroy())
+  }
+
+  describe('events', () => {
+    let $root
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('tabs', examples.default)}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+    })
+
+    afterEach(() => {
+      destroyAll()
+    })
+
+    it('dispatches change when a different tab is shown', () => {
+      const listener = jest.fn()
+
+      new Tabs($root)
+      $root.addEventListener('govuk-tabs:change', listener)
+
+      const [$firstTab, $secondTab] = $root.querySelectorAll('.govuk-tabs__tab')
+      $secondTab.click()
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail).toEqual({
+        tab: $secondTab,
+        panel: $root.querySelector($secondTab.hash),
+        previousTab: $firstTab,
+        previousPanel: $root.querySelector($firstTab.hash)
+      })
+    })
+
+    it('does not dispatch change when the current tab is clicked', () => {
+      const listener = jest.fn()
+
+      new Tabs($root)
+      $root.addEventListener('govuk-tabs:change', listener)
+      $root.querySelector('.govuk-tabs__tab').click()
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+  })
+  describe('history', () => {
+    function renderExamples(...names) {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${names.map((name) => render('tabs', examples[name])).join('\n')}
+        </body>
+      `
+
+      return Array.from(document.querySelectorAll('[data-module]'))
+    }
+
+    function getSelectedTab($root) {
+      return $root.querySelector('.govuk-tabs__tab[aria-selected="true"]')
+    }
+
+    afterEach(() => {
+      destroyAll()
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('updates the URL hash fragment by default', () => {
+      const [$root] = renderExamples('default')
+      const historyLength = window.history.length
+
+      new Tabs($root)
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+
+      expect(window.location.hash).toBe('#past-week')
+      expect(window.history).toHaveLength(historyLength + 1)
+    })
+
+    it('replaces the history entry when replaceHistory is set', () => {
+      const [$root] = renderExamples('with replaced history')
+      const historyLength = window.history.length
+
+      new Tabs($root)
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+
+      expect(window.location.hash).toBe('#tab-2')
+      expect(window.history).toHaveLength(historyLength)
+    })
+
+    it('does not update the URL when history is none', () => {
+      const [$root] = renderExamples('without history')
+
+      new Tabs($root)
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+
+      expect(window.location.hash).toBe('')
+      expect(window.location.search).toBe('')
+    })
+
+    it('ignores the URL hash fragment when history is none', () => {
+      window.history.replaceState(null, '', '#tab-2')
+
+      const [$root] = renderExamples('without history')
+      new Tabs($root)
+
+      expect(getSelectedTab($root)).toHaveAttribute('href', '#tab-1')
+    })
+
+    it('updates the URL query string when history is query', () => {
+      window.history.replaceState(null, '', '/?page=2#top')
+
+      const [$root] = renderExamples('with query string history')
+      const historyLength = window.history.length
+
+      new Tabs($root)
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+
+      expect(window.location.search).toBe('?page=2&reports=past-week')
+      expect(window.location.hash).toBe('#top')
+      expect(window.history).toHaveLength(historyLength + 1)
+    })
+
+    it('uses the queryParam option for the query string parameter', () => {
+      const [$root] = renderExamples('with query string parameter name')
+
+      new Tabs($root)
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+
+      expect(window.location.search).toBe('?section=tab-2')
+    })
+
+    it('shows the tab from the URL query string', () => {
+      window.history.replaceState(null, '', '/?reports=past-week')
+
+      const [$root] = renderExamples('with query string history')
+      new Tabs($root)
+
+      expect(getSelectedTab($root)).toHaveAttribute('href', '#past-week')
+    })
+
+    it('shows the tab from the URL query string on back and forward navigation', () => {
+      const [$root] = renderExamples('with query string history')
+
+      new Tabs($root)
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+
+      window.history.replaceState(null, '', '/')
+      window.dispatchEvent(new window.PopStateEvent('popstate'))
+
+      expect(getSelectedTab($root)).toHaveAttribute('href', '#past-day')
+      expect(getSelectedTab($root)).toHaveFocus()
+    })
+
+    it('only changes the tabs component with the tab from the URL hash fragment', () => {
+      const [$root1, $root2] = renderExamples(
+        'default',
+        'tabs-with-anchor-in-panel'
+      )
+
+      const listener = jest.fn()
+
+      new Tabs($root1)
+      new Tabs($root2)
+
+      $root1.addEventListener('govuk-tabs:change', listener)
+
+      window.history.replaceState(null, '', '#tab-2')
+      window.dispatchEvent(new window.HashChangeEvent('hashchange'))
+
+      expect(getSelectedTab($root1)).toHaveAttribute('href', '#past-day')
+      expect(getSelectedTab($root2)).toHaveAttribute('href', '#tab-2')
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('only changes the tabs component with the tab from the URL query string', () => {
+      const [$root1, $root2] = renderExamples(
+        'with query string history',
+        'with query string parameter name'
+      )
+
+      new Tabs($root1)
+      new Tabs($root2)
+
+      window.history.replaceState(null, '', '/?reports=past-week')
+      window.dispatchEvent(new window.PopStateEvent('popstate'))
+
+      expect(getSelectedTab($root1)).toHaveAttribute('href', '#past-week')
+      expect(getSelectedTab($root2)).toHaveAttribute('href', '#tab-1')
+    })
+  })
+
+  describe('keyboard navigation', () => {
+    let $root
+    let $tabs
+
+    function renderExample(name) {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('tabs', examples[name])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $tabs = $root.querySelectorAll('a.govuk-tabs__tab')
+    }
+
+    function pressKey($tab, key) {
+      const event = new window.KeyboardEvent('keydown', {
+        key,
+        bubbles: true,
+        cancelable: true
+      })
+
+      $tab.dispatchEvent(event)
+      return event
+    }
+
+    function getSelectedTab() {
+      return $root.querySelector('.govuk-tabs__tab[aria-selected="true"]')
+    }
+
+    afterEach(() => {
+      destroyAll()
+      window.history.replaceState(null, '', '/')
+    })
+
+    it.each([
+      { key: 'ArrowRight', index: 1 },
+      { key: 'End', index: 3 }
+    ])('shows the tab when pressing $key', ({ key, index }) => {
+      renderExample('default')
+      new Tabs($root)
+
+      $tabs[0].focus()
+      const event = pressKey($tabs[0], key)
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(getSelectedTab()).toBe($tabs[index])
+      expect($tabs[index]).toHaveFocus()
+    })
+
+    it.each([
+      { key: 'ArrowLeft', index: 1 },
+      { key: 'Home', index: 0 }
+    ])('shows the tab when pressing $key', ({ key, index }) => {
+      renderExample('default')
+      new Tabs($root)
+
+      $tabs[2].click()
+      const event = pressKey($tabs[2], key)
+
+      expect(event.defaultPrevented).toBe(true)
+      expect(getSelectedTab()).toBe($tabs[index])
+      expect($tabs[index]).toHaveFocus()
+    })
+
+    it('ignores up and down arrow keys', () => {
+      renderExample('default')
+      new Tabs($root)
+
+      const event = pressKey($tabs[0], 'ArrowDown')
+
+      expect(event.defaultPrevented).toBe(false)
+      expect(getSelectedTab()).toBe($tabs[0])
+    })
+
+    describe('when vertical', () => {
+      let tabs
+
+      beforeEach(() => {
+        renderExample('vertical')
+        tabs = new Tabs($root)
+      })
+
+      it('sets the tab list orientation', () => {
+        expect($root.querySelector('.govuk-tabs__list')).toHaveAttribute(
+          'aria-orientation',
+          'vertical'
+        )
+      })
+
+      it('shows the next and previous tabs using up and down arrow keys', () => {
+        pressKey($tabs[0], 'ArrowDown')
+        expect(getSelectedTab()).toBe($tabs[1])
+
+        pressKey($tabs[1], 'ArrowUp')
+        expect(getSelectedTab()).toBe($tabs[0])
+      })
+
+      it('ignores left and right arrow keys', () => {
+        const event = pressKey($tabs[0], 'ArrowRight')
+
+        expect(event.defaultPrevented).toBe(false)
+        expect(getSelectedTab()).toBe($tabs[0])
+      })
+
+      it('removes the tab list orientation when destroyed', () => {
+        tabs.destroy()
+
+        expect($root).not.toHaveClass('govuk-tabs--vertical')
+        expect($root.querySelector('.govuk-tabs__list')).not.toHaveAttribute(
+          'aria-orientation'
+        )
+      })
+    })
+
+    describe('when vertical using JavaScript configuration', () => {
+      let tabs
+
+      beforeEach(() => {
+        renderExample('default')
+        tabs = new Tabs($root, { orientation: 'vertical' })
+      })
+
+      it('sets the tab list orientation', () => {
+        expect($root).toHaveClass('govuk-tabs--vertical')
+        expect($root.querySelector('.govuk-tabs__list')).toHaveAttribute(
+          'aria-orientation',
+          'vertical'
+        )
+      })
+
+      it('shows the next tab using the down arrow key', () => {
+        pressKey($tabs[0], 'ArrowDown')
+        expect(getSelectedTab()).toBe($tabs[1])
+      })
+
+      it('removes the tab list orientation when destroyed', () => {
+        tabs.destroy()
+
+        expect($root).not.toHaveClass('govuk-tabs--vertical')
+        expect($root.querySelector('.govuk-tabs__list')).not.toHaveAttribute(
+          'aria-orientation'
+        )
+      })
+    })
+
+    describe('when using manual activation', () => {
+      beforeEach(() => {
+        renderExample('with manual activation')
+        new Tabs($root)
+      })
+
+      it('moves focus without showing the tab', () => {
+        pressKey($tabs[0], 'ArrowRight')
+
+        expect($tabs[1]).toHaveFocus()
+        expect(getSelectedTab()).toBe($tabs[0])
+
+        pressKey($tabs[1], 'End')
+
+        expect($tabs[2]).toHaveFocus()
+        expect(getSelectedTab()).toBe($tabs[0])
+      })
+
+      it.each(['Enter', ' '])(
+        'shows the focused tab when pressing "%s"',
+        (key) => {
+          const listener = jest.fn()
+          $root.addEventListener('govuk-tabs:change', listener)
+
+          pressKey($tabs[0], 'ArrowRight')
+          const event = pressKey($tabs[1], key)
+
+          expect(event.defaultPrevented).toBe(true)
+          expect(getSelectedTab()).toBe($tabs[1])
+          expect($tabs[1]).toHaveFocus()
+          expect(listener).toHaveBeenCalledTimes(1)
+        }
+      )
+    })
+  })
+
+  describe('panel content from a URL', () => {
+    let $root
+    let $tabs
+    let fetch
+
+    // Resolve pending promises for fetched panel content
+    function flushPromises() {
+      return new Promise((resolve) => setTimeout(resolve, 0))
+    }
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('tabs', examples['with panel content from a URL'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      $tabs = $root.querySelectorAll('a.govuk-tabs__tab')
+
+      // Avoid hashchange events showing tabs from previous tests
+      $root.setAttribute('data-replace-history', 'true')
+
+      fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        text: () => Promise.resolve('<p class="govuk-body">Loaded content</p>')
+      })
+
+      window.fetch = fetch
+    })
+
+    afterEach(() => {
+      destroyAll()
+      window.history.replaceState(null, '', '/')
+      delete window.fetch
+    })
+
+    it('does not load panel content until the tab is shown', () => {
+      new Tabs($root)
+
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    it('shows a loading message while panel content loads', () => {
+      new Tabs($root)
+      $tabs[1].click()
+
+      const $panel = $root.querySelector('#past-week')
+      const $announcements = $root.querySelector('.govuk-tabs__announcements')
+
+      expect(fetch).toHaveBeenCalledWith('/reports/past-week', {
+        headers: { Accept: 'text/html' },
+        signal: expect.any(window.AbortSignal)
+      })
+      expect($panel).toHaveAttribute('aria-busy', 'true')
+      expect($panel).toHaveTextContent('Loading')
+      expect($announcements).toHaveAttribute('aria-live', 'polite')
+      expect($announcements).toHaveTextContent('Loading')
+    })
+
+    it('shows panel content when it has loaded', async () => {
+      const listener = jest.fn()
+
+      new Tabs($root)
+      $root.addEventListener('govuk-tabs:panel-load', listener)
+
+      $tabs[1].click()
+      await flushPromises()
+
+      const $panel = $root.querySelector('#past-week')
+
+      expect($panel).not.toHaveAttribute('aria-busy')
+      expect($panel.innerHTML).toBe('<p class="govuk-body">Loaded content</p>')
+      expect(
+        $root.querySelector('.govuk-tabs__announcements')
+      ).toHaveTextContent('Loaded')
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail).toEqual({
+        tab: $tabs[1],
+        panel: $panel
+      })
+    })
+
+    it('only loads panel content once', async () => {
+      new Tabs($root)
+
+      $tabs[1].click()
+      await flushPromises()
+
+      $tabs[0].click()
+      $tabs[1].click()
+      await flushPromises()
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('restores the panel content with an error message when loading fails', async () => {
+      const listener = jest.fn()
+
+      fetch.mockResolvedValue({ ok: false, status: 500 })
+
+      new Tabs($root)
+      $root.addEventListener('govuk-tabs:panel-error', listener)
+
+      $tabs[2].click()
+      await flushPromises()
+
+      const $panel = $root.querySelector('#past-month')
+
+      expect($panel).not.toHaveAttribute('aria-busy')
+      expect($panel).toHaveTextContent(
+        'Sorry, there is a problem loading this content'
+      )
+      expect($panel.querySelector('.govuk-link')).toHaveTextContent(
+        'View the report for the past month'
+      )
+      expect(
+        $root.querySelector('.govuk-tabs__announcements')
+      ).toHaveTextContent('Sorry, there is a problem loading this content')
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].detail.error).toEqual(
+        new Error('Request failed with status 500')
+      )
+    })
+
+    it('tries loading panel content again after loading fails', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'))
+
+      new Tabs($root)
+
+      $tabs[1].click()
+      await flushPromises()
+
+      $tabs[0].click()
+      $tabs[1].click()
+      await flushPromises()
+
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect($root.querySelector('#past-week')).toHaveTextContent(
+        'Loaded content'
+      )
+    })
+
+    it('uses translations from data attributes', () => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('tabs', examples['with panel content from a URL and translations'])}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+
+      new Tabs($root)
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+
+      expect($root.querySelector('#past-week')).toHaveTextContent('Yn llwytho')
+    })
+
+    it('removes the announcements when destroyed', () => {
+      const tabs = new Tabs($root)
+      tabs.destroy()
+
+      expect($root.querySelector('.govuk-tabs__announcements')).toBeNull()
+    })
+
+    it('cancels loading panel content when destroyed', () => {
+      const tabs = new Tabs($root)
+      $tabs[1].click()
+
+      const [[, { signal }]] = fetch.mock.calls
+
+      tabs.destroy()
+
+      expect(signal.aborted).toBe(true)
+    })
+
+    it('restores the original panel content when destroyed while loading', async () => {
+      const $panel = $root.querySelector('#past-week')
+      const html = $panel.innerHTML
+
+      const tabs = new Tabs($root)
+      $tabs[1].click()
+      tabs.destroy()
+
+      expect($panel).not.toHaveAttribute('aria-busy')
+      expect($panel.innerHTML).toBe(html)
+
+      await flushPromises()
+
+      expect($panel.innerHTML).toBe(html)
+    })
+
+    it('does not show loaded panel content after being destroyed', async () => {
+      const loadListener = jest.fn()
+      const errorListener = jest.fn()
+
+      const $panel = $root.querySelector('#past-week')
+      const html = $panel.innerHTML
+
+      const tabs = new Tabs($root)
+      $root.addEventListener('govuk-tabs:panel-load', loadListener)
+      $root.addEventListener('govuk-tabs:panel-error', errorListener)
+
+      $tabs[1].click()
+      tabs.destroy()
+      await flushPromises()
+
+      expect($panel.innerHTML).toBe(html)
+      expect(loadListener).not.toHaveBeenCalled()
+      expect(errorListener).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('destroy', () => {
+    let $root
+    let html
+    let mql
+
+    beforeEach(() => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('tabs', examples.default)}
+        </body>
+      `
+
+      $root = document.querySelector('[data-module]')
+      html = normaliseHTML($root.querySelector('.govuk-tabs__list').outerHTML)
+
+      // Media query list shared by subscribers to the tablet breakpoint
+      mql = window.matchMedia('')
+      jest.mocked(window.matchMedia).mockClear()
+    })
+
+    afterEach(() => {
+      destroyAll()
+      window.history.replaceState(null, '', '/')
+    })
+
+    it('restores the original tab list markup', () => {
+      const tabs = new Tabs($root)
+      const $tabList = $root.querySelector('.govuk-tabs__list')
+
+      expect(normaliseHTML($tabList.outerHTML)).not.toEqual(html)
+
+      tabs.destroy()
+
+      expect(normaliseHTML($tabList.outerHTML)).toEqual(html)
+      expect($root).not.toHaveAttribute('data-govuk-tabs-init')
+    })
+
+    it('shows all the tab panels', () => {
+      const tabs = new Tabs($root)
+
+      $root.querySelectorAll('a.govuk-tabs__tab')[1].click()
+      tabs.destroy()
+
+      expect($root.querySelector('.govuk-tabs__panel--hidden')).toBeNull()
+      expect($root.querySelector('[role]')).toBeNull()
+      expect($root.querySelector('[aria-selected]')).toBeNull()
+    })
+
+    it('stops listening for breakpoint changes', () => {
+      const tabs = new Tabs($root)
+      const [[, onChange]] = mql.addEventListener.mock.calls
+
+      tabs.destroy()
+
+      expect(mql.removeEventListener).toHaveBeenCalledWith('change', onChange)
+    })
+
+    it('stops showing tabs from the URL hash fragment', () => {
+      const listener = jest.fn()
+
+      new Tabs($root).destroy()
+      $root.addEventListener('govuk-tabs:change', listener)
+
+      window.history.replaceState(null, '', '#past-week')
+      window.dispatchEvent(new window.HashChangeEvent('hashchange'))
+
+      expect(listener).not.toHaveBeenCalled()
+      expect($root.querySelector('.govuk-tabs__panel--hidden')).toBeNull()
+    })
+
+    it('allows the component to be initialised again', () => {
+      new Tabs($root).destroy()
+
+      expect(() => new Tabs($root)).not.toThrow()
+      expect($root.querySelector('.govuk-tabs__list')).toHaveAttribute(
+        'role',
+        'tablist'
+      )
+    })
+  })
+
+  describe('config', () => {
+    it('throws when the history mode is invalid', () => {
+      document.body.outerHTML = outdent`
+        <body class="govuk-frontend-supported">
+          ${render('tabs', examples.default)}
+        </body>
+      `
+
+      const $root = document.querySelector('[data-module]')
+      $root.setAttribute('data-history', 'session')
+
+      expect(() => new Tabs($root)).toThrow(
+        new ConfigError(
+          'govuk-tabs: "history" must be one of "hash", "query", "none"'
+        )
+      )
+    })
+  })
+})
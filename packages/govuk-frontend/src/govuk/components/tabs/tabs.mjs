@@ -1,6 +1,15 @@
-import { getBreakpoint, getFragmentFromUrl } from '../../common/index.mjs'
-import { ElementError } from '../../errors/index.mjs'
+import { subscribeToBreakpoint } from '../../common/breakpoint-observer.mjs'
+import { closestAttributeValue } from '../../common/closest-attribute-value.mjs'
+import {
+  formatErrorMessage,
+  getFragmentFromUrl,
+  mergeConfigs,
+  validateConfig
+} from '../../common/index.mjs'
+import { normaliseDataset } from '../../common/normalise-dataset.mjs'
+import { ConfigError, ElementError } from '../../errors/index.mjs'
 import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
+import { I18n } from '../../i18n.mjs'
 
 /**
  * Tabs component
@@ -8,6 +17,12 @@ import { GOVUKFrontendComponent } from '../../govuk-frontend-component.mjs'
  * @preserve
  */
 export class Tabs extends GOVUKFrontendComponent {
+  /**
+   * @private
+   * @type {TabsConfig}
+   */
+  config
+
   /** @private */
   $tabs
 
@@ -18,10 +33,48 @@ export class Tabs extends GOVUKFrontendComponent {
   $tabListItems
 
   /** @private */
-  jsHiddenClass = 'govuk-tabs__panel--hidden'
+  i18n
 
   /** @private */
-  changingHash = false
+  jsHiddenClass = 'govuk-tabs__panel--hidden'
+
+  /**
+   * @private
+   * @type {HTMLElement | null}
+   */
+  $announcements = null
+
+  /**
+   * Requests for panel content, by URL
+   *
+   * @private
+   * @type {Map<string, Promise<string>>}
+   */
+  panelContentCache = new Map()
+
+  /**
+   * Panels with content loaded from their URL
+   *
+   * @private
+   * @type {Set<Element>}
+   */
+  loadedPanels = new Set()
+
+  /**
+   * Original content of panels while their content loads, to restore if
+   * loading fails or the tabs are destroyed
+   *
+   * @private
+   * @type {Map<Element, DocumentFragment>}
+   */
+  loadingPanels = new Map()
+
+  /**
+   * Used to cancel requests for panel content when the tabs are destroyed
+   *
+   * @private
+   */
+  panelRequests = new AbortController()
 
   /** @private */
   boundTabClick
@@ -32,18 +85,40 @@ export class Tabs extends GOVUKFrontendComponent {
   /** @private */
   boundOnHashChange
 
+  /** @private */
+  boundOnPopState
+
+  /** @private */
+  boundCheckMode
+
   /**
+   * Subscription to the GOV.UK Frontend tablet breakpoint, used to sync the
+   * state of the component when the screen size changes
+   *
    * @private
-   * @type {MediaQueryList | null}
+   * @type {BreakpointSubscription | null}
    */
-  mql = null
+  breakpoint = null
 
   /**
    * @param {Element | null} $root - HTML element to use for tabs
+   * @param {TabsConfig} [config] - Tabs config
    */
-  constructor($root) {
+  constructor($root, config = {}) {
     super($root)
 
+    this.config = mergeConfigs(
+      Tabs.defaults,
+      config,
+      normaliseDataset(Tabs, this.$root.dataset)
+    )
+
+    // Check for valid config
+    const errors = validateConfig(Tabs.schema, this.config)
+    if (errors[0]) {
+      throw new ConfigError(formatErrorMessage(Tabs, errors[0]))
+    }
+
     const $tabs = this.$root.querySelectorAll('a.govuk-tabs__tab')
     if (!$tabs.length) {
       throw new ElementError({
@@ -58,6 +133,8 @@ export class Tabs extends GOVUKFrontendComponent {
     this.boundTabClick = this.onTabClick.bind(this)
     this.boundTabKeydown = this.onTabKeydown.bind(this)
     this.boundOnHashChange = this.onHashChange.bind(this)
+    this.boundOnPopState = this.onPopState.bind(this)
+    this.boundCheckMode = this.checkMode.bind(this)
 
     const $tabList = this.$root.querySelector('.govuk-tabs__list')
     const $tabListItems = this.$root.querySelectorAll(
@@ -81,6 +158,22 @@ export class Tabs extends GOVUKFrontendComponent {
     this.$tabList = $tabList
     this.$tabListItems = $tabListItems
 
+    this.i18n = new I18n(this.config.i18n, {
+      // Read the fallback if necessary rather than have it set in the defaults
+      locale: closestAttributeValue(this.$root, 'lang')
+    })
+
+    // Announce loading panel content from a URL to screen reader users
+    if (this.$root.querySelector('.govuk-tabs__panel[data-src]')) {
+      const $announcements = document.createElement('span')
+      $announcements.className =
+        'govuk-tabs__announcements govuk-visually-hidden'
+      $announcements.setAttribute('aria-live', 'polite')
+
+      this.$root.appendChild($announcements)
+      this.$announcements = $announcements
+    }
+
     this.setupResponsiveChecks()
   }
 
@@ -90,29 +183,48 @@ export class Tabs extends GOVUKFrontendComponent {
    * @private
    */
   setupResponsiveChecks() {
-    const breakpoint = getBreakpoint('tablet')
+    const breakpoint = subscribeToBreakpoint('tablet', this.boundCheckMode)
 
-    if (!breakpoint.value) {
+    if (!breakpoint) {
       throw new ElementError({
         component: Tabs,
-        identifier: `CSS custom property (\`${breakpoint.property}\`) on pseudo-class \`:root\``
+        identifier:
+          'CSS custom property (`--govuk-frontend-breakpoint-tablet`) on pseudo-class `:root`'
       })
     }
 
-    // Media query list for GOV.UK Frontend tablet breakpoint
-    this.mql = window.matchMedia(`(min-width: ${breakpoint.value})`)
+    this.breakpoint = breakpoint
+    this.checkMode()
+  }
 
-    // MediaQueryList.addEventListener isn't supported by Safari < 14 so we need
-    // to be able to fall back to the deprecated MediaQueryList.addListener
-    if ('addEventListener' in this.mql) {
-      this.mql.addEventListener('change', () => this.checkMode())
-    } else {
-      // @ts-expect-error Property 'addListener' does not exist
-      // eslint-disable-next-line @typescript-eslint/no-unsafe-call
-      this.mql.addListener(() => this.checkMode())
+  /**
+   * Destroy tabs
+   *
+   * Removes event listeners and tab attributes, showing all tab panels.
+   * Cancels loading panel content, restoring the original content of those
+   * tab panels.
+   */
+  destroy() {
+    if (this.breakpoint) {
+      this.breakpoint.unsubscribe()
+      this.breakpoint = null
     }
 
-    this.checkMode()
+    this.panelRequests.abort()
+
+    this.loadingPanels.forEach(($fallback, $panel) => {
+      $panel.removeAttribute('aria-busy')
+      $panel.textContent = ''
+      $panel.append($fallback)
+    })
+
+    this.loadingPanels.clear()
+    this.teardown()
+
+    this.$announcements?.remove()
+    this.$announcements = null
+
+    super.destroy()
   }
 
   /**
@@ -121,7 +233,7 @@ export class Tabs extends GOVUKFrontendComponent {
    * @private
    */
   checkMode() {
-    if (this.mql?.matches) {
+    if (this.breakpoint?.matches) {
       this.setup()
     } else {
       this.teardown()
@@ -136,6 +248,11 @@ export class Tabs extends GOVUKFrontendComponent {
   setup() {
     this.$tabList.setAttribute('role', 'tablist')
 
+    if (this.config.orientation === 'vertical') {
+      this.$root.classList.add('govuk-tabs--vertical')
+      this.$tabList.setAttribute('aria-orientation', 'vertical')
+    }
+
     this.$tabListItems.forEach(($item) => {
       $item.setAttribute('role', 'presentation')
     })
@@ -152,13 +269,17 @@ export class Tabs extends GOVUKFrontendComponent {
       this.hideTab($tab)
     })
 
-    // Show either the active tab according to the URL's hash or the first tab
-    const $activeTab = this.getTab(window.location.hash) ?? this.$tabs[0]
+    // Show either the active tab according to the URL or the first tab
+    const $activeTab = this.getTabFromUrl() ?? this.$tabs[0]
 
     this.showTab($activeTab)
 
-    // Handle hashchange events
-    window.addEventListener('hashchange', this.boundOnHashChange, true)
+    // Handle back and forward navigation
+    if (this.config.history === 'hash') {
+      window.addEventListener('hashchange', this.boundOnHashChange, true)
+    } else if (this.config.history === 'query') {
+      window.addEventListener('popstate', this.boundOnPopState, true)
+    }
   }
 
   /**
@@ -167,7 +288,9 @@ export class Tabs extends GOVUKFrontendComponent {
    * @private
    */
   teardown() {
+    this.$root.classList.remove('govuk-tabs--vertical')
     this.$tabList.removeAttribute('role')
+    this.$tabList.removeAttribute('aria-orientation')
 
     this.$tabListItems.forEach(($item) => {
       $item.removeAttribute('role')
@@ -182,8 +305,9 @@ export class Tabs extends GOVUKFrontendComponent {
       this.unsetAttributes($tab)
     })
 
-    // Remove hashchange event handler
+    // Remove back and forward navigation event handlers
     window.removeEventListener('hashchange', this.boundOnHashChange, true)
+    window.removeEventListener('popstate', this.boundOnPopState, true)
   }
 
   /**
@@ -193,27 +317,45 @@ export class Tabs extends GOVUKFrontendComponent {
    * @returns {void | undefined} Returns void, or undefined when prevented
    */
   onHashChange() {
-    const hash = window.location.hash
-    const $tabWithHash = this.getTab(hash)
+    const $tabWithHash = this.getTab(window.location.hash)
+
+    // Ignore hashes for other tabs components or elsewhere on the page
     if (!$tabWithHash) {
       return
     }
 
-    // Prevent changing the hash
-    if (this.changingHash) {
-      this.changingHash = false
-      return
-    }
+    this.restoreTab($tabWithHash)
+  }
+
+  /**
+   * Handle popstate event
+   *
+   * Shows the tab from the URL query string, or the first tab when the query
+   * string has no tab for this tabs component
+   *
+   * @private
+   */
+  onPopState() {
+    this.restoreTab(this.getTabFromUrl() ?? this.$tabs[0])
+  }
 
-    // Show either the active tab according to the URL's hash or the first tab
+  /**
+   * Show the tab from browser history, unless it's already shown
+   *
+   * Tabs shown by a user clicking them are already shown by the time the
+   * browser history is updated
+   *
+   * @private
+   * @param {HTMLAnchorElement} $tab - Tab link
+   */
+  restoreTab($tab) {
     const $previousTab = this.getCurrentTab()
-    if (!$previousTab) {
+    if (!$previousTab || $previousTab === $tab) {
       return
     }
 
-    this.hideTab($previousTab)
-    this.showTab($tabWithHash)
-    $tabWithHash.focus()
+    this.changeTab($previousTab, $tab)
+    $tab.focus()
   }
 
   /**
@@ -238,6 +380,27 @@ export class Tabs extends GOVUKFrontendComponent {
     this.showPanel($tab)
   }
 
+  /**
+   * Change from the current tab to another tab
+   *
+   * @private
+   * @param {HTMLAnchorElement} $previousTab - Current tab link
+   * @param {HTMLAnchorElement} $tab - Tab link to show
+   */
+  changeTab($previousTab, $tab) {
+    this.hideTab($previousTab)
+    this.showTab($tab)
+
+    if ($tab !== $previousTab) {
+      this.dispatch('change', {
+        tab: $tab,
+        panel: this.getPanel($tab),
+        previousTab: $previousTab,
+        previousPanel: this.getPanel($previousTab)
+      })
+    }
+  }
+
   /**
    * Get tab link by hash
    *
@@ -246,7 +409,49 @@ export class Tabs extends GOVUKFrontendComponent {
    * @returns {HTMLAnchorElement | null} Tab link
    */
   getTab(hash) {
-    return this.$root.querySelector(`a.govuk-tabs__tab[href="${hash}"]`)
+    if (!hash) {
+      return null
+    }
+
+    return (
+      Array.from(this.$tabs).find(
+        ($tab) => $tab.getAttribute('href') === hash
+      ) ?? null
+    )
+  }
+
+  /**
+   * Get tab link from the browser URL, using the configured history mode
+   *
+   * @private
+   * @returns {HTMLAnchorElement | null} Tab link
+   */
+  getTabFromUrl() {
+    switch (this.config.history) {
+      case 'hash':
+        return this.getTab(window.location.hash)
+
+      case 'query': {
+        const params = new URLSearchParams(window.location.search)
+        const panelId = params.get(this.getQueryParam())
+        return panelId ? this.getTab(`#${panelId}`) : null
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Get the name of the URL query string parameter for the shown tab
+   *
+   * Defaults to the tabs component `id` so that several tabs components on
+   * the same page don't share a parameter
+   *
+   * @private
+   * @returns {string} Query string parameter name
+   */
+  getQueryParam() {
+    return this.config.queryParam ?? (this.$root.id || 'tab')
   }
 
   /**
@@ -321,113 +526,171 @@ export class Tabs extends GOVUKFrontendComponent {
 
     event.preventDefault()
 
-    this.hideTab($currentTab)
-    this.showTab($nextTab)
+    this.changeTab($currentTab, $nextTab)
     this.createHistoryEntry($nextTab)
   }
 
   /**
-   * Update browser URL hash fragment for tab
+   * Update browser URL for tab, using the configured history mode
    *
    * - Allows back/forward to navigate tabs
    * - Avoids page jump when hash changes
+   * - Replaces the current history entry if `replaceHistory` is set
    *
    * @private
    * @param {HTMLAnchorElement} $tab - Tab link
    */
   createHistoryEntry($tab) {
     const $panel = this.getPanel($tab)
-    if (!$panel) {
+    if (!$panel || this.config.history === 'none') {
+      return
+    }
+
+    const panelId = $panel.id
+
+    if (this.config.history === 'query') {
+      const url = new URL(window.location.href)
+      url.searchParams.set(this.getQueryParam(), panelId)
+      this.updateHistory(url.href)
+      return
+    }
+
+    // Replacing history state doesn't change the hash, or make the page jump
+    if (this.config.replaceHistory) {
+      this.updateHistory(`#${panelId}`)
       return
     }
 
     // Save and restore the id so the page doesn't jump when a user clicks a tab
     // (which changes the hash)
-    const panelId = $panel.id
     $panel.id = ''
-    this.changingHash = true
     window.location.hash = panelId
     $panel.id = panelId
   }
 
+  /**
+   * Push or replace browser history state
+   *
+   * @private
+   * @param {string} url - URL for the history entry
+   */
+  updateHistory(url) {
+    if (this.config.replaceHistory) {
+      window.history.replaceState(window.history.state, '', url)
+    } else {
+      window.history.pushState(window.history.state, '', url)
+    }
+  }
+
   /**
    * Handle tab keydown event
    *
-   * - Press right arrow for next tab
-   * - Press left arrow for previous tab
+   * - Press right arrow for next tab, or down arrow when vertical
+   * - Press left arrow for previous tab, or up arrow when vertical
+   * - Press Home for first tab
+   * - Press End for last tab
+   * - Press Enter or Space to show the focused tab when using manual
+   *   activation
    *
    * @private
    * @param {KeyboardEvent} event - Keydown event
    */
   onTabKeydown(event) {
+    const $tab = event.currentTarget
+    if (!($tab instanceof HTMLAnchorElement)) {
+      return
+    }
+
+    const isVertical = this.config.orientation === 'vertical'
+
+    /** @type {HTMLAnchorElement | null | undefined} */
+    let $nextTab
+
     switch (event.key) {
-      // 'Left' and 'Right' required for Edge 16 support.
+      // 'Left', 'Right', 'Up' and 'Down' required for Edge 16 support.
       case 'ArrowLeft':
       case 'Left':
-        this.activatePreviousTab()
-        event.preventDefault()
+        $nextTab = isVertical ? undefined : this.getSiblingTab($tab, -1)
         break
       case 'ArrowRight':
       case 'Right':
-        this.activateNextTab()
-        event.preventDefault()
+        $nextTab = isVertical ? undefined : this.getSiblingTab($tab, 1)
+        break
+      case 'ArrowUp':
+      case 'Up':
+        $nextTab = isVertical ? this.getSiblingTab($tab, -1) : undefined
+        break
+      case 'ArrowDown':
+      case 'Down':
+        $nextTab = isVertical ? this.getSiblingTab($tab, 1) : undefined
+        break
+      case 'Home':
+        $nextTab = this.$tabs[0]
+        break
+      case 'End':
+        $nextTab = this.$tabs[this.$tabs.length - 1]
+        break
+      case 'Enter':
+      case ' ':
+        $nextTab = this.config.activation === 'manual' ? $tab : undefined
         break
     }
-  }
 
-  /**
-   * Activate next tab
-   *
-   * @private
-   */
-  activateNextTab() {
-    const $currentTab = this.getCurrentTab()
-    if (!$currentTab?.parentElement) {
+    // Ignore other keys, including arrow keys for the other orientation
+    if ($nextTab === undefined) {
       return
     }
 
-    const $nextTabListItem = $currentTab.parentElement.nextElementSibling
-    if (!$nextTabListItem) {
+    event.preventDefault()
+
+    if (!$nextTab) {
       return
     }
 
-    const $nextTab = $nextTabListItem.querySelector('a.govuk-tabs__tab')
-    if (!$nextTab) {
+    // Only move focus when using manual activation, unless the user has
+    // pressed Enter or Space to show the focused tab
+    if (this.config.activation === 'manual' && $nextTab !== $tab) {
+      $nextTab.focus()
       return
     }
 
-    this.hideTab($currentTab)
-    this.showTab($nextTab)
-    $nextTab.focus()
-    this.createHistoryEntry($nextTab)
+    this.activateTab($nextTab)
   }
 
   /**
-   * Activate previous tab
+   * Activate tab
+   *
+   * Shows and focuses the tab, and updates the browser URL
    *
    * @private
+   * @param {HTMLAnchorElement} $tab - Tab link
    */
-  activatePreviousTab() {
+  activateTab($tab) {
     const $currentTab = this.getCurrentTab()
-    if (!$currentTab?.parentElement) {
+    if (!$currentTab) {
       return
     }
 
-    const $previousTabListItem =
-      $currentTab.parentElement.previousElementSibling
-    if (!$previousTabListItem) {
-      return
+    if ($tab !== $currentTab) {
+      this.changeTab($currentTab, $tab)
+      this.createHistoryEntry($tab)
     }
 
-    const $previousTab = $previousTabListItem.querySelector('a.govuk-tabs__tab')
-    if (!$previousTab) {
-      return
-    }
+    $tab.focus()
+  }
 
-    this.hideTab($currentTab)
-    this.showTab($previousTab)
-    $previousTab.focus()
-    this.createHistoryEntry($previousTab)
+  /**
+   * Get the tab link before or after a tab link
+   *
+   * @private
+   * @param {HTMLAnchorElement} $tab - Tab link
+   * @param {number} offset - Number of tabs to move by, for example `-1` for
+   *   the previous tab
+   * @returns {HTMLAnchorElement | null} Tab link
+   */
+  getSiblingTab($tab, offset) {
+    const index = Array.from(this.$tabs).indexOf($tab)
+    return index >= 0 ? (this.$tabs[index + offset] ?? null) : null
   }
 
   /**
@@ -459,6 +722,164 @@ export class Tabs extends GOVUKFrontendComponent {
     }
 
     $panel.classList.remove(this.jsHiddenClass)
+
+    if ($panel.hasAttribute('data-src')) {
+      this.loadPanel($tab, $panel)
+    }
+  }
+
+  /**
+   * Load tab panel content from its URL
+   *
+   * Content is only loaded the first time the tab panel is shown. If loading
+   * fails, the original panel content is restored with an error message, and
+   * loading is tried again the next time the tab panel is shown.
+   *
+   * Components in the loaded content are not initialised by `initAll`, unless
+   * its `observe` option is set. Listen for the `govuk-tabs:panel-load` event
+   * to initialise them.
+   *
+   * @private
+   * @param {HTMLAnchorElement} $tab - Tab link
+   * @param {Element} $panel - Tab panel
+   */
+  loadPanel($tab, $panel) {
+    const src = $panel.getAttribute('data-src')
+
+    if (
+      !src ||
+      this.loadedPanels.has($panel) ||
+      this.loadingPanels.has($panel)
+    ) {
+      return
+    }
+
+    // Keep the original content, for example a link to the content URL, to
+    // restore if loading fails
+    const $fallback = document.createDocumentFragment()
+    $fallback.append(...Array.from($panel.childNodes))
+    this.loadingPanels.set($panel, $fallback)
+
+    $panel.setAttribute('aria-busy', 'true')
+    $panel.append(this.createMessage(this.i18n.t('panelLoading')))
+    this.announce(this.i18n.t('panelLoading'))
+
+    this.getPanelContent(src)
+      .then((html) => this.onPanelLoad($tab, $panel, html))
+      .catch((/** @type {unknown} */ error) =>
+        this.onPanelError($tab, $panel, error)
+      )
+  }
+
+  /**
+   * Show tab panel content loaded from its URL
+   *
+   * Skipped if the tabs were destroyed while the content loaded
+   *
+   * @private
+   * @param {HTMLAnchorElement} $tab - Tab link
+   * @param {Element} $panel - Tab panel
+   * @param {string} html - Tab panel content HTML
+   */
+  onPanelLoad($tab, $panel, html) {
+    if (!this.loadingPanels.delete($panel)) {
+      return
+    }
+
+    $panel.removeAttribute('aria-busy')
+    $panel.innerHTML = html
+
+    this.loadedPanels.add($panel)
+    this.announce(this.i18n.t('panelLoaded'))
+    this.dispatch('panel-load', { tab: $tab, panel: $panel })
+  }
+
+  /**
+   * Restore the original tab panel content with an error message when
+   * content fails to load from its URL
+   *
+   * Skipped if the tabs were destroyed while the content loaded
+   *
+   * @private
+   * @param {HTMLAnchorElement} $tab - Tab link
+   * @param {Element} $panel - Tab panel
+   * @param {unknown} error - Error loading tab panel content
+   */
+  onPanelError($tab, $panel, error) {
+    const $fallback = this.loadingPanels.get($panel)
+    if (!$fallback) {
+      return
+    }
+
+    this.loadingPanels.delete($panel)
+
+    $panel.removeAttribute('aria-busy')
+    $panel.textContent = ''
+    $panel.append(this.createMessage(this.i18n.t('panelError')), $fallback)
+
+    this.announce(this.i18n.t('panelError'))
+    this.dispatch('panel-error', { tab: $tab, panel: $panel, error })
+  }
+
+  /**
+   * Get tab panel content from a URL
+   *
+   * Requests are cached so content shared by several tab panels is only
+   * requested once. Failed requests are removed from the cache.
+   *
+   * @private
+   * @param {string} src - URL of the tab panel content
+   * @returns {Promise<string>} Tab panel content HTML
+   */
+  getPanelContent(src) {
+    const cachedContent = this.panelContentCache.get(src)
+    if (cachedContent) {
+      return cachedContent
+    }
+
+    const content = window
+      .fetch(src, {
+        headers: { Accept: 'text/html' },
+        signal: this.panelRequests.signal
+      })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Request failed with status ${response.status}`)
+        }
+
+        return response.text()
+      })
+
+    content.catch(() => this.panelContentCache.delete(src))
+    this.panelContentCache.set(src, content)
+
+    return content
+  }
+
+  /**
+   * Create a tab panel message paragraph
+   *
+   * @private
+   * @param {string} text - Message text
+   * @returns {HTMLParagraphElement} Message paragraph
+   */
+  createMessage(text) {
+    const $message = document.createElement('p')
+    $message.className = 'govuk-body'
+    $message.textContent = text
+    return $message
+  }
+
+  /**
+   * Announce tab panel loading status to screen reader users
+   *
+   * @private
+   * @param {string} text - Announcement text
+   */
+  announce(text) {
+    if (this.$announcements) {
+      this.$announcements.textContent = text
+    }
   }
 
   /**
@@ -524,4 +945,119 @@ export class Tabs extends GOVUKFrontendComponent {
    * Name for the component used when initialising using data-module attributes.
    */
   static moduleName = 'govuk-tabs'
+
+  /**
+   * Tabs default config
+   *
+   * @see {@link TabsConfig}
+   * @constant
+   * @type {TabsConfig}
+   */
+  static defaults = Object.freeze({
+    history: 'hash',
+    replaceHistory: false,
+    orientation: 'horizontal',
+    activation: 'automatic',
+    i18n: {
+      panelLoading: 'Loading',
+      panelLoaded: 'Loaded',
+      panelError: 'Sorry, there is a problem loading this content'
+    }
+  })
+
+  /**
+   * Tabs config schema
+   *
+   * @constant
+   * @satisfies {Schema}
+   */
+  static schema = Object.freeze({
+    properties: {
+      history: { type: 'string', enum: ['hash', 'query', 'none'] },
+      queryParam: { type: 'string' },
+      replaceHistory: { type: 'boolean' },
+      orientation: { type: 'string', enum: ['horizontal', 'vertical'] },
+      activation: { type: 'string', enum: ['automatic', 'manual'] },
+      i18n: {
+        type: 'object',
+        properties: {
+          panelLoading: { type: 'string' },
+          panelLoaded: { type: 'string' },
+          panelError: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  })
 }
+
+/**
+ * Tabs config
+ *
+ * @typedef {object} TabsConfig
+ * @property {'hash' | 'query' | 'none'} [history='hash'] - How the shown tab
+ *   is stored in the browser URL. Use `hash` to set the URL hash fragment,
+ *   `query` to set a query string parameter using the History API, or `none`
+ *   to leave the URL unchanged.
+ * @property {string} [queryParam] - Name of the query string parameter when
+ *   `history` is `query`. Defaults to the tabs component `id`, or `tab`.
+ * @property {boolean} [replaceHistory=false] - If set to `true`, changing tab
+ *   replaces the current browser history entry instead of creating a new one.
+ * @property {'horizontal' | 'vertical'} [orientation='horizontal'] - Whether
+ *   the tabs are shown in a row, or a column next to the tab panels. Vertical
+ *   tabs use the up and down arrow keys instead of left and right.
+ * @property {'automatic' | 'manual'} [activation='automatic'] - Whether tab
+ *   panels are shown as soon as users move focus to a tab using the arrow,
+ *   Home or End keys, or only when they press Enter or Space.
+ * @property {TabsTranslations} [i18n=Tabs.defaults.i18n] - Tabs translations
+ */
+
+/**
+ * Tabs translations
+ *
+ * @see {@link Tabs.defaults.i18n}
+ * @typedef {object} TabsTranslations
+ *
+ * Messages used when loading tab panel content from a URL.
+ * @property {string} [panelLoading] - Message shown and announced while tab
+ *   panel content is loading.
+ * @property {string} [panelLoaded] - Message announced when tab panel content
+ *   has loaded.
+ * @property {string} [panelError] - Message shown and announced when tab panel
+ *   content fails to load.
+ */
+
+/**
+ * @typedef {import('../../common/index.mjs').Schema} Schema
+ */
+
+/**
+ * Tabs change event
+ *
+ * Dispatched from the tabs root element as `govuk-tabs:change` when a
+ * different tab is shown.
+ *
+ * @typedef {CustomEvent<{ tab: HTMLAnchorElement, panel: Element | null, previousTab: HTMLAnchorElement, previousPanel: Element | null }>} TabsChangeEvent
+ */
+
+/**
+ * Tabs panel load event
+ *
+ * Dispatched from the tabs root element as `govuk-tabs:panel-load` when tab
+ * panel content has loaded from its URL.
+ *
+ * @typedef {CustomEvent<{ tab: HTMLAnchorElement, panel: Element }>} TabsPanelLoadEvent
+ */
+
+/**
+ * Tabs panel error event
+ *
+ * Dispatched from the tabs root element as `govuk-tabs:panel-error` when tab
+ * panel content fails to load from its URL.
+ *
+ * @typedef {CustomEvent<{ tab: HTMLAnchorElement, panel: Element, error: unknown }>} TabsPanelErrorEvent
+ */
+
+/**
+ * @typedef {import('../../common/breakpoint-observer.mjs').BreakpointSubscription} BreakpointSubscription
+ */
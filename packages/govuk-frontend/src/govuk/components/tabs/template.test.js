@@ -165,4 +165,100 @@ describe('Tabs', () => {
       expect($tabPanelItems.attr('data-attribute-2')).toBe('my-attribute-2')
     })
   })
+  describe('history', () => {
+    it('does not render history data attributes by default', () => {
+      const $ = render('tabs', examples.default)
+
+      const $component = $('.govuk-tabs')
+      expect($component.attr('data-history')).toBeUndefined()
+      expect($component.attr('data-query-param')).toBeUndefined()
+      expect($component.attr('data-replace-history')).toBeUndefined()
+    })
+
+    it('renders the history mode', () => {
+      const $ = render('tabs', examples['without history'])
+
+      const $component = $('.govuk-tabs')
+      expect($component.attr('data-history')).toBe('none')
+    })
+
+    it('renders the query string parameter name', () => {
+      const $ = render('tabs', examples['with query string parameter name'])
+
+      const $component = $('.govuk-tabs')
+      expect($component.attr('data-history')).toBe('query')
+      expect($component.attr('data-query-param')).toBe('section')
+      expect($component.attr('data-replace-history')).toBe('false')
+    })
+
+    it('renders the replace history option', () => {
+      const $ = render('tabs', examples['with replaced history'])
+
+      const $component = $('.govuk-tabs')
+      expect($component.attr('data-replace-history')).toBe('true')
+    })
+  })
+  describe('keyboard navigation', () => {
+    it('does not render orientation or activation by default', () => {
+      const $ = render('tabs', examples.default)
+
+      const $component = $('.govuk-tabs')
+      expect($component.hasClass('govuk-tabs--vertical')).toBeFalsy()
+      expect($component.attr('data-orientation')).toBeUndefined()
+      expect($component.attr('data-activation')).toBeUndefined()
+    })
+
+    it('renders the vertical orientation', () => {
+      const $ = render('tabs', examples.vertical)
+
+      const $component = $('.govuk-tabs')
+      expect($component.hasClass('govuk-tabs--vertical')).toBeTruthy()
+      expect($component.attr('data-orientation')).toBe('vertical')
+    })
+
+    it('renders the activation mode', () => {
+      const $ = render('tabs', examples['with manual activation'])
+
+      const $component = $('.govuk-tabs')
+      expect($component.attr('data-activation')).toBe('manual')
+    })
+  })
+  describe('panel content from a URL', () => {
+    it('renders the panel URL', () => {
+      const $ = render('tabs', examples['with panel content from a URL'])
+
+      const $panels = $('.govuk-tabs__panel')
+      expect($panels.eq(0).attr('data-src')).toBeUndefined()
+      expect($panels.eq(1).attr('data-src')).toBe('/reports/past-week')
+    })
+
+    it('renders a link to the panel URL when there is no text or html', () => {
+      const $ = render('tabs', examples['with panel content from a URL'])
+
+      const $link = $('#past-week .govuk-link')
+      expect($link.attr('href')).toBe('/reports/past-week')
+      expect($link.text()).toBe('Past week')
+    })
+
+    it('renders the panel html instead of a link', () => {
+      const $ = render('tabs', examples['with panel content from a URL'])
+
+      const $link = $('#past-month .govuk-link')
+      expect($link.text()).toBe('View the report for the past month')
+    })
+
+    it('renders translations as data attributes', () => {
+      const $ = render(
+        'tabs',
+        examples['with panel content from a URL and translations']
+      )
+
+      const $component = $('.govuk-tabs')
+      expect($component.attr('data-i18n.panel-loading')).toBe('Yn llwytho')
+      expect($component.attr('data-i18n.panel-loaded')).toBe('Wedi llwytho')
+      expect($component.attr('data-i18n.panel-error')).toBe(
+        "Mae problem wrth lwytho'r cynnwys hwn"
+      )
+    })
+  })
 })
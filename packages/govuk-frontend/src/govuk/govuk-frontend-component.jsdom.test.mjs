@@ -1,5 +1,10 @@
-import { SupportError } from './errors/index.mjs'
-import { GOVUKFrontendComponent } from './govuk-frontend-component.mjs'
+/* eslint-disable no-new */
+
+import { InitError, SupportError } from './errors/index.mjs'
+import {
+  GOVUKFrontendComponent,
+  createInstance
+} from './govuk-frontend-component.mjs'
 
 describe('GOVUKFrontendComponent', () => {
   describe('checkSupport()', () => {
@@ -42,4 +47,165 @@ describe('GOVUKFrontendComponent', () => {
       })
     })
   })
+
+  describe('destroy()', () => {
+    class ServiceComponent extends GOVUKFrontendComponent {
+      static moduleName = 'app-service-component'
+    }
+
+    beforeEach(() => {
+      document.body.outerHTML =
+        '<body class="govuk-frontend-supported"><div id="root"></div></body>'
+    })
+
+    it('Removes the initialisation attribute', () => {
+      const $root = document.getElementById('root')
+      const component = new ServiceComponent($root)
+
+      expect($root).toHaveAttribute('data-app-service-component-init')
+
+      component.destroy()
+
+      expect($root).not.toHaveAttribute('data-app-service-component-init')
+    })
+
+    it('Allows the root element to be initialised again', () => {
+      const $root = document.getElementById('root')
+      const component = new ServiceComponent($root)
+
+      component.destroy()
+
+      expect(() => new ServiceComponent($root)).not.toThrow()
+    })
+  })
+
+  describe('dispatch()', () => {
+    class ServiceComponent extends GOVUKFrontendComponent {
+      static moduleName = 'app-service-component'
+
+      change() {
+        return this.dispatch('change', { __test: true })
+      }
+    }
+
+    beforeEach(() => {
+      document.body.outerHTML =
+        '<body class="govuk-frontend-supported"><div id="root"></div></body>'
+    })
+
+    it('Dispatches a bubbling event prefixed with the module name', () => {
+      const $root = document.getElementById('root')
+      const component = new ServiceComponent($root)
+      const listener = jest.fn()
+
+      document.addEventListener('app-service-component:change', listener)
+
+      const event = component.change()
+
+      expect(listener).toHaveBeenCalledWith(event)
+      expect(event).toBeInstanceOf(window.CustomEvent)
+      expect(event.target).toBe($root)
+      expect(event.detail).toEqual({ __test: true })
+
+      document.removeEventListener('app-service-component:change', listener)
+    })
+  })
+
+  describe('getInstance()', () => {
+    class ServiceComponent extends GOVUKFrontendComponent {
+      static moduleName = 'app-service-component'
+    }
+
+    class OtherServiceComponent extends GOVUKFrontendComponent {
+      static moduleName = 'app-other-service-component'
+    }
+
+    beforeEach(() => {
+      document.body.outerHTML =
+        '<body class="govuk-frontend-supported"><div id="root"></div></body>'
+    })
+
+    it('Returns the instance initialised on the element', () => {
+      const $root = document.getElementById('root')
+      const component = new ServiceComponent($root)
+
+      expect(ServiceComponent.getInstance($root)).toBe(component)
+    })
+
+    it('Returns null for elements not initialised as the component', () => {
+      const $root = document.getElementById('root')
+      new OtherServiceComponent($root)
+
+      expect(ServiceComponent.getInstance($root)).toBeNull()
+      expect(ServiceComponent.getInstance(document.body)).toBeNull()
+      expect(ServiceComponent.getInstance(null)).toBeNull()
+    })
+
+    it('Returns null once the component is destroyed', () => {
+      const $root = document.getElementById('root')
+      const component = new ServiceComponent($root)
+
+      component.destroy()
+
+      expect(ServiceComponent.getInstance($root)).toBeNull()
+    })
+  })
+
+  describe('getOrCreateInstance()', () => {
+    class ServiceComponent extends GOVUKFrontendComponent {
+      static moduleName = 'app-service-component'
+
+      constructor($root, config) {
+        super($root)
+        this.config = config
+
+        if (config?.invalid) {
+          throw new Error('Invalid config')
+        }
+      }
+    }
+
+    beforeEach(() => {
+      document.body.outerHTML =
+        '<body class="govuk-frontend-supported"><div id="root"></div></body>'
+    })
+
+    it('Returns the instance already initialised on the element', () => {
+      const $root = document.getElementById('root')
+      const component = new ServiceComponent($root)
+
+      expect(ServiceComponent.getOrCreateInstance($root)).toBe(component)
+    })
+
+    it('Initialises the component, passing config, when not initialised', () => {
+      const $root = document.getElementById('root')
+      const component = ServiceComponent.getOrCreateInstance($root, {
+        __test: true
+      })
+
+      expect(component).toBeInstanceOf(ServiceComponent)
+      expect(component.config).toEqual({ __test: true })
+      expect(ServiceComponent.getInstance($root)).toBe(component)
+    })
+
+    it('Does not register the component when its constructor throws', () => {
+      const $root = document.getElementById('root')
+
+      expect(() =>
+        ServiceComponent.getOrCreateInstance($root, { invalid: true })
+      ).toThrow('Invalid config')
+
+      expect(ServiceComponent.getInstance($root)).toBeNull()
+    })
+
+    it('Keeps the instance already initialised on the element', () => {
+      const $root = document.getElementById('root')
+      const component = new ServiceComponent($root)
+
+      // Throws as the element is already initialised
+      expect(() => createInstance(ServiceComponent, $root)).toThrow(InitError)
+
+      expect(ServiceComponent.getInstance($root)).toBe(component)
+    })
+  })
 })
@@ -1,6 +1,61 @@
 import { isInitialised, isSupported } from './common/index.mjs'
 import { ElementError, InitError, SupportError } from './errors/index.mjs'
 
+/**
+ * Component instances by root element and module name
+ *
+ * @type {WeakMap<Element, Map<string, GOVUKFrontendComponent<Element>>>}
+ */
+const instances = new WeakMap()
+
+/**
+ * Get component instance by root element and module name
+ *
+ * @param {Element | null} $element - HTML element used as the component root
+ * @param {string} moduleName - Name of component module
+ * @returns {any} Component instance, or `null` when not found
+ */
+function getRegisteredInstance($element, moduleName) {
+  return ($element && instances.get($element)?.get(moduleName)) ?? null
+}
+
+/**
+ * Create a component instance
+ *
+ * The base constructor registers the instance for lookup via `getInstance()`
+ * before the component checks its elements and config. If the component
+ * constructor then throws, remove the half-built instance so it cannot be
+ * found or destroyed later.
+ *
+ * @internal
+ * @template {CompatibleClass} T
+ * @param {T} Component - Class of the component to create
+ * @param {Element | null} $element - HTML element to use for component
+ * @param {T["defaults"]} [config] - Config supplied to component
+ * @returns {InstanceType<T>} Component instance
+ */
+export function createInstance(Component, $element, config) {
+  const existingInstance = /** @type {unknown} */ (
+    getRegisteredInstance($element, Component.moduleName)
+  )
+
+  try {
+    // Only pass config to components that accept it
+    // eslint-disable-next-line @typescript-eslint/no-unsafe-return
+    return typeof config !== 'undefined'
+      ? new Component($element, config)
+      : new Component($element)
+  } catch (error) {
+    const rootInstances = $element && instances.get($element)
+
+    if (rootInstances?.get(Component.moduleName) !== existingInstance) {
+      rootInstances?.delete(Component.moduleName)
+    }
+
+    throw error
+  }
+}
+
 /**
  * Base Component class
  *
@@ -74,6 +129,57 @@ export class GOVUKFrontendComponent {
     const moduleName = childConstructor.moduleName
 
     this.$root.setAttribute(`data-${moduleName}-init`, '')
+
+    // Register instance for lookup via `getInstance()`
+    const rootInstances = instances.get(this.$root)
+    if (rootInstances) {
+      rootInstances.set(moduleName, this)
+    } else {
+      instances.set(this.$root, new Map([[moduleName, this]]))
+    }
+  }
+
+  /**
+   * Destroys the component
+   *
+   * Removes the initialisation attribute so the root element can be
+   * initialised again. Components extending this class remove their event
+   * listeners and restore their original markup before calling
+   * `super.destroy()`
+   */
+  destroy() {
+    const { moduleName } = /** @type {ChildClassConstructor} */ (
+      this.constructor
+    )
+
+    this.$root.removeAttribute(`data-${moduleName}-init`)
+    instances.get(this.$root)?.delete(moduleName)
+  }
+
+  /**
+   * Dispatches a custom event from the component root element
+   *
+   * Event names are prefixed with the component module name, for example
+   * `govuk-accordion:section-toggled`, and bubble up through the document.
+   *
+   * @protected
+   * @template {object} Detail
+   * @param {string} name - Event name, without the module name prefix
+   * @param {Detail} detail - Event details
+   * @returns {CustomEvent<Detail>} Dispatched event
+   */
+  dispatch(name, detail) {
+    const { moduleName } = /** @type {ChildClassConstructor} */ (
+      this.constructor
+    )
+
+    const event = new CustomEvent(`${moduleName}:${name}`, {
+      bubbles: true,
+      detail
+    })
+
+    this.$root.dispatchEvent(event)
+    return event
   }
 
   /**
@@ -91,6 +197,37 @@ export class GOVUKFrontendComponent {
     }
   }
 
+  /**
+   * Get the component instance initialised on an element
+   *
+   * @template {CompatibleClass} T
+   * @this {T}
+   * @param {Element | null} $element - HTML element used as the component root
+   * @returns {InstanceType<T> | null} Component instance, or `null` when the
+   *   element has not been initialised as this component
+   */
+  static getInstance($element) {
+    // eslint-disable-next-line @typescript-eslint/no-unsafe-return
+    return getRegisteredInstance($element, this.moduleName)
+  }
+
+  /**
+   * Get the component instance initialised on an element, or initialise one
+   *
+   * @template {CompatibleClass} T
+   * @this {T}
+   * @param {Element | null} $element - HTML element to use as the component root
+   * @param {T["defaults"]} [config] - Config supplied to a new component
+   * @returns {InstanceType<T>} Existing or new component instance
+   */
+  static getOrCreateInstance($element, config) {
+    // eslint-disable-next-line @typescript-eslint/no-unsafe-return
+    return (
+      getRegisteredInstance($element, this.moduleName) ??
+      createInstance(this, $element, config)
+    )
+  }
+
   /**
    * Validates whether components are supported
    *
@@ -111,3 +248,7 @@ export class GOVUKFrontendComponent {
 /**
  * @typedef {typeof GOVUKFrontendComponent & ChildClass} ChildClassConstructor
  */
+
+/**
+ * @typedef {import('./init.mjs').CompatibleClass} CompatibleClass
+ */
@@ -445,6 +445,27 @@ export class I18n {
   }
 }
 
+/**
+ * Pluralised translation schema
+ *
+ * Translations can be a single string, or plural forms for the `count`
+ *
+ * @internal
+ * @satisfies {SchemaProperty}
+ */
+export const translationPluralFormsSchema = {
+  type: ['string', 'object'],
+  properties: {
+    zero: { type: 'string' },
+    one: { type: 'string' },
+    two: { type: 'string' },
+    few: { type: 'string' },
+    many: { type: 'string' },
+    other: { type: 'string' }
+  },
+  additionalProperties: false
+}
+
 /**
  * Plural rule category mnemonic tags
  *
@@ -467,3 +488,7 @@ export class I18n {
  * @property {string} [few] - Plural form used for a few
  * @property {string} [many] - Plural form used for many
  */
+
+/**
+ * @typedef {import('./common/index.mjs').SchemaProperty} SchemaProperty
+ */
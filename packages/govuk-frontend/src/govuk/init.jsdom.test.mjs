@@ -12,14 +12,20 @@ jest.mock(`./components/accordion/accordion.mjs`)
 jest.mock(`./components/button/button.mjs`)
 jest.mock(`./components/character-count/character-count.mjs`)
 jest.mock(`./components/checkboxes/checkboxes.mjs`)
+jest.mock(`./components/cookie-banner/cookie-banner.mjs`)
+jest.mock(`./components/date-input/date-input.mjs`)
+jest.mock(`./components/date-input/date-picker.mjs`)
 jest.mock(`./components/error-summary/error-summary.mjs`)
 jest.mock(`./components/exit-this-page/exit-this-page.mjs`)
+jest.mock(`./components/file-upload/file-upload.mjs`)
 jest.mock(`./components/header/header.mjs`)
 jest.mock(`./components/notification-banner/notification-banner.mjs`)
 jest.mock(`./components/password-input/password-input.mjs`)
 jest.mock(`./components/radios/radios.mjs`)
+jest.mock(`./components/select/select-autocomplete.mjs`)
 jest.mock(`./components/service-navigation/service-navigation.mjs`)
 jest.mock(`./components/skip-link/skip-link.mjs`)
+jest.mock(`./components/table/table.mjs`)
 jest.mock(`./components/tabs/tabs.mjs`)
 
 describe('initAll', () => {
@@ -28,18 +34,24 @@ describe('initAll', () => {
     'header',
     'radios',
     'service-navigation',
-    'skip-link',
-    'tabs'
+    'skip-link'
   ]
 
   const componentsThatTakeConfig = [
     'accordion',
     'button',
     'character-count',
+    'cookie-banner',
+    'date-input',
+    'date-picker',
     'error-summary',
     'exit-this-page',
+    'file-upload',
     'notification-banner',
-    'password-input'
+    'password-input',
+    'select-autocomplete',
+    'table',
+    'tabs'
   ]
 
   afterEach(() => {
@@ -216,6 +228,176 @@ describe('initAll', () => {
       })
     )
   })
+  describe('when observing the page', () => {
+    let observer
+
+    /**
+     * Wait for mutation observer callbacks to run
+     *
+     * @returns {Promise<void>} Promise resolved after pending mutations
+     */
+    const mutationsObserved = () =>
+      new Promise((resolve) => setTimeout(resolve))
+
+    beforeEach(() => {
+      document.body.classList.add('govuk-frontend-supported')
+    })
+
+    afterEach(() => {
+      observer?.disconnect()
+    })
+
+    it('returns undefined when not observing', () => {
+      expect(initAll()).toBeUndefined()
+    })
+
+    it('returns a mutation observer', () => {
+      observer = initAll({ observe: true })
+
+      expect(observer).toBeInstanceOf(window.MutationObserver)
+    })
+
+    it('initialises components added to the page, passing config', async () => {
+      observer = initAll({
+        observe: true,
+        accordion: { rememberExpanded: false }
+      })
+
+      document.body.innerHTML = `
+        <div data-module="govuk-accordion"></div>
+        <div>
+          <div data-module="govuk-tabs"></div>
+        </div>`
+
+      await mutationsObserved()
+
+      expect(GOVUKFrontend.Accordion).toHaveBeenCalledWith(
+        document.querySelector('[data-module="govuk-accordion"]'),
+        { rememberExpanded: false }
+      )
+
+      expect(GOVUKFrontend.Tabs).toHaveBeenCalledWith(
+        document.querySelector('[data-module="govuk-tabs"]')
+      )
+    })
+
+    it('only initialises components added within a given scope', async () => {
+      document.body.innerHTML = `
+        <div class="not-in-scope"></div>
+        <div class="my-scope"></div>`
+
+      observer = initAll({
+        observe: true,
+        scope: document.querySelector('.my-scope')
+      })
+
+      document.querySelector('.not-in-scope').innerHTML =
+        '<div data-module="govuk-accordion"></div>'
+
+      document.querySelector('.my-scope').innerHTML =
+        '<div data-module="govuk-accordion"></div>'
+
+      await mutationsObserved()
+
+      expect(GOVUKFrontend.Accordion).toHaveBeenCalledTimes(1)
+      expect(GOVUKFrontend.Accordion).toHaveBeenCalledWith(
+        document.querySelector('.my-scope [data-module="govuk-accordion"]')
+      )
+    })
+
+    it('skips components already initialised', async () => {
+      observer = initAll({ observe: true })
+
+      document.body.innerHTML = `
+        <div data-module="govuk-accordion" data-govuk-accordion-init></div>`
+
+      await mutationsObserved()
+
+      expect(GOVUKFrontend.Accordion).not.toHaveBeenCalled()
+    })
+
+    it('executes onError callback on component create if specified', async () => {
+      jest.mocked(GOVUKFrontend.Accordion).mockImplementation(() => {
+        throw new Error('Error thrown from accordion')
+      })
+
+      const errorCallback = jest.fn((_error, _context) => {})
+
+      observer = initAll({
+        observe: true,
+        onError: errorCallback,
+        accordion: { rememberExpanded: true }
+      })
+
+      document.body.innerHTML = '<div data-module="govuk-accordion"></div>'
+
+      await mutationsObserved()
+
+      expect(errorCallback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: 'Error thrown from accordion'
+        }),
+        expect.objectContaining({
+          component: GOVUKFrontend.Accordion,
+          config: { rememberExpanded: true },
+          element: document.querySelector('[data-module="govuk-accordion"]')
+        })
+      )
+    })
+
+    it('destroys components removed from the page', async () => {
+      const component = { destroy: jest.fn() }
+
+      document.body.innerHTML = `
+        <div class="container">
+          <div data-module="govuk-accordion"></div>
+        </div>`
+
+      const $root = document.querySelector('[data-module="govuk-accordion"]')
+
+      jest
+        .mocked(GOVUKFrontend.Accordion.getInstance)
+        .mockImplementation(($element) =>
+          $element === $root ? component : null
+        )
+
+      observer = initAll({ observe: true })
+
+      document.querySelector('.container').remove()
+
+      await mutationsObserved()
+
+      expect(GOVUKFrontend.Accordion.getInstance).toHaveBeenCalledWith($root)
+      expect(component.destroy).toHaveBeenCalled()
+    })
+
+    it('does not destroy components moved elsewhere on the page', async () => {
+      const component = { destroy: jest.fn() }
+
+      document.body.innerHTML = `
+        <div class="from"><div data-module="govuk-accordion"></div></div>
+        <div class="to"></div>`
+
+      const $root = document.querySelector('[data-module="govuk-accordion"]')
+
+      jest
+        .mocked(GOVUKFrontend.Accordion.getInstance)
+        .mockReturnValue(component)
+
+      observer = initAll({ observe: true })
+
+      // Mark as initialised, as mocked components do not
+      $root.setAttribute('data-govuk-accordion-init', '')
+      jest.mocked(GOVUKFrontend.Accordion).mockClear()
+
+      document.querySelector('.to').appendChild($root)
+
+      await mutationsObserved()
+
+      expect(component.destroy).not.toHaveBeenCalled()
+      expect(GOVUKFrontend.Accordion).not.toHaveBeenCalled()
+    })
+  })
 })
 
 describe('createAll', () => {
@@ -542,5 +724,20 @@ describe('createAll', () => {
       expect(result[0].args).toStrictEqual([document.getElementById('a')])
       expect(result[1].args).toStrictEqual([document.getElementById('c')])
     })
+
+    it('does not register components that failed to instantiate', () => {
+      document.body.innerHTML = `<div data-module="mock-component" data-boom></div>`
+
+      // Silence warnings in test output
+      jest.spyOn(global.console, 'log').mockImplementation()
+
+      createAll(MockComponentThatErrors)
+
+      expect(
+        MockComponentThatErrors.getInstance(
+          document.querySelector('[data-module="mock-component"]')
+        )
+      ).toBeNull()
+    })
   })
 })
@@ -1,18 +1,25 @@
-import { isSupported } from './common/index.mjs'
+import { isInitialised, isSupported } from './common/index.mjs'
 import { Accordion } from './components/accordion/accordion.mjs'
 import { Button } from './components/button/button.mjs'
 import { CharacterCount } from './components/character-count/character-count.mjs'
 import { Checkboxes } from './components/checkboxes/checkboxes.mjs'
+import { CookieBanner } from './components/cookie-banner/cookie-banner.mjs'
+import { DateInput } from './components/date-input/date-input.mjs'
+import { DatePicker } from './components/date-input/date-picker.mjs'
 import { ErrorSummary } from './components/error-summary/error-summary.mjs'
 import { ExitThisPage } from './components/exit-this-page/exit-this-page.mjs'
+import { FileUpload } from './components/file-upload/file-upload.mjs'
 import { Header } from './components/header/header.mjs'
 import { NotificationBanner } from './components/notification-banner/notification-banner.mjs'
 import { PasswordInput } from './components/password-input/password-input.mjs'
 import { Radios } from './components/radios/radios.mjs'
+import { SelectAutocomplete } from './components/select/select-autocomplete.mjs'
 import { ServiceNavigation } from './components/service-navigation/service-navigation.mjs'
 import { SkipLink } from './components/skip-link/skip-link.mjs'
+import { Table } from './components/table/table.mjs'
 import { Tabs } from './components/tabs/tabs.mjs'
 import { SupportError } from './errors/index.mjs'
+import { createInstance } from './govuk-frontend-component.mjs'
 
 /**
  * Initialise all components
@@ -20,7 +27,13 @@ import { SupportError } from './errors/index.mjs'
  * Use the `data-module` attributes to find, instantiate and init all of the
  * components provided as part of GOV.UK Frontend.
  *
- * @param {Config & { scope?: Element, onError?: OnErrorCallback<CompatibleClass> }} [config] - Config for all components (with optional scope)
+ * Set the `observe` option to also initialise components added to the page
+ * later, and destroy components removed from the page, for as long as the
+ * returned `MutationObserver` is connected.
+ *
+ * @param {Config & { scope?: Element, onError?: OnErrorCallback<CompatibleClass>, observe?: boolean }} [config] - Config for all components (with optional scope)
+ * @returns {MutationObserver | undefined} Observer for components added or
+ *   removed from the page, when the `observe` option is set
  */
 function initAll(config) {
   config = typeof config !== 'undefined' ? config : {}
@@ -42,15 +55,21 @@ function initAll(config) {
     [Button, config.button],
     [CharacterCount, config.characterCount],
     [Checkboxes],
+    [CookieBanner, config.cookieBanner],
+    [DateInput, config.dateInput],
+    [DatePicker, config.datePicker],
     [ErrorSummary, config.errorSummary],
     [ExitThisPage, config.exitThisPage],
+    [FileUpload, config.fileUpload],
     [Header],
     [NotificationBanner, config.notificationBanner],
     [PasswordInput, config.passwordInput],
     [Radios],
+    [SelectAutocomplete, config.selectAutocomplete],
     [ServiceNavigation],
     [SkipLink],
-    [Tabs]
+    [Table, config.table],
+    [Tabs, config.tabs]
   ])
 
   // Allow the user to initialise GOV.UK Frontend in only certain sections of the page
@@ -65,6 +84,76 @@ function initAll(config) {
   components.forEach(([Component, config]) => {
     createAll(Component, config, options)
   })
+
+  // Optionally watch for components added or removed later
+  if (config.observe) {
+    return observe(components, options)
+  }
+}
+
+/**
+ * Observe components added to or removed from the page
+ *
+ * Initialises components when their root element is added inside the scope
+ * and destroys them when their root element is removed from the page.
+ *
+ * @internal
+ * @param {ReadonlyArray<Readonly<[ComponentClass, object?]>>} components - Component classes and config
+ * @param {{ scope: Element | Document, onError?: OnErrorCallback<CompatibleClass> }} options - Scope to observe and error callback
+ * @returns {MutationObserver} Observer for components added or removed
+ */
+function observe(components, options) {
+  const observer = new MutationObserver((mutations) => {
+    for (const { addedNodes, removedNodes } of mutations) {
+      removedNodes.forEach(($node) => {
+        for (const [Component] of components) {
+          for (const $element of getModuleElements($node, Component)) {
+            // Skip elements moved elsewhere on the page
+            if (!$element.isConnected) {
+              destroyComponent(Component, $element, options.onError)
+            }
+          }
+        }
+      })
+
+      addedNodes.forEach(($node) => {
+        for (const [Component, config] of components) {
+          for (const $element of getModuleElements($node, Component)) {
+            // Skip elements moved from elsewhere on the page
+            if (!isInitialised($element, Component.moduleName)) {
+              createComponent(Component, $element, config, options.onError)
+            }
+          }
+        }
+      })
+    }
+  })
+
+  observer.observe(options.scope, {
+    childList: true,
+    subtree: true
+  })
+
+  return observer
+}
+
+/**
+ * Get component root elements in or including a node
+ *
+ * @internal
+ * @param {Node} $node - Node added or removed from the page
+ * @param {CompatibleClass} Component - Component class
+ * @returns {Element[]} Component root elements
+ */
+function getModuleElements($node, Component) {
+  if (!($node instanceof Element)) {
+    return []
+  }
+
+  const selector = `[data-module="${Component.moduleName}"]`
+  const $elements = Array.from($node.querySelectorAll(selector))
+
+  return $node.matches(selector) ? [$node, ...$elements] : $elements
 }
 
 /**
@@ -121,36 +210,85 @@ function createAll(Component, config, createAllOptions) {
     return []
   }
 
-  /* eslint-disable-next-line @typescript-eslint/no-unsafe-return --
+  /* eslint-disable @typescript-eslint/no-unsafe-return --
    * We can't define CompatibleClass as `{new(): CompatibleClass, moduleName: string}`,
    * as when doing `typeof Accordion` (or any component), TypeScript doesn't seem
    * to acknowledge the static `moduleName` that's set in our component classes.
    * This means we have to set the constructor of `CompatibleClass` as `{new(): any}`,
    * leading to ESLint frowning that we're returning `any[]`.
    */
-  return Array.from($elements)
-    .map(($element) => {
-      try {
-        // Only pass config to components that accept it
-        // eslint-disable-next-line @typescript-eslint/no-unsafe-return
-        return typeof config !== 'undefined'
-          ? new Component($element, config)
-          : new Component($element)
-      } catch (error) {
-        if (onError) {
-          onError(error, {
-            element: $element,
-            component: Component,
-            config
-          })
-        } else {
-          console.log(error)
-        }
+  return /** @type {Array<InstanceType<T>>} */ (
+    Array.from($elements)
+      .map(($element) => createComponent(Component, $element, config, onError))
+      .filter(Boolean) // Exclude components that errored
+  )
+  /* eslint-enable @typescript-eslint/no-unsafe-return */
+}
 
-        return null
-      }
+/**
+ * Create an instance of a specific component
+ *
+ * Any component errors will be caught and logged to the console.
+ *
+ * @internal
+ * @template {CompatibleClass} T
+ * @param {T} Component - class of the component to create
+ * @param {Element} $element - HTML element to use for component
+ * @param {T["defaults"]} [config] - Config supplied to component
+ * @param {OnErrorCallback<T>} [onError] - callback function if error throw by component on init
+ * @returns {InstanceType<T> | null} - instantiated component, or null if it errored
+ */
+function createComponent(Component, $element, config, onError) {
+  try {
+    // eslint-disable-next-line @typescript-eslint/no-unsafe-return
+    return createInstance(Component, $element, config)
+  } catch (error) {
+    reportError(error, Component, $element, config, onError)
+    return null
+  }
+}
+
+/**
+ * Destroy the instance of a specific component
+ *
+ * Any component errors will be caught and logged to the console.
+ *
+ * @internal
+ * @param {ComponentClass} Component - class of the component to destroy
+ * @param {Element} $element - HTML element used for component
+ * @param {OnErrorCallback<CompatibleClass>} [onError] - callback function if error throw by component on destroy
+ */
+function destroyComponent(Component, $element, onError) {
+  try {
+    Component.getInstance($element)?.destroy()
+  } catch (error) {
+    reportError(error, Component, $element, undefined, onError)
+  }
+}
+
+/**
+ * Report component error
+ *
+ * Calls the `onError` callback if specified, or logs to the console
+ *
+ * @internal
+ * @template {CompatibleClass} T
+ * @param {unknown} error - Thrown error
+ * @param {T} Component - Class of component
+ * @param {Element} $element - HTML element used for component
+ * @param {T["defaults"]} [config] - Config supplied to component
+ * @param {OnErrorCallback<T>} [onError] - callback function if error throw by component
+ */
+function reportError(error, Component, $element, config, onError) {
+  if (onError) {
+    onError(error, {
+      element: $element,
+      component: Component,
+      config
     })
-    .filter(Boolean) // Exclude components that errored
+  } else {
+    console.log(error)
+  }
 }
 
 export { initAll, createAll }
@@ -165,6 +303,10 @@ export { initAll, createAll }
  * @typedef {{new (...args: any[]): any, defaults?: object, moduleName: string}} CompatibleClass
  */
 
+/**
+ * @typedef {CompatibleClass & { getInstance($element: Element | null): { destroy(): void } | null }} ComponentClass
+ */
+
 /* eslint-enable jsdoc/valid-types */
 
 /**
@@ -174,10 +316,17 @@ export { initAll, createAll }
  * @property {AccordionConfig} [accordion] - Accordion config
  * @property {ButtonConfig} [button] - Button config
  * @property {CharacterCountConfig} [characterCount] - Character Count config
+ * @property {CookieBannerConfig} [cookieBanner] - Cookie Banner config
+ * @property {DateInputConfig} [dateInput] - Date input config
+ * @property {DatePickerConfig} [datePicker] - Date picker config
  * @property {ErrorSummaryConfig} [errorSummary] - Error Summary config
  * @property {ExitThisPageConfig} [exitThisPage] - Exit This Page config
+ * @property {FileUploadConfig} [fileUpload] - File Upload config
  * @property {NotificationBannerConfig} [notificationBanner] - Notification Banner config
  * @property {PasswordInputConfig} [passwordInput] - Password input config
+ * @property {SelectAutocompleteConfig} [selectAutocomplete] - Select autocomplete config
+ * @property {TableConfig} [table] - Table config
+ * @property {TabsConfig} [tabs] - Tabs config
  */
 
 /**
@@ -188,11 +337,24 @@ export { initAll, createAll }
  * @typedef {import('./components/button/button.mjs').ButtonConfig} ButtonConfig
  * @typedef {import('./components/character-count/character-count.mjs').CharacterCountConfig} CharacterCountConfig
  * @typedef {import('./components/character-count/character-count.mjs').CharacterCountTranslations} CharacterCountTranslations
+ * @typedef {import('./components/cookie-banner/cookie-banner.mjs').CookieBannerConfig} CookieBannerConfig
+ * @typedef {import('./components/date-input/date-input.mjs').DateInputConfig} DateInputConfig
+ * @typedef {import('./components/date-input/date-input.mjs').DateInputTranslations} DateInputTranslations
+ * @typedef {import('./components/date-input/date-picker.mjs').DatePickerConfig} DatePickerConfig
+ * @typedef {import('./components/date-input/date-picker.mjs').DatePickerTranslations} DatePickerTranslations
  * @typedef {import('./components/error-summary/error-summary.mjs').ErrorSummaryConfig} ErrorSummaryConfig
  * @typedef {import('./components/exit-this-page/exit-this-page.mjs').ExitThisPageConfig} ExitThisPageConfig
  * @typedef {import('./components/exit-this-page/exit-this-page.mjs').ExitThisPageTranslations} ExitThisPageTranslations
+ * @typedef {import('./components/file-upload/file-upload.mjs').FileUploadConfig} FileUploadConfig
+ * @typedef {import('./components/file-upload/file-upload.mjs').FileUploadTranslations} FileUploadTranslations
  * @typedef {import('./components/notification-banner/notification-banner.mjs').NotificationBannerConfig} NotificationBannerConfig
  * @typedef {import('./components/password-input/password-input.mjs').PasswordInputConfig} PasswordInputConfig
+ * @typedef {import('./components/select/select-autocomplete.mjs').SelectAutocompleteConfig} SelectAutocompleteConfig
+ * @typedef {import('./components/select/select-autocomplete.mjs').SelectAutocompleteTranslations} SelectAutocompleteTranslations
+ * @typedef {import('./components/table/table.mjs').TableConfig} TableConfig
+ * @typedef {import('./components/table/table.mjs').TableTranslations} TableTranslations
+ * @typedef {import('./components/tabs/tabs.mjs').TabsConfig} TabsConfig
+ * @typedef {import('./components/tabs/tabs.mjs').TabsTranslations} TabsTranslations
  */
 
 /**
@@ -0,0 +1,253 @@
+/**
+ * Class added to the invalid parts of Date input components
+ *
+ * @private
+ */
+const dateInputErrorClass = 'govuk-input--error'
+
+/**
+ * Get Error summary and Error message params for validation errors
+ *
+ * Maps validation errors by field name to:
+ *
+ * - `errorList` items for the Error summary component, linking to the
+ *   form field each error is shown on
+ * - params for each form field component, with the `errorMessage` and, for
+ *   Date input components, the `items` with invalid parts highlighted
+ *
+ * Errors are listed in the order of the `fields` metadata, so the Error
+ * summary matches the order of the form fields on the page. Errors for fields
+ * without metadata are listed afterwards, linking to the `id` matching the
+ * field name.
+ *
+ * @example
+ * ```js
+ * const { errorList, fields } = getErrorParams(
+ *   {
+ *     'passport-issued': {
+ *       text: 'The date your passport was issued must include a year',
+ *       parts: ['year']
+ *     },
+ *     'contact': 'Select how you would like to be contacted'
+ *   },
+ *   {
+ *     'passport-issued': { component: 'date-input', id: 'passport-issued' },
+ *     'contact': { component: 'radios', idPrefix: 'contact' }
+ *   }
+ * )
+ * ```
+ * @param {{ [field: string]: ValidationError | string | undefined }} errors - Validation errors by field name
+ * @param {{ [field: string]: FieldMetadata }} [fields] - Form field metadata by field name
+ * @returns {ErrorParams} Error summary `errorList` and params by field name
+ */
+export function getErrorParams(errors, fields = {}) {
+  const fieldNames = Object.keys(fields).concat(
+    Object.keys(errors).filter((field) => !(field in fields))
+  )
+
+  /** @type {ErrorParams} */
+  const params = { errorList: [], fields: {} }
+
+  for (const field of fieldNames) {
+    const error = normaliseError(errors[field])
+
+    if (error) {
+      const metadata = fields[field] ?? {}
+      const errorMessage = error.html
+        ? { html: error.html }
+        : { text: error.text }
+
+      /** @type {FieldErrorParams} */
+      const fieldParams = { errorMessage }
+      let href = `#${getFieldId(field, metadata)}`
+
+      if (metadata.component === 'date-input') {
+        fieldParams.items = getDateInputItems(metadata, error.parts)
+        href = `#${getDateInputItemId(field, metadata, fieldParams.items)}`
+      }
+
+      params.errorList.push(Object.assign({}, errorMessage, { href }))
+      params.fields[field] = fieldParams
+    }
+  }
+
+  return params
+}
+
+/**
+ * Normalise a validation error
+ *
+ * @private
+ * @param {ValidationError | string | undefined} error - Validation error
+ * @returns {ValidationError | undefined} Validation error, unless empty
+ */
+function normaliseError(error) {
+  if (typeof error === 'string') {
+    return error ? { text: error } : undefined
+  }
+
+  if (!error?.text && !error?.html) {
+    return
+  }
+
+  return error
+}
+
+/**
+ * Get the ID of the form field to link to from the Error summary
+ *
+ * For Radios and Checkboxes components this is the ID of the first item,
+ * which doesn't have a number suffix unless set using the item `id` param
+ *
+ * @private
+ * @param {string} field - Field name
+ * @param {FieldMetadata} metadata - Form field metadata
+ * @returns {string} Form field ID
+ */
+function getFieldId(field, metadata) {
+  if (metadata.component !== 'radios' && metadata.component !== 'checkboxes') {
+    return metadata.id ?? field
+  }
+
+  const idPrefix = metadata.idPrefix ?? metadata.name ?? field
+  const items = metadata.items ?? []
+
+  // Items are numbered by their position, including dividers
+  const index = items.findIndex((item) => !!item && !item.divider)
+  const item = items[index]
+
+  if (item && item.id) {
+    return item.id
+  }
+
+  return index > 0 ? `${idPrefix}-${index + 1}` : idPrefix
+}
+
+/**
+ * Get the ID of the first invalid Date input item
+ *
+ * @private
+ * @param {string} field - Field name
+ * @param {FieldMetadata} metadata - Form field metadata
+ * @param {DateInputItem[]} items - Date input items
+ * @returns {string} Date input item ID
+ */
+function getDateInputItemId(field, metadata, items) {
+  const item =
+    items.find(({ classes }) => classes.includes(dateInputErrorClass)) ??
+    items[0]
+
+  return item.id ?? `${metadata.id ?? field}-${item.name}`
+}
+
+/**
+ * Get Date input component items with invalid parts highlighted
+ *
+ * Uses the same default day, month and year items as the Date input
+ * component when no `items` are provided
+ *
+ * @private
+ * @param {FieldMetadata} metadata - Form field metadata
+ * @param {string[]} [parts] - Names of the invalid items, or all items if
+ *   not provided
+ * @returns {DateInputItem[]} Date input items
+ */
+function getDateInputItems(metadata, parts) {
+  const items = metadata.items?.length
+    ? /** @type {FieldItem[]} */ (metadata.items)
+    : [
+        { name: 'day', classes: 'govuk-input--width-2' },
+        { name: 'month', classes: 'govuk-input--width-2' },
+        { name: 'year', classes: 'govuk-input--width-4' }
+      ]
+
+  return items.map((item) => {
+    const name = item.name ?? ''
+    const isInvalid = !parts?.length || parts.includes(name)
+    const classes = (item.classes ?? '')
+      .split(' ')
+      .filter((className) => className && className !== dateInputErrorClass)
+
+    if (isInvalid) {
+      classes.push(dateInputErrorClass)
+    }
+
+    return Object.assign({}, item, { name, classes: classes.join(' ') })
+  })
+}
+
+/**
+ * Validation error
+ *
+ * @typedef {object} ValidationError
+ * @property {string} [text] - Error message text. If `html` is provided, the
+ *   `text` option will be ignored.
+ * @property {string} [html] - Error message HTML. If `html` is provided, the
+ *   `text` option will be ignored.
+ * @property {string[]} [parts] - Names of the invalid Date input items, for
+ *   example `['month', 'year']`. All items are invalid if not provided.
+ */
+
+/**
+ * Form field metadata
+ *
+ * Uses the same names as the params of the form field component
+ *
+ * @typedef {object} FieldMetadata
+ * @property {string} [component] - Form field component name, for example
+ *   `date-input`, `radios` or `checkboxes`. Other components link to the
+ *   `id` of the form field.
+ * @property {string} [id] - The ID of the form field. Defaults to the field
+ *   name.
+ * @property {string} [idPrefix] - Radios or Checkboxes component
+ *   `idPrefix`. Defaults to the `name`.
+ * @property {string} [name] - Radios or Checkboxes component `name`. Defaults
+ *   to the field name.
+ * @property {Array<FieldItem | null | undefined | false>} [items] - Radios,
+ *   Checkboxes or Date input component `items`
+ */
+
+/**
+ * Form field item
+ *
+ * @typedef {object} FieldItem
+ * @property {string} [id] - Item ID
+ * @property {string} [name] - Date input item name
+ * @property {string} [classes] - Date input item classes
+ * @property {string} [divider] - Radios or Checkboxes divider text
+ */
+
+/**
+ * Date input item
+ *
+ * @typedef {FieldItem & { name: string, classes: string }} DateInputItem
+ */
+
+/**
+ * Error summary item
+ *
+ * @typedef {object} ErrorSummaryItem
+ * @property {string} [text] - Error message text
+ * @property {string} [html] - Error message HTML
+ * @property {string} href - Link to the form field with the error
+ */
+
+/**
+ * Form field error params
+ *
+ * @typedef {object} FieldErrorParams
+ * @property {{ text?: string, html?: string }} errorMessage - Error message
+ *   component params
+ * @property {DateInputItem[]} [items] - Date input component items, with
+ *   invalid items highlighted
+ */
+
+/**
+ * Error params
+ *
+ * @typedef {object} ErrorParams
+ * @property {ErrorSummaryItem[]} errorList - Error summary component
+ *   `errorList` items
+ * @property {{ [field: string]: FieldErrorParams }} fields - Form field
+ *   component params by field name
+ */
@@ -0,0 +1,266 @@
+import { render } from '@govuk-frontend/helpers/nunjucks'
+import { getExamples } from '@govuk-frontend/lib/components'
+
+import { getErrorParams } from './validation.mjs'
+
+describe('getErrorParams', () => {
+  describe('error summary', () => {
+    it('returns an error summary item for each error', () => {
+      const { errorList } = getErrorParams({
+        'full-name': 'Enter your full name',
+        email: { html: 'Enter an email address, like <b>name@example.com</b>' }
+      })
+
+      expect(errorList).toEqual([
+        { text: 'Enter your full name', href: '#full-name' },
+        {
+          html: 'Enter an email address, like <b>name@example.com</b>',
+          href: '#email'
+        }
+      ])
+    })
+
+    it('uses the error message HTML over its text', () => {
+      const { errorList } = getErrorParams({
+        email: { text: 'Enter an email address', html: '<b>Enter</b>' }
+      })
+
+      expect(errorList).toEqual([{ html: '<b>Enter</b>', href: '#email' }])
+    })
+
+    it('skips fields without errors', () => {
+      const { errorList, fields } = getErrorParams({
+        'full-name': '',
+        email: undefined,
+        phone: {},
+        address: 'Enter your address'
+      })
+
+      expect(errorList).toEqual([
+        { text: 'Enter your address', href: '#address' }
+      ])
+      expect(Object.keys(fields)).toEqual(['address'])
+    })
+
+    it('orders errors by the field metadata, then by error', () => {
+      const { errorList } = getErrorParams(
+        {
+          other: 'Other error',
+          email: 'Enter an email address',
+          'full-name': 'Enter your full name'
+        },
+        {
+          'full-name': {},
+          phone: {},
+          email: {}
+        }
+      )
+
+      expect(errorList.map(({ href }) => href)).toEqual([
+        '#full-name',
+        '#email',
+        '#other'
+      ])
+    })
+  })
+
+  describe('Text input', () => {
+    let examples
+
+    beforeAll(async () => {
+      examples = await getExamples('input')
+    })
+
+    it('links to the input using its ID', () => {
+      const { context } = examples['with error message']
+
+      const { errorList, fields } = getErrorParams(
+        { [context.name]: context.errorMessage.text },
+        { [context.name]: { id: context.id } }
+      )
+
+      const $ = render('input', {
+        context: Object.assign({}, context, fields[context.name])
+      })
+
+      expect(errorList).toEqual([
+        { text: context.errorMessage.text, href: `#${context.id}` }
+      ])
+      expect($(errorList[0].href).is('input')).toBe(true)
+      expect(fields[context.name]).toEqual({
+        errorMessage: context.errorMessage
+      })
+    })
+  })
+
+  describe('Date input', () => {
+    let examples
+
+    beforeAll(async () => {
+      examples = await getExamples('date-input')
+    })
+
+    it('highlights every item when no parts are invalid', () => {
+      const { context } = examples['with errors only']
+
+      const { errorList, fields } = getErrorParams(
+        { dob: context.errorMessage.text },
+        { dob: { component: 'date-input', id: context.id } }
+      )
+
+      expect(errorList).toEqual([
+        { text: context.errorMessage.text, href: '#dob-errors-day' }
+      ])
+      expect(fields.dob).toEqual({
+        errorMessage: context.errorMessage,
+        items: context.items
+      })
+    })
+
+    it.each([
+      { example: 'with error on day input', part: 'day' },
+      { example: 'with error on month input', part: 'month' },
+      { example: 'with error on year input', part: 'year' }
+    ])('links to the invalid $part item', ({ example, part }) => {
+      const { context } = examples[example]
+
+      const { errorList, fields } = getErrorParams(
+        { dob: { text: context.errorMessage.text, parts: [part] } },
+        { dob: { component: 'date-input', id: context.id } }
+      )
+
+      const $ = render('date-input', {
+        context: Object.assign({}, context, fields.dob)
+      })
+
+      expect(errorList).toEqual([
+        { text: context.errorMessage.text, href: `#${context.id}-${part}` }
+      ])
+      expect($(errorList[0].href).attr('name')).toBe(
+        `${context.namePrefix}-${part}`
+      )
+      expect(fields.dob.items).toEqual(context.items)
+    })
+
+    it('links to the item ID when set', () => {
+      const { context } = examples['with id on items']
+
+      const { errorList } = getErrorParams(
+        { dob: { text: 'Enter a month', parts: ['month'] } },
+        {
+          dob: { component: 'date-input', id: context.id, items: context.items }
+        }
+      )
+
+      const $ = render('date-input', { context })
+
+      expect($(errorList[0].href).attr('name')).toBe('month')
+    })
+
+    it('removes the error class from valid items', () => {
+      const { context } = examples['with errors only']
+
+      const { fields } = getErrorParams(
+        { dob: { text: 'Enter a year', parts: ['year'] } },
+        { dob: { component: 'date-input', items: context.items } }
+      )
+
+      expect(fields.dob.items.map(({ classes }) => classes)).toEqual([
+        'govuk-input--width-2',
+        'govuk-input--width-2',
+        'govuk-input--width-4 govuk-input--error'
+      ])
+    })
+  })
+
+  describe.each(['radios', 'checkboxes'])('%s', (component) => {
+    let examples
+
+    beforeAll(async () => {
+      examples = await getExamples(component)
+    })
+
+    it('links to the first item using the name', () => {
+      const { context } = examples['with error message']
+
+      const { errorList, fields } = getErrorParams(
+        { [context.name]: context.errorMessage.text },
+        { [context.name]: { component, items: context.items } }
+      )
+
+      const $ = render(component, {
+        context: Object.assign({}, context, fields[context.name])
+      })
+
+      expect(errorList).toEqual([
+        { text: context.errorMessage.text, href: `#${context.name}` }
+      ])
+      expect($(errorList[0].href).attr('value')).toBe(context.items[0].value)
+    })
+
+    it('links to the first item using the ID prefix', () => {
+      const example = Object.values(examples).find(
+        ({ context }) => context.idPrefix && context.errorMessage
+      )
+
+      const { context } = example
+
+      const { errorList } = getErrorParams(
+        { [context.name]: context.errorMessage.text },
+        {
+          [context.name]: {
+            component,
+            idPrefix: context.idPrefix,
+            items: context.items
+          }
+        }
+      )
+
+      const $ = render(component, { context })
+
+      expect(errorList[0].href).toBe(`#${context.idPrefix}`)
+      expect($(errorList[0].href).attr('value')).toBe(context.items[0].value)
+    })
+
+    it('links to the first item after a divider', () => {
+      const context = {
+        name: 'contact',
+        items: [
+          { divider: 'or' },
+          { value: 'email', text: 'Email' },
+          { value: 'phone', text: 'Phone' }
+        ]
+      }
+
+      const { errorList } = getErrorParams(
+        { contact: 'Select how you would like to be contacted' },
+        { contact: { component, items: context.items } }
+      )
+
+      const $ = render(component, { context })
+
+      expect(errorList[0].href).toBe('#contact-2')
+      expect($(errorList[0].href).attr('value')).toBe('email')
+    })
+
+    it('links to the first item ID when set', () => {
+      const context = {
+        name: 'contact',
+        items: [
+          { value: 'email', text: 'Email', id: 'contact-email' },
+          { value: 'phone', text: 'Phone' }
+        ]
+      }
+
+      const { errorList } = getErrorParams(
+        { contact: 'Select how you would like to be contacted' },
+        { contact: { component, items: context.items } }
+      )
+
+      const $ = render(component, { context })
+
+      expect(errorList[0].href).toBe('#contact-email')
+      expect($(errorList[0].href).attr('value')).toBe('email')
+    })
+  })
+})
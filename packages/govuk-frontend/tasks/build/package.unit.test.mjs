@@ -81,7 +81,7 @@ describe('packages/govuk-frontend/dist/', () => {
       // Only package entries and components are compiled to ES module + UMD bundles
       .flatMap(
         mapPathTo(
-          ['**/govuk/{all,components/**/*}.mjs'],
+          ['**/govuk/{all,validation,components/**/*}.mjs'],
           ({ dir: requirePath, name }) => [
             join(requirePath, `${name}.mjs`),
 
@@ -185,20 +185,38 @@ describe('packages/govuk-frontend/dist/', () => {
           export { Button } from './components/button/button.mjs';
           export { CharacterCount } from './components/character-count/character-count.mjs';
           export { Checkboxes } from './components/checkboxes/checkboxes.mjs';
+          export { CookieBanner } from './components/cookie-banner/cookie-banner.mjs';
+          export { DateInput } from './components/date-input/date-input.mjs';
+          export { DatePicker } from './components/date-input/date-picker.mjs';
           export { ErrorSummary } from './components/error-summary/error-summary.mjs';
           export { ExitThisPage } from './components/exit-this-page/exit-this-page.mjs';
+          export { FileUpload } from './components/file-upload/file-upload.mjs';
           export { Header } from './components/header/header.mjs';
           export { NotificationBanner } from './components/notification-banner/notification-banner.mjs';
           export { PasswordInput } from './components/password-input/password-input.mjs';
           export { Radios } from './components/radios/radios.mjs';
+          export { SelectAutocomplete } from './components/select/select-autocomplete.mjs';
           export { ServiceNavigation } from './components/service-navigation/service-navigation.mjs';
           export { SkipLink } from './components/skip-link/skip-link.mjs';
+          export { Table } from './components/table/table.mjs';
           export { Tabs } from './components/tabs/tabs.mjs';
           export { createAll, initAll } from './init.mjs';
         `)
       })
     })
 
+    describe('validation.mjs', () => {
+      it('should export validation helpers', async () => {
+        const contents = await readFile(
+          join(paths.package, 'dist/govuk/validation.mjs'),
+          'utf8'
+        )
+
+        // Look for ES modules `getErrorParams` named export
+        expect(contents).toContain('export { getErrorParams };')
+      })
+    })
+
     describe('common/govuk-frontend-version.mjs', () => {
       it('should have correct version number', async () => {
         const contents = await readFile(
@@ -241,6 +259,9 @@ describe('packages/govuk-frontend/dist/', () => {
 
         // Look for CommonJS named exports for utilities
         expect(contents).toContain('exports.initAll = initAll;')
+        expect(contents).toContain(
+          'exports.subscribeToBreakpoint = subscribeToBreakpoint;'
+        )
         expect(contents).toContain('exports.version = version;')
       })
     })
@@ -37,6 +37,20 @@ export const compile = (options) =>
       })
     ),
 
+    /**
+     * Compile GOV.UK Frontend JavaScript for validation helpers entry point,
+     * kept separate as it's only used on the server
+     */
+    task.name("compile:js 'validation'", () =>
+      scripts.compile('**/validation.mjs', {
+        ...options,
+
+        srcPath: join(options.srcPath, 'govuk'),
+        destPath: join(options.destPath, 'govuk'),
+        configPath: join(options.basePath, 'rollup.publish.config.mjs')
+      })
+    ),
+
     /**
      * Compile GOV.UK Frontend JavaScript (minified) for main entry point only
      */
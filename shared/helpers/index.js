@@ -1,3 +1,4 @@
+const jsdom = require('./jsdom')
 const nunjucks = require('./nunjucks')
 const puppeteer = require('./puppeteer')
 const tests = require('./tests')
@@ -6,6 +7,7 @@ const tests = require('./tests')
  * Helpers
  */
 module.exports = {
+  jsdom,
   nunjucks,
   puppeteer,
   tests
@@ -0,0 +1,52 @@
+const { render } = require('@govuk-frontend/lib/components')
+const { outdent } = require('outdent')
+
+/**
+ * Render component HTML into the JSDOM document
+ *
+ * Replaces the document body with the rendered component, adding the
+ * `govuk-frontend-supported` class so that component JavaScript can be
+ * initialised
+ *
+ * @param {string} componentName - The kebab-cased name of the component
+ * @param {MacroRenderOptions} [renderOptions] - Nunjucks macro render options
+ * @param {DocumentRenderOptions} [documentOptions] - Document render options
+ * @returns {HTMLElement} Component root element
+ */
+function renderComponent(componentName, renderOptions, documentOptions) {
+  const html = render(componentName, renderOptions)
+
+  document.body.outerHTML = outdent`
+    <body class="govuk-frontend-supported">
+      ${documentOptions?.wrap ? documentOptions.wrap(html) : html}
+    </body>
+  `
+
+  const $root = document.querySelector(
+    documentOptions?.selector ?? '[data-module]'
+  )
+
+  if (!($root instanceof window.HTMLElement)) {
+    throw new Error(`Component '${componentName}' root element not found`)
+  }
+
+  return $root
+}
+
+module.exports = {
+  renderComponent
+}
+
+/**
+ * Document render options
+ *
+ * @typedef {object} DocumentRenderOptions
+ * @property {(html: string) => string} [wrap] - Add HTML around the
+ *   component, for example a form or other page content
+ * @property {string} [selector] - Component root element selector, defaults
+ *   to the first element with a `data-module` attribute
+ */
+
+/**
+ * @typedef {import('@govuk-frontend/lib/components').MacroRenderOptions} MacroRenderOptions
+ */
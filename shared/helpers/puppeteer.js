@@ -166,7 +166,8 @@ async function render(page, componentName, renderOptions, browserOptions) {
 
         // Skip custom initialisation without export
         if (!exportName || !namespace[exportName]) {
-          return namespace.initAll()
+          namespace.initAll()
+          return
         }
 
         // Find all component roots